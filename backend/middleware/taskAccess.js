@@ -0,0 +1,197 @@
+const List = require('../models/List');
+const Task = require('../models/Task');
+const TaskHistory = require('../models/TaskHistory');
+const TimeEntry = require('../models/TimeEntry');
+const FocusSession = require('../models/FocusSession');
+const Workspace = require('../models/Workspace');
+
+// Who can do what with a task. Access comes from the task's list: the list's
+// owners and the members it is shared with, at their role (see List.ROLES),
+// and for a list in a team workspace, the workspace's members. A task
+// without a list belongs to its creator alone. Every task route goes through
+// here, so sharing rules live in one place.
+//
+// Access is worked out for one workspace at a time (the active one, see
+// middleware/workspace): its lists, or the user's personal ones.
+
+const ROLES = List.ROLES;
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Is `role` at least `required`? (an owner can do anything an editor can)
+const hasRole = (role, required) => Boolean(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+
+// The lists a user can reach in `workspace` (null for their personal space)
+// and their role on each: { userId, workspace, roles: Map(listId => role) }
+const loadAccess = async (userId, workspace = null) => {
+  const lists = await List.find(List.accessibleBy(userId, workspace)).select('user members workspace');
+  return {
+    userId,
+    workspace,
+    roles: new Map(lists.map(list => [String(list._id), list.roleOf(userId, workspace)]))
+  };
+};
+
+// The user's role on a task, or null if they can't see it
+const roleForTask = (access, task) => {
+  if (!task.list) return !access.workspace && task.user.equals(access.userId) ? 'owner' : null;
+  return access.roles.get(String(task.list._id || task.list)) || null;
+};
+
+// The user's role on a list, or null
+const roleForList = (access, listId) => access.roles.get(String(listId)) || null;
+
+// Narrow a task query to tasks the user has at least `role` on. The
+// condition is added under $and so top-level fields (such as deletedAt, which
+// the Task model's trash filter looks for) stay where they are.
+const scopeTasks = (access, query = {}, role = 'viewer') => {
+  const listIds = [...access.roles]
+    .filter(([, listRole]) => hasRole(listRole, role))
+    .map(([listId]) => listId);
+
+  // Tasks without a list are personal
+  const reachable = access.workspace
+    ? { list: { $in: listIds } }
+    : { $or: [{ list: { $in: listIds } }, { list: null, user: access.userId }] };
+
+  return {
+    ...query,
+    $and: [...(query.$and || []), reachable]
+  };
+};
+
+// Can `userId` be assigned `task`? Only someone who can see it: anyone its
+// list is shared with (at any role), or the creator of a task without a list.
+// Works on a task as it will be saved, so pass the new list when moving it.
+const isAssignable = async (task, userId) => {
+  const listId = task.list && (task.list._id || task.list);
+  if (!listId) return String(task.user._id || task.user) === String(userId);
+
+  const list = await List.findById(listId).select('user members workspace').populate('workspace');
+  return Boolean(list && list.roleOf(userId, list.workspace));
+};
+
+// Everyone who can reach a list: its creator and the members it is shared
+// with or, for a list in a workspace, the workspace's members. Resolves to ids.
+const listAudience = async (list) => {
+  const workspaceId = list.workspace && (list.workspace._id || list.workspace);
+  const workspace = workspaceId && await Workspace.findById(workspaceId).select('members');
+  const people = workspace
+    ? workspace.members.map(member => member.user)
+    : [list.user, ...list.members.map(member => member.user)];
+  return people.map(user => user._id || user);
+};
+
+// Once people have lost access to a list (or its tasks were moved to it),
+// make sure nobody outside its audience keeps a timer or focus session
+// running on its tasks, or stays assigned to them. Unassignments are
+// recorded in each task's history as made by `actingUserId`.
+const releaseListTasks = async (list, actingUserId) => {
+  const audience = await listAudience(list);
+  const outsider = { $nin: audience };
+  const taskIds = await Task.distinct('_id', { list: list._id });
+
+  const timing = await TimeEntry.distinct('user', { endedAt: null, task: { $in: taskIds }, user: outsider });
+  const focusing = await FocusSession.distinct('user', { finishedAt: null, task: { $in: taskIds }, user: outsider });
+  await Promise.all([
+    ...timing.map(userId => TimeEntry.stopRunning(userId, { task: { $in: taskIds } })),
+    ...focusing.map(userId => FocusSession.stopLive(userId, { task: { $in: taskIds } }))
+  ]);
+
+  const assigned = await Task.find({ list: list._id, assignee: { $ne: null, ...outsider } })
+    .setOptions({ withDeleted: true });
+  for (const task of assigned) {
+    const before = TaskHistory.snapshot(task);
+    task.assignee = null;
+    await task.save();
+    await TaskHistory.record({ task, user: actingUserId, before });
+  }
+};
+
+// Look up a task the user needs `role` on. Resolves to { task, role }, or
+// { error, status }: 404 when they can't see it at all, 403 when they can
+// but their role is too weak.
+const findTaskFor = async (access, taskId, role = 'viewer') => {
+  const task = await Task.findOne(scopeTasks(access, { _id: taskId }));
+  if (!task) {
+    return { error: 'Task not found', status: 404 };
+  }
+
+  const taskRole = roleForTask(access, task);
+  if (!hasRole(taskRole, role)) {
+    return { error: `You need ${role} access to this list to do that`, status: 403 };
+  }
+  return { task, role: taskRole };
+};
+
+// Middleware: work out what the signed-in user can reach in the active
+// workspace (after auth and resolveWorkspace)
+const loadTaskAccess = async (req, res, next) => {
+  try {
+    req.access = await loadAccess(req.user._id, req.workspace);
+    next();
+  } catch (error) {
+    console.error('Task access error:', error);
+    res.status(500).json({
+      message: 'Server error while checking access'
+    });
+  }
+};
+
+// Routes nested under a task that anyone who can see it may write to: the
+// discussion is open to viewers, and its routes check authorship themselves
+const VIEWER_WRITABLE_ROUTES = ['comments'];
+
+// The role a request under /:id needs: viewer to read (or to use a route
+// above), editor for anything else
+const requiredTaskRole = (req) => {
+  if (SAFE_METHODS.includes(req.method)) return 'viewer';
+  // Relative to the task router: /:id/<nested route>/...
+  const nested = req.path.split('/')[2];
+  return VIEWER_WRITABLE_ROUTES.includes(nested) ? 'viewer' : 'editor';
+};
+
+// router.param handler for :id on the task router. Checks the role the
+// request needs (see requiredTaskRole); the task and the role are left on
+// req.task and req.taskRole for the route.
+const authorizeTask = async (req, res, next, id) => {
+  try {
+    const required = requiredTaskRole(req);
+    const { task, role, error, status } = await findTaskFor(req.access, id, required);
+
+    if (error) {
+      return res.status(status).json({
+        message: error
+      });
+    }
+
+    req.task = task;
+    req.taskRole = role;
+    next();
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid task ID'
+      });
+    }
+
+    console.error('Task access error:', error);
+    res.status(500).json({
+      message: 'Server error while checking access'
+    });
+  }
+};
+
+module.exports = {
+  ROLES,
+  hasRole,
+  loadAccess,
+  roleForTask,
+  roleForList,
+  scopeTasks,
+  isAssignable,
+  listAudience,
+  releaseListTasks,
+  findTaskFor,
+  loadTaskAccess,
+  authorizeTask
+};
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const Workspace = require('../models/Workspace');
+
+// The active workspace comes from the X-Workspace header: a workspace id, or
+// nothing (or "personal") for the user's personal space. Routes see it as
+// req.workspace (null when personal) and the user's role in it as
+// req.workspaceRole.
+
+const WORKSPACE_HEADER = 'X-Workspace';
+
+// Look up the workspace a request asks for. Resolves to { workspace, role }
+// (both null for the personal space) or { error, status }.
+const findActiveWorkspace = async (req) => {
+  const id = req.header(WORKSPACE_HEADER);
+  if (!id || id === 'personal') {
+    return { workspace: null, role: null };
+  }
+
+  if (!mongoose.isValidObjectId(id)) {
+    return { error: 'Invalid workspace ID', status: 400 };
+  }
+
+  const workspace = await Workspace.findOne({ _id: id, ...Workspace.forUser(req.user._id) });
+  if (!workspace) {
+    return { error: 'Workspace not found', status: 404 };
+  }
+  return { workspace, role: workspace.roleOf(req.user._id) };
+};
+
+// Middleware: resolve the active workspace (after auth). A workspace the
+// user doesn't belong to is a 404, so other workspaces' data never leaks.
+const resolveWorkspace = async (req, res, next) => {
+  try {
+    const { workspace, role, error, status } = await findActiveWorkspace(req);
+
+    if (error) {
+      return res.status(status).json({
+        message: error,
+        code: 'WORKSPACE_NOT_FOUND'
+      });
+    }
+
+    req.workspace = workspace;
+    req.workspaceRole = role;
+    next();
+  } catch (error) {
+    console.error('Workspace error:', error);
+    res.status(500).json({
+      message: 'Server error while loading the workspace'
+    });
+  }
+};
+
+module.exports = {
+  WORKSPACE_HEADER,
+  findActiveWorkspace,
+  resolveWorkspace
+};
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const { getStorage } = require('../utils/attachmentStorage');
+
+// A file uploaded to a task. The bytes live in a storage driver (see
+// utils/attachmentStorage); this is what we know about them.
+const attachmentSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: [true, 'Task is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  filename: {
+    type: String,
+    required: [true, 'Filename is required'],
+    trim: true,
+    maxlength: [200, 'Filename cannot be more than 200 characters']
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Which driver holds the file, and its key there
+  storage: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+attachmentSchema.index({ task: 1, createdAt: -1 });
+
+attachmentSchema.virtual('isImage').get(function() {
+  return this.contentType.startsWith('image/');
+});
+
+attachmentSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    // Where the file is stored is nobody else's business
+    delete ret.storage;
+    delete ret.key;
+    return ret;
+  }
+});
+
+// Stream of the stored file; rejects with FileNotFoundError if it's gone
+attachmentSchema.methods.openFile = function() {
+  return getStorage(this.storage).open(this.key);
+};
+
+// Remove the stored file, then the attachment itself
+attachmentSchema.methods.removeWithFile = async function() {
+  await getStorage(this.storage).remove(this.key);
+  return this.deleteOne();
+};
+
+// Delete every attachment on the given tasks along with their files. A file
+// that can't be removed is logged and left behind rather than failing the
+// delete of the tasks.
+attachmentSchema.statics.removeForTasks = async function(taskIds) {
+  const attachments = await this.find({ task: { $in: taskIds } }).select('storage key');
+
+  await Promise.all(attachments.map(attachment => getStorage(attachment.storage)
+    .remove(attachment.key)
+    .catch(error => console.error(`Error removing attachment file ${attachment.key}:`, error))));
+
+  return this.deleteMany({ task: { $in: taskIds } });
+};
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
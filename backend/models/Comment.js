@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const COMMENT_MAX_LENGTH = 5000;
+
+// A comment in a task's discussion thread. The body is Markdown, cleaned the
+// same way as task notes.
+const commentSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: [true, 'Task is required']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required']
+  },
+  body: {
+    type: String,
+    required: [true, 'Comment cannot be empty'],
+    maxlength: [COMMENT_MAX_LENGTH, `Comments cannot be more than ${COMMENT_MAX_LENGTH} characters`]
+  },
+  // Users @mentioned in the body (re-read on every edit)
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Set when the author changes the body after posting
+  editedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// A task's thread in order
+commentSchema.index({ task: 1, createdAt: 1 });
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+Comment.COMMENT_MAX_LENGTH = COMMENT_MAX_LENGTH;
+
+module.exports = Comment;
@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+
+const MINUTE = 60 * 1000;
+
+// After a break, a new session within this long continues the cycle
+const CYCLE_GRACE_MS = 15 * MINUTE;
+
+// Phases of a session: focused work, then the break that follows it.
+// A session is "live" until it reaches "done".
+const PHASES = ['work', 'break', 'done'];
+
+// One pomodoro: a work interval on a task and the break after it. The live
+// session's state is kept here so a reload (or another device) picks it up.
+const focusSessionSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: [true, 'Task is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  phase: {
+    type: String,
+    enum: PHASES,
+    default: 'work'
+  },
+  // Position in the work/break cycle, starting at 1; the last round of a
+  // cycle is followed by a long break
+  round: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  workMinutes: {
+    type: Number,
+    required: true
+  },
+  breakMinutes: {
+    type: Number,
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  // When the current phase ends; pausing pushes it back
+  phaseEndsAt: {
+    type: Date,
+    required: true
+  },
+  pausedAt: {
+    type: Date,
+    default: null
+  },
+  // Time spent paused during the work phase
+  pausedMs: {
+    type: Number,
+    default: 0
+  },
+  // Each pause counts as one
+  interruptions: {
+    type: Number,
+    default: 0
+  },
+  // The work phase ran its full length
+  completed: {
+    type: Boolean,
+    default: false
+  },
+  // When the work phase ended (completed or stopped early) and how much
+  // focused time it held
+  workEndedAt: {
+    type: Date,
+    default: null
+  },
+  focusedMs: {
+    type: Number,
+    default: 0
+  },
+  // Null while the session is live
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// At most one live session per user
+focusSessionSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { finishedAt: { $type: 'null' } }, name: 'one_live_session' }
+);
+// Session counts per task and a user's session log
+focusSessionSchema.index({ task: 1, completed: 1 });
+focusSessionSchema.index({ user: 1, startedAt: -1 });
+
+focusSessionSchema.statics.findLive = function(userId) {
+  return this.findOne({ user: userId, finishedAt: null });
+};
+
+// Work time done up to `at`, leaving out pauses
+const focusedUntil = (session, at) => {
+  const paused = session.pausedMs + (session.pausedAt ? at - session.pausedAt : 0);
+  return Math.max(0, at - session.startedAt - paused);
+};
+
+// Move a live session past any phase that has run out since it was last
+// looked at. Each step only applies if the session is still in the phase
+// it was read in, so concurrent requests can't complete it twice.
+focusSessionSchema.statics.catchUp = async function(session, now = new Date()) {
+  let current = session;
+
+  if (current && current.phase === 'work' && !current.pausedAt && current.phaseEndsAt <= now) {
+    const workEndedAt = current.phaseEndsAt;
+    current = await this.findOneAndUpdate(
+      { _id: current._id, phase: 'work', pausedAt: null, phaseEndsAt: workEndedAt },
+      {
+        phase: 'break',
+        completed: true,
+        workEndedAt,
+        focusedMs: current.workMinutes * MINUTE,
+        phaseEndsAt: new Date(workEndedAt.getTime() + current.breakMinutes * MINUTE)
+      },
+      { new: true }
+    ) || await this.findById(current._id);
+  }
+
+  if (current && current.phase === 'break' && current.phaseEndsAt <= now) {
+    current = await this.findOneAndUpdate(
+      { _id: current._id, phase: 'break', phaseEndsAt: current.phaseEndsAt },
+      { phase: 'done', finishedAt: current.phaseEndsAt },
+      { new: true }
+    ) || await this.findById(current._id);
+  }
+
+  return current && current.phase !== 'done' ? current : null;
+};
+
+// Which round a session started now is, and how long its break will be.
+// Rounds continue from a session whose break ended moments ago.
+focusSessionSchema.statics.nextRound = async function(userId, settings, now = new Date()) {
+  const previous = await this.findOne({ user: userId }).sort({ startedAt: -1 });
+
+  let round = 1;
+  if (previous && previous.completed && now - (previous.finishedAt || now) <= CYCLE_GRACE_MS) {
+    round = previous.round >= settings.longBreakEvery ? 1 : previous.round + 1;
+  }
+
+  return {
+    round,
+    breakMinutes: round === settings.longBreakEvery ? settings.longBreakMinutes : settings.breakMinutes
+  };
+};
+
+// End a live session early: stopping during work records what was done;
+// stopping during the break just ends it
+focusSessionSchema.methods.stop = function(now = new Date()) {
+  if (this.phase === 'work') {
+    this.focusedMs = focusedUntil(this, now);
+    this.workEndedAt = now;
+    this.pausedAt = null;
+  }
+  this.phase = 'done';
+  this.finishedAt = now;
+  return this.save();
+};
+
+focusSessionSchema.methods.pause = function(now = new Date()) {
+  this.pausedAt = now;
+  this.interruptions += 1;
+  return this.save();
+};
+
+focusSessionSchema.methods.resume = function(now = new Date()) {
+  const pausedFor = now - this.pausedAt;
+  this.pausedMs += pausedFor;
+  this.phaseEndsAt = new Date(this.phaseEndsAt.getTime() + pausedFor);
+  this.pausedAt = null;
+  return this.save();
+};
+
+// Stop the user's live session (only if it's on `task`, when given; a
+// filter such as { $in: ids } works too). Resolves to it, or null.
+focusSessionSchema.statics.stopLive = async function(userId, { task = null } = {}) {
+  const now = new Date();
+  const live = await this.catchUp(await this.findOne({
+    user: userId,
+    finishedAt: null,
+    ...(task ? { task } : {})
+  }), now);
+  return live ? live.stop(now) : null;
+};
+
+// Stop every user's live session on `task` (an id or a filter), for tasks
+// going to the trash
+focusSessionSchema.statics.stopAllOn = async function(task) {
+  const users = await this.distinct('user', { finishedAt: null, task });
+  return Promise.all(users.map(userId => this.stopLive(userId, { task })));
+};
+
+const FocusSession = mongoose.model('FocusSession', focusSessionSchema);
+
+FocusSession.PHASES = PHASES;
+
+module.exports = FocusSession;
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const validator = require('validator');
+const List = require('./List');
+const Workspace = require('./Workspace');
+
+const MAX_USES = 100;
+const DEFAULT_EXPIRY_DAYS = 7;
+const MAX_EXPIRY_DAYS = 30;
+// Invitation tokens are signed with the app's secret but for a different
+// audience, so they are never mistaken for a login token
+const TOKEN_AUDIENCE = 'invitation';
+
+// A link that lets people join a personal list or a workspace at a set role.
+// The link carries a signed token naming the invitation; the invitation
+// itself is what can run out, be used up or be revoked.
+const invitationSchema = new mongoose.Schema({
+  // Exactly one of list and workspace
+  list: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'List',
+    default: null
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
+  },
+  // A list role (List.ROLES) or a workspace role (Workspace.ROLES)
+  role: {
+    type: String,
+    required: [true, 'Role is required']
+  },
+  // When set, only the account with this email can accept, and the link is
+  // emailed to it
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null,
+    validate: [value => value === null || validator.isEmail(value), 'Please provide a valid email']
+  },
+  maxUses: {
+    type: Number,
+    default: 1,
+    min: [1, 'An invitation must allow at least one use'],
+    max: [MAX_USES, `An invitation can allow at most ${MAX_USES} uses`],
+    validate: [Number.isInteger, 'maxUses must be a whole number']
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  acceptedBy: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    acceptedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // Who created it
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Pending invitations to a list or workspace, for managing them
+invitationSchema.index({ list: 1, createdAt: -1 });
+invitationSchema.index({ workspace: 1, createdAt: -1 });
+
+invitationSchema.pre('validate', function(next) {
+  if (Boolean(this.list) === Boolean(this.workspace)) {
+    this.invalidate('list', 'An invitation is to either a list or a workspace');
+  } else {
+    const roles = this.list ? List.ROLES : Workspace.ROLES;
+    if (!roles.includes(this.role)) {
+      this.invalidate('role', `Role must be one of: ${roles.join(', ')}`);
+    }
+  }
+  next();
+});
+
+// pending, or why it can no longer be accepted: revoked, expired or used
+invitationSchema.methods.status = function(now = new Date()) {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= now) return 'expired';
+  if (this.uses >= this.maxUses) return 'used';
+  return 'pending';
+};
+
+// The token for the invitation's link, valid until it expires
+invitationSchema.methods.signToken = function() {
+  const seconds = Math.max(1, Math.floor((this.expiresAt.getTime() - Date.now()) / 1000));
+  return jwt.sign({ inv: String(this._id) }, process.env.JWT_SECRET, {
+    audience: TOKEN_AUDIENCE,
+    expiresIn: seconds
+  });
+};
+
+// The invitation id a token names. Throws jsonwebtoken's errors for a
+// forged, malformed or expired token.
+invitationSchema.statics.verifyToken = function(token) {
+  const { inv } = jwt.verify(token, process.env.JWT_SECRET, { audience: TOKEN_AUDIENCE });
+  if (!mongoose.isValidObjectId(inv)) {
+    throw new jwt.JsonWebTokenError('invalid invitation');
+  }
+  return inv;
+};
+
+// Filter for invitations that can still be accepted
+invitationSchema.statics.acceptable = function(now = new Date()) {
+  return {
+    revokedAt: null,
+    expiresAt: { $gt: now },
+    $expr: { $lt: ['$uses', '$maxUses'] }
+  };
+};
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+Invitation.MAX_USES = MAX_USES;
+Invitation.DEFAULT_EXPIRY_DAYS = DEFAULT_EXPIRY_DAYS;
+Invitation.MAX_EXPIRY_DAYS = MAX_EXPIRY_DAYS;
+
+module.exports = Invitation;
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+
+// Roles on a shared list, weakest first. Viewers see the list's tasks,
+// editors can change them, owners can also manage the list and its members.
+const ROLES = ['viewer', 'editor', 'owner'];
+
+// Someone the list is shared with
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  role: {
+    type: String,
+    enum: {
+      values: ROLES,
+      message: `Role must be one of: ${ROLES.join(', ')}`
+    },
+    default: 'editor'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const listSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'List name is required'],
+    trim: true,
+    minlength: [1, 'List name cannot be empty'],
+    maxlength: [50, 'List name cannot exceed 50 characters']
+  },
+  color: {
+    type: String,
+    default: '#667eea',
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #667eea']
+  },
+  // A short emoji or symbol shown next to the name
+  icon: {
+    type: String,
+    trim: true,
+    default: '📋',
+    maxlength: [8, 'Icon cannot exceed 8 characters']
+  },
+  // The Inbox: every user has exactly one and it cannot be deleted
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  // The list's creator, who always owns it
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  members: [memberSchema],
+  // The team workspace holding the list; null for the creator's personal lists
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+listSchema.index({ user: 1, createdAt: 1 });
+// Lists shared with a user
+listSchema.index({ 'members.user': 1 });
+// Lists in a workspace
+listSchema.index({ workspace: 1, createdAt: 1 });
+
+// At most one Inbox per user
+listSchema.index(
+  { user: 1, isDefault: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true } }
+);
+
+// Get (creating on first use) the user's Inbox, which is always personal.
+// Tasks created before lists existed have no list, so they are moved into it.
+listSchema.statics.getInbox = async function(userId) {
+  const result = await this.findOneAndUpdate(
+    { user: userId, isDefault: true },
+    { $setOnInsert: { name: 'Inbox', icon: '📥', user: userId, isDefault: true } },
+    { new: true, upsert: true, includeResultMetadata: true }
+  );
+
+  if (!result.lastErrorObject?.updatedExisting) {
+    await mongoose.model('Task').updateMany(
+      { user: userId, list: null },
+      { list: result.value._id }
+    );
+  }
+
+  return result.value;
+};
+
+// Filter for the lists a user can reach in a workspace (every list in it;
+// pass the workspace they belong to), or outside one (the personal lists
+// they own or have been given access to)
+listSchema.statics.accessibleBy = function(userId, workspace = null) {
+  if (workspace) return { workspace: workspace._id };
+  return { workspace: null, $or: [{ user: userId }, { 'members.user': userId }] };
+};
+
+// The user's role on this list, or null if it isn't shared with them. For a
+// list in `workspace`, the role the workspace gives them counts too, and the
+// stronger of the two wins; someone who has left the workspace has none.
+listSchema.methods.roleOf = function(userId, workspace = null) {
+  const id = userId && (userId._id || userId);
+  const inWorkspace = workspace && this.workspace && workspace._id.equals(this.workspace._id || this.workspace);
+  if (inWorkspace && !workspace.roleOf(id)) return null;
+
+  const member = this.members.find(entry => (entry.user._id || entry.user).equals(id));
+  const roles = [
+    (this.user._id || this.user).equals(id) ? 'owner' : null,
+    member ? member.role : null,
+    inWorkspace ? workspace.listRoleOf(id) : null
+  ];
+  return roles.reduce((best, role) => (ROLES.indexOf(role) > ROLES.indexOf(best) ? role : best), null);
+};
+
+const List = mongoose.model('List', listSchema);
+
+List.ROLES = ROLES;
+
+module.exports = List;
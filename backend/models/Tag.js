@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Colours handed out to new tags that don't ask for one
+const DEFAULT_COLORS = ['#667eea', '#48bb78', '#ed8936', '#f56565', '#38b2ac', '#9f7aea', '#ecc94b', '#ed64a6'];
+
+const tagSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tag name is required'],
+    trim: true,
+    lowercase: true,
+    minlength: [1, 'Tag name cannot be empty'],
+    maxlength: [30, 'Tag name cannot exceed 30 characters'],
+    match: [/^[^\s,#]+$/, 'Tag names cannot contain spaces, commas or #']
+  },
+  color: {
+    type: String,
+    default: () => DEFAULT_COLORS[Math.floor(Math.random() * DEFAULT_COLORS.length)],
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #667eea']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Tag names are unique per user
+tagSchema.index({ user: 1, name: 1 }, { unique: true });
+
+// Strip a leading "#" and normalise case so "#Work" and "work" are the same tag
+tagSchema.statics.normalizeName = function(name) {
+  return String(name).trim().replace(/^#/, '').toLowerCase();
+};
+
+// Resolve a mix of tag ids and names to the user's tag ids.
+// Unknown names are created when createMissing is set, otherwise skipped.
+tagSchema.statics.resolveForUser = async function(userId, values, { createMissing = false } = {}) {
+  const ids = [];
+  const names = [];
+
+  for (const value of values) {
+    if (typeof value !== 'string' || value.trim().length === 0) continue;
+    if (mongoose.isValidObjectId(value) && /^[0-9a-fA-F]{24}$/.test(value)) {
+      ids.push(value);
+    } else {
+      names.push(this.normalizeName(value));
+    }
+  }
+
+  const found = await this.find({
+    user: userId,
+    $or: [{ _id: { $in: ids } }, { name: { $in: names } }]
+  }).select('_id name');
+
+  const missing = [...new Set(names)].filter(name => !found.some(tag => tag.name === name));
+  if (createMissing && missing.length > 0) {
+    const created = await this.create(missing.map(name => ({ name, user: userId })));
+    found.push(...created);
+  }
+
+  return found.map(tag => tag._id);
+};
+
+const Tag = mongoose.model('Tag', tagSchema);
+
+module.exports = Tag;
@@ -1,4 +1,59 @@
 const mongoose = require('mongoose');
+const { isValidTimeZone, startOfDay, addDays } = require('../utils/dateUtils');
+const { parseRule, formatRule, nextOccurrence } = require('../utils/recurrence');
+const { loadShared } = require('../utils/shared');
+const { rankBetween, spreadRanks } = require('../utils/rank');
+
+// Ordered from lowest to highest; the index doubles as the sortable rank
+const PRIORITY_LEVELS = ['none', 'low', 'medium', 'high', 'urgent'];
+
+// Checklist item nested under a task
+const subtaskSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Subtask title is required'],
+    trim: true,
+    minlength: [1, 'Subtask title cannot be empty'],
+    maxlength: [200, 'Subtask title cannot exceed 200 characters']
+  },
+  completed: {
+    type: Boolean,
+    default: false
+  },
+  position: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Repeat settings, carried from each occurrence of a series to the next
+const recurrenceSchema = new mongoose.Schema({
+  // Canonical RRULE body, e.g. "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR"; null once stopped
+  rule: {
+    type: String,
+    default: null
+  },
+  // DTSTART: the first occurrence, which fixes the time of day and INTERVAL alignment
+  startsAt: Date,
+  // Shared by every occurrence so the completion history can be found
+  seriesId: mongoose.Schema.Types.ObjectId,
+  // 1-based position in the series, counting skipped occurrences (used for COUNT)
+  occurrence: {
+    type: Number,
+    default: 1
+  },
+  skipped: [Date],
+  // The occurrence created when this one was completed
+  nextTask: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  }
+}, {
+  _id: false
+});
 
 const taskSchema = new mongoose.Schema({
   title: {
@@ -8,26 +63,628 @@ const taskSchema = new mongoose.Schema({
     minlength: [1, 'Task title cannot be empty'],
     maxlength: [200, 'Task title cannot exceed 200 characters']
   },
+  // Long-form Markdown, sanitised by the routes before it is stored
+  notes: {
+    type: String,
+    default: '',
+    // The limit is shared with the app (shared/markdown.mjs)
+    validate: {
+      validator: async (notes) => notes.length <= (await loadShared('markdown')).NOTES_MAX_LENGTH,
+      message: 'Notes are too long'
+    }
+  },
   completed: {
     type: Boolean,
     default: false
   },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  dueAt: {
+    type: Date,
+    default: null
+  },
+  // All-day tasks are due by the end of the dueAt day in their timezone
+  allDay: {
+    type: Boolean,
+    default: false
+  },
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: [isValidTimeZone, 'Invalid timezone']
+  },
+  priority: {
+    type: String,
+    enum: {
+      values: PRIORITY_LEVELS,
+      message: 'Priority must be one of: ' + PRIORITY_LEVELS.join(', ')
+    },
+    default: 'none'
+  },
+  // Numeric copy of priority so it sorts by weight rather than alphabetically
+  priorityRank: {
+    type: Number,
+    default: 0
+  },
+  subtasks: {
+    type: [subtaskSchema],
+    validate: [list => list.length <= 100, 'A task cannot have more than 100 subtasks']
+  },
+  // Mark the task done automatically once every subtask is done
+  completeWithSubtasks: {
+    type: Boolean,
+    default: false
+  },
+  tags: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tag'
+  }],
+  list: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'List',
+    default: null
+  },
+  // Who is doing it: someone the task's list is shared with (checked by the
+  // routes, see middleware/taskAccess)
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  recurrence: {
+    type: recurrenceSchema,
+    default: null
+  },
+  // Tasks that have to be done first. Cycles are refused when a dependency is
+  // added (see findDependencyPath).
+  blockedBy: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task'
+    }],
+    validate: [list => list.length <= 50, 'A task cannot be blocked by more than 50 tasks']
+  },
+  // Fractional key for the manual order of the task's list, or of its
+  // creator's tasks outside any list (see utils/rank.js); ties fall back to _id
+  rank: {
+    type: String,
+    default: null
+  },
+  // Set when the task is moved to the trash; purged after the retention period
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  // Bumped on every write; sent to clients as the ETag for If-Match checks
+  version: {
+    type: Number,
+    default: 0
+  },
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: [true, 'User is required']
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
 });
 
 // Index for faster user-based queries
 taskSchema.index({ user: 1, createdAt: -1 });
 
-// Instance method to toggle completion
-taskSchema.methods.toggleComplete = function() {
-  this.completed = !this.completed;
+// Index for due date filters (overdue, today, this week)
+taskSchema.index({ user: 1, dueAt: 1 });
+
+// Priority-first listing: pending work, most urgent first
+taskSchema.index({ user: 1, completed: 1, priorityRank: -1, createdAt: -1 });
+
+// Index for tag filters
+taskSchema.index({ user: 1, tags: 1 });
+
+// Index for per-list views and counts
+taskSchema.index({ user: 1, list: 1, createdAt: -1 });
+
+// Index for "assigned to me" across lists
+taskSchema.index({ assignee: 1, completed: 1, createdAt: -1 });
+
+// Full-text search; a title match counts for more than one in the notes
+taskSchema.index(
+  { title: 'text', notes: 'text' },
+  { name: 'task_text', weights: { title: 5, notes: 1 } }
+);
+
+// Index for finding the tasks a task blocks
+taskSchema.index({ blockedBy: 1 });
+
+// Indexes for the manual order, within a list and outside any
+taskSchema.index({ list: 1, rank: 1, _id: 1 });
+taskSchema.index({ user: 1, rank: 1, _id: 1 });
+
+// Index for the completion history of a recurring series
+taskSchema.index({ 'recurrence.seriesId': 1, completedAt: -1 });
+
+// Indexes for the trash view and the scheduled purge
+taskSchema.index({ user: 1, deletedAt: -1 });
+taskSchema.index({ deletedAt: 1 });
+
+// Trashed tasks are invisible to every query unless it asks about deletedAt
+// itself or opts in with .setOptions({ withDeleted: true })
+const TRASH_AWARE_QUERIES = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'findOneAndDelete',
+  'countDocuments',
+  'updateOne',
+  'updateMany',
+  'deleteOne',
+  'deleteMany',
+  'distinct'
+];
+
+taskSchema.pre(TRASH_AWARE_QUERIES, function(next) {
+  if (!this.getOptions().withDeleted && this.getFilter().deletedAt === undefined) {
+    this.where({ deletedAt: null });
+  }
+  next();
+});
+
+taskSchema.pre('aggregate', function(next) {
+  if (this.options.withDeleted) return next();
+
+  const [firstStage] = this.pipeline();
+  if (firstStage && firstStage.$match) {
+    if (firstStage.$match.deletedAt === undefined) firstStage.$match.deletedAt = null;
+  } else {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  }
+  next();
+});
+
+// Keep priorityRank and completedAt in sync with priority and completed
+taskSchema.pre('save', function(next) {
+  if (this.isModified('priority')) {
+    this.priorityRank = PRIORITY_LEVELS.indexOf(this.priority);
+  }
+  if (this.isModified('completed')) {
+    this.completedAt = this.completed ? new Date() : null;
+  }
+  if (!this.isNew && this.isModified()) {
+    this.version += 1;
+  }
+  next();
+});
+
+// Update queries bump the version too (bulk rank backfills use bulkWrite and
+// are deliberately left out, since they don't change anything a client edits)
+taskSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  const update = this.getUpdate();
+  if (update && !Array.isArray(update)) {
+    update.$inc = { ...update.$inc, version: 1 };
+  }
+  next();
+});
+
+taskSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate();
+  const valueOf = (key) => update[key] !== undefined ? update[key] : (update.$set || {})[key];
+
+  const priority = valueOf('priority');
+  if (priority !== undefined) {
+    this.set('priorityRank', PRIORITY_LEVELS.indexOf(priority));
+  }
+
+  const completed = valueOf('completed');
+  if (completed !== undefined) {
+    this.set('completedAt', completed ? new Date() : null);
+  }
+  next();
+});
+
+// Whether a pending task has passed its due date
+taskSchema.virtual('isOverdue').get(function() {
+  if (!this.dueAt || this.completed) return false;
+  const deadline = this.allDay
+    ? addDays(startOfDay(this.dueAt, this.timezone), 1, this.timezone)
+    : this.dueAt;
+  return deadline.getTime() <= Date.now();
+});
+
+// Blocked while any blocker is still open (trashed ones don't count). Only
+// known once blockedBy is populated, as it is in every API response.
+taskSchema.virtual('blocked').get(function() {
+  if (!this.populated('blockedBy')) return undefined;
+  return this.blockedBy.some(blocker => blocker && blocker.completed === false);
+});
+
+// The tasks this one still waits on (open and not in the trash), by title.
+// Completing it while there are any needs `force`.
+taskSchema.methods.findOpenBlockers = function() {
+  const ids = this.populated('blockedBy') || this.blockedBy;
+  return this.constructor.find({ _id: { $in: ids }, completed: false }).select('title');
+};
+
+// Number of focus sessions whose work phase ran to the end (populated in
+// every API response)
+taskSchema.virtual('focusSessions', {
+  ref: 'FocusSession',
+  localField: '_id',
+  foreignField: 'task',
+  match: { completed: true },
+  count: true
+});
+
+// Number of files attached (populated in every API response)
+taskSchema.virtual('attachmentCount', {
+  ref: 'Attachment',
+  localField: '_id',
+  foreignField: 'task',
+  count: true
+});
+
+// Number of comments in the task's thread (populated in every API response)
+taskSchema.virtual('commentCount', {
+  ref: 'Comment',
+  localField: '_id',
+  foreignField: 'task',
+  count: true
+});
+
+// "n of m done" summary for checklist progress
+taskSchema.virtual('subtaskProgress').get(function() {
+  const subtasks = this.subtasks || [];
+  return {
+    done: subtasks.filter(subtask => subtask.completed).length,
+    total: subtasks.length
+  };
+});
+
+// Renumber subtask positions after an insert, move or delete
+taskSchema.methods.normalizeSubtaskPositions = function() {
+  this.subtasks.sort((a, b) => a.position - b.position);
+  this.subtasks.forEach((subtask, index) => {
+    subtask.position = index;
+  });
+};
+
+// Complete the parent when its last open subtask is checked off (if enabled)
+taskSchema.methods.syncCompletionWithSubtasks = function() {
+  const { done, total } = this.subtaskProgress;
+  if (this.completeWithSubtasks && total > 0 && done === total) {
+    this.completed = true;
+  }
+};
+
+// References the API sends back expanded
+const DETAIL_POPULATE = [
+  { path: 'user', select: 'name email' },
+  { path: 'assignee', select: 'name email' },
+  { path: 'tags', select: 'name color' },
+  { path: 'blockedBy', select: 'title completed' },
+  { path: 'focusSessions' },
+  { path: 'attachmentCount' },
+  { path: 'commentCount' }
+];
+
+// Query helper: Task.find(...).withDetails()
+taskSchema.query.withDetails = function() {
+  return this.populate(DETAIL_POPULATE);
+};
+
+// Document equivalent for freshly saved tasks
+taskSchema.methods.populateDetails = function() {
+  return this.populate(DETAIL_POPULATE);
+};
+
+// The tasks ranked in one sequence with `task` ({ list, user }): everyone's
+// in its list, so members of a shared list reorder it together, or its
+// creator's for a task outside any list
+taskSchema.statics.rankScope = function({ list, user }) {
+  return list ? { list } : { list: null, user };
+};
+
+// Whether two tasks are ranked in one sequence (see rankScope), so one can
+// be placed next to the other
+taskSchema.statics.sharesRankScope = function(a, b) {
+  const idOf = (task, path) => String(task.populated(path) || task.get(path));
+  if (idOf(a, 'list') !== idOf(b, 'list')) return false;
+  return Boolean(a.get('list')) || idOf(a, 'user') === idOf(b, 'user');
+};
+
+// Rank for a new task: after everything else in the manual order of `scope`
+// (see rankScope). Tasks created at the same moment may share a rank; _id
+// keeps their order stable.
+taskSchema.statics.nextRank = async function(scope) {
+  const last = await this.findOne({ ...scope, rank: { $ne: null } })
+    .sort({ rank: -1, _id: -1 })
+    .select('rank');
+  return rankBetween(last ? last.rank : null, null);
+};
+
+// Give ranks to the tasks matching `filter` that were created before manual
+// ordering existed: oldest first, after any ranked tasks in their sequence.
+// Only unranked tasks are written.
+taskSchema.statics.ensureRanks = async function(filter) {
+  const unranked = await this.find({ ...filter, rank: null })
+    .sort({ createdAt: 1, _id: 1 })
+    .select('list user');
+  if (unranked.length === 0) return 0;
+
+  const sequences = new Map();
+  for (const task of unranked) {
+    const key = task.list ? `list:${task.list}` : `user:${task.user}`;
+    if (!sequences.has(key)) sequences.set(key, []);
+    sequences.get(key).push(task);
+  }
+
+  const updates = [];
+  for (const tasks of sequences.values()) {
+    const last = await this.findOne({ ...this.rankScope(tasks[0]), rank: { $ne: null } })
+      .sort({ rank: -1, _id: -1 })
+      .select('rank');
+    const ranks = spreadRanks(tasks.length, last ? last.rank : null);
+    tasks.forEach((task, index) => updates.push({
+      updateOne: {
+        filter: { _id: task._id, rank: null },
+        update: { rank: ranks[index] }
+      }
+    }));
+  }
+
+  const result = await this.bulkWrite(updates);
+  return result.modifiedCount;
+};
+
+// Move this task directly after (or before) another task in its sequence
+// (see rankScope and sharesRankScope). Only this task's rank changes; the gap
+// to the anchor's neighbour is split.
+taskSchema.methods.placeNextTo = async function(anchor, side = 'after') {
+  const Task = this.constructor;
+  const others = { ...Task.rankScope(anchor), _id: { $ne: this._id } };
+
+  if (side === 'after') {
+    const next = await Task.findOne({ ...others, rank: { $gt: anchor.rank } })
+      .sort({ rank: 1, _id: 1 })
+      .select('rank');
+    this.rank = rankBetween(anchor.rank, next ? next.rank : null);
+  } else {
+    const previous = await Task.findOne({ ...others, rank: { $lt: anchor.rank } })
+      .sort({ rank: -1, _id: -1 })
+      .select('rank');
+    this.rank = rankBetween(previous ? previous.rank : null, anchor.rank);
+  }
+
   return this.save();
 };
 
-module.exports = mongoose.model('Task', taskSchema);
\ No newline at end of file
+// Filter matching any of the given versions (null for no check). Tasks saved
+// before versioning have no field yet, which counts as version 0.
+taskSchema.statics.versionFilter = function(versions) {
+  if (!versions) return {};
+  return { version: { $in: versions.includes(0) ? [...versions, null] : versions } };
+};
+
+// Would making `taskId` wait for `blockerId` close a loop? Follows blockedBy
+// from the blocker (trashed tasks included, since they can be restored, and
+// other people's tasks in shared lists too) and resolves to the chain of ids
+// from the blocker back to the task, or null.
+taskSchema.statics.findDependencyPath = async function(blockerId, taskId) {
+  const target = String(taskId);
+  const cameFrom = new Map([[String(blockerId), null]]);
+  let frontier = [String(blockerId)];
+
+  while (frontier.length > 0) {
+    if (frontier.includes(target)) {
+      const path = [];
+      for (let id = target; id !== null; id = cameFrom.get(id)) path.unshift(id);
+      return path;
+    }
+
+    const tasks = await this.find({ _id: { $in: frontier } })
+      .select('blockedBy')
+      .setOptions({ withDeleted: true });
+
+    frontier = [];
+    for (const task of tasks) {
+      for (const next of task.blockedBy.map(String)) {
+        if (cameFrom.has(next)) continue;
+        cameFrom.set(next, String(task._id));
+        frontier.push(next);
+      }
+    }
+  }
+
+  return null;
+};
+
+// Drop deleted tasks from everything they were blocking
+taskSchema.statics.removeDependencies = function(ids) {
+  return this.updateMany(
+    { blockedBy: { $in: ids } },
+    { $pull: { blockedBy: { $in: ids } } }
+  ).setOptions({ withDeleted: true });
+};
+
+// Permanently delete the tasks matching `filter`. Resolves to the number removed.
+taskSchema.statics.deleteWithDetails = async function(filter) {
+  const ids = await this.distinct('_id', filter);
+  if (ids.length === 0) return 0;
+
+  const result = await this.deleteMany({ ...filter, _id: { $in: ids } });
+  // Their history, comments, tracked time, focus sessions and attached files
+  // go with them, and nothing waits on them any more
+  await mongoose.model('TaskHistory').deleteMany({ task: { $in: ids } });
+  await mongoose.model('Comment').deleteMany({ task: { $in: ids } });
+  await mongoose.model('TimeEntry').deleteMany({ task: { $in: ids } });
+  await mongoose.model('FocusSession').deleteMany({ task: { $in: ids } });
+  await mongoose.model('Attachment').removeForTasks(ids);
+  await this.removeDependencies(ids);
+  return result.deletedCount;
+};
+
+// Permanently delete trashed tasks matching `filter` (empty trash and the
+// scheduled purge both go through here). Resolves to the number removed.
+taskSchema.statics.purgeTrashed = function(filter = {}) {
+  const query = { ...filter };
+  if (query.deletedAt === undefined) query.deletedAt = { $ne: null };
+  return this.deleteWithDetails(query);
+};
+
+taskSchema.virtual('isRecurring').get(function() {
+  return Boolean(this.recurrence && this.recurrence.rule);
+});
+
+// Fields copied from a recurring task to its next occurrence
+const OCCURRENCE_FIELDS = [
+  'title',
+  'notes',
+  'allDay',
+  'timezone',
+  'priority',
+  'completeWithSubtasks',
+  'tags',
+  'list',
+  'assignee',
+  'rank',
+  'user'
+];
+
+// Start (or restart) repeating with an RRULE string. Throws a RecurrenceError
+// for invalid rules. A task without a due date is scheduled for the first
+// matching day from today.
+taskSchema.methods.setRecurrence = function(ruleInput) {
+  const rule = parseRule(ruleInput);
+
+  if (!this.dueAt) {
+    const today = startOfDay(new Date(), this.timezone);
+    this.dueAt = nextOccurrence(rule, { start: today, timeZone: this.timezone }) || today;
+    this.allDay = true;
+  }
+
+  this.recurrence = {
+    rule: formatRule(rule),
+    startsAt: this.dueAt,
+    seriesId: (this.recurrence && this.recurrence.seriesId) || this._id,
+    occurrence: 1,
+    skipped: [],
+    nextTask: null
+  };
+};
+
+// Due date of the occurrence after this one, or null when the series has ended
+taskSchema.methods.getNextOccurrenceDate = function() {
+  if (!this.isRecurring) return null;
+
+  const rule = parseRule(this.recurrence.rule);
+  if (rule.count && this.recurrence.occurrence >= rule.count) return null;
+
+  return nextOccurrence(rule, {
+    start: this.recurrence.startsAt || this.dueAt,
+    after: this.dueAt,
+    timeZone: this.timezone
+  });
+};
+
+// Create the next occurrence once this one is completed.
+// Does nothing (returns null) if it was already created or the series is over.
+taskSchema.methods.spawnNextOccurrence = async function() {
+  if (!this.isRecurring || this.recurrence.nextTask) return null;
+
+  const dueAt = this.getNextOccurrenceDate();
+  if (!dueAt) return null;
+
+  const Task = this.constructor;
+  const fields = {};
+  for (const field of OCCURRENCE_FIELDS) {
+    // Populated references are copied as ids
+    fields[field] = this.populated(field) || this.get(field);
+  }
+
+  const nextTask = new Task({
+    ...fields,
+    dueAt,
+    subtasks: this.subtasks.map(({ title, position }) => ({ title, position })),
+    recurrence: {
+      rule: this.recurrence.rule,
+      startsAt: this.recurrence.startsAt,
+      seriesId: this.recurrence.seriesId,
+      occurrence: this.recurrence.occurrence + 1,
+      skipped: this.recurrence.skipped.slice(-50)
+    }
+  });
+  await nextTask.save();
+
+  this.recurrence.nextTask = nextTask._id;
+  await this.save();
+
+  return nextTask;
+};
+
+// Undo spawnNextOccurrence when a completed occurrence is reopened.
+// The next occurrence is only removed while it is still untouched (pending).
+// Returns the id of the removed task, if any.
+taskSchema.methods.retractNextOccurrence = async function() {
+  if (!this.recurrence || !this.recurrence.nextTask) return null;
+
+  const nextTaskId = this.recurrence.nextTask;
+  const removed = await this.constructor.deleteWithDetails({ _id: nextTaskId, completed: false });
+
+  this.recurrence.nextTask = null;
+  await this.save();
+
+  return removed > 0 ? nextTaskId : null;
+};
+
+// Move this occurrence on to the next date without completing it
+taskSchema.methods.skipOccurrence = async function() {
+  const dueAt = this.getNextOccurrenceDate();
+  if (!dueAt) return null;
+
+  this.recurrence.skipped = [...this.recurrence.skipped, this.dueAt].slice(-50);
+  this.recurrence.occurrence += 1;
+  this.dueAt = dueAt;
+  return this.save();
+};
+
+// Stop repeating; the series id is kept so past completions stay linked
+taskSchema.methods.stopRecurrence = function() {
+  if (this.recurrence) {
+    this.recurrence.rule = null;
+  }
+  return this.save();
+};
+
+// Follow up a saved change of `completed` (it was `wasCompleted` before):
+// completing a recurring task creates its next occurrence, reopening it
+// takes that back. Resolves to { nextTask, removedTaskId }.
+taskSchema.methods.settleCompletion = async function(wasCompleted) {
+  if (this.completed && !wasCompleted) {
+    return { nextTask: await this.spawnNextOccurrence(), removedTaskId: null };
+  }
+  if (!this.completed && wasCompleted) {
+    return { nextTask: null, removedTaskId: await this.retractNextOccurrence() };
+  }
+  return { nextTask: null, removedTaskId: null };
+};
+
+// Instance method to toggle completion.
+// Completing a recurring task creates its next occurrence; reopening undoes that.
+taskSchema.methods.toggleComplete = async function() {
+  const wasCompleted = this.completed;
+  this.completed = !this.completed;
+  await this.save();
+
+  await this.settleCompletion(wasCompleted);
+  return this;
+};
+
+const Task = mongoose.model('Task', taskSchema);
+
+Task.PRIORITY_LEVELS = PRIORITY_LEVELS;
+Task.BLOCKED_MESSAGE = 'This task is blocked by tasks that are not done yet';
+
+module.exports = Task;
@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+
+// Fields captured in each history snapshot, in display order
+const TRACKED_FIELDS = [
+  'title',
+  'notes',
+  'completed',
+  'dueAt',
+  'allDay',
+  'timezone',
+  'priority',
+  'completeWithSubtasks',
+  'tags',
+  'list',
+  'assignee',
+  'subtasks',
+  'recurrence',
+  'blockedBy',
+  'rank',
+  'deletedAt'
+];
+
+// Fields "revert to this version" puts back. Ordering, trash state,
+// dependencies and repeat rules have their own endpoints and side effects, so
+// they are left alone.
+const REVERTIBLE_FIELDS = [
+  'title',
+  'notes',
+  'completed',
+  'dueAt',
+  'allDay',
+  'timezone',
+  'priority',
+  'completeWithSubtasks',
+  'tags',
+  'list',
+  'assignee',
+  'subtasks'
+];
+
+const ACTIONS = [
+  'created',
+  'updated',
+  'completed',
+  'reopened',
+  'reordered',
+  'assigned',
+  'unassigned',
+  'deleted',
+  'restored',
+  'reverted'
+];
+
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    enum: TRACKED_FIELDS,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, {
+  _id: false
+});
+
+const taskHistorySchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: [true, 'Task is required']
+  },
+  // Who made the change
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  action: {
+    type: String,
+    enum: ACTIONS,
+    required: true
+  },
+  changes: [changeSchema],
+  // For reverts: the entry whose version was restored
+  revertedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaskHistory',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Newest-first timeline of one task
+taskHistorySchema.index({ task: 1, createdAt: -1, _id: -1 });
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// Plain, comparable copy of a task's tracked fields (ids as strings, dates as ISO)
+taskHistorySchema.statics.snapshot = function(task) {
+  if (!task) return null;
+
+  const subtasks = [...(task.subtasks || [])]
+    .sort((a, b) => a.position - b.position)
+    .map(subtask => ({ title: subtask.title, completed: subtask.completed }));
+
+  return {
+    title: task.title,
+    notes: task.notes || '',
+    completed: Boolean(task.completed),
+    dueAt: task.dueAt ? task.dueAt.toISOString() : null,
+    allDay: Boolean(task.allDay),
+    timezone: task.timezone,
+    priority: task.priority,
+    completeWithSubtasks: Boolean(task.completeWithSubtasks),
+    tags: (task.tags || []).map(tag => String(idOf(tag))),
+    list: task.list ? String(idOf(task.list)) : null,
+    assignee: task.assignee ? String(idOf(task.assignee)) : null,
+    subtasks,
+    recurrence: task.recurrence && task.recurrence.rule ? task.recurrence.rule : null,
+    // The stored ids: populating drops blockers that are in the trash
+    blockedBy: ((task.populated && task.populated('blockedBy')) || task.blockedBy || []).map(id => String(idOf(id))),
+    rank: task.rank || null,
+    deletedAt: task.deletedAt ? task.deletedAt.toISOString() : null
+  };
+};
+
+// Field-by-field differences between two snapshots (`before` may be null for a new task)
+taskHistorySchema.statics.diff = function(before, after) {
+  return TRACKED_FIELDS
+    .filter(field => JSON.stringify(before ? before[field] : null) !== JSON.stringify(after[field]))
+    .map(field => ({
+      field,
+      from: before ? before[field] : null,
+      to: after[field]
+    }));
+};
+
+// Pick a label for an entry from what changed
+const inferAction = (before, changes) => {
+  if (!before) return 'created';
+  const fields = changes.map(change => change.field);
+  if (fields.includes('deletedAt')) return before.deletedAt ? 'restored' : 'deleted';
+  if (fields.length === 1 && fields[0] === 'rank') return 'reordered';
+  if (fields.length === 1 && fields[0] === 'assignee') {
+    return changes[0].to ? 'assigned' : 'unassigned';
+  }
+
+  const completed = changes.find(change => change.field === 'completed');
+  if (completed && fields.every(field => field === 'completed' || field === 'subtasks')) {
+    return completed.to ? 'completed' : 'reopened';
+  }
+  return 'updated';
+};
+
+// Record a mutation: `before` is a snapshot taken before the change (null for
+// creation) and `task` the task as it is now. Nothing is written when nothing
+// changed. Resolves to the entry, or null.
+taskHistorySchema.statics.record = async function({ task, user, before = null, action, revertedTo = null }) {
+  const changes = this.diff(before, this.snapshot(task));
+  if (changes.length === 0) return null;
+
+  return this.create({
+    task: task._id,
+    user: idOf(user),
+    action: action || inferAction(before, changes),
+    changes,
+    revertedTo
+  });
+};
+
+// Rebuild a task's tracked fields as they were right after `entry`, by
+// undoing every later change (newest first) from the task's current state
+taskHistorySchema.statics.versionAt = async function(task, entry) {
+  const state = this.snapshot(task);
+
+  const later = await this.find({
+    task: task._id,
+    $or: [
+      { createdAt: { $gt: entry.createdAt } },
+      { createdAt: entry.createdAt, _id: { $gt: entry._id } }
+    ]
+  }).sort({ createdAt: -1, _id: -1 });
+
+  for (const laterEntry of later) {
+    for (const change of laterEntry.changes) {
+      state[change.field] = change.from;
+    }
+  }
+
+  return state;
+};
+
+const TaskHistory = mongoose.model('TaskHistory', taskHistorySchema);
+
+TaskHistory.TRACKED_FIELDS = TRACKED_FIELDS;
+TaskHistory.REVERTIBLE_FIELDS = REVERTIBLE_FIELDS;
+
+module.exports = TaskHistory;
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+// Longest a single entry can run (manual entries and forgotten timers alike)
+const MAX_ENTRY_MS = 24 * 60 * 60 * 1000;
+
+const timeEntrySchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: [true, 'Task is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  startedAt: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  // Null while the timer is running
+  endedAt: {
+    type: Date,
+    default: null,
+    validate: [
+      {
+        validator: function(value) {
+          return value === null || !this.startedAt || value >= this.startedAt;
+        },
+        message: 'End time cannot be before the start time'
+      },
+      {
+        validator: function(value) {
+          return value === null || !this.startedAt || value - this.startedAt <= MAX_ENTRY_MS;
+        },
+        message: 'A time entry cannot be longer than 24 hours'
+      }
+    ]
+  },
+  note: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [200, 'Note cannot exceed 200 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// A task's entries, newest first
+timeEntrySchema.index({ task: 1, startedAt: -1 });
+// Reports scan a user's entries by start time
+timeEntrySchema.index({ user: 1, startedAt: 1 });
+// At most one running timer per user
+timeEntrySchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { endedAt: { $type: 'null' } }, name: 'one_running_timer' }
+);
+
+timeEntrySchema.virtual('running').get(function() {
+  return this.endedAt === null;
+});
+
+// Milliseconds tracked so far (running entries count up to now)
+timeEntrySchema.virtual('duration').get(function() {
+  if (!this.startedAt) return 0;
+  return (this.endedAt || new Date()) - this.startedAt;
+});
+
+// The user's running entry, if any
+timeEntrySchema.statics.findRunning = function(userId) {
+  return this.findOne({ user: userId, endedAt: null });
+};
+
+// Stop the user's running timer (only if it's on `task`, when given; a
+// filter such as { $in: ids } works too).
+// Resolves to the stopped entry, or null if nothing was running.
+timeEntrySchema.statics.stopRunning = async function(userId, { task = null, at = new Date() } = {}) {
+  const running = await this.findOne({
+    user: userId,
+    endedAt: null,
+    ...(task ? { task } : {})
+  });
+  if (!running) return null;
+
+  // A timer left running for days is capped rather than rejected
+  running.endedAt = new Date(Math.min(at.getTime(), running.startedAt.getTime() + MAX_ENTRY_MS));
+  return running.save();
+};
+
+// Stop every user's timer on `task` (an id or a filter, as above), for
+// tasks going to the trash. Resolves to the stopped entries.
+timeEntrySchema.statics.stopAllOn = async function(task) {
+  const users = await this.distinct('user', { endedAt: null, task });
+  return Promise.all(users.map(userId => this.stopRunning(userId, { task })));
+};
+
+const TimeEntry = mongoose.model('TimeEntry', timeEntrySchema);
+
+TimeEntry.MAX_ENTRY_MS = MAX_ENTRY_MS;
+
+module.exports = TimeEntry;
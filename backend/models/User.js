@@ -23,6 +23,34 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters long'],
     select: false // Don't include password in queries by default
+  },
+  // Pomodoro lengths used when a focus session starts
+  focusSettings: {
+    workMinutes: {
+      type: Number,
+      default: 25,
+      min: [1, 'Focus sessions must be at least 1 minute'],
+      max: [120, 'Focus sessions cannot exceed 120 minutes']
+    },
+    breakMinutes: {
+      type: Number,
+      default: 5,
+      min: [1, 'Breaks must be at least 1 minute'],
+      max: [60, 'Breaks cannot exceed 60 minutes']
+    },
+    longBreakMinutes: {
+      type: Number,
+      default: 15,
+      min: [1, 'Long breaks must be at least 1 minute'],
+      max: [60, 'Long breaks cannot exceed 60 minutes']
+    },
+    // Every Nth break in a row is a long one
+    longBreakEvery: {
+      type: Number,
+      default: 4,
+      min: [1, 'Long breaks must come at least every session'],
+      max: [12, 'Long breaks must come at least every 12 sessions']
+    }
   }
 }, {
   timestamps: true
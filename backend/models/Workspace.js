@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+// Roles in a workspace, weakest first. Members work in the workspace's
+// lists, admins also manage its members and settings, owners can also
+// delete it and make other owners.
+const ROLES = ['member', 'admin', 'owner'];
+
+// Someone who belongs to the workspace
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  role: {
+    type: String,
+    enum: {
+      values: ROLES,
+      message: `Role must be one of: ${ROLES.join(', ')}`
+    },
+    default: 'member'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A team space above users: it holds lists (see List.workspace), the people
+// who can reach them and a few settings. Anything outside a workspace is
+// the user's personal data.
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Workspace name is required'],
+    trim: true,
+    minlength: [1, 'Workspace name cannot be empty'],
+    maxlength: [50, 'Workspace name cannot exceed 50 characters']
+  },
+  // Always includes at least one owner
+  members: {
+    type: [memberSchema],
+    validate: [members => members.some(member => member.role === 'owner'), 'A workspace needs an owner']
+  },
+  settings: {
+    // The role plain members get on every list in the workspace (admins and
+    // owners always own them). Lists can still be shared with a member at a
+    // higher role.
+    memberListRole: {
+      type: String,
+      enum: {
+        values: ['viewer', 'editor'],
+        message: 'memberListRole must be viewer or editor'
+      },
+      default: 'editor'
+    }
+  },
+  // Who created it
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Workspaces a user belongs to
+workspaceSchema.index({ 'members.user': 1 });
+
+// Filter for the workspaces a user belongs to
+workspaceSchema.statics.forUser = function(userId) {
+  return { 'members.user': userId };
+};
+
+// The workspaces a user belongs to as { _id, name, role }, for the switcher
+workspaceSchema.statics.summariesFor = async function(userId) {
+  const workspaces = await this.find(this.forUser(userId)).sort({ name: 1 }).select('name members');
+  return workspaces.map(workspace => ({
+    _id: workspace._id,
+    name: workspace.name,
+    role: workspace.roleOf(userId)
+  }));
+};
+
+// The user's role in the workspace, or null if they don't belong to it
+workspaceSchema.methods.roleOf = function(userId) {
+  const id = userId && (userId._id || userId);
+  const member = this.members.find(entry => (entry.user._id || entry.user).equals(id));
+  return member ? member.role : null;
+};
+
+// The list role the user gets from the workspace on its lists, or null
+workspaceSchema.methods.listRoleOf = function(userId) {
+  const role = this.roleOf(userId);
+  if (!role) return null;
+  return role === 'member' ? this.settings.memberListRole : 'owner';
+};
+
+const Workspace = mongoose.model('Workspace', workspaceSchema);
+
+Workspace.ROLES = ROLES;
+
+module.exports = Workspace;
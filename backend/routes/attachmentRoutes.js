@@ -0,0 +1,182 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const Attachment = require('../models/Attachment');
+const { getStorage, FileNotFoundError } = require('../utils/attachmentStorage');
+const { UploadError, receiveFiles } = require('../utils/upload');
+
+// Mounted under /api/tasks/:id/attachments, behind the task router's auth and
+// access checks: req.task is the task, and the user's role on it
+// (req.taskRole) is enough for the request method
+
+// Files one request may carry, and files a task may hold
+const MAX_FILES_PER_UPLOAD = 5;
+const MAX_ATTACHMENTS_PER_TASK = 20;
+
+const findAttachment = (req, task) => Attachment.findOne({
+  _id: req.params.attachmentId,
+  task: task._id
+});
+
+// Content-Disposition with a plain fallback name and the real one
+// percent-encoded (RFC 6266 / 5987)
+const contentDisposition = (type, filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
+
+const handleAttachmentError = (res, error, action) => {
+  console.error(`Error ${action} attachment:`, error);
+
+  if (error instanceof UploadError) {
+    return res.status(error.status).json({
+      message: error.message
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      message: 'Invalid task or attachment ID'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: messages
+    });
+  }
+
+  res.status(500).json({
+    message: `Server error while ${action} attachment`
+  });
+};
+
+// @route   GET /api/tasks/:id/attachments
+// @desc    Get a task's attachments, newest first
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { task } = req;
+
+    const attachments = await Attachment.find({ task: task._id }).sort({ createdAt: -1 });
+
+    res.json({
+      attachments
+    });
+  } catch (error) {
+    handleAttachmentError(res, error, 'fetching');
+  }
+});
+
+// @route   POST /api/tasks/:id/attachments
+// @desc    Upload files (multipart/form-data) to a task
+// @access  Private
+router.post('/', async (req, res) => {
+  try {
+    const { task } = req;
+
+    const existing = await Attachment.countDocuments({ task: task._id });
+    const room = MAX_ATTACHMENTS_PER_TASK - existing;
+
+    if (room <= 0) {
+      return res.status(409).json({
+        message: `A task can have at most ${MAX_ATTACHMENTS_PER_TASK} attachments`
+      });
+    }
+
+    const storage = getStorage();
+    const files = await receiveFiles(req, storage, {
+      maxFiles: Math.min(MAX_FILES_PER_UPLOAD, room)
+    });
+
+    let attachments;
+    try {
+      attachments = await Attachment.insertMany(files.map(file => ({
+        ...file,
+        task: task._id,
+        user: req.user._id,
+        storage: storage.name
+      })));
+    } catch (error) {
+      // Don't leave files behind that nothing points to
+      await Promise.allSettled(files.map(file => storage.remove(file.key)));
+      throw error;
+    }
+
+    res.status(201).json({
+      message: `${attachments.length} file${attachments.length !== 1 ? 's' : ''} attached`,
+      attachments
+    });
+  } catch (error) {
+    handleAttachmentError(res, error, 'uploading');
+  }
+});
+
+// @route   GET /api/tasks/:id/attachments/:attachmentId/download
+// @desc    Stream an attachment's file (images inline, anything else as a download)
+// @access  Private
+router.get('/:attachmentId/download', async (req, res) => {
+  try {
+    const { task } = req;
+
+    const attachment = await findAttachment(req, task);
+
+    if (!attachment) {
+      return res.status(404).json({
+        message: 'Attachment not found'
+      });
+    }
+
+    const file = await attachment.openFile();
+
+    res.set({
+      'Content-Type': attachment.contentType,
+      'Content-Length': attachment.size,
+      'Content-Disposition': contentDisposition(attachment.isImage ? 'inline' : 'attachment', attachment.filename),
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, no-cache'
+    });
+
+    file.on('error', (error) => {
+      console.error('Error streaming attachment:', error);
+      res.destroy(error);
+    });
+    file.pipe(res);
+  } catch (error) {
+    if (error instanceof FileNotFoundError) {
+      return res.status(404).json({
+        message: 'The file for this attachment is missing'
+      });
+    }
+    handleAttachmentError(res, error, 'downloading');
+  }
+});
+
+// @route   DELETE /api/tasks/:id/attachments/:attachmentId
+// @desc    Delete an attachment and its file
+// @access  Private
+router.delete('/:attachmentId', async (req, res) => {
+  try {
+    const { task } = req;
+
+    const attachment = await findAttachment(req, task);
+
+    if (!attachment) {
+      return res.status(404).json({
+        message: 'Attachment not found'
+      });
+    }
+
+    await attachment.removeWithFile();
+
+    res.json({
+      message: 'Attachment deleted successfully',
+      attachment
+    });
+  } catch (error) {
+    handleAttachmentError(res, error, 'deleting');
+  }
+});
+
+module.exports = router;
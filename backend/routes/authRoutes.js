@@ -1,19 +1,12 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Workspace = require('../models/Workspace');
 const auth = require('../middleware/auth');
+const { findActiveWorkspace } = require('../middleware/workspace');
+const { generateToken } = require('../utils/authToken');
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (userId) => {
-  return jwt.sign(
-    { id: userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
-  );
-};
-
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -67,7 +60,8 @@ router.post('/register', async (req, res) => {
         id: user._id,
         name: user.name,
         email: user.email
-      }
+      },
+      workspaces: []
     });
   } catch (error) {
     console.error('Register error:', error);
@@ -162,7 +156,8 @@ router.post('/login', async (req, res) => {
         id: user._id,
         name: user.name,
         email: user.email
-      }
+      },
+      workspaces: await Workspace.summariesFor(user._id)
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -177,17 +172,22 @@ router.post('/login', async (req, res) => {
 });
 
 // @route   GET /api/auth/me
-// @desc    Get current user
+// @desc    Get current user, their workspaces and the active one (from the
+//          X-Workspace header; null when personal or no longer theirs)
 // @access  Private
 router.get('/me', auth, async (req, res) => {
   try {
+    const { workspace } = await findActiveWorkspace(req);
+
     res.json({
       user: {
         id: req.user._id,
         name: req.user.name,
         email: req.user.email,
         createdAt: req.user.createdAt
-      }
+      },
+      workspaces: await Workspace.summariesFor(req.user._id),
+      workspace: workspace ? workspace._id : null
     });
   } catch (error) {
     console.error('Get user error:', error);
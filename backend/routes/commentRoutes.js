@@ -0,0 +1,208 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const List = require('../models/List');
+const { listAudience } = require('../middleware/taskAccess');
+const { loadShared } = require('../utils/shared');
+
+// Mounted under /api/tasks/:id/comments, behind the task router's auth and
+// access checks: req.task is the task, which the user can at least view.
+// Anyone who can see a task can join its discussion; editing and deleting a
+// comment are up to its author, whatever their role now.
+
+const COMMENT_POPULATE = [
+  { path: 'author', select: 'name email' },
+  { path: 'mentions', select: 'name email' }
+];
+
+const findComment = (req, task) => Comment.findOne({
+  _id: req.params.commentId,
+  task: task._id
+});
+
+// Everyone who can see the task, and so can be @mentioned on it: whoever
+// created it, and the owner and members of its list (and of its workspace)
+const taskAudience = async (task) => {
+  const list = task.list && await List.findById(task.list).select('user members workspace');
+  const ids = [task.user, ...(list ? await listAudience(list) : [])];
+  return User.find({ _id: { $in: ids } }).select('name email');
+};
+
+// Clean the body and work out who it mentions. Returns { error } or { fields }.
+const resolveBody = async (body, task) => {
+  if (typeof body !== 'string') {
+    return { error: 'Comment cannot be empty' };
+  }
+
+  const [{ sanitizeMarkdown }, { findMentions }] = await Promise.all([
+    loadShared('markdown'),
+    loadShared('mentions')
+  ]);
+
+  const text = sanitizeMarkdown(body);
+  if (!text) {
+    return { error: 'Comment cannot be empty' };
+  }
+
+  const mentions = findMentions(text, await taskAudience(task));
+  return { fields: { body: text, mentions: mentions.map(user => user._id) } };
+};
+
+const handleCommentError = (res, error, action) => {
+  console.error(`Error ${action} comment:`, error);
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      message: 'Invalid task or comment ID'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: messages
+    });
+  }
+
+  res.status(500).json({
+    message: `Server error while ${action} comment`
+  });
+};
+
+// @route   GET /api/tasks/:id/comments
+// @desc    Get a task's comment thread, oldest first, with the users who can be mentioned
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { task } = req;
+
+    const [comments, audience, { mentionHandle }] = await Promise.all([
+      Comment.find({ task: task._id })
+        .sort({ createdAt: 1, _id: 1 })
+        .populate(COMMENT_POPULATE),
+      taskAudience(task),
+      loadShared('mentions')
+    ]);
+
+    res.json({
+      comments,
+      mentionable: audience.map(user => ({
+        _id: user._id,
+        name: user.name,
+        handle: mentionHandle(user)
+      }))
+    });
+  } catch (error) {
+    handleCommentError(res, error, 'fetching');
+  }
+});
+
+// @route   POST /api/tasks/:id/comments
+// @desc    Add a comment to a task
+// @access  Private
+router.post('/', async (req, res) => {
+  try {
+    const { task } = req;
+
+    const { error, fields } = await resolveBody(req.body.body, task);
+    if (error) {
+      return res.status(400).json({
+        message: error
+      });
+    }
+
+    const comment = await Comment.create({
+      ...fields,
+      task: task._id,
+      author: req.user._id
+    });
+    await comment.populate(COMMENT_POPULATE);
+
+    res.status(201).json({
+      message: 'Comment added successfully',
+      comment
+    });
+  } catch (error) {
+    handleCommentError(res, error, 'adding');
+  }
+});
+
+// @route   PUT /api/tasks/:id/comments/:commentId
+// @desc    Edit a comment (its author only)
+// @access  Private
+router.put('/:commentId', async (req, res) => {
+  try {
+    const { task } = req;
+
+    const comment = await findComment(req, task);
+
+    if (!comment) {
+      return res.status(404).json({
+        message: 'Comment not found'
+      });
+    }
+
+    if (!comment.author.equals(req.user._id)) {
+      return res.status(403).json({
+        message: 'You can only edit your own comments'
+      });
+    }
+
+    const { error, fields } = await resolveBody(req.body.body, task);
+    if (error) {
+      return res.status(400).json({
+        message: error
+      });
+    }
+
+    if (fields.body !== comment.body) {
+      comment.set(fields);
+      comment.editedAt = new Date();
+      await comment.save();
+    }
+    await comment.populate(COMMENT_POPULATE);
+
+    res.json({
+      message: 'Comment updated successfully',
+      comment
+    });
+  } catch (error) {
+    handleCommentError(res, error, 'updating');
+  }
+});
+
+// @route   DELETE /api/tasks/:id/comments/:commentId
+// @desc    Delete a comment (its author only)
+// @access  Private
+router.delete('/:commentId', async (req, res) => {
+  try {
+    const { task } = req;
+
+    const comment = await findComment(req, task);
+
+    if (!comment) {
+      return res.status(404).json({
+        message: 'Comment not found'
+      });
+    }
+
+    if (!comment.author.equals(req.user._id)) {
+      return res.status(403).json({
+        message: 'You can only delete your own comments'
+      });
+    }
+
+    await comment.deleteOne();
+
+    res.json({
+      message: 'Comment deleted successfully',
+      comment
+    });
+  } catch (error) {
+    handleCommentError(res, error, 'deleting');
+  }
+});
+
+module.exports = router;
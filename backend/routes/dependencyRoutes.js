@@ -0,0 +1,149 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const TaskHistory = require('../models/TaskHistory');
+const { scopeTasks } = require('../middleware/taskAccess');
+
+// Mounted under /api/tasks/:id/dependencies, behind the task router's auth and
+// access checks: req.task is the task, and the user's role on it
+// (req.taskRole) is enough for the request method.
+// A task is "blocked by" the tasks in its blockedBy list, and "blocks" every
+// task that lists it.
+
+const handleDependencyError = (res, error, action) => {
+  console.error(`Error ${action} dependency:`, error);
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      message: 'Invalid task ID'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: messages
+    });
+  }
+
+  res.status(500).json({
+    message: `Server error while ${action} dependency`
+  });
+};
+
+// @route   GET /api/tasks/:id/dependencies
+// @desc    Get the tasks this task is blocked by and the tasks it blocks
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { task } = req;
+
+    const [blockedBy, blocks] = await Promise.all([
+      Task.find(scopeTasks(req.access, { _id: { $in: task.blockedBy } })).select('title completed'),
+      Task.find(scopeTasks(req.access, { blockedBy: task._id })).select('title completed')
+    ]);
+
+    res.json({
+      blockedBy,
+      blocks,
+      blocked: blockedBy.some(blocker => !blocker.completed)
+    });
+  } catch (error) {
+    handleDependencyError(res, error, 'fetching');
+  }
+});
+
+// @route   POST /api/tasks/:id/dependencies
+// @desc    Make this task wait for another ({ blockedBy: taskId }).
+//          Refused (409) if the other task already waits for this one.
+// @access  Private
+router.post('/', async (req, res) => {
+  try {
+    const { blockedBy: blockerId } = req.body;
+
+    if (!blockerId || !mongoose.isValidObjectId(blockerId)) {
+      return res.status(400).json({
+        message: 'blockedBy must be a task ID'
+      });
+    }
+
+    if (String(blockerId) === String(req.params.id)) {
+      return res.status(400).json({
+        message: 'A task cannot block itself'
+      });
+    }
+
+    const { task } = req;
+    const blocker = await Task.findOne(scopeTasks(req.access, { _id: blockerId }));
+
+    if (!blocker) {
+      return res.status(400).json({
+        message: 'Blocking task not found'
+      });
+    }
+
+    if (!task.blockedBy.some(id => id.equals(blocker._id))) {
+      const path = await Task.findDependencyPath(blocker._id, task._id);
+      if (path) {
+        // Name the loop, in order: the blocker waits on ... which waits on this task
+        const titles = await Task.find({ _id: { $in: path } })
+          .select('title')
+          .setOptions({ withDeleted: true });
+        const titleOf = new Map(titles.map(item => [String(item._id), item.title]));
+        const cycle = [...path, String(blocker._id)].map(id => ({ _id: id, title: titleOf.get(id) }));
+
+        return res.status(409).json({
+          message: `That would create a circular dependency: ${cycle.map(item => `“${item.title}”`).join(' → ')}`,
+          cycle
+        });
+      }
+
+      const before = TaskHistory.snapshot(task);
+      task.blockedBy.push(blocker._id);
+      await task.save();
+      await TaskHistory.record({ task, user: req.user._id, before });
+    }
+
+    await task.populateDetails();
+
+    res.status(201).json({
+      message: 'Dependency added successfully',
+      task
+    });
+  } catch (error) {
+    handleDependencyError(res, error, 'adding');
+  }
+});
+
+// @route   DELETE /api/tasks/:id/dependencies/:blockerId
+// @desc    Stop this task waiting for another
+// @access  Private
+router.delete('/:blockerId', async (req, res) => {
+  try {
+    const { task } = req;
+
+    const index = task.blockedBy.findIndex(id => String(id) === req.params.blockerId);
+    if (index === -1) {
+      return res.status(404).json({
+        message: 'Dependency not found'
+      });
+    }
+
+    const before = TaskHistory.snapshot(task);
+    task.blockedBy.splice(index, 1);
+    await task.save();
+    await TaskHistory.record({ task, user: req.user._id, before });
+    await task.populateDetails();
+
+    res.json({
+      message: 'Dependency removed successfully',
+      task
+    });
+  } catch (error) {
+    handleDependencyError(res, error, 'removing');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,235 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const FocusSession = require('../models/FocusSession');
+const auth = require('../middleware/auth');
+const { resolveWorkspace } = require('../middleware/workspace');
+const { loadAccess, findTaskFor } = require('../middleware/taskAccess');
+
+// Pomodoro focus sessions. The live session is kept on the server and its
+// phases advance by the clock, so every request first catches it up.
+
+// Apply auth middleware to all routes. A user has one session whichever
+// workspace they are in; the workspace only decides which tasks it can start on.
+router.use(auth);
+router.use(resolveWorkspace);
+
+const SETTING_FIELDS = ['workMinutes', 'breakMinutes', 'longBreakMinutes', 'longBreakEvery'];
+
+// The live session with its task's title, plus the server's clock so the
+// app can count down without drifting
+const sendSession = async (res, session, extra = {}) => {
+  if (session) {
+    await session.populate({ path: 'task', select: 'title completed', options: { withDeleted: true } });
+  }
+  res.json({
+    session,
+    serverTime: new Date(),
+    ...extra
+  });
+};
+
+const loadLive = (req) => FocusSession.findLive(req.user._id)
+  .then(session => FocusSession.catchUp(session));
+
+const handleFocusError = (res, error, action) => {
+  console.error(`Error ${action} focus session:`, error);
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      message: 'Invalid task ID'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: messages
+    });
+  }
+
+  // Lost a race with another request starting a session
+  if (error.code === 11000) {
+    return res.status(409).json({
+      message: 'Another focus session has just started'
+    });
+  }
+
+  res.status(500).json({
+    message: `Server error while ${action} focus session`
+  });
+};
+
+// @route   GET /api/focus
+// @desc    Get the live focus session (or null) and the user's settings
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    await sendSession(res, await loadLive(req), { settings: req.user.focusSettings });
+  } catch (error) {
+    handleFocusError(res, error, 'fetching');
+  }
+});
+
+// @route   PUT /api/focus/settings
+// @desc    Change work/break lengths (minutes) and how often a long break
+//          comes; used from the next session on
+// @access  Private
+router.put('/settings', async (req, res) => {
+  try {
+    for (const field of SETTING_FIELDS) {
+      if (req.body[field] === undefined) continue;
+      if (!Number.isInteger(req.body[field])) {
+        return res.status(400).json({
+          message: `${field} must be a whole number`
+        });
+      }
+      req.user.focusSettings[field] = req.body[field];
+    }
+
+    await req.user.save();
+
+    res.json({
+      message: 'Focus settings updated successfully',
+      settings: req.user.focusSettings
+    });
+  } catch (error) {
+    handleFocusError(res, error, 'updating settings for');
+  }
+});
+
+// @route   POST /api/focus/start
+// @desc    Start a work phase on a task ({ task: taskId }). A live session
+//          is stopped first; starting during its break continues the cycle.
+// @access  Private
+router.post('/start', async (req, res) => {
+  try {
+    const { task: taskId } = req.body;
+
+    if (!taskId || !mongoose.isValidObjectId(taskId)) {
+      return res.status(400).json({
+        message: 'task must be a task ID'
+      });
+    }
+
+    // Same rule as the task's timer: editors and owners of its list only
+    const { task, error, status } = await findTaskFor(await loadAccess(req.user._id, req.workspace), taskId, 'editor');
+
+    if (error) {
+      return res.status(status).json({
+        message: error
+      });
+    }
+
+    const now = new Date();
+    const stopped = await FocusSession.stopLive(req.user._id);
+    const settings = req.user.focusSettings;
+    const { round, breakMinutes } = await FocusSession.nextRound(req.user._id, settings, now);
+
+    const session = await FocusSession.create({
+      task: task._id,
+      user: req.user._id,
+      round,
+      workMinutes: settings.workMinutes,
+      breakMinutes,
+      startedAt: now,
+      phaseEndsAt: new Date(now.getTime() + settings.workMinutes * 60 * 1000)
+    });
+
+    res.status(201);
+    await sendSession(res, session, { stopped });
+  } catch (error) {
+    handleFocusError(res, error, 'starting');
+  }
+});
+
+// @route   POST /api/focus/pause
+// @desc    Pause the work phase; each pause is recorded as an interruption
+// @access  Private
+router.post('/pause', async (req, res) => {
+  try {
+    const session = await loadLive(req);
+
+    if (!session || session.phase !== 'work' || session.pausedAt) {
+      return res.status(409).json({
+        message: 'There is no running work phase to pause'
+      });
+    }
+
+    await sendSession(res, await session.pause());
+  } catch (error) {
+    handleFocusError(res, error, 'pausing');
+  }
+});
+
+// @route   POST /api/focus/resume
+// @desc    Resume a paused work phase; its end moves back by the pause
+// @access  Private
+router.post('/resume', async (req, res) => {
+  try {
+    const session = await loadLive(req);
+
+    if (!session || !session.pausedAt) {
+      return res.status(409).json({
+        message: 'There is no paused focus session'
+      });
+    }
+
+    await sendSession(res, await session.resume());
+  } catch (error) {
+    handleFocusError(res, error, 'resuming');
+  }
+});
+
+// @route   POST /api/focus/stop
+// @desc    Stop the live session: during work, what was done is recorded
+//          as an unfinished session; during a break, the break ends
+// @access  Private
+router.post('/stop', async (req, res) => {
+  try {
+    const session = await loadLive(req);
+
+    if (!session) {
+      return res.status(404).json({
+        message: 'No focus session is running'
+      });
+    }
+
+    await sendSession(res, null, { stopped: await session.stop() });
+  } catch (error) {
+    handleFocusError(res, error, 'stopping');
+  }
+});
+
+// @route   GET /api/focus/sessions
+// @desc    Recorded sessions, newest first, optionally for one `task`
+// @access  Private
+router.get('/sessions', async (req, res) => {
+  try {
+    const { task, limit = 50 } = req.query;
+    const query = { user: req.user._id, workEndedAt: { $ne: null } };
+
+    if (task !== undefined) {
+      if (!mongoose.isValidObjectId(task)) {
+        return res.status(400).json({
+          message: 'Invalid task ID'
+        });
+      }
+      query.task = task;
+    }
+
+    const sessions = await FocusSession.find(query)
+      .sort({ startedAt: -1 })
+      .limit(Math.min(Math.max(parseInt(limit) || 50, 1), 200))
+      .populate({ path: 'task', select: 'title', options: { withDeleted: true } });
+
+    res.json({
+      sessions
+    });
+  } catch (error) {
+    handleFocusError(res, error, 'fetching');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,156 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const Task = require('../models/Task');
+const TaskHistory = require('../models/TaskHistory');
+const Tag = require('../models/Tag');
+const { roleForList, hasRole, isAssignable } = require('../middleware/taskAccess');
+
+// Mounted under /api/tasks/:id/history, behind the task router's auth and
+// access checks: req.task is the task, and the user's role on it
+// (req.taskRole) is enough for the request method
+
+const handleHistoryError = (res, error, action) => {
+  console.error(`Error ${action} history:`, error);
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      message: 'Invalid task or history ID'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: messages
+    });
+  }
+
+  res.status(500).json({
+    message: `Server error while ${action} history`
+  });
+};
+
+// @route   GET /api/tasks/:id/history
+// @desc    Get a task's change history, newest first
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { limit = 50, page = 1 } = req.query;
+    const { task } = req;
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const skip = (pageNumber - 1) * pageSize;
+
+    const [history, total] = await Promise.all([
+      TaskHistory.find({ task: task._id })
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(pageSize)
+        .skip(skip)
+        .populate('user', 'name email'),
+      TaskHistory.countDocuments({ task: task._id })
+    ]);
+
+    res.json({
+      history,
+      pagination: {
+        total,
+        page: pageNumber,
+        pages: Math.ceil(total / pageSize),
+        limit: pageSize
+      }
+    });
+  } catch (error) {
+    handleHistoryError(res, error, 'fetching');
+  }
+});
+
+// @route   POST /api/tasks/:id/history/:entryId/revert
+// @desc    Put the task back the way it was right after a history entry
+//          (?force=true when that completes it while its blockers are open)
+// @access  Private
+router.post('/:entryId/revert', async (req, res) => {
+  try {
+    const { task } = req;
+
+    const entry = await TaskHistory.findOne({ _id: req.params.entryId, task: task._id });
+    if (!entry) {
+      return res.status(404).json({
+        message: 'History entry not found'
+      });
+    }
+
+    const before = TaskHistory.snapshot(task);
+    const version = await TaskHistory.versionAt(task, entry);
+
+    for (const field of TaskHistory.REVERTIBLE_FIELDS) {
+      if (JSON.stringify(version[field]) === JSON.stringify(before[field])) continue;
+
+      if (field === 'list') {
+        // A list deleted since then (or no longer shared with the user, or
+        // not as an editor) can't be restored; keep the current one
+        if (version.list && hasRole(roleForList(req.access, version.list), 'editor')) {
+          task.list = version.list;
+        }
+      } else if (field === 'assignee') {
+        // Only someone who can still see the task (the list comes first, above)
+        if (!version.assignee || await isAssignable(task, version.assignee)) {
+          task.assignee = version.assignee;
+        }
+      } else if (field === 'tags') {
+        const existing = await Tag.find({ _id: { $in: version.tags }, user: task.user }).select('_id');
+        task.tags = version.tags.filter(id => existing.some(tag => String(tag._id) === id));
+      } else if (field === 'subtasks') {
+        task.subtasks = version.subtasks.map((subtask, position) => ({ ...subtask, position }));
+      } else {
+        task.set(field, version[field]);
+      }
+    }
+
+    // A list put back that the current assignee can't see unassigns them
+    if (task.assignee && !await isAssignable(task, task.assignee)) {
+      task.assignee = null;
+    }
+
+    // Completing it this way waits for its blockers, like any other way
+    if (task.completed && !before.completed && req.query.force !== 'true') {
+      const blockers = await task.findOpenBlockers();
+      if (blockers.length > 0) {
+        return res.status(409).json({
+          message: Task.BLOCKED_MESSAGE,
+          blockers
+        });
+      }
+    }
+
+    await task.save();
+
+    // And moves a recurring series on (or back) the same way too
+    const { nextTask, removedTaskId } = await task.settleCompletion(before.completed);
+    if (nextTask) {
+      await TaskHistory.record({ task: nextTask, user: req.user._id });
+      await nextTask.populateDetails();
+    }
+    const revert = await TaskHistory.record({
+      task,
+      user: req.user._id,
+      before,
+      action: 'reverted',
+      revertedTo: entry._id
+    });
+    await task.populateDetails();
+
+    res.json({
+      message: revert ? 'Task reverted' : 'Task already matches that version',
+      task,
+      entry: revert,
+      nextTask,
+      removedTaskId
+    });
+  } catch (error) {
+    handleHistoryError(res, error, 'reverting');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,459 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Invitation = require('../models/Invitation');
+const List = require('../models/List');
+const Workspace = require('../models/Workspace');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { generateToken } = require('../utils/authToken');
+const { sendMail } = require('../utils/mailer');
+
+// Invitation links. List owners invite people to a personal list, and
+// workspace admins to their workspace; whoever opens the link accepts it,
+// signing up first if they have no account.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TARGET_POPULATE = [
+  { path: 'list', select: 'name icon user members workspace' },
+  { path: 'workspace', select: 'name members' },
+  { path: 'invitedBy', select: 'name email' }
+];
+
+// Where the app opens a link, e.g. https://app.example.com/?invite=<token>
+const inviteUrl = (token) => {
+  const base = process.env.FRONTEND_URL || 'http://localhost:5173';
+  return `${base.replace(/\/+$/, '')}/?invite=${encodeURIComponent(token)}`;
+};
+
+// What an invitation is for, safe to show to anyone holding the link
+const describe = (invitation) => {
+  const { list, workspace } = invitation;
+  return {
+    type: list ? 'list' : 'workspace',
+    _id: (list || workspace)._id,
+    name: list ? `${list.icon} ${list.name}` : workspace.name,
+    role: invitation.role,
+    invitedBy: invitation.invitedBy ? invitation.invitedBy.name : null,
+    email: invitation.email,
+    expiresAt: invitation.expiresAt
+  };
+};
+
+// An invitation as its managers see it, with a fresh link while it's pending
+const toManaged = (invitation) => {
+  const status = invitation.status();
+  return {
+    ...invitation.toJSON(),
+    status,
+    url: status === 'pending' ? inviteUrl(invitation.signToken()) : null
+  };
+};
+
+// The list or workspace ({ list } or { workspace } ids) the user may invite
+// people to. Resolves to { list } or { workspace }, or { error, status }.
+const findTarget = async (userId, { list: listId, workspace: workspaceId }) => {
+  if (Boolean(listId) === Boolean(workspaceId)) {
+    return { error: 'Invite people to either a list or a workspace', status: 400 };
+  }
+
+  if (listId) {
+    const list = mongoose.isValidObjectId(listId) &&
+      await List.findOne({ _id: listId, ...List.accessibleBy(userId) });
+    if (!list) {
+      const inWorkspace = mongoose.isValidObjectId(listId) && await List.exists({ _id: listId, workspace: { $ne: null } });
+      return inWorkspace
+        ? { error: 'Lists in a workspace are shared by inviting people to the workspace', status: 400 }
+        : { error: 'List not found', status: 404 };
+    }
+    if (list.isDefault) {
+      return { error: 'The Inbox cannot be shared', status: 400 };
+    }
+    if (list.roleOf(userId) !== 'owner') {
+      return { error: 'Only the list\'s owners can invite people', status: 403 };
+    }
+    return { list };
+  }
+
+  const workspace = mongoose.isValidObjectId(workspaceId) &&
+    await Workspace.findOne({ _id: workspaceId, ...Workspace.forUser(userId) });
+  if (!workspace) {
+    return { error: 'Workspace not found', status: 404 };
+  }
+  if (!['admin', 'owner'].includes(workspace.roleOf(userId))) {
+    return { error: 'Only the workspace\'s admins and owners can invite people', status: 403 };
+  }
+  return { workspace };
+};
+
+const STATUS_ERRORS = {
+  revoked: { error: 'This invitation has been revoked', code: 'INVITATION_REVOKED' },
+  expired: { error: 'This invitation has expired', code: 'INVITATION_EXPIRED' },
+  used: { error: 'This invitation has already been used', code: 'INVITATION_USED' }
+};
+
+// The invitation a link's token names, if it can still be accepted.
+// Resolves to { invitation } or { error, status, code }.
+const loadInvitation = async (token) => {
+  let id;
+  try {
+    id = Invitation.verifyToken(token);
+  } catch (error) {
+    return error.name === 'TokenExpiredError'
+      ? { ...STATUS_ERRORS.expired, status: 410 }
+      : { error: 'Invalid invitation link', status: 400, code: 'INVITATION_INVALID' };
+  }
+
+  const invitation = await Invitation.findById(id).populate(TARGET_POPULATE);
+  if (!invitation) {
+    return { error: 'Invitation not found', status: 404, code: 'INVITATION_INVALID' };
+  }
+
+  const status = invitation.status();
+  if (status !== 'pending') {
+    return { ...STATUS_ERRORS[status], status: 410 };
+  }
+
+  // The list or workspace may since have been deleted, or the list moved
+  // into a workspace (whose lists are only shared through the workspace)
+  const { list, workspace } = invitation;
+  if (list ? list.workspace : !workspace) {
+    return { error: 'The list or workspace this invitation is for is no longer available', status: 410, code: 'INVITATION_INVALID' };
+  }
+  return { invitation };
+};
+
+// Does the user already belong to what the invitation is for?
+const alreadyJoined = (invitation, userId) => (invitation.list
+  ? Boolean(invitation.list.roleOf(userId))
+  : Boolean(invitation.workspace.roleOf(userId)));
+
+// Give the user the invitation's role
+const join = async (invitation, userId) => {
+  const member = { user: userId, role: invitation.role };
+  if (invitation.list) {
+    await List.updateOne({ _id: invitation.list._id, 'members.user': { $ne: userId } }, { $push: { members: member } });
+  } else {
+    await Workspace.updateOne({ _id: invitation.workspace._id, 'members.user': { $ne: userId } }, { $push: { members: member } });
+  }
+};
+
+// Run a route's auth only when the request carries a token
+const optionalAuth = (req, res, next) => (req.header('Authorization') ? auth(req, res, next) : next());
+
+const handleInvitationError = (res, error, action) => {
+  console.error(`Error ${action} invitation:`, error);
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      message: 'Invalid invitation ID'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: messages
+    });
+  }
+
+  res.status(500).json({
+    message: `Server error while ${action} invitation`
+  });
+};
+
+// @route   GET /api/invitations?list=:listId | ?workspace=:workspaceId
+// @desc    Get the pending invitations to a list or workspace, with their links (its managers)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { list, workspace, error, status } = await findTarget(req.user._id, req.query);
+
+    if (error) {
+      return res.status(status).json({
+        message: error
+      });
+    }
+
+    const invitations = await Invitation.find({
+      ...(list ? { list: list._id } : { workspace: workspace._id }),
+      ...Invitation.acceptable()
+    })
+      .sort({ createdAt: -1 })
+      .populate('invitedBy', 'name email');
+
+    res.json({
+      invitations: invitations.map(toManaged)
+    });
+  } catch (error) {
+    handleInvitationError(res, error, 'fetching');
+  }
+});
+
+// @route   POST /api/invitations
+// @desc    Create an invitation link ({ list | workspace, role, email, maxUses, expiresInDays }).
+//          With an email, only that account can accept and the link is emailed to it.
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const {
+      role,
+      email = null,
+      maxUses = 1,
+      expiresInDays = Invitation.DEFAULT_EXPIRY_DAYS
+    } = req.body;
+
+    const days = Number(expiresInDays);
+    if (!Number.isFinite(days) || days <= 0 || days > Invitation.MAX_EXPIRY_DAYS) {
+      return res.status(400).json({
+        message: `expiresInDays must be more than 0 and at most ${Invitation.MAX_EXPIRY_DAYS}`
+      });
+    }
+
+    const { list, workspace, error, status } = await findTarget(req.user._id, req.body);
+
+    if (error) {
+      return res.status(status).json({
+        message: error
+      });
+    }
+
+    const invitedRole = role || (list ? 'editor' : 'member');
+    if (workspace && invitedRole === 'owner' && workspace.roleOf(req.user._id) !== 'owner') {
+      return res.status(403).json({
+        message: 'Only owners can make or change other owners'
+      });
+    }
+
+    const invitation = await Invitation.create({
+      list: list ? list._id : null,
+      workspace: workspace ? workspace._id : null,
+      role: invitedRole,
+      email: typeof email === 'string' && email.trim() ? email : null,
+      maxUses,
+      expiresAt: new Date(Date.now() + days * DAY_MS),
+      invitedBy: req.user._id
+    });
+
+    const token = invitation.signToken();
+    const url = inviteUrl(token);
+
+    // A mail that can't be sent doesn't undo the invitation: the link can
+    // still be passed on by hand
+    let emailed = false;
+    if (invitation.email) {
+      const name = list ? `the list "${list.name}"` : `the workspace "${workspace.name}"`;
+      try {
+        await sendMail({
+          to: invitation.email,
+          subject: `${req.user.name} invited you to ${name} on Todo Master`,
+          text: [
+            `${req.user.name} invited you to join ${name} on Todo Master.`,
+            '',
+            `Accept the invitation: ${url}`,
+            '',
+            `The link expires on ${invitation.expiresAt.toUTCString()}.`
+          ].join('\n')
+        });
+        emailed = true;
+      } catch (mailError) {
+        console.error('Error sending invitation email:', mailError);
+      }
+    }
+
+    await invitation.populate('invitedBy', 'name email');
+
+    res.status(201).json({
+      message: emailed ? `Invitation sent to ${invitation.email}` : 'Invitation created',
+      invitation: toManaged(invitation),
+      token,
+      url,
+      emailed
+    });
+  } catch (error) {
+    handleInvitationError(res, error, 'creating');
+  }
+});
+
+// @route   DELETE /api/invitations/:id
+// @desc    Revoke an invitation so its link stops working (the list's or workspace's managers)
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({
+        message: 'Invitation not found'
+      });
+    }
+
+    const { error, status } = await findTarget(req.user._id, {
+      list: invitation.list,
+      workspace: invitation.workspace
+    });
+
+    if (error) {
+      return res.status(status === 403 ? 403 : 404).json({
+        message: status === 403 ? error : 'Invitation not found'
+      });
+    }
+
+    if (!invitation.revokedAt) {
+      invitation.revokedAt = new Date();
+      await invitation.save();
+    }
+
+    res.json({
+      message: 'Invitation revoked',
+      invitation: toManaged(invitation)
+    });
+  } catch (error) {
+    handleInvitationError(res, error, 'revoking');
+  }
+});
+
+// @route   GET /api/invitations/:token
+// @desc    What an invitation link is for, before accepting it
+// @access  Public
+router.get('/:token', async (req, res) => {
+  try {
+    const { invitation, error, status, code } = await loadInvitation(req.params.token);
+
+    if (error) {
+      return res.status(status).json({
+        message: error,
+        code
+      });
+    }
+
+    res.json({
+      invitation: describe(invitation)
+    });
+  } catch (error) {
+    handleInvitationError(res, error, 'fetching');
+  }
+});
+
+// @route   POST /api/invitations/:token/accept
+// @desc    Accept an invitation: as the signed-in user, or with { name, email, password }
+//          to create an account and join in one step
+// @access  Public (signed in or signing up)
+router.post('/:token/accept', optionalAuth, async (req, res) => {
+  try {
+    const { invitation, error, status, code } = await loadInvitation(req.params.token);
+
+    if (error) {
+      return res.status(status).json({
+        message: error,
+        code
+      });
+    }
+
+    const joined = describe(invitation);
+    const target = {
+      list: invitation.list ? invitation.list._id : null,
+      workspace: invitation.workspace ? invitation.workspace._id : null
+    };
+
+    // Signing up: the same checks as registering
+    let account = null;
+    if (!req.user) {
+      const { name, email, password } = req.body;
+
+      if (!name || !email || !password) {
+        return res.status(400).json({
+          message: 'Please provide name, email, and password'
+        });
+      }
+
+      if (password.length < 6) {
+        return res.status(400).json({
+          message: 'Password must be at least 6 characters long'
+        });
+      }
+
+      account = { name: String(name).trim(), email: String(email).toLowerCase().trim(), password };
+
+      if (await User.exists({ email: account.email })) {
+        return res.status(400).json({
+          message: 'User already exists with this email. Please login and open the invitation again.',
+          code: 'USER_EXISTS'
+        });
+      }
+    }
+
+    const email = req.user ? req.user.email : account.email;
+    if (invitation.email && invitation.email !== email) {
+      return res.status(403).json({
+        message: `This invitation is for ${invitation.email}`,
+        code: 'INVITATION_EMAIL_MISMATCH'
+      });
+    }
+
+    if (req.user && alreadyJoined(invitation, req.user._id)) {
+      return res.json({
+        success: true,
+        message: `You already have access to ${joined.name}`,
+        joined,
+        ...target
+      });
+    }
+
+    // Take a use before joining, so a link can't be shared beyond its uses
+    // by accepting it from several places at once
+    const taken = await Invitation.findOneAndUpdate(
+      { _id: invitation._id, ...Invitation.acceptable() },
+      { $inc: { uses: 1 } },
+      { new: true }
+    );
+    if (!taken) {
+      return res.status(410).json({
+        message: STATUS_ERRORS.used.error,
+        code: STATUS_ERRORS.used.code
+      });
+    }
+
+    let user = req.user;
+    if (!user) {
+      try {
+        user = await User.create(account);
+      } catch (createError) {
+        // Give the use back
+        await Invitation.updateOne({ _id: invitation._id }, { $inc: { uses: -1 } });
+        throw createError;
+      }
+    }
+
+    await join(invitation, user._id);
+    await Invitation.updateOne({ _id: invitation._id }, { $push: { acceptedBy: { user: user._id } } });
+
+    res.status(account ? 201 : 200).json({
+      success: true,
+      message: `You joined ${joined.name}`,
+      joined,
+      ...target,
+      // A new account is signed in straight away, as after registering
+      ...(account ? {
+        token: generateToken(user._id),
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email
+        },
+        workspaces: await Workspace.summariesFor(user._id)
+      } : {})
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        message: 'User already exists with this email. Please login and open the invitation again.',
+        code: 'USER_EXISTS'
+      });
+    }
+    handleInvitationError(res, error, 'accepting');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,235 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const List = require('../models/List');
+const User = require('../models/User');
+const { releaseListTasks } = require('../middleware/taskAccess');
+
+// Mounted under /api/lists/:id/members, behind the list router's auth and
+// workspace middleware. Owners manage who a list is shared with; the list's
+// creator always owns it and can't be removed. In a workspace, lists can
+// only be shared with its members (to give them a stronger role than the
+// workspace does).
+
+const MEMBER_POPULATE = [
+  { path: 'user', select: 'name email' },
+  { path: 'members.user', select: 'name email' }
+];
+
+// The list, if the user can see it. Resolves to { list, role } or { error, status }.
+const findList = async (req, required = 'owner') => {
+  const list = await List.findOne({ _id: req.params.id, ...List.accessibleBy(req.user._id, req.workspace) });
+  if (!list) {
+    return { error: 'List not found', status: 404 };
+  }
+
+  const role = list.roleOf(req.user._id, req.workspace);
+  if (List.ROLES.indexOf(role) < List.ROLES.indexOf(required)) {
+    return { error: 'Only the list\'s owners can change who it is shared with', status: 403 };
+  }
+  return { list, role };
+};
+
+const isValidRole = (role) => List.ROLES.includes(role);
+const ROLE_ERROR = `Role must be one of: ${List.ROLES.join(', ')}`;
+
+const handleMemberError = (res, error, action) => {
+  console.error(`Error ${action} list member:`, error);
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      message: 'Invalid list or user ID'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: messages
+    });
+  }
+
+  res.status(500).json({
+    message: `Server error while ${action} list member`
+  });
+};
+
+// @route   GET /api/lists/:id/members
+// @desc    Get the list's owner and the people it is shared with
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { list, error, status } = await findList(req, 'viewer');
+
+    if (error) {
+      return res.status(status).json({
+        message: error
+      });
+    }
+
+    await list.populate(MEMBER_POPULATE);
+
+    res.json({
+      owner: list.user,
+      members: list.members
+    });
+  } catch (error) {
+    handleMemberError(res, error, 'fetching');
+  }
+});
+
+// @route   POST /api/lists/:id/members
+// @desc    Share the list with a registered user ({ email, role })
+// @access  Private
+router.post('/', async (req, res) => {
+  try {
+    const { email, role = 'editor' } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        message: 'Email is required'
+      });
+    }
+
+    if (!isValidRole(role)) {
+      return res.status(400).json({
+        message: ROLE_ERROR
+      });
+    }
+
+    const { list, error, status } = await findList(req);
+
+    if (error) {
+      return res.status(status).json({
+        message: error
+      });
+    }
+
+    if (list.isDefault) {
+      return res.status(400).json({
+        message: 'The Inbox cannot be shared'
+      });
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+
+    if (!user) {
+      return res.status(404).json({
+        message: 'No registered user has that email'
+      });
+    }
+
+    if (req.workspace && !req.workspace.roleOf(user._id)) {
+      return res.status(400).json({
+        message: `Add ${user.name} to the workspace first`
+      });
+    }
+
+    if (list.user.equals(user._id) || list.members.some(entry => entry.user.equals(user._id))) {
+      return res.status(409).json({
+        message: `${user.name} already has access to this list`
+      });
+    }
+
+    list.members.push({ user: user._id, role });
+    await list.save();
+    await list.populate(MEMBER_POPULATE);
+
+    res.status(201).json({
+      message: `List shared with ${user.name}`,
+      owner: list.user,
+      members: list.members
+    });
+  } catch (error) {
+    handleMemberError(res, error, 'adding');
+  }
+});
+
+// @route   PUT /api/lists/:id/members/:userId
+// @desc    Change a member's role ({ role })
+// @access  Private
+router.put('/:userId', async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!isValidRole(role)) {
+      return res.status(400).json({
+        message: ROLE_ERROR
+      });
+    }
+
+    const { list, error, status } = await findList(req);
+
+    if (error) {
+      return res.status(status).json({
+        message: error
+      });
+    }
+
+    const member = list.members.find(entry => entry.user.equals(req.params.userId));
+
+    if (!member) {
+      return res.status(404).json({
+        message: 'Member not found'
+      });
+    }
+
+    member.role = role;
+    await list.save();
+    await list.populate(MEMBER_POPULATE);
+
+    res.json({
+      message: 'Role updated',
+      owner: list.user,
+      members: list.members
+    });
+  } catch (error) {
+    handleMemberError(res, error, 'updating');
+  }
+});
+
+// @route   DELETE /api/lists/:id/members/:userId
+// @desc    Revoke a member's access (owners), or leave the list (any member, for themselves)
+// @access  Private
+router.delete('/:userId', async (req, res) => {
+  try {
+    const leaving = req.user._id.equals(req.params.userId);
+    const { list, error, status } = await findList(req, leaving ? 'viewer' : 'owner');
+
+    if (error) {
+      return res.status(status).json({
+        message: error
+      });
+    }
+
+    const index = list.members.findIndex(entry => entry.user.equals(req.params.userId));
+
+    if (index === -1) {
+      return res.status(404).json({
+        message: list.user.equals(req.params.userId)
+          ? 'The list\'s creator always owns it'
+          : 'Member not found'
+      });
+    }
+
+    list.members.splice(index, 1);
+    await list.save();
+
+    // Unless the workspace still lets them in, they can't see the list's
+    // tasks any more: nothing of theirs keeps running on them and nothing
+    // stays assigned to them
+    await releaseListTasks(list, req.user._id);
+
+    await list.populate(MEMBER_POPULATE);
+
+    res.json({
+      message: leaving ? 'You left the list' : 'Access revoked',
+      owner: list.user,
+      members: list.members
+    });
+  } catch (error) {
+    handleMemberError(res, error, 'removing');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,312 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const List = require('../models/List');
+const Task = require('../models/Task');
+const Workspace = require('../models/Workspace');
+const TimeEntry = require('../models/TimeEntry');
+const FocusSession = require('../models/FocusSession');
+const auth = require('../middleware/auth');
+const { resolveWorkspace } = require('../middleware/workspace');
+const { releaseListTasks } = require('../middleware/taskAccess');
+const listMemberRoutes = require('./listMemberRoutes');
+
+// Apply auth middleware to all routes, and work in the active workspace
+router.use(auth);
+router.use(resolveWorkspace);
+
+router.use('/:id/members', listMemberRoutes);
+
+// A list in the active workspace the user owns. Resolves to { list } or
+// { error, status }: 404 when they can't see it, 403 when it's only shared
+// with them.
+const findOwnedList = async (req) => {
+  const list = await List.findOne({ _id: req.params.id, ...List.accessibleBy(req.user._id, req.workspace) });
+  if (!list) {
+    return { error: 'List not found', status: 404 };
+  }
+
+  if (list.roleOf(req.user._id, req.workspace) !== 'owner') {
+    return { error: 'Only the list\'s owners can do that', status: 403 };
+  }
+  return { list };
+};
+
+// Point a list at a workspace the user belongs to, or back at their personal
+// space, without saving it. Only its creator moves a list either way, so
+// nobody else can carry someone's personal list off to where they can't see
+// it. Resolves to { list } or { error, status }.
+const moveList = async (list, workspaceId, userId) => {
+  if (list.isDefault) {
+    return { error: 'The Inbox stays personal', status: 400 };
+  }
+
+  if (!list.user.equals(userId)) {
+    return { error: 'Only the list\'s creator can move it', status: 403 };
+  }
+
+  if (!workspaceId) {
+    list.workspace = null;
+  } else {
+    const workspace = mongoose.isValidObjectId(workspaceId) &&
+      await Workspace.findOne({ _id: workspaceId, ...Workspace.forUser(userId) });
+    if (!workspace) {
+      return { error: 'Workspace not found', status: 400 };
+    }
+    list.workspace = workspace._id;
+    // A workspace's lists are only shared within it
+    list.members = list.members.filter(member => workspace.roleOf(member.user));
+  }
+
+  return { list };
+};
+
+const handleListError = (res, error, action) => {
+  console.error(`Error ${action} list:`, error);
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      message: 'Invalid list ID'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: messages
+    });
+  }
+
+  res.status(500).json({
+    message: `Server error while ${action} list`
+  });
+};
+
+// @route   GET /api/lists
+// @desc    Get the lists in the active workspace, or the user's personal lists and
+//          those shared with them (Inbox first), with task counts, members and
+//          the user's role on each
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    // Make sure the Inbox exists before counting
+    if (!req.workspace) {
+      await List.getInbox(req.user._id);
+    }
+
+    const lists = await List.find(List.accessibleBy(req.user._id, req.workspace))
+      .sort({ isDefault: -1, createdAt: 1 })
+      .populate('user', 'name email')
+      .populate('members.user', 'name email');
+
+    const counts = await Task.aggregate([
+      { $match: { list: { $in: lists.map(list => list._id) } } },
+      {
+        $group: {
+          _id: '$list',
+          total: { $sum: 1 },
+          completed: { $sum: { $cond: ['$completed', 1, 0] } }
+        }
+      }
+    ]);
+
+    const countsById = new Map(counts.map(count => [String(count._id), count]));
+
+    res.json({
+      lists: lists.map(list => {
+        const { total = 0, completed = 0 } = countsById.get(String(list._id)) || {};
+        return {
+          ...list.toJSON(),
+          role: list.roleOf(req.user._id, req.workspace),
+          counts: { total, completed, pending: total - completed }
+        };
+      })
+    });
+  } catch (error) {
+    handleListError(res, error, 'fetching');
+  }
+});
+
+// @route   POST /api/lists
+// @desc    Create a list (in the active workspace, if any)
+// @access  Private
+router.post('/', async (req, res) => {
+  try {
+    const { name, color, icon } = req.body;
+
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+      return res.status(400).json({
+        message: 'List name is required'
+      });
+    }
+
+    const list = new List({
+      name: name.trim(),
+      color,
+      icon,
+      user: req.user._id,
+      workspace: req.workspace ? req.workspace._id : null
+    });
+
+    await list.save();
+
+    res.status(201).json({
+      message: 'List created successfully',
+      list
+    });
+  } catch (error) {
+    handleListError(res, error, 'creating');
+  }
+});
+
+// @route   PUT /api/lists/:id
+// @desc    Rename a list, change its colour/icon or move it into a workspace
+//          ({ workspace: id }) or back to personal ({ workspace: null }); owners only
+// @access  Private
+router.put('/:id', async (req, res) => {
+  try {
+    const { name, color, icon, workspace } = req.body;
+
+    const updateData = {};
+    if (name !== undefined) {
+      if (typeof name !== 'string' || name.trim().length === 0) {
+        return res.status(400).json({
+          message: 'List name cannot be empty'
+        });
+      }
+      updateData.name = name.trim();
+    }
+    if (color !== undefined) updateData.color = color;
+    if (icon !== undefined) updateData.icon = icon;
+
+    const { list, error, status } = await findOwnedList(req);
+
+    if (error) {
+      return res.status(status).json({
+        message: error
+      });
+    }
+
+    // Check the move before changing anything, so a refused one saves nothing
+    const moving = workspace !== undefined && String(workspace || null) !== String(list.workspace);
+    if (moving) {
+      const moved = await moveList(list, workspace, req.user._id);
+      if (moved.error) {
+        return res.status(moved.status).json({
+          message: moved.error
+        });
+      }
+    }
+
+    list.set(updateData);
+    await list.save();
+
+    if (moving) {
+      // Whoever can't see it where it has gone lets go of its tasks
+      await releaseListTasks(list, req.user._id);
+    }
+
+    res.json({
+      message: 'List updated successfully',
+      list
+    });
+  } catch (error) {
+    handleListError(res, error, 'updating');
+  }
+});
+
+// @route   DELETE /api/lists/:id?mode=reassign|cascade&to=:listId
+// @desc    Delete a list (owners only), moving its tasks (to its creator's Inbox, or in a workspace
+//          its first other list, by default) or deleting them
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const { mode = 'reassign', to } = req.query;
+
+    if (!['reassign', 'cascade'].includes(mode)) {
+      return res.status(400).json({
+        message: 'Invalid mode. Use reassign or cascade'
+      });
+    }
+
+    const { list, error, status } = await findOwnedList(req);
+
+    if (error) {
+      return res.status(status).json({
+        message: error
+      });
+    }
+
+    if (list.isDefault) {
+      return res.status(400).json({
+        message: 'The Inbox cannot be deleted'
+      });
+    }
+
+    let affected;
+    if (mode === 'cascade') {
+      // Into their creators' trash, out of the list: restoring one later
+      // puts it back in its creator's Inbox. Tasks already in the trash leave
+      // the list too, or they'd point at a list that no longer exists.
+      const ids = await Task.distinct('_id', { list: list._id });
+      const result = await Task.updateMany(
+        { _id: { $in: ids } },
+        { deletedAt: new Date(), list: null, assignee: null }
+      );
+      affected = result.modifiedCount;
+      await Task.updateMany({ list: list._id }, { list: null, assignee: null }).setOptions({ withDeleted: true });
+      await TimeEntry.stopAllOn({ $in: ids });
+      await FocusSession.stopAllOn({ $in: ids });
+    } else {
+      const canEdit = (candidate) => !candidate._id.equals(list._id) &&
+        ['editor', 'owner'].includes(candidate.roleOf(req.user._id, req.workspace));
+
+      // By default tasks go back to the creator's Inbox, whoever deletes the
+      // list, so nobody loses their own tasks to a co-owner; in a workspace
+      // (which has no Inbox) they go to the first other list there the user
+      // can edit
+      const toCreatorsInbox = !to && !req.workspace;
+      let target;
+      if (to) {
+        target = await List.findOne({ _id: to, ...List.accessibleBy(req.user._id, req.workspace) });
+      } else if (req.workspace) {
+        const candidates = await List.find(List.accessibleBy(req.user._id, req.workspace)).sort({ createdAt: 1 });
+        target = candidates.find(canEdit);
+      } else {
+        target = await List.getInbox(list.user);
+      }
+
+      if (!target || (!toCreatorsInbox && !canEdit(target))) {
+        return res.status(400).json({
+          message: 'Choose another list you can edit to move the tasks to'
+        });
+      }
+
+      // Trashed tasks move too, so restoring them lands in a list that exists.
+      // They join the end of the target's manual order.
+      const result = await Task.updateMany(
+        { list: list._id },
+        { list: target._id, rank: null }
+      ).setOptions({ withDeleted: true });
+      affected = result.modifiedCount;
+      await Task.ensureRanks(Task.rankScope({ list: target._id }));
+
+      // Assignees who can't see the target list are unassigned
+      await releaseListTasks(target, req.user._id);
+    }
+
+    await list.deleteOne();
+
+    res.json({
+      message: mode === 'cascade'
+        ? `List deleted and ${affected} task${affected !== 1 ? 's' : ''} moved to trash`
+        : `List deleted and ${affected} task${affected !== 1 ? 's' : ''} moved`,
+      list
+    });
+  } catch (error) {
+    handleListError(res, error, 'deleting');
+  }
+});
+
+module.exports = router;
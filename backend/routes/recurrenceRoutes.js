@@ -0,0 +1,143 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const Task = require('../models/Task');
+const TaskHistory = require('../models/TaskHistory');
+const { upcomingOccurrences } = require('../utils/recurrence');
+
+// Mounted under /api/tasks/:id/recurrence, behind the task router's auth and
+// access checks: req.task is the task, and the user's role on it
+// (req.taskRole) is enough for the request method
+
+const handleRecurrenceError = (res, error, action) => {
+  console.error(`Error ${action} recurrence:`, error);
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      message: 'Invalid task ID'
+    });
+  }
+
+  if (error.name === 'RecurrenceError') {
+    return res.status(400).json({
+      message: `Invalid recurrence rule: ${error.message}`
+    });
+  }
+
+  res.status(500).json({
+    message: `Server error while ${action} recurrence`
+  });
+};
+
+// @route   GET /api/tasks/:id/recurrence
+// @desc    Get a task's repeat rule, upcoming dates and completion history
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { task } = req;
+
+    if (!task.recurrence) {
+      return res.json({
+        recurrence: null,
+        upcoming: [],
+        history: [],
+        skipped: []
+      });
+    }
+
+    const upcoming = task.isRecurring
+      ? upcomingOccurrences(task.recurrence.rule, {
+        start: task.recurrence.startsAt || task.dueAt,
+        after: task.dueAt,
+        timeZone: task.timezone,
+        fromOccurrence: task.recurrence.occurrence
+      })
+      : [];
+
+    // Every completed occurrence of the series, newest first
+    const history = await Task.find({
+      user: task.user,
+      'recurrence.seriesId': task.recurrence.seriesId,
+      completed: true
+    })
+      .sort({ completedAt: -1 })
+      .limit(100)
+      .select('title dueAt allDay completedAt recurrence.occurrence');
+
+    res.json({
+      recurrence: task.recurrence,
+      upcoming,
+      history,
+      skipped: task.recurrence.skipped
+    });
+  } catch (error) {
+    handleRecurrenceError(res, error, 'fetching');
+  }
+});
+
+// @route   POST /api/tasks/:id/recurrence/skip
+// @desc    Skip this occurrence, moving the task to the next date
+// @access  Private
+router.post('/skip', async (req, res) => {
+  try {
+    const { task } = req;
+
+    if (!task.isRecurring) {
+      return res.status(400).json({
+        message: 'This task does not repeat'
+      });
+    }
+
+    if (task.completed) {
+      return res.status(400).json({
+        message: 'Completed occurrences cannot be skipped'
+      });
+    }
+
+    const before = TaskHistory.snapshot(task);
+    const skipped = await task.skipOccurrence();
+    if (!skipped) {
+      return res.status(400).json({
+        message: 'This is the last occurrence. Complete or delete it instead.'
+      });
+    }
+
+    await TaskHistory.record({ task, user: req.user._id, before });
+    await task.populateDetails();
+
+    res.json({
+      message: 'Occurrence skipped',
+      task
+    });
+  } catch (error) {
+    handleRecurrenceError(res, error, 'skipping');
+  }
+});
+
+// @route   POST /api/tasks/:id/recurrence/stop
+// @desc    Stop repeating; this task stays as a one-off
+// @access  Private
+router.post('/stop', async (req, res) => {
+  try {
+    const { task } = req;
+
+    if (!task.isRecurring) {
+      return res.status(400).json({
+        message: 'This task does not repeat'
+      });
+    }
+
+    const before = TaskHistory.snapshot(task);
+    await task.stopRecurrence();
+    await TaskHistory.record({ task, user: req.user._id, before });
+    await task.populateDetails();
+
+    res.json({
+      message: 'Task will no longer repeat',
+      task
+    });
+  } catch (error) {
+    handleRecurrenceError(res, error, 'stopping');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,109 @@
+const express = require('express');
+const router = express.Router();
+const Task = require('../models/Task');
+const TimeEntry = require('../models/TimeEntry');
+const auth = require('../middleware/auth');
+const { isValidTimeZone, parseDueInput, startOfDay, addDays } = require('../utils/dateUtils');
+const { GROUP_BY, dayKey, buildTimeReport } = require('../utils/timeReport');
+
+// Apply auth middleware to all routes
+router.use(auth);
+
+const MAX_REPORT_DAYS = 366;
+const DEFAULT_REPORT_DAYS = 7;
+
+const handleReportError = (res, error, action) => {
+  console.error(`Error ${action} report:`, error);
+
+  res.status(500).json({
+    message: `Server error while ${action} report`
+  });
+};
+
+// @route   GET /api/reports/time
+// @desc    Tracked time between `from` and `to` (YYYY-MM-DD, inclusive, in
+//          `tz`; the last 7 days by default), grouped by day, list or tag
+// @access  Private
+router.get('/time', async (req, res) => {
+  try {
+    const { from, to, groupBy = 'day', tz = 'UTC' } = req.query;
+
+    if (!isValidTimeZone(tz)) {
+      return res.status(400).json({
+        message: 'Invalid timezone'
+      });
+    }
+
+    if (!GROUP_BY.includes(groupBy)) {
+      return res.status(400).json({
+        message: `Invalid groupBy. Use ${GROUP_BY.join(', ')}`
+      });
+    }
+
+    const now = new Date();
+    const parseDay = (value) => {
+      const parsed = parseDueInput(value, tz);
+      return parsed && parsed.allDay ? parsed.dueAt : null;
+    };
+
+    const lastDay = to === undefined ? startOfDay(now, tz) : parseDay(to);
+    const firstDay = from === undefined ? lastDay && addDays(lastDay, 1 - DEFAULT_REPORT_DAYS, tz) : parseDay(from);
+
+    if (!firstDay || !lastDay) {
+      return res.status(400).json({
+        message: 'from and to must be dates in YYYY-MM-DD format'
+      });
+    }
+
+    const rangeStart = firstDay;
+    const rangeEnd = addDays(lastDay, 1, tz);
+
+    if (rangeEnd <= rangeStart) {
+      return res.status(400).json({
+        message: 'from cannot be after to'
+      });
+    }
+
+    if (rangeEnd > addDays(rangeStart, MAX_REPORT_DAYS, tz)) {
+      return res.status(400).json({
+        message: `Reports can cover at most ${MAX_REPORT_DAYS} days`
+      });
+    }
+
+    // Entries never run longer than a day, which bounds how early an
+    // overlapping one can start
+    const entries = await TimeEntry.find({
+      user: req.user._id,
+      startedAt: { $gte: new Date(rangeStart - TimeEntry.MAX_ENTRY_MS), $lt: rangeEnd },
+      $or: [{ endedAt: null }, { endedAt: { $gt: rangeStart } }]
+    }).sort({ startedAt: 1 });
+
+    // Time spent on tasks that are now in the trash, or on someone else's
+    // task in a shared list, still counts
+    const tasks = await Task.find({
+      _id: { $in: [...new Set(entries.map(entry => String(entry.task)))] }
+    })
+      .select('title list tags')
+      .populate('list', 'name icon')
+      .populate('tags', 'name')
+      .setOptions({ withDeleted: true });
+
+    const report = buildTimeReport(
+      entries,
+      new Map(tasks.map(task => [String(task._id), task])),
+      { groupBy, rangeStart, rangeEnd, timeZone: tz, now }
+    );
+
+    res.json({
+      groupBy,
+      from: dayKey(rangeStart, tz),
+      to: dayKey(lastDay, tz),
+      timezone: tz,
+      ...report
+    });
+  } catch (error) {
+    handleReportError(res, error, 'building');
+  }
+});
+
+module.exports = router;
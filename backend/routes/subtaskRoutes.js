@@ -0,0 +1,245 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const Task = require('../models/Task');
+const TaskHistory = require('../models/TaskHistory');
+
+// Mounted under /api/tasks/:id/subtasks, behind the task router's auth and
+// access checks: req.task is the task, and the user's role on it
+// (req.taskRole) is enough for the request method
+
+// Checking off (or deleting) the last open item completes the parent, which,
+// like completing it directly, waits for its blockers unless ?force=true.
+// Resolves to the open blockers when the change has to be refused.
+const blockersOfCompletion = async (req, task, wasCompleted) => {
+  if (wasCompleted || !task.completed || req.query.force === 'true') return [];
+  return task.findOpenBlockers();
+};
+
+const validateSubtaskTitle = (title) => {
+  if (typeof title !== 'string' || title.trim().length === 0) {
+    return 'Subtask title is required';
+  }
+  if (title.trim().length > 200) {
+    return 'Subtask title cannot exceed 200 characters';
+  }
+  return null;
+};
+
+const handleSubtaskError = (res, error, action) => {
+  console.error(`Error ${action} subtask:`, error);
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      message: 'Invalid task or subtask ID'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: messages
+    });
+  }
+
+  res.status(500).json({
+    message: `Server error while ${action} subtask`
+  });
+};
+
+// @route   GET /api/tasks/:id/subtasks
+// @desc    Get the checklist of a task in order
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { task } = req;
+
+    res.json({
+      subtasks: [...task.subtasks].sort((a, b) => a.position - b.position),
+      progress: task.subtaskProgress
+    });
+  } catch (error) {
+    handleSubtaskError(res, error, 'fetching');
+  }
+});
+
+// @route   POST /api/tasks/:id/subtasks
+// @desc    Add a checklist item (appended unless a position is given)
+// @access  Private
+router.post('/', async (req, res) => {
+  try {
+    const { title, position } = req.body;
+
+    const titleError = validateSubtaskTitle(title);
+    if (titleError) {
+      return res.status(400).json({
+        message: titleError
+      });
+    }
+
+    const { task } = req;
+
+    const wasCompleted = task.completed;
+    const before = TaskHistory.snapshot(task);
+
+    // Half steps slot the new item in front of whatever holds that position
+    const insertAt = Number.isInteger(position) ? position - 0.5 : task.subtasks.length;
+    task.subtasks.push({ title: title.trim(), position: insertAt });
+    const subtask = task.subtasks[task.subtasks.length - 1];
+    task.normalizeSubtaskPositions();
+
+    // A new open item means the checklist is no longer finished
+    if (task.completeWithSubtasks) {
+      task.completed = false;
+    }
+
+    await task.save();
+
+    // Reopening a recurring task takes back the occurrence it created
+    const { removedTaskId } = await task.settleCompletion(wasCompleted);
+    await TaskHistory.record({ task, user: req.user._id, before });
+    await task.populateDetails();
+
+    res.status(201).json({
+      message: 'Subtask created successfully',
+      subtask,
+      task,
+      removedTaskId
+    });
+  } catch (error) {
+    handleSubtaskError(res, error, 'creating');
+  }
+});
+
+// @route   PUT /api/tasks/:id/subtasks/:subtaskId
+// @desc    Rename, complete or move a checklist item (?force=true when that
+//          completes a task whose blockers are still open)
+// @access  Private
+router.put('/:subtaskId', async (req, res) => {
+  try {
+    const { title, completed, position } = req.body;
+
+    if (title !== undefined) {
+      const titleError = validateSubtaskTitle(title);
+      if (titleError) {
+        return res.status(400).json({
+          message: titleError
+        });
+      }
+    }
+
+    if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+      return res.status(400).json({
+        message: 'Position must be a non-negative integer'
+      });
+    }
+
+    const { task } = req;
+
+    const subtask = task.subtasks.id(req.params.subtaskId);
+    if (!subtask) {
+      return res.status(404).json({
+        message: 'Subtask not found'
+      });
+    }
+
+    const wasCompleted = task.completed;
+    const before = TaskHistory.snapshot(task);
+
+    if (title !== undefined) {
+      subtask.title = title.trim();
+    }
+
+    if (completed !== undefined) {
+      subtask.completed = Boolean(completed);
+      task.syncCompletionWithSubtasks();
+    }
+
+    if (position !== undefined && position !== subtask.position) {
+      // Land just past the target when moving down, just before it when moving up
+      subtask.position = position > subtask.position ? position + 0.5 : position - 0.5;
+      task.normalizeSubtaskPositions();
+    }
+
+    const blockers = await blockersOfCompletion(req, task, wasCompleted);
+    if (blockers.length > 0) {
+      return res.status(409).json({
+        message: Task.BLOCKED_MESSAGE,
+        blockers
+      });
+    }
+
+    await task.save();
+
+    // Checking off the last item of a recurring task moves the series on
+    const { nextTask } = await task.settleCompletion(wasCompleted);
+    if (nextTask) {
+      await TaskHistory.record({ task: nextTask, user: req.user._id });
+      await nextTask.populateDetails();
+    }
+    await TaskHistory.record({ task, user: req.user._id, before });
+    await task.populateDetails();
+
+    res.json({
+      message: 'Subtask updated successfully',
+      subtask,
+      task,
+      nextTask
+    });
+  } catch (error) {
+    handleSubtaskError(res, error, 'updating');
+  }
+});
+
+// @route   DELETE /api/tasks/:id/subtasks/:subtaskId
+// @desc    Remove a checklist item (?force=true when that completes a task
+//          whose blockers are still open)
+// @access  Private
+router.delete('/:subtaskId', async (req, res) => {
+  try {
+    const { task } = req;
+
+    const subtask = task.subtasks.id(req.params.subtaskId);
+    if (!subtask) {
+      return res.status(404).json({
+        message: 'Subtask not found'
+      });
+    }
+
+    const wasCompleted = task.completed;
+    const before = TaskHistory.snapshot(task);
+    subtask.deleteOne();
+    task.normalizeSubtaskPositions();
+    task.syncCompletionWithSubtasks();
+
+    const blockers = await blockersOfCompletion(req, task, wasCompleted);
+    if (blockers.length > 0) {
+      return res.status(409).json({
+        message: Task.BLOCKED_MESSAGE,
+        blockers
+      });
+    }
+
+    await task.save();
+
+    // Deleting the last open item can finish a recurring task too
+    const { nextTask } = await task.settleCompletion(wasCompleted);
+    if (nextTask) {
+      await TaskHistory.record({ task: nextTask, user: req.user._id });
+      await nextTask.populateDetails();
+    }
+    await TaskHistory.record({ task, user: req.user._id, before });
+    await task.populateDetails();
+
+    res.json({
+      message: 'Subtask deleted successfully',
+      subtask,
+      task,
+      nextTask
+    });
+  } catch (error) {
+    handleSubtaskError(res, error, 'deleting');
+  }
+});
+
+module.exports = router;
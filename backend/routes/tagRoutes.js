@@ -0,0 +1,221 @@
+const express = require('express');
+const router = express.Router();
+const Tag = require('../models/Tag');
+const Task = require('../models/Task');
+const auth = require('../middleware/auth');
+
+// Apply auth middleware to all routes
+router.use(auth);
+
+const handleTagError = (res, error, action) => {
+  console.error(`Error ${action} tag:`, error);
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      message: 'Invalid tag ID'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: messages
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      message: 'You already have a tag with this name. Merge the tags instead.',
+      code: 'TAG_EXISTS'
+    });
+  }
+
+  res.status(500).json({
+    message: `Server error while ${action} tag`
+  });
+};
+
+// @route   GET /api/tags
+// @desc    Get the user's tags with how many tasks use each
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const [tags, counts] = await Promise.all([
+      Tag.find({ user: req.user._id }).sort('name'),
+      // Tasks in the trash don't count, as they don't show up under the tag
+      Task.aggregate([
+        { $match: { user: req.user._id, deletedAt: null } },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const countById = new Map(counts.map(({ _id, count }) => [String(_id), count]));
+
+    res.json({
+      tags: tags.map(tag => ({
+        ...tag.toJSON(),
+        taskCount: countById.get(String(tag._id)) || 0
+      }))
+    });
+  } catch (error) {
+    handleTagError(res, error, 'fetching');
+  }
+});
+
+// @route   POST /api/tags
+// @desc    Create a tag
+// @access  Private
+router.post('/', async (req, res) => {
+  try {
+    const { name, color } = req.body;
+
+    if (!name || typeof name !== 'string' || Tag.normalizeName(name).length === 0) {
+      return res.status(400).json({
+        message: 'Tag name is required'
+      });
+    }
+
+    const tag = new Tag({
+      name: Tag.normalizeName(name),
+      color,
+      user: req.user._id
+    });
+
+    await tag.save();
+
+    res.status(201).json({
+      message: 'Tag created successfully',
+      tag
+    });
+  } catch (error) {
+    handleTagError(res, error, 'creating');
+  }
+});
+
+// @route   PUT /api/tags/:id
+// @desc    Rename or recolour a tag
+// @access  Private
+router.put('/:id', async (req, res) => {
+  try {
+    const { name, color } = req.body;
+
+    const updateData = {};
+    if (name !== undefined) {
+      if (typeof name !== 'string' || Tag.normalizeName(name).length === 0) {
+        return res.status(400).json({
+          message: 'Tag name cannot be empty'
+        });
+      }
+      updateData.name = Tag.normalizeName(name);
+    }
+
+    if (color !== undefined) {
+      updateData.color = color;
+    }
+
+    const tag = await Tag.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    if (!tag) {
+      return res.status(404).json({
+        message: 'Tag not found'
+      });
+    }
+
+    res.json({
+      message: 'Tag updated successfully',
+      tag
+    });
+  } catch (error) {
+    handleTagError(res, error, 'updating');
+  }
+});
+
+// @route   POST /api/tags/:id/merge
+// @desc    Merge this tag into another one, retagging its tasks
+// @access  Private
+router.post('/:id/merge', async (req, res) => {
+  try {
+    const { into } = req.body;
+
+    if (!into) {
+      return res.status(400).json({
+        message: 'Please provide the tag to merge into'
+      });
+    }
+
+    if (String(into) === String(req.params.id)) {
+      return res.status(400).json({
+        message: 'A tag cannot be merged into itself'
+      });
+    }
+
+    const [source, target] = await Promise.all([
+      Tag.findOne({ _id: req.params.id, user: req.user._id }),
+      Tag.findOne({ _id: into, user: req.user._id })
+    ]);
+
+    if (!source || !target) {
+      return res.status(404).json({
+        message: 'Tag not found'
+      });
+    }
+
+    // Add the target before removing the source so no task ends up untagged.
+    // Trashed tasks are included so they come back with valid tags.
+    const result = await Task.updateMany(
+      { user: req.user._id, tags: source._id },
+      { $addToSet: { tags: target._id } }
+    ).setOptions({ withDeleted: true });
+    await Task.updateMany(
+      { user: req.user._id, tags: source._id },
+      { $pull: { tags: source._id } }
+    ).setOptions({ withDeleted: true });
+    await source.deleteOne();
+
+    res.json({
+      message: `Merged #${source.name} into #${target.name}`,
+      tag: target,
+      tasksUpdated: result.modifiedCount
+    });
+  } catch (error) {
+    handleTagError(res, error, 'merging');
+  }
+});
+
+// @route   DELETE /api/tags/:id
+// @desc    Delete a tag and remove it from all tasks
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const tag = await Tag.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!tag) {
+      return res.status(404).json({
+        message: 'Tag not found'
+      });
+    }
+
+    await Task.updateMany(
+      { user: req.user._id, tags: tag._id },
+      { $pull: { tags: tag._id } }
+    ).setOptions({ withDeleted: true });
+
+    res.json({
+      message: 'Tag deleted successfully',
+      tag
+    });
+  } catch (error) {
+    handleTagError(res, error, 'deleting');
+  }
+});
+
+module.exports = router;
@@ -1,48 +1,679 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Task = require('../models/Task');
+const TaskHistory = require('../models/TaskHistory');
+const TimeEntry = require('../models/TimeEntry');
+const FocusSession = require('../models/FocusSession');
+const Tag = require('../models/Tag');
+const List = require('../models/List');
 const auth = require('../middleware/auth');
+const { resolveWorkspace } = require('../middleware/workspace');
+const {
+  loadTaskAccess,
+  authorizeTask,
+  scopeTasks,
+  findTaskFor,
+  roleForList,
+  hasRole,
+  isAssignable
+} = require('../middleware/taskAccess');
+const subtaskRoutes = require('./subtaskRoutes');
+const recurrenceRoutes = require('./recurrenceRoutes');
+const historyRoutes = require('./historyRoutes');
+const dependencyRoutes = require('./dependencyRoutes');
+const timeEntryRoutes = require('./timeEntryRoutes');
+const attachmentRoutes = require('./attachmentRoutes');
+const commentRoutes = require('./commentRoutes');
+const { parseRule } = require('../utils/recurrence');
+const { loadShared } = require('../utils/shared');
+const { parseSearchTerms, findMatchRanges, buildSnippet } = require('../utils/search');
+const { toETag, parseIfMatch } = require('../utils/etag');
+const { withTieBreaker, encodeCursor, decodeCursor, cursorFilter } = require('../utils/cursor');
+const { buildFilterQuery } = require('../utils/filterQuery');
+const {
+  isValidTimeZone,
+  getZonedParts,
+  parseDueInput,
+  addDays,
+  getDayRange,
+  getWeekRange
+} = require('../utils/dateUtils');
 
 // Apply auth middleware to all routes
 router.use(auth);
 
-// @route   POST /api/tasks
-// @desc    Create a new task
-// @access  Private
-router.post('/', async (req, res) => {
-  try {
-    const { title } = req.body;
+// Work out which lists the user can reach in the active workspace, and check
+// their role on the task for every route under /:id (nested routers included)
+router.use(resolveWorkspace);
+router.use(loadTaskAccess);
+router.param('id', authorizeTask);
 
-    // Validation
-    if (!title || title.trim().length === 0) {
-      return res.status(400).json({
-        message: 'Task title is required'
-      });
+// Checklist items nested under a task
+router.use('/:id/subtasks', subtaskRoutes);
+
+// Repeat rules: history, skip and stop
+router.use('/:id/recurrence', recurrenceRoutes);
+
+// Change history and revert
+router.use('/:id/history', historyRoutes);
+
+// Blocked-by relationships between tasks
+router.use('/:id/dependencies', dependencyRoutes);
+
+// Time tracked against the task
+router.use('/:id/time', timeEntryRoutes);
+
+// Files attached to the task
+router.use('/:id/attachments', attachmentRoutes);
+
+// Discussion thread
+router.use('/:id/comments', commentRoutes);
+
+// Validate dueAt/timezone from a request body.
+// An empty dueAt clears the due date. Returns { error } or { fields }.
+const resolveDueFields = (dueAt, timezone) => {
+  const fields = {};
+
+  if (timezone !== undefined) {
+    if (!isValidTimeZone(timezone)) {
+      return { error: 'Invalid timezone' };
+    }
+    fields.timezone = timezone;
+  }
+
+  if (dueAt !== undefined) {
+    if (dueAt === null || dueAt === '') {
+      fields.dueAt = null;
+      fields.allDay = false;
+    } else {
+      const parsed = parseDueInput(dueAt, timezone || 'UTC');
+      if (!parsed) {
+        return { error: 'Invalid due date' };
+      }
+      Object.assign(fields, parsed);
+    }
+  }
+
+  return { fields };
+};
+
+// Fields the client may sort on; priority sorts by its numeric rank
+const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  title: 'title',
+  completed: 'completed',
+  dueAt: 'dueAt',
+  priority: 'priorityRank'
+};
+
+// Named orderings. "smart" puts pending, high-priority work first;
+// "manual" is the user's drag-and-drop order.
+const SORT_PRESETS = {
+  smart: { completed: 1, priorityRank: -1, createdAt: -1 },
+  manual: { rank: 1, _id: 1 }
+};
+
+// Turn "-priority,createdAt" style input into a Mongo sort object.
+// Returns null for unknown fields.
+const resolveSort = (sort) => {
+  if (typeof sort !== 'string') return null;
+  if (SORT_PRESETS[sort]) return SORT_PRESETS[sort];
+
+  const sortSpec = {};
+  for (const part of sort.split(',')) {
+    const descending = part.startsWith('-');
+    const field = SORT_FIELDS[descending ? part.slice(1) : part];
+    if (!field) return null;
+    sortSpec[field] = descending ? -1 : 1;
+  }
+  return sortSpec;
+};
+
+// Tags may be sent as ids or names; unknown names become new tags
+const resolveTagsInput = async (userId, tags) => {
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    return { error: 'Tags must be an array of tag ids or names' };
+  }
+  if (tags.length > 20) {
+    return { error: 'A task cannot have more than 20 tags' };
+  }
+  return { tagIds: await Tag.resolveForUser(userId, tags, { createMissing: true }) };
+};
+
+// Look up a list the user may add tasks to (as an editor or owner). With no
+// id, that's their Inbox, or in a workspace the first list they can edit.
+const resolveList = (access, listId) => {
+  if (!listId) {
+    if (!access.workspace) return List.getInbox(access.userId);
+    const editable = [...access.roles].filter(([, role]) => hasRole(role, 'editor')).map(([id]) => id);
+    return List.findOne({ _id: { $in: editable } }).sort({ createdAt: 1 });
+  }
+  return hasRole(roleForList(access, listId), 'editor') ? List.findById(listId) : null;
+};
+
+// Markdown notes are stored sanitised; null or '' clears them
+const resolveNotes = async (notes) => {
+  if (notes !== null && notes !== undefined && typeof notes !== 'string') {
+    return { error: 'Notes must be a string' };
+  }
+  const { NOTES_MAX_LENGTH, sanitizeMarkdown } = await loadShared('markdown');
+  const clean = sanitizeMarkdown(notes);
+  if (clean.length > NOTES_MAX_LENGTH) {
+    return { error: `Notes cannot exceed ${NOTES_MAX_LENGTH} characters` };
+  }
+  return { notes: clean };
+};
+
+// An assignee id from a request body, for a task as it will be saved
+// (`{ list, user }`); null or '' unassigns. Returns { error } or { assignee }.
+const resolveAssignee = async (task, assignee) => {
+  if (assignee === null || assignee === '') return { assignee: null };
+  if (!mongoose.isValidObjectId(assignee)) {
+    return { error: 'Invalid assignee' };
+  }
+  if (!await isAssignable(task, assignee)) {
+    return { error: 'Tasks can only be assigned to people the list is shared with' };
+  }
+  return { assignee };
+};
+
+// The `assignee` query filter: "me", "none" or a user id. Returns the value
+// to match, or undefined when it's invalid.
+const assigneeFilter = (assignee, userId) => {
+  if (assignee === 'me') return userId;
+  if (assignee === 'none') return null;
+  return mongoose.isValidObjectId(assignee) ? assignee : undefined;
+};
+const ASSIGNEE_FILTER_ERROR = 'Invalid assignee. Use me, none or a user ID';
+
+const isValidPriority = (priority) => Task.PRIORITY_LEVELS.includes(priority);
+const PRIORITY_ERROR = `Priority must be one of: ${Task.PRIORITY_LEVELS.join(', ')}`;
+
+// Build the dueAt part of a task query from GET filters.
+// Returns an error message, or null once the query has been updated.
+const applyDueFilters = (query, { due, dueFrom, dueTo, tz }) => {
+  const now = new Date();
+
+  switch (due) {
+    case undefined:
+      break;
+    case 'overdue':
+      query.completed = false;
+      query.$or = [
+        { allDay: false, dueAt: { $lte: now } },
+        { allDay: true, dueAt: { $lt: getDayRange(now, tz).start } }
+      ];
+      break;
+    case 'today': {
+      const { start, end } = getDayRange(now, tz);
+      query.dueAt = { $gte: start, $lt: end };
+      break;
+    }
+    case 'week': {
+      const { start, end } = getWeekRange(now, tz);
+      query.dueAt = { $gte: start, $lt: end };
+      break;
+    }
+    case 'none':
+      query.dueAt = null;
+      break;
+    default:
+      return 'Invalid due filter. Use overdue, today, week or none';
+  }
+
+  if (dueFrom !== undefined || dueTo !== undefined) {
+    const range = query.dueAt || {};
+
+    if (dueFrom !== undefined) {
+      const from = parseDueInput(dueFrom, tz);
+      if (!from) return 'Invalid dueFrom date';
+      range.$gte = from.dueAt;
+    }
+
+    if (dueTo !== undefined) {
+      const to = parseDueInput(dueTo, tz);
+      if (!to) return 'Invalid dueTo date';
+      // A date-only upper bound includes the whole day
+      range.$lt = to.allDay ? addDays(to.dueAt, 1, tz) : to.dueAt;
     }
 
+    query.dueAt = range;
+  }
+
+  return null;
+};
+
+// Turn a quick-add line ("Pay rent tomorrow 9am #home !high") into a create
+// body. Fields sent alongside it win over parsed ones, and `ignore` lists
+// the start offsets of tokens to keep as title text. Returns { error } or
+// { body, tokens }.
+const applyQuickAdd = async (body) => {
+  const { title, timezone = 'UTC', ignore = [], ...rest } = body;
+
+  if (typeof title !== 'string') {
+    return { error: 'Task title is required' };
+  }
+  if (!isValidTimeZone(timezone)) {
+    return { error: 'Invalid timezone' };
+  }
+  if (!Array.isArray(ignore) || !ignore.every(Number.isInteger)) {
+    return { error: 'ignore must be an array of token offsets' };
+  }
+
+  // Relative dates ("tomorrow", "friday") are read in the user's timezone
+  const { year, month, day } = getZonedParts(new Date(), timezone);
+  const today = [year, month, day].map(n => String(n).padStart(2, '0')).join('-');
+
+  // The parser is shared with the app's live preview
+  const { parseQuickAdd } = await loadShared('quickAdd');
+  const parsed = parseQuickAdd(title, { today, ignore });
+
+  const merged = { ...parsed.fields, ...rest, title: parsed.title, timezone };
+  if (parsed.fields.tags && Array.isArray(rest.tags)) {
+    merged.tags = [...parsed.fields.tags, ...rest.tags];
+  }
+  return { body: merged, tokens: parsed.tokens };
+};
+
+// The create, update and trash logic below is shared by the single-task
+// routes and the batch endpoint. They act for `access` (see
+// middleware/taskAccess), so shared lists are respected. Each resolves to
+// { error, status } when the request is rejected; model errors (validation,
+// bad ids) are thrown.
+// `ifMatch` is a list of acceptable versions (see utils/etag), or null.
+// `force` completes a task even while tasks blocking it are still open.
+
+// A conditional write matched nothing: 412 with the current copy if the task
+// still exists (someone else changed it), otherwise 404
+const staleOrMissing = async (access, taskId) => {
+  const current = await Task.findOne(scopeTasks(access, { _id: taskId })).withDetails();
+  return current
+    ? { error: 'This task has been changed since you loaded it', status: 412, task: current }
+    : { error: 'Task not found', status: 404 };
+};
+
+// Create a task from a request body. Resolves to { task }.
+const createTask = async (access, body) => {
+  const { userId } = access;
+  const {
+    title,
+    notes,
+    dueAt,
+    timezone,
+    priority,
+    completeWithSubtasks,
+    tags = [],
+    list: listId,
+    assignee,
+    recurrence
+  } = body;
+
+  // Validation
+  if (!title || typeof title !== 'string' || title.trim().length === 0) {
+    return { error: 'Task title is required', status: 400 };
+  }
+
+  if (title.trim().length > 200) {
+    return { error: 'Task title cannot exceed 200 characters', status: 400 };
+  }
+
+  if (priority !== undefined && !isValidPriority(priority)) {
+    return { error: PRIORITY_ERROR, status: 400 };
+  }
+
+  const notesInput = await resolveNotes(notes);
+  if (notesInput.error) {
+    return { error: notesInput.error, status: 400 };
+  }
+
+  const due = resolveDueFields(dueAt, timezone);
+  if (due.error) {
+    return { error: due.error, status: 400 };
+  }
+
+  const tagInput = await resolveTagsInput(userId, tags);
+  if (tagInput.error) {
+    return { error: tagInput.error, status: 400 };
+  }
+
+  const list = await resolveList(access, listId);
+  if (!list) {
+    return { error: 'List not found', status: 400 };
+  }
+
+  const assigneeInput = assignee === undefined
+    ? { assignee: null }
+    : await resolveAssignee({ list: list._id, user: userId }, assignee);
+  if (assigneeInput.error) {
+    return { error: assigneeInput.error, status: 400 };
+  }
+
+  // Create task with user reference
+  const task = new Task({
+    title: title.trim(),
+    notes: notesInput.notes,
+    ...due.fields,
+    priority,
+    completeWithSubtasks: Boolean(completeWithSubtasks),
+    tags: tagInput.tagIds,
+    list: list._id,
+    assignee: assigneeInput.assignee,
+    rank: await Task.nextRank(Task.rankScope({ list: list._id, user: userId })),
+    user: userId
+  });
+
+  // Repeat with an RRULE such as "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR"
+  if (recurrence) {
+    task.setRecurrence(recurrence);
+  }
+
+  await task.save();
+  await TaskHistory.record({ task, user: userId });
+
+  // Populate user and tag info for the client
+  await task.populateDetails();
+
+  return { task };
+};
+
+// Apply a partial update. Resolves to { task, nextTask, removedTaskId }.
+const updateTask = async (access, taskId, body, { ifMatch = null, force = false } = {}) => {
+  const { userId } = access;
+  const {
+    title,
+    notes,
+    completed,
+    dueAt,
+    timezone,
+    priority,
+    completeWithSubtasks,
+    tags,
+    list: listId,
+    assignee,
+    recurrence
+  } = body;
+
+  // Check a new repeat rule up front so a bad one doesn't half-apply the update
+  if (recurrence) {
+    parseRule(recurrence);
+  }
+
+  // The current state, for the history record and to read wall-clock due dates
+  const found = await findTaskFor(access, taskId, 'editor');
+  if (found.error) {
+    return found;
+  }
+  const existing = found.task;
+  if (ifMatch && !ifMatch.includes(existing.version)) {
+    return staleOrMissing(access, taskId);
+  }
+  const before = TaskHistory.snapshot(existing);
+
+  // Build update object
+  const updateData = {};
+  if (title !== undefined) {
+    if (!title || typeof title !== 'string' || title.trim().length === 0) {
+      return { error: 'Task title cannot be empty', status: 400 };
+    }
     if (title.trim().length > 200) {
-      return res.status(400).json({
-        message: 'Task title cannot exceed 200 characters'
-      });
+      return { error: 'Task title cannot exceed 200 characters', status: 400 };
+    }
+    updateData.title = title.trim();
+  }
+
+  if (notes !== undefined) {
+    const notesInput = await resolveNotes(notes);
+    if (notesInput.error) {
+      return { error: notesInput.error, status: 400 };
+    }
+    updateData.notes = notesInput.notes;
+  }
+
+  if (completed !== undefined) {
+    updateData.completed = Boolean(completed);
+
+    // Finishing a task before the ones it waits on needs `force`
+    if (updateData.completed && !existing.completed && !force) {
+      const blockers = await existing.findOpenBlockers();
+      if (blockers.length > 0) {
+        return { error: Task.BLOCKED_MESSAGE, status: 409, blockers };
+      }
+    }
+  }
+
+  // Tags come from the task creator's tags, whoever is editing
+  if (tags !== undefined) {
+    const tagInput = await resolveTagsInput(existing.user, tags);
+    if (tagInput.error) {
+      return { error: tagInput.error, status: 400 };
+    }
+    updateData.tags = tagInput.tagIds;
+  }
+
+  // Move to another list (null moves back to the Inbox)
+  if (listId !== undefined) {
+    const list = await resolveList(access, listId);
+    if (!list) {
+      return { error: 'List not found', status: 400 };
+    }
+    updateData.list = list._id;
+    // It joins the end of its new list's manual order
+    if (!list._id.equals(existing.list)) {
+      updateData.rank = await Task.nextRank(Task.rankScope({ list: list._id }));
+    }
+  }
+
+  // Assign to someone the (possibly new) list is shared with. Moving a task
+  // to a list its assignee can't see unassigns it.
+  const target = { list: updateData.list || existing.list, user: existing.user };
+  if (assignee !== undefined) {
+    const assigneeInput = await resolveAssignee(target, assignee);
+    if (assigneeInput.error) {
+      return { error: assigneeInput.error, status: 400 };
+    }
+    updateData.assignee = assigneeInput.assignee;
+  } else if (updateData.list && existing.assignee && !await isAssignable(target, existing.assignee)) {
+    updateData.assignee = null;
+  }
+
+  if (completeWithSubtasks !== undefined) {
+    updateData.completeWithSubtasks = Boolean(completeWithSubtasks);
+  }
+
+  if (priority !== undefined) {
+    if (!isValidPriority(priority)) {
+      return { error: PRIORITY_ERROR, status: 400 };
+    }
+    updateData.priority = priority;
+  }
+
+  if (dueAt !== undefined || timezone !== undefined) {
+    // A wall-clock due date is read in the task's current timezone unless a new one is given
+    const zone = timezone === undefined && dueAt ? existing.timezone : timezone;
+
+    const due = resolveDueFields(dueAt, zone);
+    if (due.error) {
+      return { error: due.error, status: 400 };
+    }
+    Object.assign(updateData, due.fields);
+  }
+
+  // Find and update task (only while the user may still edit it, and it is
+  // still the version the client saw when the request is conditional)
+  const task = await Task.findOneAndUpdate(
+    scopeTasks(access, { _id: taskId, ...Task.versionFilter(ifMatch) }, 'editor'),
+    updateData,
+    { new: true, runValidators: true }
+  ).withDetails();
+
+  if (!task) {
+    return staleOrMissing(access, taskId);
+  }
+
+  // Start, change or stop repeating (null stops)
+  if (recurrence !== undefined) {
+    if (recurrence) {
+      task.setRecurrence(recurrence);
+      await task.save();
+    } else {
+      await task.stopRecurrence();
+    }
+  }
+
+  // Completing a recurring task creates the next occurrence; reopening it takes that back
+  const { nextTask, removedTaskId } = await task.settleCompletion(existing.completed);
+  if (nextTask) {
+    await TaskHistory.record({ task: nextTask, user: userId });
+    await nextTask.populateDetails();
+  }
+
+  await TaskHistory.record({ task, user: userId, before });
+
+  return { task, nextTask, removedTaskId };
+};
+
+// Move a task to the trash. Resolves to { task }.
+const trashTask = async (access, taskId, { ifMatch = null } = {}) => {
+  const found = await findTaskFor(access, taskId, 'editor');
+  if (found.error) {
+    return found;
+  }
+
+  const task = await Task.findOneAndUpdate(
+    scopeTasks(access, { _id: taskId, ...Task.versionFilter(ifMatch) }, 'editor'),
+    { deletedAt: new Date() },
+    { new: true }
+  );
+
+  if (!task) {
+    return staleOrMissing(access, taskId);
+  }
+
+  await TaskHistory.record({
+    task,
+    user: access.userId,
+    before: { ...TaskHistory.snapshot(task), deletedAt: null }
+  });
+  // Timers and focus sessions can't keep running on a task nobody can see,
+  // whoever started them
+  await TimeEntry.stopAllOn(task._id);
+  await FocusSession.stopAllOn(task._id);
+
+  return { task };
+};
+
+// Batch operations and the body fields each one takes
+const BATCH_OPERATIONS = {
+  create: ({ data }) => (data && typeof data === 'object' ? null : 'create needs a data object'),
+  update: ({ id, data }) => (id && data && typeof data === 'object' ? null : 'update needs an id and a data object'),
+  delete: ({ id }) => (id ? null : 'delete needs an id'),
+  move: ({ id, list }) => (id && list !== undefined ? null : 'move needs an id and a list')
+};
+const isValidVersion = (version) => version === undefined || (Number.isInteger(version) && version >= 0);
+const MAX_BATCH_SIZE = 100;
+
+// Carry a failed operation out of the transaction so it rolls back
+class BatchOperationError extends Error {
+  constructor(index, message, status = 400, task = undefined) {
+    super(message);
+    this.name = 'BatchOperationError';
+    this.index = index;
+    this.status = status;
+    this.task = task;
+  }
+}
+
+// Operations on existing tasks may carry the `version` they expect (like If-Match),
+// and `force: true` to complete tasks that are still blocked
+const runBatchOperation = async (access, operation) => {
+  const options = {
+    ifMatch: operation.version === undefined ? null : [operation.version],
+    force: operation.force === true
+  };
+
+  switch (operation.op) {
+    case 'create':
+      return createTask(access, operation.data);
+    case 'update':
+      return updateTask(access, operation.id, operation.data, options);
+    case 'move':
+      return updateTask(access, operation.id, { list: operation.list }, options);
+    case 'delete': {
+      const result = await trashTask(access, operation.id, options);
+      return result.error ? result : { taskId: result.task._id };
     }
+  }
+};
 
-    // Create task with user reference
-    const newTask = new Task({
-      title: title.trim(),
-      user: req.user._id
+// Model errors that mean the operation itself was bad, as a client message
+const describeOperationError = (error) => {
+  switch (error.name) {
+    case 'RecurrenceError':
+      return `Invalid recurrence rule: ${error.message}`;
+    case 'CastError':
+      return 'Invalid task or list ID';
+    case 'ValidationError':
+      return Object.values(error.errors).map(err => err.message).join(', ');
+    default:
+      return null;
+  }
+};
+
+// Respond to a rejected write; a 412 carries the current copy and its ETag,
+// a 409 the open tasks blocking completion
+const sendTaskError = (res, { error, status, task, blockers }) => {
+  if (task) {
+    return res.set('ETag', toETag(task)).status(status).json({
+      message: error,
+      task
     });
+  }
+  res.status(status).json({
+    message: error,
+    ...(blockers && { blockers })
+  });
+};
 
-    await newTask.save();
+// @route   POST /api/tasks
+// @desc    Create a new task. With ?parse=true the title is a quick-add
+//          line ("Pay rent tomorrow 9am #home !high every month")
+// @access  Private
+router.post('/', async (req, res) => {
+  try {
+    let body = req.body;
+    let tokens;
 
-    // Populate user info if needed (optional)
-    await newTask.populate('user', 'name email');
+    // ?parse=true reads dates, #tags, !priority and repeats out of the title
+    if (req.query.parse === 'true') {
+      const quickAdd = await applyQuickAdd(body || {});
+      if (quickAdd.error) {
+        return res.status(400).json({
+          message: quickAdd.error
+        });
+      }
+      ({ body, tokens } = quickAdd);
+    }
 
-    res.status(201).json({
+    const result = await createTask(req.access, body);
+    if (result.error) {
+      return sendTaskError(res, result);
+    }
+
+    res.set('ETag', toETag(result.task)).status(201).json({
       message: 'Task created successfully',
-      task: newTask
+      task: result.task,
+      ...(tokens && { parsed: tokens })
     });
   } catch (error) {
     console.error('Create task error:', error);
+
+    if (error.name === 'RecurrenceError') {
+      return res.status(400).json({
+        message: `Invalid recurrence rule: ${error.message}`
+      });
+    }
     
     if (error.name === 'ValidationError') {
       const messages = Object.values(error.errors).map(err => err.message);
@@ -58,97 +689,392 @@ router.post('/', async (req, res) => {
   }
 });
 
+// @route   POST /api/tasks/batch
+// @desc    Apply several create/update/delete/move operations atomically
+//          ({ operations: [{ op, id, data, list }] }); all succeed or none do
+// @access  Private
+router.post('/batch', async (req, res) => {
+  // Express leaves req.body undefined when the request has no JSON body
+  const { operations } = req.body ?? {};
+
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return res.status(400).json({
+      message: 'Operations must be a non-empty array'
+    });
+  }
+
+  if (operations.length > MAX_BATCH_SIZE) {
+    return res.status(400).json({
+      message: `A batch cannot have more than ${MAX_BATCH_SIZE} operations`
+    });
+  }
+
+  // Reject malformed operations before starting a transaction
+  const results = operations.map((operation, index) => {
+    const check = operation && BATCH_OPERATIONS[operation.op];
+    let error = check ? check(operation) : `Unknown operation. Use ${Object.keys(BATCH_OPERATIONS).join(', ')}`;
+    if (!error && !isValidVersion(operation.version)) {
+      error = 'version must be a non-negative integer';
+    }
+    return { index, op: operation && operation.op, status: error ? 'invalid' : 'pending', error: error || undefined };
+  });
+
+  if (results.some(result => result.status === 'invalid')) {
+    return res.status(400).json({
+      message: 'Some operations are invalid; nothing was applied',
+      results
+    });
+  }
+
+  try {
+    // Every query inside the callback joins the transaction (see server.js)
+    await Task.db.transaction(async () => {
+      for (const [index, operation] of operations.entries()) {
+        let outcome;
+        try {
+          outcome = await runBatchOperation(req.access, operation);
+        } catch (error) {
+          const message = describeOperationError(error);
+          if (!message) throw error;
+          throw new BatchOperationError(index, message);
+        }
+
+        if (outcome.error) {
+          throw new BatchOperationError(index, outcome.error, outcome.status, outcome.task);
+        }
+        results[index] = { index, op: operation.op, status: 'ok', ...outcome };
+      }
+    });
+
+    res.json({
+      message: `${operations.length} operations applied`,
+      results
+    });
+  } catch (error) {
+    if (error.name === 'BatchOperationError') {
+      return res.status(error.status).json({
+        message: `Operation ${error.index + 1} failed: ${error.message}. No changes were applied.`,
+        failedIndex: error.index,
+        results: operations.map((operation, index) => ({
+          index,
+          op: operation.op,
+          status: index < error.index ? 'rolled_back' : index === error.index ? 'failed' : 'skipped',
+          error: index === error.index ? error.message : undefined,
+          // For a version conflict, the current server copy
+          task: index === error.index ? error.task : undefined
+        }))
+      });
+    }
+
+    console.error('Batch tasks error:', error);
+
+    // Standalone servers have no transactions
+    if (error.code === 20 || /replica set/i.test(error.message)) {
+      return res.status(501).json({
+        message: 'Batch operations need MongoDB transactions (a replica set or mongos)'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error while applying batch operations'
+    });
+  }
+});
+
 // @route   GET /api/tasks
-// @desc    Get all tasks for the authenticated user
+// @desc    Get the tasks the user can see (their own and those in lists
+//          shared with them), a page at a time. Pass the
+//          returned pagination.nextCursor as `cursor` for the next page.
+//          `filter` takes the search-bar syntax (see utils/filterQuery).
 // @access  Private
 router.get('/', async (req, res) => {
   try {
-    const { completed, sort = '-createdAt', limit = 100, page = 1 } = req.query;
+    const {
+      completed,
+      due,
+      dueFrom,
+      dueTo,
+      tz = 'UTC',
+      tags,
+      tagMode = 'any',
+      list,
+      assignee,
+      sort = '-createdAt',
+      limit = 50,
+      cursor,
+      filter
+    } = req.query;
+
+    if (!isValidTimeZone(tz)) {
+      return res.status(400).json({
+        message: 'Invalid timezone'
+      });
+    }
+
+    const resolved = resolveSort(sort);
+    if (!resolved) {
+      return res.status(400).json({
+        message: `Invalid sort. Use smart, manual or a comma-separated list of: ${Object.keys(SORT_FIELDS).join(', ')}`
+      });
+    }
+    const sortSpec = withTieBreaker(resolved);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
     
-    // Build query for user's tasks only
-    const query = { user: req.user._id };
+    // Narrowed to the tasks the user can see just before running it
+    const query = {};
     
     // Filter by completion status if specified
     if (completed !== undefined) {
       query.completed = completed === 'true';
     }
 
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    // Filter by due date (overdue, today, this week or a date range)
+    const dueError = applyDueFilters(query, { due, dueFrom, dueTo, tz });
+    if (dueError) {
+      return res.status(400).json({
+        message: dueError
+      });
+    }
+
+    // Filter by list
+    if (list) {
+      query.list = list;
+    }
+
+    // Filter by assignee
+    if (assignee) {
+      const value = assigneeFilter(assignee, req.user._id);
+      if (value === undefined) {
+        return res.status(400).json({
+          message: ASSIGNEE_FILTER_ERROR
+        });
+      }
+      query.assignee = value;
+    }
+
+    // Filter by tags: "any" matches one of them, "all" requires every one
+    if (tags) {
+      if (!['any', 'all'].includes(tagMode)) {
+        return res.status(400).json({
+          message: 'Invalid tagMode. Use any or all'
+        });
+      }
+
+      const requested = [...new Set(String(tags).split(',').map(tag => tag.trim()).filter(Boolean))];
+      const tagIds = await Tag.resolveForUser(req.user._id, requested);
+
+      if (tagMode === 'all') {
+        // A tag the user doesn't have can never be matched
+        query.tags = tagIds.length === requested.length ? { $all: tagIds } : { $in: [] };
+      } else {
+        query.tags = { $in: tagIds };
+      }
+    }
+
+    // Filter syntax from the search bar, e.g. "status:open priority:>=high"
+    if (typeof filter === 'string' && filter.trim()) {
+      const conditions = await buildFilterQuery(filter, { userId: req.user._id, workspace: req.workspace, tz });
+      if (conditions.length) {
+        query.$and = [...(query.$and || []), ...conditions];
+      }
+    }
+
+    // Tasks from before manual ordering get a rank the first time it's used
+    if (sort === 'manual') {
+      await Task.ensureRanks(scopeTasks(req.access, {}));
+    }
+
+    // Continue after the last task of the previous page
+    if (cursor) {
+      const after = cursorFilter(sortSpec, decodeCursor(cursor, sort, sortSpec));
+      query.$and = [...(query.$and || []), after];
+    }
 
-    // Get tasks with pagination and sorting
-    const tasks = await Task.find(query)
-      .sort(sort)
-      .limit(parseInt(limit))
-      .skip(skip)
-      .populate('user', 'name email');
+    // One extra task tells us whether there is another page
+    const tasks = await Task.find(scopeTasks(req.access, query))
+      .sort(sortSpec)
+      .limit(pageSize + 1)
+      .withDetails();
 
-    // Get total count for pagination info
-    const total = await Task.countDocuments(query);
+    const hasMore = tasks.length > pageSize;
+    if (hasMore) tasks.pop();
 
     res.json({
       tasks,
       pagination: {
-        total,
-        page: parseInt(page),
-        pages: Math.ceil(total / parseInt(limit)),
-        limit: parseInt(limit)
+        limit: pageSize,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(sort, sortSpec, tasks[tasks.length - 1]) : null
       }
     });
   } catch (error) {
     console.error('Get tasks error:', error);
+
+    if (error.name === 'CursorError') {
+      return res.status(400).json({
+        message: error.message
+      });
+    }
+
+    if (error.name === 'FilterParseError') {
+      return res.status(400).json({
+        message: error.message,
+        position: error.position
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid ID in task filters'
+      });
+    }
+
     res.status(500).json({
       message: 'Server error while fetching tasks'
     });
   }
 });
 
-// @route   PUT /api/tasks/:id
-// @desc    Update a task
+// @route   GET /api/tasks/search?q=
+// @desc    Full-text search over titles and notes, best matches first,
+//          with highlight ranges ([start, end) character offsets)
 // @access  Private
-router.put('/:id', async (req, res) => {
+router.get('/search', async (req, res) => {
   try {
-    const { title, completed } = req.body;
-    
-    // Build update object
-    const updateData = {};
-    if (title !== undefined) {
-      if (!title || title.trim().length === 0) {
-        return res.status(400).json({
-          message: 'Task title cannot be empty'
-        });
-      }
-      if (title.trim().length > 200) {
+    const { q, completed, list, assignee, limit = 20, page = 1 } = req.query;
+
+    const search = typeof q === 'string' ? q.trim() : '';
+    if (!search) {
+      return res.status(400).json({
+        message: 'Search query (q) is required'
+      });
+    }
+
+    if (search.length > 200) {
+      return res.status(400).json({
+        message: 'Search query cannot exceed 200 characters'
+      });
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+    const filters = { $text: { $search: search } };
+    if (completed !== undefined) {
+      filters.completed = completed === 'true';
+    }
+    if (list) {
+      filters.list = list;
+    }
+    if (assignee) {
+      filters.assignee = assigneeFilter(assignee, req.user._id);
+      if (filters.assignee === undefined) {
         return res.status(400).json({
-          message: 'Task title cannot exceed 200 characters'
+          message: ASSIGNEE_FILTER_ERROR
         });
       }
-      updateData.title = title.trim();
     }
-    
-    if (completed !== undefined) {
-      updateData.completed = Boolean(completed);
+    const query = scopeTasks(req.access, filters);
+
+    const [tasks, total] = await Promise.all([
+      Task.find(query, { score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' }, _id: 1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .withDetails(),
+      Task.countDocuments(query)
+    ]);
+
+    const terms = parseSearchTerms(search);
+
+    res.json({
+      tasks: tasks.map(task => {
+        const notesRanges = findMatchRanges(task.notes, terms);
+        return {
+          ...task.toJSON(),
+          score: task.get('score'),
+          highlights: {
+            title: findMatchRanges(task.title, terms),
+            notes: notesRanges,
+            notesSnippet: buildSnippet(task.notes, notesRanges)
+          }
+        };
+      }),
+      pagination: {
+        total,
+        page: pageNumber,
+        pages: Math.ceil(total / pageSize),
+        limit: pageSize
+      }
+    });
+  } catch (error) {
+    console.error('Search tasks error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid ID in search filters'
+      });
     }
 
-    // Find and update task (only if it belongs to the user)
-    const updatedTask = await Task.findOneAndUpdate(
-      { _id: req.params.id, user: req.user._id },
-      updateData,
-      { new: true, runValidators: true }
-    ).populate('user', 'name email');
+    res.status(500).json({
+      message: 'Server error while searching tasks'
+    });
+  }
+});
 
-    if (!updatedTask) {
-      return res.status(404).json({
-        message: 'Task not found'
+// @route   GET /api/tasks/:id
+// @desc    Get a single task, with its version as the ETag
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const task = await req.task.populateDetails();
+
+    res.set('ETag', toETag(task)).json({
+      task
+    });
+  } catch (error) {
+    console.error('Get task error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid task ID'
       });
     }
 
-    res.json({
+    res.status(500).json({
+      message: 'Server error while fetching task'
+    });
+  }
+});
+
+// @route   PUT /api/tasks/:id
+// @desc    Update a task (send If-Match with the task's ETag to reject stale edits;
+//          ?force=true completes it even while its blockers are open)
+// @access  Private
+router.put('/:id', async (req, res) => {
+  try {
+    const result = await updateTask(req.access, req.params.id, req.body, {
+      ifMatch: parseIfMatch(req.get('If-Match')),
+      force: req.query.force === 'true'
+    });
+    if (result.error) {
+      return sendTaskError(res, result);
+    }
+
+    res.set('ETag', toETag(result.task)).json({
       message: 'Task updated successfully',
-      task: updatedTask
+      task: result.task,
+      nextTask: result.nextTask,
+      removedTaskId: result.removedTaskId
     });
   } catch (error) {
     console.error('Update task error:', error);
+
+    if (error.name === 'RecurrenceError') {
+      return res.status(400).json({
+        message: `Invalid recurrence rule: ${error.message}`
+      });
+    }
     
     if (error.name === 'CastError') {
       return res.status(400).json({
@@ -170,25 +1096,89 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-// @route   DELETE /api/tasks/:id
-// @desc    Delete a task
+// @route   POST /api/tasks/:id/reorder
+// @desc    Move a task in its list's manual order, next to a neighbour from the
+//          client's view in the same list ({ after: taskId } or { before: taskId })
 // @access  Private
-router.delete('/:id', async (req, res) => {
+router.post('/:id/reorder', async (req, res) => {
   try {
-    const deletedTask = await Task.findOneAndDelete({
-      _id: req.params.id,
-      user: req.user._id
+    const { after, before } = req.body;
+    const anchorId = after || before;
+
+    if (!anchorId) {
+      return res.status(400).json({
+        message: 'Provide the task to place this one after or before'
+      });
+    }
+
+    if (String(anchorId) === req.params.id) {
+      return res.status(400).json({
+        message: 'A task cannot be placed next to itself'
+      });
+    }
+
+    const { task } = req;
+    const found = await Task.findOne(scopeTasks(req.access, { _id: anchorId })).select('list user');
+
+    if (!found) {
+      return res.status(400).json({
+        message: 'Neighbouring task not found'
+      });
+    }
+
+    // Each list has its own order, so a task only moves among its list's tasks
+    if (!Task.sharesRankScope(task, found)) {
+      return res.status(400).json({
+        message: 'A task can only be placed next to a task in the same list'
+      });
+    }
+
+    // The list may still hold tasks from before manual ordering
+    await Task.ensureRanks(Task.rankScope(found));
+    const anchor = await Task.findById(found._id).select('rank list user');
+
+    // Placing relative to the anchor on the server (rather than trusting both
+    // neighbours) keeps the move correct even if the client's view is stale
+    const previous = TaskHistory.snapshot(task);
+    await task.placeNextTo(anchor, after ? 'after' : 'before');
+    await TaskHistory.record({ task, user: req.user._id, before: previous });
+    await task.populateDetails();
+
+    res.json({
+      message: 'Task moved',
+      task
     });
+  } catch (error) {
+    console.error('Reorder task error:', error);
 
-    if (!deletedTask) {
-      return res.status(404).json({
-        message: 'Task not found'
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid task ID'
       });
     }
 
+    res.status(500).json({
+      message: 'Server error while moving task'
+    });
+  }
+});
+
+// @route   DELETE /api/tasks/:id
+// @desc    Move a task to the trash (see /api/trash to restore or purge it);
+//          honours If-Match like PUT
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await trashTask(req.access, req.params.id, {
+      ifMatch: parseIfMatch(req.get('If-Match'))
+    });
+    if (result.error) {
+      return sendTaskError(res, result);
+    }
+
     res.json({
-      message: 'Task deleted successfully',
-      task: deletedTask
+      message: 'Task moved to trash',
+      task: result.task
     });
   } catch (error) {
     console.error('Delete task error:', error);
@@ -205,4 +1195,39 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// @route   DELETE /api/tasks
+// @desc    Move all completed tasks the user can edit to the trash
+// @access  Private
+router.delete('/', async (req, res) => {
+  try {
+    const tasks = await Task.find(scopeTasks(req.access, { completed: true }, 'editor'));
+    const ids = tasks.map(task => task._id);
+    const deletedAt = new Date();
+
+    const result = await Task.updateMany(
+      { _id: { $in: ids } },
+      { deletedAt }
+    );
+
+    await Promise.all(tasks.map(task => {
+      const before = TaskHistory.snapshot(task);
+      task.deletedAt = deletedAt;
+      return TaskHistory.record({ task, user: req.user._id, before });
+    }));
+    // As with trashing one task, nothing keeps running on them
+    await TimeEntry.stopAllOn({ $in: ids });
+    await FocusSession.stopAllOn({ $in: ids });
+
+    res.json({
+      message: `${result.modifiedCount} completed tasks moved to trash`,
+      deletedCount: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Delete completed tasks error:', error);
+    res.status(500).json({
+      message: 'Server error while deleting completed tasks'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -203,14 +203,15 @@ router.put('/:id', async (req, res) => {
 });
 
 // @route   DELETE /api/tasks/:id
-// @desc    Delete a task
+// @desc    Move a task to the trash
 // @access  Private
 router.delete('/:id', async (req, res) => {
   try {
-    const deletedTask = await Task.findOneAndDelete({
-      _id: req.params.id,
-      user: req.user._id
-    });
+    const deletedTask = await Task.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { deletedAt: new Date() },
+      { new: true }
+    );
 
     if (!deletedTask) {
       return res.status(404).json({
@@ -219,7 +220,7 @@ router.delete('/:id', async (req, res) => {
     }
 
     res.json({
-      message: 'Task deleted successfully',
+      message: 'Task moved to trash',
       task: deletedTask
     });
   } catch (error) {
@@ -238,18 +239,18 @@ router.delete('/:id', async (req, res) => {
 });
 
 // @route   DELETE /api/tasks
-// @desc    Delete all completed tasks for user
+// @desc    Move all completed tasks for user to the trash
 // @access  Private
 router.delete('/', async (req, res) => {
   try {
-    const result = await Task.deleteMany({
-      user: req.user._id,
-      completed: true
-    });
+    const result = await Task.updateMany(
+      { user: req.user._id, completed: true },
+      { deletedAt: new Date() }
+    );
 
     res.json({
-      message: `${result.deletedCount} completed tasks deleted successfully`,
-      deletedCount: result.deletedCount
+      message: `${result.modifiedCount} completed tasks moved to trash`,
+      deletedCount: result.modifiedCount
     });
   } catch (error) {
     console.error('Delete completed tasks error:', error);
@@ -0,0 +1,237 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const TimeEntry = require('../models/TimeEntry');
+
+// Mounted under /api/tasks/:id/time, behind the task router's auth and
+// access checks: req.task is the task, and the user's role on it
+// (req.taskRole) is enough for the request method
+
+const findEntry = (req, task) => TimeEntry.findOne({
+  _id: req.params.entryId,
+  task: task._id,
+  user: req.user._id
+});
+
+// Dates arrive as ISO strings; anything unparseable is rejected
+const parseTime = (value) => {
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const handleTimeEntryError = (res, error, action) => {
+  console.error(`Error ${action} time entry:`, error);
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      message: 'Invalid task or time entry ID'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: messages
+    });
+  }
+
+  // Lost a race with another request starting a timer
+  if (error.code === 11000) {
+    return res.status(409).json({
+      message: 'Another timer is already running'
+    });
+  }
+
+  res.status(500).json({
+    message: `Server error while ${action} time entry`
+  });
+};
+
+// @route   GET /api/tasks/:id/time
+// @desc    Get a task's time entries, newest first, with the total tracked
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { task } = req;
+
+    const entries = await TimeEntry.find({ task: task._id, user: req.user._id })
+      .sort({ startedAt: -1 });
+
+    res.json({
+      entries,
+      totalMs: entries.reduce((sum, entry) => sum + entry.duration, 0)
+    });
+  } catch (error) {
+    handleTimeEntryError(res, error, 'fetching');
+  }
+});
+
+// @route   POST /api/tasks/:id/time/start
+// @desc    Start a timer on the task. Any timer already running (on this
+//          or another task) is stopped first and returned as `stopped`.
+// @access  Private
+router.post('/start', async (req, res) => {
+  try {
+    const { task } = req;
+
+    const now = new Date();
+    const stopped = await TimeEntry.stopRunning(req.user._id, { at: now });
+    const entry = await TimeEntry.create({
+      task: task._id,
+      user: req.user._id,
+      startedAt: now
+    });
+
+    res.status(201).json({
+      message: 'Timer started',
+      entry: { ...entry.toJSON(), task: { _id: task._id, title: task.title } },
+      stopped
+    });
+  } catch (error) {
+    handleTimeEntryError(res, error, 'starting');
+  }
+});
+
+// @route   POST /api/tasks/:id/time/stop
+// @desc    Stop the timer running on the task
+// @access  Private
+router.post('/stop', async (req, res) => {
+  try {
+    const { task } = req;
+
+    const entry = await TimeEntry.stopRunning(req.user._id, { task: task._id });
+
+    if (!entry) {
+      return res.status(404).json({
+        message: 'No timer is running for this task'
+      });
+    }
+
+    res.json({
+      message: 'Timer stopped',
+      entry
+    });
+  } catch (error) {
+    handleTimeEntryError(res, error, 'stopping');
+  }
+});
+
+// @route   POST /api/tasks/:id/time
+// @desc    Log time by hand ({ startedAt, endedAt, note })
+// @access  Private
+router.post('/', async (req, res) => {
+  try {
+    const startedAt = parseTime(req.body.startedAt);
+    const endedAt = parseTime(req.body.endedAt);
+
+    if (!startedAt || !endedAt) {
+      return res.status(400).json({
+        message: 'startedAt and endedAt must be valid dates'
+      });
+    }
+
+    if (endedAt > new Date()) {
+      return res.status(400).json({
+        message: 'Time entries cannot end in the future'
+      });
+    }
+
+    const { task } = req;
+
+    const entry = await TimeEntry.create({
+      task: task._id,
+      user: req.user._id,
+      startedAt,
+      endedAt,
+      note: req.body.note
+    });
+
+    res.status(201).json({
+      message: 'Time entry added successfully',
+      entry
+    });
+  } catch (error) {
+    handleTimeEntryError(res, error, 'adding');
+  }
+});
+
+// @route   PUT /api/tasks/:id/time/:entryId
+// @desc    Correct a time entry's start, end or note. A running entry can
+//          have its start moved; giving it an end stops it.
+// @access  Private
+router.put('/:entryId', async (req, res) => {
+  try {
+    const { startedAt, endedAt, note } = req.body;
+    const { task } = req;
+
+    const entry = await findEntry(req, task);
+
+    if (!entry) {
+      return res.status(404).json({
+        message: 'Time entry not found'
+      });
+    }
+
+    const now = new Date();
+
+    if (startedAt !== undefined) {
+      const start = parseTime(startedAt);
+      if (!start || start > now) {
+        return res.status(400).json({
+          message: 'startedAt must be a valid date that is not in the future'
+        });
+      }
+      entry.startedAt = start;
+    }
+
+    if (endedAt !== undefined) {
+      const end = parseTime(endedAt);
+      if (!end || end > now) {
+        return res.status(400).json({
+          message: 'endedAt must be a valid date that is not in the future'
+        });
+      }
+      entry.endedAt = end;
+    }
+
+    if (note !== undefined) entry.note = note;
+
+    await entry.save();
+
+    res.json({
+      message: 'Time entry updated successfully',
+      entry
+    });
+  } catch (error) {
+    handleTimeEntryError(res, error, 'updating');
+  }
+});
+
+// @route   DELETE /api/tasks/:id/time/:entryId
+// @desc    Delete a time entry (a running one simply stops counting)
+// @access  Private
+router.delete('/:entryId', async (req, res) => {
+  try {
+    const { task } = req;
+
+    const entry = await findEntry(req, task);
+
+    if (!entry) {
+      return res.status(404).json({
+        message: 'Time entry not found'
+      });
+    }
+
+    await entry.deleteOne();
+
+    res.json({
+      message: 'Time entry deleted successfully',
+      entry
+    });
+  } catch (error) {
+    handleTimeEntryError(res, error, 'deleting');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const TimeEntry = require('../models/TimeEntry');
+const auth = require('../middleware/auth');
+
+// The user's running timer, wherever it was started. Per-task entries live
+// under /api/tasks/:id/time.
+
+// Apply auth middleware to all routes
+router.use(auth);
+
+const handleTimerError = (res, error, action) => {
+  console.error(`Error ${action} timer:`, error);
+
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: messages
+    });
+  }
+
+  res.status(500).json({
+    message: `Server error while ${action} timer`
+  });
+};
+
+// @route   GET /api/time/running
+// @desc    Get the running timer with its task's title, or null
+// @access  Private
+router.get('/running', async (req, res) => {
+  try {
+    const entry = await TimeEntry.findRunning(req.user._id)
+      .populate({ path: 'task', select: 'title', options: { withDeleted: true } });
+
+    res.json({
+      entry
+    });
+  } catch (error) {
+    handleTimerError(res, error, 'fetching');
+  }
+});
+
+// @route   POST /api/time/stop
+// @desc    Stop the running timer, whichever task it is on
+// @access  Private
+router.post('/stop', async (req, res) => {
+  try {
+    const entry = await TimeEntry.stopRunning(req.user._id);
+
+    if (!entry) {
+      return res.status(404).json({
+        message: 'No timer is running'
+      });
+    }
+
+    res.json({
+      message: 'Timer stopped',
+      entry
+    });
+  } catch (error) {
+    handleTimerError(res, error, 'stopping');
+  }
+});
+
+module.exports = router;
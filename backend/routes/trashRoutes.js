@@ -0,0 +1,160 @@
+const express = require('express');
+const router = express.Router();
+const Task = require('../models/Task');
+const TaskHistory = require('../models/TaskHistory');
+const List = require('../models/List');
+const auth = require('../middleware/auth');
+const { resolveWorkspace } = require('../middleware/workspace');
+const { loadTaskAccess, scopeTasks, isAssignable } = require('../middleware/taskAccess');
+const { getRetentionDays, getPurgeDate } = require('../utils/trash');
+
+// Apply auth middleware to all routes, and work in the active workspace
+router.use(auth);
+router.use(resolveWorkspace);
+
+// The trash holds the tasks the user could edit before they were deleted:
+// their own, and those in lists shared with them as an editor or owner (in
+// a workspace, those in its lists)
+router.use(loadTaskAccess);
+
+const TRASHED = { $ne: null };
+
+const handleTrashError = (res, error, action) => {
+  console.error(`Error ${action} trash:`, error);
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      message: 'Invalid task ID'
+    });
+  }
+
+  res.status(500).json({
+    message: `Server error while ${action} trash`
+  });
+};
+
+// Add the date each task will be purged automatically
+const withPurgeDate = (task) => ({
+  ...task.toJSON(),
+  purgeAt: getPurgeDate(task.deletedAt)
+});
+
+// @route   GET /api/trash
+// @desc    Get the trashed tasks the user can edit, most recently deleted first
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { limit = 100, page = 1 } = req.query;
+    const query = scopeTasks(req.access, { deletedAt: TRASHED }, 'editor');
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 100, 1), 200);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const skip = (pageNumber - 1) * pageSize;
+
+    const [tasks, total] = await Promise.all([
+      Task.find(query)
+        .sort({ deletedAt: -1 })
+        .limit(pageSize)
+        .skip(skip)
+        .withDetails(),
+      Task.countDocuments(query)
+    ]);
+
+    res.json({
+      tasks: tasks.map(withPurgeDate),
+      retentionDays: getRetentionDays(),
+      pagination: {
+        total,
+        page: pageNumber,
+        pages: Math.ceil(total / pageSize),
+        limit: pageSize
+      }
+    });
+  } catch (error) {
+    handleTrashError(res, error, 'fetching');
+  }
+});
+
+// @route   POST /api/trash/:id/restore
+// @desc    Restore a trashed task (to the Inbox if its list is gone)
+// @access  Private
+router.post('/:id/restore', async (req, res) => {
+  try {
+    const task = await Task.findOne(scopeTasks(req.access, {
+      _id: req.params.id,
+      deletedAt: TRASHED
+    }, 'editor'));
+
+    if (!task) {
+      return res.status(404).json({
+        message: 'Task not found in trash'
+      });
+    }
+
+    const before = TaskHistory.snapshot(task);
+
+    const listExists = task.list && await List.exists({ _id: task.list });
+    if (!listExists) {
+      const inbox = await List.getInbox(req.user._id);
+      task.list = inbox._id;
+      task.rank = await Task.nextRank(Task.rankScope({ list: inbox._id }));
+      // Nobody else can see the Inbox
+      if (task.assignee && !await isAssignable(task, task.assignee)) {
+        task.assignee = null;
+      }
+    }
+
+    task.deletedAt = null;
+    await task.save();
+    await TaskHistory.record({ task, user: req.user._id, before });
+    await task.populateDetails();
+
+    res.json({
+      message: 'Task restored',
+      task
+    });
+  } catch (error) {
+    handleTrashError(res, error, 'restoring from');
+  }
+});
+
+// @route   DELETE /api/trash/:id
+// @desc    Permanently delete one trashed task
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const deletedCount = await Task.purgeTrashed(scopeTasks(req.access, {
+      _id: req.params.id
+    }, 'editor'));
+
+    if (deletedCount === 0) {
+      return res.status(404).json({
+        message: 'Task not found in trash'
+      });
+    }
+
+    res.json({
+      message: 'Task permanently deleted'
+    });
+  } catch (error) {
+    handleTrashError(res, error, 'deleting from');
+  }
+});
+
+// @route   DELETE /api/trash
+// @desc    Empty the trash
+// @access  Private
+router.delete('/', async (req, res) => {
+  try {
+    const deletedCount = await Task.purgeTrashed(scopeTasks(req.access, {}, 'editor'));
+
+    res.json({
+      message: `${deletedCount} task${deletedCount !== 1 ? 's' : ''} permanently deleted`,
+      deletedCount
+    });
+  } catch (error) {
+    handleTrashError(res, error, 'emptying');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,252 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const Workspace = require('../models/Workspace');
+const List = require('../models/List');
+const User = require('../models/User');
+const { releaseListTasks } = require('../middleware/taskAccess');
+
+// Mounted under /api/workspaces/:id/members, behind the workspace router's
+// auth. Admins and owners manage who belongs to a workspace; only owners can
+// make (or unmake) other owners, and the last owner can't go.
+
+const MEMBER_POPULATE = { path: 'members.user', select: 'name email' };
+
+// The workspace, if the user belongs to it with at least `required` role.
+// Resolves to { workspace, role } or { error, status }.
+const findWorkspace = async (req, required = 'admin') => {
+  const workspace = await Workspace.findOne({ _id: req.params.id, ...Workspace.forUser(req.user._id) });
+  if (!workspace) {
+    return { error: 'Workspace not found', status: 404 };
+  }
+
+  const role = workspace.roleOf(req.user._id);
+  if (Workspace.ROLES.indexOf(role) < Workspace.ROLES.indexOf(required)) {
+    return { error: 'Only the workspace\'s admins and owners can change its members', status: 403 };
+  }
+  return { workspace, role };
+};
+
+const isValidRole = (role) => Workspace.ROLES.includes(role);
+const ROLE_ERROR = `Role must be one of: ${Workspace.ROLES.join(', ')}`;
+const OWNERS_ONLY = 'Only owners can make or change other owners';
+
+const ownerCount = (workspace) => workspace.members.filter(member => member.role === 'owner').length;
+
+const handleMemberError = (res, error, action) => {
+  console.error(`Error ${action} workspace member:`, error);
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      message: 'Invalid workspace or user ID'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: messages
+    });
+  }
+
+  res.status(500).json({
+    message: `Server error while ${action} workspace member`
+  });
+};
+
+// @route   GET /api/workspaces/:id/members
+// @desc    Get the workspace's members and their roles
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { workspace, error, status } = await findWorkspace(req, 'member');
+
+    if (error) {
+      return res.status(status).json({
+        message: error
+      });
+    }
+
+    await workspace.populate(MEMBER_POPULATE);
+
+    res.json({
+      members: workspace.members
+    });
+  } catch (error) {
+    handleMemberError(res, error, 'fetching');
+  }
+});
+
+// @route   POST /api/workspaces/:id/members
+// @desc    Add a registered user to the workspace ({ email, role })
+// @access  Private
+router.post('/', async (req, res) => {
+  try {
+    const { email, role = 'member' } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        message: 'Email is required'
+      });
+    }
+
+    if (!isValidRole(role)) {
+      return res.status(400).json({
+        message: ROLE_ERROR
+      });
+    }
+
+    const { workspace, role: myRole, error, status } = await findWorkspace(req);
+
+    if (error) {
+      return res.status(status).json({
+        message: error
+      });
+    }
+
+    if (role === 'owner' && myRole !== 'owner') {
+      return res.status(403).json({
+        message: OWNERS_ONLY
+      });
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+
+    if (!user) {
+      return res.status(404).json({
+        message: 'No registered user has that email'
+      });
+    }
+
+    if (workspace.roleOf(user._id)) {
+      return res.status(409).json({
+        message: `${user.name} is already in this workspace`
+      });
+    }
+
+    workspace.members.push({ user: user._id, role });
+    await workspace.save();
+    await workspace.populate(MEMBER_POPULATE);
+
+    res.status(201).json({
+      message: `${user.name} added to ${workspace.name}`,
+      members: workspace.members
+    });
+  } catch (error) {
+    handleMemberError(res, error, 'adding');
+  }
+});
+
+// @route   PUT /api/workspaces/:id/members/:userId
+// @desc    Change a member's role ({ role })
+// @access  Private
+router.put('/:userId', async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!isValidRole(role)) {
+      return res.status(400).json({
+        message: ROLE_ERROR
+      });
+    }
+
+    const { workspace, role: myRole, error, status } = await findWorkspace(req);
+
+    if (error) {
+      return res.status(status).json({
+        message: error
+      });
+    }
+
+    const member = workspace.members.find(entry => entry.user.equals(req.params.userId));
+
+    if (!member) {
+      return res.status(404).json({
+        message: 'Member not found'
+      });
+    }
+
+    if ((role === 'owner' || member.role === 'owner') && myRole !== 'owner') {
+      return res.status(403).json({
+        message: OWNERS_ONLY
+      });
+    }
+
+    if (member.role === 'owner' && role !== 'owner' && ownerCount(workspace) === 1) {
+      return res.status(400).json({
+        message: 'Make someone else an owner first'
+      });
+    }
+
+    member.role = role;
+    await workspace.save();
+    await workspace.populate(MEMBER_POPULATE);
+
+    res.json({
+      message: 'Role updated',
+      members: workspace.members
+    });
+  } catch (error) {
+    handleMemberError(res, error, 'updating');
+  }
+});
+
+// @route   DELETE /api/workspaces/:id/members/:userId
+// @desc    Remove a member (admins and owners), or leave the workspace (any member, for themselves)
+// @access  Private
+router.delete('/:userId', async (req, res) => {
+  try {
+    const leaving = req.user._id.equals(req.params.userId);
+    const { workspace, role: myRole, error, status } = await findWorkspace(req, leaving ? 'member' : 'admin');
+
+    if (error) {
+      return res.status(status).json({
+        message: error
+      });
+    }
+
+    const index = workspace.members.findIndex(entry => entry.user.equals(req.params.userId));
+
+    if (index === -1) {
+      return res.status(404).json({
+        message: 'Member not found'
+      });
+    }
+
+    const member = workspace.members[index];
+    if (member.role === 'owner') {
+      if (!leaving && myRole !== 'owner') {
+        return res.status(403).json({
+          message: OWNERS_ONLY
+        });
+      }
+      if (ownerCount(workspace) === 1) {
+        return res.status(400).json({
+          message: 'Make someone else an owner first'
+        });
+      }
+    }
+
+    workspace.members.splice(index, 1);
+    await workspace.save();
+
+    // Out of the workspace means out of every list in it: nothing of theirs
+    // keeps running on its tasks and nothing stays assigned to them
+    await List.updateMany({ workspace: workspace._id }, { $pull: { members: { user: member.user } } });
+    const lists = await List.find({ workspace: workspace._id });
+    for (const list of lists) {
+      await releaseListTasks(list, req.user._id);
+    }
+
+    await workspace.populate(MEMBER_POPULATE);
+
+    res.json({
+      message: leaving ? `You left ${workspace.name}` : 'Member removed',
+      members: workspace.members
+    });
+  } catch (error) {
+    handleMemberError(res, error, 'removing');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,177 @@
+const express = require('express');
+const router = express.Router();
+const Workspace = require('../models/Workspace');
+const List = require('../models/List');
+const auth = require('../middleware/auth');
+const workspaceMemberRoutes = require('./workspaceMemberRoutes');
+
+// Apply auth middleware to all routes
+router.use(auth);
+
+router.use('/:id/members', workspaceMemberRoutes);
+
+const SETTING_FIELDS = ['memberListRole'];
+
+// The workspace with its members' names and the user's role in it
+const toResponse = async (workspace, userId) => {
+  await workspace.populate('members.user', 'name email');
+  return { ...workspace.toJSON(), role: workspace.roleOf(userId) };
+};
+
+// A workspace the user belongs to with at least `required` role. Resolves to
+// { workspace } or { error, status }: 404 when they don't belong to it, 403
+// when their role is too weak.
+const findWorkspace = async (req, required = 'member') => {
+  const workspace = await Workspace.findOne({ _id: req.params.id, ...Workspace.forUser(req.user._id) });
+  if (!workspace) {
+    return { error: 'Workspace not found', status: 404 };
+  }
+
+  if (Workspace.ROLES.indexOf(workspace.roleOf(req.user._id)) < Workspace.ROLES.indexOf(required)) {
+    return { error: `Only the workspace's ${required}s can do that`, status: 403 };
+  }
+  return { workspace };
+};
+
+const handleWorkspaceError = (res, error, action) => {
+  console.error(`Error ${action} workspace:`, error);
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      message: 'Invalid workspace ID'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: messages
+    });
+  }
+
+  res.status(500).json({
+    message: `Server error while ${action} workspace`
+  });
+};
+
+// @route   GET /api/workspaces
+// @desc    Get the workspaces the user belongs to, with their role in each
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const workspaces = await Workspace.find(Workspace.forUser(req.user._id))
+      .sort({ name: 1 })
+      .populate('members.user', 'name email');
+
+    res.json({
+      workspaces: workspaces.map(workspace => ({
+        ...workspace.toJSON(),
+        role: workspace.roleOf(req.user._id)
+      }))
+    });
+  } catch (error) {
+    handleWorkspaceError(res, error, 'fetching');
+  }
+});
+
+// @route   POST /api/workspaces
+// @desc    Create a workspace ({ name }); the user becomes its owner
+// @access  Private
+router.post('/', async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+      return res.status(400).json({
+        message: 'Workspace name is required'
+      });
+    }
+
+    const workspace = await Workspace.create({
+      name: name.trim(),
+      user: req.user._id,
+      members: [{ user: req.user._id, role: 'owner' }]
+    });
+
+    res.status(201).json({
+      message: 'Workspace created successfully',
+      workspace: await toResponse(workspace, req.user._id)
+    });
+  } catch (error) {
+    handleWorkspaceError(res, error, 'creating');
+  }
+});
+
+// @route   PUT /api/workspaces/:id
+// @desc    Rename a workspace or change its settings ({ name, settings }); admins and owners
+// @access  Private
+router.put('/:id', async (req, res) => {
+  try {
+    const { name, settings = {} } = req.body;
+
+    const { workspace, error, status } = await findWorkspace(req, 'admin');
+
+    if (error) {
+      return res.status(status).json({
+        message: error
+      });
+    }
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || name.trim().length === 0) {
+        return res.status(400).json({
+          message: 'Workspace name cannot be empty'
+        });
+      }
+      workspace.name = name.trim();
+    }
+
+    SETTING_FIELDS.forEach(field => {
+      if (settings[field] !== undefined) workspace.settings[field] = settings[field];
+    });
+
+    await workspace.save();
+
+    res.json({
+      message: 'Workspace updated successfully',
+      workspace: await toResponse(workspace, req.user._id)
+    });
+  } catch (error) {
+    handleWorkspaceError(res, error, 'updating');
+  }
+});
+
+// @route   DELETE /api/workspaces/:id
+// @desc    Delete an empty workspace (owners only). Its lists have to be
+//          deleted or moved out first, so no one's tasks go with it.
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const { workspace, error, status } = await findWorkspace(req, 'owner');
+
+    if (error) {
+      return res.status(status).json({
+        message: error
+      });
+    }
+
+    const listCount = await List.countDocuments({ workspace: workspace._id });
+    if (listCount > 0) {
+      return res.status(409).json({
+        message: `Delete or move its ${listCount} list${listCount !== 1 ? 's' : ''} out of the workspace first`
+      });
+    }
+
+    await workspace.deleteOne();
+
+    res.json({
+      message: 'Workspace deleted successfully',
+      workspace
+    });
+  } catch (error) {
+    handleWorkspaceError(res, error, 'deleting');
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,15 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const taskRoutes = require('./routes/taskRoutes');
 const authRoutes = require('./routes/authRoutes');
+const tagRoutes = require('./routes/tagRoutes');
+const listRoutes = require('./routes/listRoutes');
+const trashRoutes = require('./routes/trashRoutes');
+const timeRoutes = require('./routes/timeRoutes');
+const reportRoutes = require('./routes/reportRoutes');
+const focusRoutes = require('./routes/focusRoutes');
+const workspaceRoutes = require('./routes/workspaceRoutes');
+const invitationRoutes = require('./routes/invitationRoutes');
+const { startTrashPurge } = require('./utils/trash');
 
 const app = express();
 
@@ -25,7 +34,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'If-Match', 'X-Workspace'],
+  exposedHeaders: ['ETag'],
   optionsSuccessStatus: 200 // For legacy browser support
 }));
 // Security and parsing middleware
@@ -90,11 +100,16 @@ if (process.env.NODE_ENV === 'production') {
 // ✅ Use environment variables
 const MONGO_URI = process.env.MONGO_URI;
 
+// Queries inside connection.transaction() pick up its session automatically
+// (used by the batch task endpoint)
+mongoose.set('transactionAsyncLocalStorage', true);
+
 // Enhanced MongoDB connection with better error handling
 mongoose.connect(MONGO_URI)
   .then(() => {
     console.log('✅ MongoDB connected successfully');
     console.log('📊 Database:', mongoose.connection.db.databaseName);
+    startTrashPurge();
   })
   .catch(err => {
     console.error('❌ MongoDB connection error:', err);
@@ -131,6 +146,14 @@ app.get('/api/health', (req, res) => {
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/tasks', taskRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/lists', listRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/time', timeRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/focus', focusRoutes);
+app.use('/api/workspaces', workspaceRoutes);
+app.use('/api/invitations', invitationRoutes);
 
 // ✅ Render will provide a PORT automatically
 const PORT = process.env.PORT || 5000;
@@ -0,0 +1,124 @@
+// Where attachment files live. Each driver stores a stream under a key it
+// chooses and can stream it back or remove it later. Attachments remember
+// which driver holds them, so changing ATTACHMENT_STORAGE only affects new
+// uploads.
+//
+//   ATTACHMENT_STORAGE  local (default) or gridfs
+//   ATTACHMENT_DIR      folder for local storage (default backend/uploads)
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'uploads');
+const GRIDFS_BUCKET = 'attachments';
+
+class FileNotFoundError extends Error {
+  constructor(key) {
+    super(`Stored file ${key} not found`);
+    this.name = 'FileNotFoundError';
+  }
+}
+
+// Files on disk, named by random keys so nothing a user sends ends up in a path
+const createLocalStorage = (dir = process.env.ATTACHMENT_DIR || DEFAULT_DIR) => {
+  const fileFor = (key) => {
+    if (!/^[0-9a-f]{32}$/.test(key)) throw new FileNotFoundError(key);
+    return path.join(dir, key);
+  };
+
+  return {
+    name: 'local',
+
+    async save(stream) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const key = crypto.randomBytes(16).toString('hex');
+      const file = fileFor(key);
+      try {
+        await pipeline(stream, fs.createWriteStream(file, { flags: 'wx' }));
+      } catch (error) {
+        await fs.promises.rm(file, { force: true });
+        throw error;
+      }
+      const { size } = await fs.promises.stat(file);
+      return { key, size };
+    },
+
+    async open(key) {
+      const file = fileFor(key);
+      try {
+        await fs.promises.access(file);
+      } catch (error) {
+        throw new FileNotFoundError(key);
+      }
+      return fs.createReadStream(file);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(fileFor(key), { force: true });
+    }
+  };
+};
+
+// Files in MongoDB GridFS, in the same database as everything else
+const createGridFSStorage = (bucketName = GRIDFS_BUCKET) => {
+  const bucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName });
+  const idFor = (key) => {
+    if (!mongoose.isValidObjectId(key)) throw new FileNotFoundError(key);
+    return new mongoose.Types.ObjectId(key);
+  };
+
+  return {
+    name: 'gridfs',
+
+    async save(stream, { filename, contentType } = {}) {
+      const upload = bucket().openUploadStream(filename || 'attachment', { metadata: { contentType } });
+      try {
+        await pipeline(stream, upload);
+      } catch (error) {
+        await upload.abort().catch(() => {});
+        throw error;
+      }
+      return { key: String(upload.id), size: upload.length };
+    },
+
+    async open(key) {
+      const id = idFor(key);
+      const [file] = await bucket().find({ _id: id }).limit(1).toArray();
+      if (!file) throw new FileNotFoundError(key);
+      return bucket().openDownloadStream(id);
+    },
+
+    async remove(key) {
+      try {
+        await bucket().delete(idFor(key));
+      } catch (error) {
+        // Already gone is as good as removed
+        if (!/FileNotFound|File not found/i.test(error.message)) throw error;
+      }
+    }
+  };
+};
+
+const DRIVERS = {
+  local: createLocalStorage,
+  gridfs: createGridFSStorage
+};
+
+const drivers = new Map();
+
+// The driver called `name`, or the configured one for new uploads
+const getStorage = (name = process.env.ATTACHMENT_STORAGE || 'local') => {
+  if (!DRIVERS[name]) {
+    throw new Error(`Unknown attachment storage "${name}". Use ${Object.keys(DRIVERS).join(' or ')}`);
+  }
+  if (!drivers.has(name)) drivers.set(name, DRIVERS[name]());
+  return drivers.get(name);
+};
+
+module.exports = {
+  FileNotFoundError,
+  getStorage
+};
@@ -0,0 +1,16 @@
+// Login tokens, issued on register, login and when an invitation creates an account
+
+const jwt = require('jsonwebtoken');
+
+// Generate JWT Token
+const generateToken = (userId) => {
+  return jwt.sign(
+    { id: userId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+  );
+};
+
+module.exports = {
+  generateToken
+};
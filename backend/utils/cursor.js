@@ -0,0 +1,86 @@
+// Opaque cursors for keyset pagination. A cursor holds the sort values of the
+// last item on a page (plus its _id as a tie-breaker), so the next page starts
+// strictly after it and stays stable when tasks are added or removed.
+
+const { EJSON, ObjectId } = require('mongoose').mongo.BSON;
+
+class CursorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CursorError';
+  }
+}
+
+// Always end on _id so every item has a unique position
+const withTieBreaker = (sortSpec) => {
+  if (sortSpec._id) return sortSpec;
+  const directions = Object.values(sortSpec);
+  return { ...sortSpec, _id: directions[directions.length - 1] || 1 };
+};
+
+// Only plain values may come back out of a cursor (never query operators)
+const isCursorValue = (value) => value === null ||
+  ['string', 'number', 'boolean'].includes(typeof value) ||
+  value instanceof Date ||
+  value instanceof ObjectId;
+
+// `key` names the ordering, so a cursor can't be replayed against another one
+const encodeCursor = (key, sortSpec, doc) => {
+  const values = Object.keys(sortSpec).map(field => {
+    const value = doc.get ? doc.get(field) : doc[field];
+    return value === undefined ? null : value;
+  });
+  return Buffer.from(EJSON.stringify({ k: key, v: values })).toString('base64url');
+};
+
+const decodeCursor = (cursor, key, sortSpec) => {
+  let decoded;
+  try {
+    decoded = EJSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new CursorError('Invalid cursor');
+  }
+
+  const fieldCount = Object.keys(sortSpec).length;
+  if (!decoded || !Array.isArray(decoded.v) || decoded.v.length !== fieldCount || !decoded.v.every(isCursorValue)) {
+    throw new CursorError('Invalid cursor');
+  }
+  if (decoded.k !== key) {
+    throw new CursorError('Cursor does not match this sort; start again without it');
+  }
+  return decoded.v;
+};
+
+// "Strictly after `value`" for one field. MongoDB sorts null/missing values
+// before everything else, and comparison operators never match null, so
+// nulls get their own cases. Returns null when nothing can come after.
+const afterValue = (field, value, direction) => {
+  if (direction === 1) {
+    return value === null ? { [field]: { $ne: null } } : { [field]: { $gt: value } };
+  }
+  return value === null ? null : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+// Filter for everything after the cursor position in `sortSpec` order:
+// (a > x) or (a = x and b > y) or (a = x and b = y and _id > z) ...
+const cursorFilter = (sortSpec, values) => {
+  const fields = Object.keys(sortSpec);
+  const branches = [];
+
+  fields.forEach((field, i) => {
+    const after = afterValue(field, values[i], sortSpec[field]);
+    if (!after) return;
+    const equal = fields.slice(0, i).map((previous, j) => ({ [previous]: values[j] }));
+    branches.push(equal.length ? { $and: [...equal, after] } : after);
+  });
+
+  return branches.length ? { $or: branches } : { _id: { $in: [] } };
+};
+
+module.exports = {
+  CursorError,
+  withTieBreaker,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter
+};
@@ -0,0 +1,151 @@
+// Timezone-aware date helpers built on the Intl API (no external tz database needed)
+
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatterCache.get(timeZone);
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Check that a string is an IANA timezone the runtime understands
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock parts of an instant as seen in the given timezone
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+// Offset of the timezone from UTC at the given instant, in milliseconds
+const getTimeZoneOffset = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+// Convert a wall-clock time in a timezone to the matching UTC instant
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  // Two passes settle the offset across DST transitions
+  let offset = getTimeZoneOffset(new Date(guess), timeZone);
+  const secondOffset = getTimeZoneOffset(new Date(guess - offset), timeZone);
+  if (secondOffset !== offset) offset = secondOffset;
+  return new Date(guess - offset);
+};
+
+// Midnight (in the timezone) of the day containing the given instant
+const startOfDay = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return zonedTimeToUtc({ year, month, day }, timeZone);
+};
+
+// Shift by whole calendar days in the timezone, keeping the wall-clock time
+const addDays = (date, days, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  const shifted = new Date(Date.UTC(p.year, p.month - 1, p.day + days));
+  return zonedTimeToUtc({
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate(),
+    hour: p.hour,
+    minute: p.minute,
+    second: p.second
+  }, timeZone);
+};
+
+// Parse a due date from the API.
+// "YYYY-MM-DD" is an all-day date, "YYYY-MM-DDTHH:mm" is a wall-clock time in
+// the timezone, and anything with an explicit offset/Z is taken as an instant.
+// Returns null when the value cannot be understood.
+const parseDueInput = (value, timeZone = 'UTC') => {
+  if (typeof value !== 'string' || value.trim().length === 0) return null;
+  const input = value.trim();
+
+  let match = input.match(DATE_ONLY);
+  if (match) {
+    const [, year, month, day] = match.map(Number);
+    if (!isRealDate(year, month, day)) return null;
+    return { dueAt: zonedTimeToUtc({ year, month, day }, timeZone), allDay: true };
+  }
+
+  match = input.match(LOCAL_DATE_TIME);
+  if (match) {
+    const [, year, month, day, hour, minute, second = 0] = match.map(n => Number(n || 0));
+    if (!isRealDate(year, month, day) || hour > 23 || minute > 59 || second > 59) return null;
+    return {
+      dueAt: zonedTimeToUtc({ year, month, day, hour, minute, second }, timeZone),
+      allDay: false
+    };
+  }
+
+  const instant = new Date(input);
+  if (isNaN(instant.getTime())) return null;
+  return { dueAt: instant, allDay: false };
+};
+
+const isRealDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day;
+};
+
+// Boundaries of "today" and "this week" (Monday to Sunday) in the timezone
+const getDayRange = (now, timeZone) => {
+  const start = startOfDay(now, timeZone);
+  return { start, end: addDays(start, 1, timeZone) };
+};
+
+const getWeekRange = (now, timeZone) => {
+  const today = startOfDay(now, timeZone);
+  const { weekday } = getZonedParts(now, timeZone);
+  const start = addDays(today, -((weekday + 6) % 7), timeZone);
+  return { start, end: addDays(start, 7, timeZone) };
+};
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  startOfDay,
+  addDays,
+  parseDueInput,
+  getDayRange,
+  getWeekRange
+};
@@ -0,0 +1,22 @@
+// Optimistic concurrency for tasks: a task's ETag is its version number,
+// quoted, and writes may be made conditional with If-Match.
+
+const toETag = (task) => `"${task.version || 0}"`;
+
+// Versions listed in an If-Match header, or null when there is no header or
+// it is "*" (any version). If-Match uses strong comparison, so weak tags never
+// match; a header with nothing usable gives [] and so matches nothing.
+const parseIfMatch = (header) => {
+  if (!header || header.trim() === '*') return null;
+
+  return header
+    .split(',')
+    .map(tag => tag.trim().match(/^"(\d+)"$/))
+    .filter(Boolean)
+    .map(match => Number(match[1]));
+};
+
+module.exports = {
+  toETag,
+  parseIfMatch
+};
@@ -0,0 +1,313 @@
+// The task filter language used by GET /api/tasks?filter=, e.g.
+//   status:open priority:>=high tag:work due:<7d "invoice" -has:notes
+// Terms are ANDed together. `field:value` terms filter on a field (with an
+// optional comparison for priority and due), bare words and "quoted phrases"
+// match titles and notes, and a leading "-" negates any term.
+// Parsing is pure; building the Mongo query looks up tags and lists.
+
+const Tag = require('../models/Tag');
+const List = require('../models/List');
+const Task = require('../models/Task');
+const { parseDueInput, getDayRange, addDays } = require('./dateUtils');
+const { escapeRegExp } = require('./search');
+
+const MAX_FILTER_LENGTH = 500;
+const MAX_TERMS = 20;
+
+const OPERATORS = ['>=', '<=', '>', '<', '=', ':'];
+const COMPARISONS = ['>=', '<=', '>', '<'];
+
+// Fields, the comparisons they allow and (where fixed) their values
+const FIELDS = {
+  status: { comparisons: false, values: ['open', 'done', 'all'] },
+  priority: { comparisons: true, values: Task.PRIORITY_LEVELS },
+  tag: { comparisons: false },
+  list: { comparisons: false },
+  due: { comparisons: true },
+  has: { comparisons: false, values: ['notes', 'subtasks', 'due', 'tags', 'repeat'] }
+};
+
+const DUE_KEYWORDS = ['today', 'tomorrow', 'yesterday', 'overdue', 'none'];
+const RELATIVE_DUE = /^([+-]?\d{1,4})([dw])$/;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+class FilterParseError extends Error {
+  // `position` is the 0-based offset of the offending text in the filter
+  constructor(message, position) {
+    super(`${message} (at position ${position + 1})`);
+    this.name = 'FilterParseError';
+    this.reason = message;
+    this.position = position;
+  }
+}
+
+// Read a "quoted" string starting at `start` (the opening quote)
+const readQuoted = (input, start) => {
+  const end = input.indexOf('"', start + 1);
+  if (end === -1) {
+    throw new FilterParseError('Unterminated quote', start);
+  }
+  return { value: input.slice(start + 1, end), next: end + 1 };
+};
+
+const readWord = (input, start) => {
+  let end = start;
+  while (end < input.length && !/\s/.test(input[end])) end++;
+  return { value: input.slice(start, end), next: end };
+};
+
+// Check a term's operator and value against its field
+const validateTerm = (term) => {
+  const spec = FIELDS[term.field];
+
+  if (COMPARISONS.includes(term.op) && !spec.comparisons) {
+    throw new FilterParseError(`"${term.field}" does not support ${term.op}; use ${term.field}:value`, term.opStart);
+  }
+
+  if (spec.values && !spec.values.includes(term.value.toLowerCase())) {
+    throw new FilterParseError(
+      `Unknown ${term.field} "${term.value}". Use one of: ${spec.values.join(', ')}`,
+      term.valueStart
+    );
+  }
+
+  if (term.field === 'due') {
+    const value = term.value.toLowerCase();
+    const valid = DUE_KEYWORDS.includes(value) || RELATIVE_DUE.test(value) || DATE_ONLY.test(value);
+    if (!valid) {
+      throw new FilterParseError(
+        `Invalid due date "${term.value}". Use today, tomorrow, yesterday, overdue, none, YYYY-MM-DD or a number of days/weeks like 7d or 2w`,
+        term.valueStart
+      );
+    }
+    if (['overdue', 'none'].includes(value) && term.op !== ':') {
+      throw new FilterParseError(`due:${value} cannot be compared`, term.opStart);
+    }
+  }
+};
+
+// Split a filter into field terms and text terms, each with its position
+const parseFilter = (input) => {
+  const text = String(input);
+  if (text.length > MAX_FILTER_LENGTH) {
+    throw new FilterParseError(`Filter cannot exceed ${MAX_FILTER_LENGTH} characters`, MAX_FILTER_LENGTH);
+  }
+
+  const terms = [];
+  let i = 0;
+
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    const negated = text[i] === '-' && i + 1 < text.length && !/\s/.test(text[i + 1]);
+    if (negated) i++;
+
+    if (terms.length === MAX_TERMS) {
+      throw new FilterParseError(`A filter cannot have more than ${MAX_TERMS} terms`, start);
+    }
+
+    if (text[i] === '"') {
+      const quoted = readQuoted(text, i);
+      if (quoted.value.trim()) {
+        terms.push({ type: 'text', value: quoted.value.trim(), negated, start });
+      }
+      i = quoted.next;
+      continue;
+    }
+
+    const field = text.slice(i).match(/^([a-zA-Z]+)(?=[:=<>])/);
+    if (!field) {
+      const word = readWord(text, i);
+      terms.push({ type: 'text', value: word.value, negated, start });
+      i = word.next;
+      continue;
+    }
+
+    const name = field[1].toLowerCase();
+    if (!FIELDS[name]) {
+      throw new FilterParseError(
+        `Unknown field "${field[1]}". Use one of: ${Object.keys(FIELDS).join(', ')}`,
+        i
+      );
+    }
+
+    // "due:<7d" and "due<7d" are the same term
+    const opStart = i + field[1].length;
+    let rest = text.slice(opStart);
+    let offset = opStart;
+    if (rest.startsWith(':')) {
+      rest = rest.slice(1);
+      offset++;
+    }
+    const op = OPERATORS.find(candidate => rest.startsWith(candidate)) || ':';
+    const valueStart = offset + (rest.startsWith(op) ? op.length : 0);
+
+    let value;
+    if (text[valueStart] === '"') {
+      const quoted = readQuoted(text, valueStart);
+      value = quoted.value;
+      i = quoted.next;
+    } else {
+      const word = readWord(text, valueStart);
+      value = word.value;
+      i = word.next;
+    }
+
+    if (!value.trim()) {
+      throw new FilterParseError(`Missing value for "${name}"`, valueStart);
+    }
+
+    const term = {
+      type: 'field',
+      field: name,
+      op: op === '=' ? ':' : op,
+      value: value.trim(),
+      negated,
+      start,
+      opStart: offset,
+      valueStart
+    };
+    validateTerm(term);
+    terms.push(term);
+  }
+
+  return terms;
+};
+
+// A [start, end) window, or a single instant (start === end), compared with `op`
+const compareDates = (op, start, end) => {
+  switch (op) {
+    case '<':
+      return { $lt: start };
+    case '<=':
+      return start === end ? { $lte: end } : { $lt: end };
+    case '>':
+      return start === end ? { $gt: end } : { $gte: end };
+    case '>=':
+      return { $gte: start };
+    default:
+      return { $gte: start, $lt: end };
+  }
+};
+
+const dueCondition = ({ op, value }, { tz, now }) => {
+  const keyword = value.toLowerCase();
+  const today = getDayRange(now, tz);
+
+  if (keyword === 'none') return { dueAt: null };
+  if (keyword === 'overdue') {
+    return {
+      completed: false,
+      $or: [
+        { allDay: false, dueAt: { $lte: now } },
+        { allDay: true, dueAt: { $lt: today.start } }
+      ]
+    };
+  }
+
+  const days = { yesterday: -1, today: 0, tomorrow: 1 };
+  if (days[keyword] !== undefined) {
+    const start = addDays(today.start, days[keyword], tz);
+    return { dueAt: compareDates(op, start, addDays(start, 1, tz)) };
+  }
+
+  if (DATE_ONLY.test(keyword)) {
+    const parsed = parseDueInput(keyword, tz);
+    if (!parsed) {
+      return null;
+    }
+    return { dueAt: compareDates(op, parsed.dueAt, addDays(parsed.dueAt, 1, tz)) };
+  }
+
+  // 7d / 2w / -3d: an instant that many days from now. On its own
+  // ("due:7d") it means "between now and then".
+  const [, amount, unit] = keyword.match(RELATIVE_DUE);
+  const point = addDays(now, Number(amount) * (unit === 'w' ? 7 : 1), tz);
+  if (op === ':') {
+    const [from, to] = point < now ? [point, now] : [today.start, point];
+    return { dueAt: { $gte: from, $lte: to } };
+  }
+  return { dueAt: compareDates(op, point, point) };
+};
+
+const PRIORITY_OPERATORS = { '>': '$gt', '>=': '$gte', '<': '$lt', '<=': '$lte' };
+
+const HAS_CONDITIONS = {
+  notes: { notes: { $nin: ['', null] } },
+  subtasks: { 'subtasks.0': { $exists: true } },
+  due: { dueAt: { $ne: null } },
+  tags: { 'tags.0': { $exists: true } },
+  repeat: { 'recurrence.rule': { $nin: ['', null] } }
+};
+
+const termCondition = async (term, { userId, workspace, tz, now }) => {
+  if (term.type === 'text') {
+    const pattern = new RegExp(escapeRegExp(term.value), 'i');
+    return { $or: [{ title: pattern }, { notes: pattern }] };
+  }
+
+  switch (term.field) {
+    case 'status': {
+      const value = term.value.toLowerCase();
+      return value === 'all' ? {} : { completed: value === 'done' };
+    }
+    case 'priority': {
+      const rank = Task.PRIORITY_LEVELS.indexOf(term.value.toLowerCase());
+      return { priorityRank: term.op === ':' ? rank : { [PRIORITY_OPERATORS[term.op]]: rank } };
+    }
+    case 'has':
+      return HAS_CONDITIONS[term.value.toLowerCase()];
+    case 'tag': {
+      const tag = await Tag.findOne({ user: userId, name: Tag.normalizeName(term.value) }).select('_id');
+      if (!tag) {
+        throw new FilterParseError(`No tag named "${term.value}"`, term.valueStart);
+      }
+      return { tags: tag._id };
+    }
+    case 'list': {
+      // Lists shared with the user count too, in the active workspace
+      const list = await List.findOne({
+        ...List.accessibleBy(userId, workspace),
+        name: new RegExp(`^${escapeRegExp(term.value)}$`, 'i')
+      }).select('_id');
+      if (!list) {
+        throw new FilterParseError(`No list named "${term.value}"`, term.valueStart);
+      }
+      return { list: list._id };
+    }
+    case 'due': {
+      const condition = dueCondition(term, { tz, now });
+      if (!condition) {
+        throw new FilterParseError(`Invalid date "${term.value}"`, term.valueStart);
+      }
+      return condition;
+    }
+  }
+};
+
+// Parse a filter and turn it into Mongo conditions to AND into a task query.
+// Every value ends up as a literal (regexes are escaped), so no part of the
+// filter can inject query operators.
+const buildFilterQuery = async (input, { userId, workspace = null, tz = 'UTC', now = new Date() }) => {
+  const terms = parseFilter(input);
+  const conditions = [];
+
+  for (const term of terms) {
+    const condition = await termCondition(term, { userId, workspace, tz, now });
+    if (Object.keys(condition).length === 0) continue;
+    conditions.push(term.negated ? { $nor: [condition] } : condition);
+  }
+
+  return conditions;
+};
+
+module.exports = {
+  FilterParseError,
+  FILTER_FIELDS: Object.keys(FIELDS),
+  parseFilter,
+  buildFilterQuery
+};
@@ -0,0 +1,85 @@
+// Outgoing email. Messages ({ to, subject, text, html }) go through a
+// transport chosen by MAIL_TRANSPORT, so development never needs a mail
+// server and production can plug in whichever provider it uses.
+//
+//   MAIL_TRANSPORT  console (default), file, or the path of a module that
+//                   exports { send(message) } (resolved from backend/)
+//   MAIL_DIR        folder for the file transport (default backend/mail)
+//   MAIL_FROM       sender address (default "Todo Master <no-reply@localhost>")
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'mail');
+const DEFAULT_FROM = 'Todo Master <no-reply@localhost>';
+
+// Prints each message to the server log
+const createConsoleTransport = () => ({
+  name: 'console',
+
+  async send(message) {
+    console.log([
+      '📧 Email',
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      '',
+      message.text
+    ].join('\n'));
+  }
+});
+
+// Writes each message to its own file, to open or pick up in tests
+const createFileTransport = (dir = process.env.MAIL_DIR || DEFAULT_DIR) => ({
+  name: 'file',
+
+  async send(message) {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const file = path.join(dir, `${stamp}-${crypto.randomBytes(4).toString('hex')}.json`);
+    await fs.promises.writeFile(file, JSON.stringify(message, null, 2), { flag: 'wx' });
+  }
+});
+
+// Any other value is a module providing the transport
+const loadModuleTransport = (modulePath) => {
+  const transport = require(path.resolve(__dirname, '..', modulePath));
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error(`Mail transport "${modulePath}" must export a send(message) function`);
+  }
+  return { name: modulePath, ...transport };
+};
+
+const TRANSPORTS = {
+  console: createConsoleTransport,
+  file: createFileTransport
+};
+
+let transport = null;
+
+// The configured transport, created on first use
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    transport = TRANSPORTS[name] ? TRANSPORTS[name]() : loadModuleTransport(name);
+  }
+  return transport;
+};
+
+// Use `custom` (anything with send(message)) instead of the configured transport
+const setTransport = (custom) => {
+  transport = custom;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const message = { from: process.env.MAIL_FROM || DEFAULT_FROM, to, subject, text, html };
+  await getTransport().send(message);
+  return message;
+};
+
+module.exports = {
+  getTransport,
+  setTransport,
+  sendMail
+};
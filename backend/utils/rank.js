@@ -0,0 +1,85 @@
+// Fractional rank keys for manual ordering.
+// Ranks are base-62 strings compared byte by byte, so a task can always be
+// given a key between its new neighbours without renumbering anything else.
+
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const BASE = DIGITS.length;
+const RANK_PATTERN = /^[0-9A-Za-z]*[1-9A-Za-z]$/;
+
+const isValidRank = (rank) => typeof rank === 'string' && RANK_PATTERN.test(rank);
+
+// A key strictly between `before` and `after` (either may be null for an open end).
+// Keys never end in "0", which guarantees there is always room below them.
+const rankBetween = (before, after) => {
+  const low = before || '';
+  let high = after || null;
+
+  if (high !== null && low >= high) {
+    throw new Error(`Cannot rank between "${low}" and "${high}"`);
+  }
+
+  let key = '';
+  for (let i = 0; ; i++) {
+    const lowDigit = i < low.length ? DIGITS.indexOf(low[i]) : 0;
+    const highDigit = high !== null && i < high.length ? DIGITS.indexOf(high[i]) : BASE;
+
+    if (lowDigit === highDigit) {
+      key += DIGITS[lowDigit];
+      continue;
+    }
+
+    // Appending or prepending steps by one digit so repeated moves to either
+    // end don't lengthen keys; between two real neighbours take the midpoint
+    const lowExhausted = i >= low.length;
+    let digit;
+    if (high === null) {
+      digit = lowExhausted ? Math.floor(BASE / 2) : lowDigit + 1;
+    } else if (lowExhausted) {
+      digit = highDigit - 1;
+    } else {
+      digit = Math.floor((lowDigit + highDigit) / 2);
+    }
+
+    if (digit > lowDigit && digit < highDigit) {
+      return key + DIGITS[digit];
+    }
+
+    // Adjacent digits: keep the low one; from here on only `before` bounds us
+    key += DIGITS[lowDigit];
+    high = null;
+  }
+};
+
+const toNumber = (rank, width) => [...rank.padEnd(width, '0')]
+  .reduce((value, digit) => value * BigInt(BASE) + BigInt(DIGITS.indexOf(digit)), 0n);
+
+const toRank = (value, width) => {
+  let key = '';
+  for (let i = 0; i < width; i++) {
+    key = DIGITS[Number(value % BigInt(BASE))] + key;
+    value /= BigInt(BASE);
+  }
+  return key.replace(/0+$/, '');
+};
+
+// `count` keys spread evenly between `before` and `after` (open ends allowed).
+// Used to backfill ranks in bulk without the keys growing one digit at a time.
+const spreadRanks = (count, before = null, after = null) => {
+  if (count <= 0) return [];
+
+  const low = before || '';
+  const extraDigits = Math.ceil(Math.log(count + 1) / Math.log(BASE)) + 1;
+  const width = Math.max(low.length, after ? after.length : 0) + extraDigits;
+
+  const lowValue = toNumber(low, width);
+  const highValue = after ? toNumber(after, width) : BigInt(BASE) ** BigInt(width);
+  const step = (highValue - lowValue) / BigInt(count + 1);
+
+  return Array.from({ length: count }, (unused, i) => toRank(lowValue + step * BigInt(i + 1), width));
+};
+
+module.exports = {
+  isValidRank,
+  rankBetween,
+  spreadRanks
+};
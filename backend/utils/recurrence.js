@@ -0,0 +1,309 @@
+// Recurrence rules with iCalendar RRULE semantics (RFC 5545, section 3.3.10).
+//
+// Supported parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, COUNT, UNTIL,
+// BYDAY (with ordinals such as 1MO or -1FR), BYMONTHDAY, BYMONTH, BYSETPOS and WKST.
+// Occurrences are calculated on wall-clock dates in the task's timezone, so
+// "every day at 9:00" stays at 9:00 across daylight-saving changes.
+
+const { getZonedParts, zonedTimeToUtc } = require('./dateUtils');
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Give up looking for the next occurrence after this many days
+const SEARCH_LIMIT_DAYS = 366 * 10;
+
+class RecurrenceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RecurrenceError';
+  }
+}
+
+const parseIntList = (value, name, min, max) => value.split(',').map(item => {
+  const number = Number(item);
+  if (!Number.isInteger(number) || number === 0 || Math.abs(number) < min || Math.abs(number) > max) {
+    throw new RecurrenceError(`${name} values must be between ${min} and ${max} (or -${max} and -${min})`);
+  }
+  return number;
+});
+
+const parseUntil = (value) => {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+  if (!match) {
+    throw new RecurrenceError('UNTIL must look like 20261231 or 20261231T235959Z');
+  }
+  const [, year, month, day, hour = '23', minute = '59', second = '59'] = match;
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+};
+
+// Parse "FREQ=WEEKLY;BYDAY=MO,WE" (an "RRULE:" prefix is allowed) into an object.
+// Throws a RecurrenceError describing the first problem found.
+const parseRule = (input) => {
+  if (typeof input !== 'string' || input.trim().length === 0) {
+    throw new RecurrenceError('Recurrence rule is required');
+  }
+
+  const rule = { interval: 1, byDay: [], byMonthDay: [], byMonth: [], bySetPos: [] };
+  const body = input.trim().replace(/^RRULE:/i, '');
+
+  for (const part of body.split(';').filter(Boolean)) {
+    const [rawKey, value] = part.split('=');
+    const key = (rawKey || '').toUpperCase();
+    if (!value) {
+      throw new RecurrenceError(`Missing value for ${key || 'rule part'}`);
+    }
+
+    switch (key) {
+      case 'FREQ':
+        rule.freq = value.toUpperCase();
+        if (!FREQUENCIES.includes(rule.freq)) {
+          throw new RecurrenceError(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+        }
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(value);
+        if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 999) {
+          throw new RecurrenceError('INTERVAL must be a whole number from 1 to 999');
+        }
+        break;
+      case 'COUNT':
+        rule.count = Number(value);
+        if (!Number.isInteger(rule.count) || rule.count < 1) {
+          throw new RecurrenceError('COUNT must be a positive whole number');
+        }
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value);
+        break;
+      case 'BYDAY':
+        rule.byDay = value.toUpperCase().split(',').map(item => {
+          const match = item.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+          if (!match) {
+            throw new RecurrenceError(`Invalid BYDAY value "${item}"`);
+          }
+          const ordinal = match[1] ? Number(match[1]) : 0;
+          if (Math.abs(ordinal) > 53) {
+            throw new RecurrenceError(`Invalid BYDAY value "${item}"`);
+          }
+          return { weekday: WEEKDAY_CODES.indexOf(match[2]), ordinal };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseIntList(value, 'BYMONTHDAY', 1, 31);
+        break;
+      case 'BYMONTH':
+        rule.byMonth = parseIntList(value, 'BYMONTH', 1, 12);
+        if (rule.byMonth.some(month => month < 0)) {
+          throw new RecurrenceError('BYMONTH values must be between 1 and 12');
+        }
+        break;
+      case 'BYSETPOS':
+        rule.bySetPos = parseIntList(value, 'BYSETPOS', 1, 366);
+        break;
+      case 'WKST':
+        // Weeks always start on Monday here, which is also the RFC default
+        if (!WEEKDAY_CODES.includes(value.toUpperCase())) {
+          throw new RecurrenceError('Invalid WKST value');
+        }
+        break;
+      default:
+        throw new RecurrenceError(`Unsupported rule part "${key}"`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw new RecurrenceError('FREQ is required');
+  }
+  if (rule.count && rule.until) {
+    throw new RecurrenceError('COUNT and UNTIL cannot be used together');
+  }
+  if (rule.byDay.some(day => day.ordinal !== 0) && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+    throw new RecurrenceError('Numbered BYDAY values (like 1MO) need FREQ=MONTHLY or YEARLY');
+  }
+
+  return rule;
+};
+
+// Canonical string form, e.g. "FREQ=MONTHLY;BYDAY=1MO"
+const formatRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length) {
+    parts.push(`BYDAY=${rule.byDay.map(({ weekday, ordinal }) => `${ordinal || ''}${WEEKDAY_CODES[weekday]}`).join(',')}`);
+  }
+  if (rule.byMonthDay.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.byMonth.length) parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  if (rule.bySetPos.length) parts.push(`BYSETPOS=${rule.bySetPos.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  return parts.join(';');
+};
+
+// Calendar helpers working on day numbers (days since 1970-01-01)
+const toDayNumber = ({ year, month, day }) => Date.UTC(year, month - 1, day) / DAY_MS;
+
+const fromDayNumber = (dayNumber) => {
+  const date = new Date(dayNumber * DAY_MS);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay()
+  };
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+const daysInYear = (year) => (toDayNumber({ year: year + 1, month: 1, day: 1 }) - toDayNumber({ year, month: 1, day: 1 }));
+const mondayOf = (dayNumber) => dayNumber - ((fromDayNumber(dayNumber).weekday + 6) % 7);
+
+// Whether a date satisfies the BY* filters (ignoring INTERVAL and BYSETPOS)
+const matchesFilters = (rule, anchor, date, dayNumber) => {
+  const { freq, byDay, byMonthDay, byMonth } = rule;
+  const monthLength = daysInMonth(date.year, date.month);
+
+  if (byMonth.length && !byMonth.includes(date.month)) return false;
+
+  if (byMonthDay.length) {
+    const fromEnd = date.day - monthLength - 1;
+    if (!byMonthDay.includes(date.day) && !byMonthDay.includes(fromEnd)) return false;
+  }
+
+  if (byDay.length) {
+    // Ordinals count within the month, or within the year for YEARLY without BYMONTH
+    const withinYear = freq === 'YEARLY' && !byMonth.length;
+    const position = withinYear ? dayNumber - toDayNumber({ year: date.year, month: 1, day: 1 }) + 1 : date.day;
+    const periodLength = withinYear ? daysInYear(date.year) : monthLength;
+    const matched = byDay.some(({ weekday, ordinal }) => {
+      if (weekday !== date.weekday) return false;
+      if (ordinal > 0) return Math.ceil(position / 7) === ordinal;
+      if (ordinal < 0) return Math.ceil((periodLength - position + 1) / 7) === -ordinal;
+      return true;
+    });
+    if (!matched) return false;
+  }
+
+  // Without explicit filters a rule repeats on the anchor's weekday/day/month
+  if (freq === 'WEEKLY' && !byDay.length) return date.weekday === anchor.weekday;
+  if (freq === 'MONTHLY' && !byDay.length && !byMonthDay.length) return date.day === anchor.day;
+  if (freq === 'YEARLY' && !byDay.length && !byMonthDay.length) {
+    return date.day === anchor.day && (byMonth.length || date.month === anchor.month);
+  }
+
+  return true;
+};
+
+// Whether the date falls in a period selected by INTERVAL
+const matchesInterval = (rule, anchor, anchorDay, date, dayNumber) => {
+  const { freq, interval } = rule;
+  if (interval === 1) return true;
+
+  switch (freq) {
+    case 'DAILY':
+      return (dayNumber - anchorDay) % interval === 0;
+    case 'WEEKLY':
+      return ((mondayOf(dayNumber) - mondayOf(anchorDay)) / 7) % interval === 0;
+    case 'MONTHLY':
+      return ((date.year - anchor.year) * 12 + date.month - anchor.month) % interval === 0;
+    default:
+      return (date.year - anchor.year) % interval === 0;
+  }
+};
+
+// First and last day numbers of the period (week/month/year) containing a day
+const periodBounds = (freq, date, dayNumber) => {
+  if (freq === 'WEEKLY') {
+    const start = mondayOf(dayNumber);
+    return [start, start + 6];
+  }
+  if (freq === 'MONTHLY') {
+    const start = toDayNumber({ year: date.year, month: date.month, day: 1 });
+    return [start, start + daysInMonth(date.year, date.month) - 1];
+  }
+  const start = toDayNumber({ year: date.year, month: 1, day: 1 });
+  return [start, start + daysInYear(date.year) - 1];
+};
+
+// BYSETPOS picks the nth matching day of each period
+const matchesSetPos = (rule, anchor, date, dayNumber, cache) => {
+  if (!rule.bySetPos.length || rule.freq === 'DAILY') return true;
+
+  const [start, end] = periodBounds(rule.freq, date, dayNumber);
+  if (!cache.has(start)) {
+    const matches = [];
+    for (let day = start; day <= end; day++) {
+      if (matchesFilters(rule, anchor, fromDayNumber(day), day)) matches.push(day);
+    }
+    cache.set(start, matches);
+  }
+
+  const matches = cache.get(start);
+  return rule.bySetPos.some(pos => {
+    const index = pos > 0 ? pos - 1 : matches.length + pos;
+    return matches[index] === dayNumber;
+  });
+};
+
+// Find the first occurrence strictly after `after`.
+// `start` is the series' first occurrence (DTSTART): it fixes the time of day
+// and how INTERVAL lines up. Returns null when the rule has no more occurrences.
+const nextOccurrence = (ruleInput, { start, after, timeZone = 'UTC' }) => {
+  const rule = typeof ruleInput === 'string' ? parseRule(ruleInput) : ruleInput;
+  const anchor = getZonedParts(start, timeZone);
+  const anchorDay = toDayNumber(anchor);
+  const floor = after && after >= start ? after : new Date(start.getTime() - 1);
+  const firstDay = Math.max(anchorDay, toDayNumber(getZonedParts(floor, timeZone)));
+  const setPosCache = new Map();
+
+  for (let dayNumber = firstDay; dayNumber < firstDay + SEARCH_LIMIT_DAYS; dayNumber++) {
+    const date = fromDayNumber(dayNumber);
+
+    if (!matchesInterval(rule, anchor, anchorDay, date, dayNumber)) continue;
+    if (!matchesFilters(rule, anchor, date, dayNumber)) continue;
+    if (!matchesSetPos(rule, anchor, date, dayNumber, setPosCache)) continue;
+
+    const occurrence = zonedTimeToUtc({
+      year: date.year,
+      month: date.month,
+      day: date.day,
+      hour: anchor.hour,
+      minute: anchor.minute,
+      second: anchor.second
+    }, timeZone);
+
+    if (occurrence <= floor) continue;
+    if (rule.until && occurrence > rule.until) return null;
+    return occurrence;
+  }
+
+  return null;
+};
+
+// The next `limit` occurrences after a date, for previews.
+// `fromOccurrence` is how many occurrences the series has already used up (for COUNT).
+const upcomingOccurrences = (ruleInput, { start, after, timeZone, limit = 5, fromOccurrence = 0 }) => {
+  const rule = typeof ruleInput === 'string' ? parseRule(ruleInput) : ruleInput;
+  const dates = [];
+  let cursor = after;
+  let occurrence = fromOccurrence;
+
+  while (dates.length < limit) {
+    if (rule.count && occurrence >= rule.count) break;
+    const next = nextOccurrence(rule, { start, after: cursor, timeZone });
+    if (!next) break;
+    dates.push(next);
+    cursor = next;
+    occurrence++;
+  }
+
+  return dates;
+};
+
+module.exports = {
+  RecurrenceError,
+  parseRule,
+  formatRule,
+  nextOccurrence,
+  upcomingOccurrences
+};
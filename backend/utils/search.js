@@ -0,0 +1,90 @@
+// Helpers for task search: turning a query into terms, and finding where
+// those terms occur so the client can highlight them.
+
+const SUFFIXES = ['ing', 'ed', 'es', 's'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split a query the way MongoDB's $text does: "quoted phrases", -negated
+// words (which are not highlighted) and plain words
+const parseSearchTerms = (query) => {
+  const phrases = [];
+  const words = [];
+
+  const rest = String(query).replace(/"([^"]+)"/g, (match, phrase) => {
+    if (phrase.trim()) phrases.push(phrase.trim());
+    return ' ';
+  });
+
+  for (const word of rest.split(/\s+/)) {
+    if (!word || word.startsWith('-')) continue;
+    words.push(word);
+  }
+
+  return { phrases, words };
+};
+
+// Text search is stemmed ("running" finds "run"), so words are matched by
+// their root at the start of a word and the highlight runs to the word's end
+const wordPattern = (word) => {
+  let root = word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+  for (const suffix of SUFFIXES) {
+    if (root.length > suffix.length + 2 && root.endsWith(suffix)) {
+      root = root.slice(0, -suffix.length);
+      break;
+    }
+  }
+  return root ? `(?<![\\p{L}\\p{N}])${escapeRegExp(root)}[\\p{L}\\p{N}]*` : null;
+};
+
+// [start, end) ranges of every match in `text`, sorted and merged
+const findMatchRanges = (text, { phrases, words }) => {
+  if (!text) return [];
+
+  const patterns = [
+    ...phrases.map(phrase => escapeRegExp(phrase).replace(/\s+/g, '\\s+')),
+    ...words.map(wordPattern).filter(Boolean)
+  ];
+  if (patterns.length === 0) return [];
+
+  const ranges = [];
+  const matcher = new RegExp(patterns.join('|'), 'giu');
+  for (const match of text.matchAll(matcher)) {
+    if (match[0].length > 0) ranges.push([match.index, match.index + match[0].length]);
+  }
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+};
+
+// A short excerpt around the first match, with ranges shifted to match it
+const buildSnippet = (text, ranges, radius = 60) => {
+  if (!text || ranges.length === 0) return null;
+
+  const start = Math.max(0, ranges[0][0] - radius);
+  const end = Math.min(text.length, ranges[0][1] + radius * 2);
+  const prefix = start > 0 ? '…' : '';
+  const offset = prefix.length - start;
+
+  return {
+    text: prefix + text.slice(start, end) + (end < text.length ? '…' : ''),
+    ranges: ranges
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from + offset, to + offset])
+  };
+};
+
+module.exports = {
+  escapeRegExp,
+  parseSearchTerms,
+  findMatchRanges,
+  buildSnippet
+};
@@ -0,0 +1,15 @@
+// The modules in shared/ are ES modules the frontend uses too, so the server
+// loads them with import() the first time each one is needed
+const loaded = new Map();
+
+// Resolves to the exports of shared/<name>.mjs
+const loadShared = (name) => {
+  if (!loaded.has(name)) {
+    loaded.set(name, import(`../../shared/${name}.mjs`));
+  }
+  return loaded.get(name);
+};
+
+module.exports = {
+  loadShared
+};
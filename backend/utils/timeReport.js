@@ -0,0 +1,99 @@
+// Totals of tracked time for GET /api/reports/time
+
+const { getZonedParts, startOfDay, addDays } = require('./dateUtils');
+
+const GROUP_BY = ['day', 'list', 'tag'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// YYYY-MM-DD of an instant in the timezone
+const dayKey = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+// Cut [start, end) at each midnight in the timezone
+const splitByDay = (start, end, timeZone) => {
+  const pieces = [];
+  for (let day = startOfDay(start, timeZone); day < end; day = addDays(day, 1, timeZone)) {
+    const next = addDays(day, 1, timeZone);
+    const from = Math.max(day.getTime(), start.getTime());
+    const to = Math.min(next.getTime(), end.getTime());
+    if (to > from) pieces.push({ key: dayKey(day, timeZone), ms: to - from });
+  }
+  return pieces;
+};
+
+// Where an entry's time is counted. Tasks with several tags count towards
+// each of them, so tag totals can add up to more than the overall total.
+const groupsFor = (task, groupBy) => {
+  if (groupBy === 'list') {
+    return task && task.list
+      ? [{ key: String(task.list._id), label: `${task.list.icon} ${task.list.name}` }]
+      : [{ key: 'none', label: 'No list' }];
+  }
+
+  const tags = task ? task.tags : [];
+  return tags.length > 0
+    ? tags.map(tag => ({ key: String(tag._id), label: `#${tag.name}` }))
+    : [{ key: 'none', label: 'No tag' }];
+};
+
+// Sum entries (clipped to [rangeStart, rangeEnd)) into groups, each with a
+// per-task breakdown. `tasks` maps task ids to their title, list and tags.
+// Day reports list every day of the range, including empty ones.
+const buildTimeReport = (entries, tasks, { groupBy, rangeStart, rangeEnd, timeZone, now = new Date() }) => {
+  const groups = new Map();
+  let totalMs = 0;
+
+  const addTo = ({ key, label }, task, taskId, ms) => {
+    if (!groups.has(key)) groups.set(key, { key, label, totalMs: 0, tasks: new Map() });
+    const group = groups.get(key);
+    group.totalMs += ms;
+
+    const id = String(taskId);
+    if (!group.tasks.has(id)) group.tasks.set(id, { _id: id, title: task ? task.title : 'Deleted task', totalMs: 0 });
+    group.tasks.get(id).totalMs += ms;
+  };
+
+  if (groupBy === 'day') {
+    for (let day = rangeStart; day < rangeEnd; day = addDays(day, 1, timeZone)) {
+      const key = dayKey(day, timeZone);
+      groups.set(key, { key, label: key, totalMs: 0, tasks: new Map() });
+    }
+  }
+
+  for (const entry of entries) {
+    const start = new Date(Math.max(entry.startedAt.getTime(), rangeStart.getTime()));
+    const end = new Date(Math.min((entry.endedAt || now).getTime(), rangeEnd.getTime()));
+    if (end <= start) continue;
+
+    const task = tasks.get(String(entry.task));
+    totalMs += end - start;
+
+    if (groupBy === 'day') {
+      for (const piece of splitByDay(start, end, timeZone)) {
+        addTo({ key: piece.key, label: piece.key }, task, entry.task, piece.ms);
+      }
+    } else {
+      for (const group of groupsFor(task, groupBy)) {
+        addTo(group, task, entry.task, end - start);
+      }
+    }
+  }
+
+  const sorted = [...groups.values()].map(group => ({
+    ...group,
+    tasks: [...group.tasks.values()].sort((a, b) => b.totalMs - a.totalMs)
+  }));
+  // Days read in order; lists and tags biggest first
+  if (groupBy !== 'day') sorted.sort((a, b) => b.totalMs - a.totalMs);
+
+  return { totalMs, groups: sorted };
+};
+
+module.exports = {
+  GROUP_BY,
+  dayKey,
+  buildTimeReport
+};
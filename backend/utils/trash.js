@@ -0,0 +1,46 @@
+// Trash retention and the scheduled purge of expired trashed tasks
+
+const Task = require('../models/Task');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000; // hourly
+
+// Days a task stays in the trash (TRASH_RETENTION_DAYS; 0 keeps them forever)
+const getRetentionDays = () => {
+  const days = Number(process.env.TRASH_RETENTION_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+};
+
+// When a task trashed at `deletedAt` will be purged, or null if never
+const getPurgeDate = (deletedAt) => {
+  const days = getRetentionDays();
+  if (!deletedAt || days === 0) return null;
+  return new Date(new Date(deletedAt).getTime() + days * 24 * 60 * 60 * 1000);
+};
+
+const purgeExpiredTrash = async () => {
+  const days = getRetentionDays();
+  if (days === 0) return 0;
+
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  return Task.purgeTrashed({ deletedAt: { $ne: null, $lte: cutoff } });
+};
+
+// Run the purge now and then every hour. The timer doesn't keep the process alive.
+const startTrashPurge = () => {
+  const run = () => purgeExpiredTrash()
+    .then(count => {
+      if (count > 0) console.log(`🗑️ Purged ${count} expired task(s) from the trash`);
+    })
+    .catch(error => console.error('❌ Trash purge error:', error));
+
+  run();
+  return setInterval(run, PURGE_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  getRetentionDays,
+  getPurgeDate,
+  purgeExpiredTrash,
+  startTrashPurge
+};
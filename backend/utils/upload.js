@@ -0,0 +1,154 @@
+// Streaming multipart uploads into attachment storage, with size and type limits
+//
+//   ATTACHMENT_MAX_MB   largest file accepted (default 10)
+//   ATTACHMENT_TYPES    comma-separated MIME types accepted (default below)
+
+const { Transform } = require('stream');
+const busboy = require('busboy');
+
+const DEFAULT_MAX_MB = 10;
+const DEFAULT_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'text/csv'
+];
+
+class UploadError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+  }
+}
+
+const getMaxBytes = () => {
+  const mb = Number(process.env.ATTACHMENT_MAX_MB);
+  return Math.round((Number.isFinite(mb) && mb > 0 ? mb : DEFAULT_MAX_MB) * 1024 * 1024);
+};
+
+const getAllowedTypes = () => (process.env.ATTACHMENT_TYPES
+  ? process.env.ATTACHMENT_TYPES.split(',').map(type => type.trim().toLowerCase()).filter(Boolean)
+  : DEFAULT_TYPES);
+
+// How the common binary formats start; a file claiming one of these types
+// has to look like it
+const SIGNATURES = {
+  'image/png': (head) => head.subarray(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47])),
+  'image/jpeg': (head) => head.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+  'image/gif': (head) => head.subarray(0, 4).toString('latin1') === 'GIF8',
+  'image/webp': (head) => head.subarray(0, 4).toString('latin1') === 'RIFF' &&
+    head.subarray(8, 12).toString('latin1') === 'WEBP',
+  'application/pdf': (head) => head.subarray(0, 4).toString('latin1') === '%PDF'
+};
+
+// Passes data through, keeping the first bytes to check against the type
+const createSniffer = () => {
+  let head = Buffer.alloc(0);
+  const sniffer = new Transform({
+    transform(chunk, encoding, callback) {
+      if (head.length < 12) head = Buffer.concat([head, chunk]).subarray(0, 12);
+      callback(null, chunk);
+    }
+  });
+  sniffer.matches = (type) => !SIGNATURES[type] || SIGNATURES[type](head);
+  return sniffer;
+};
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024
+  ? `${Math.round(bytes / (1024 * 1024) * 10) / 10} MB`
+  : `${Math.ceil(bytes / 1024)} KB`);
+
+// Read the files in a multipart request straight into `storage`. Resolves to
+// [{ filename, contentType, size, key }] once every file is stored; if any
+// file breaks a limit, the ones already stored are removed and it rejects
+// with an UploadError.
+const receiveFiles = (req, storage, { maxFiles }) => new Promise((resolve, reject) => {
+  const maxBytes = getMaxBytes();
+  const allowedTypes = getAllowedTypes();
+
+  let parser;
+  try {
+    parser = busboy({
+      headers: req.headers,
+      limits: { fileSize: maxBytes, files: maxFiles, fields: 10, parts: maxFiles + 10 }
+    });
+  } catch (error) {
+    return reject(new UploadError('Send the files as multipart/form-data'));
+  }
+
+  const stored = [];
+  const pending = [];
+  let failure = null;
+  const fail = (error) => {
+    if (!failure) failure = error;
+  };
+
+  let finished = false;
+  const finish = async () => {
+    if (finished) return;
+    finished = true;
+    await Promise.allSettled(pending);
+
+    if (!failure && stored.length === 0) fail(new UploadError('No file was uploaded'));
+    if (failure) {
+      await Promise.allSettled(stored.map(file => storage.remove(file.key)));
+      return reject(failure);
+    }
+    resolve(stored);
+  };
+
+  parser.on('file', (field, file, { filename, mimeType }) => {
+    const contentType = String(mimeType).toLowerCase();
+    const name = String(filename || 'attachment').slice(0, 200);
+
+    if (failure) {
+      file.resume();
+      return;
+    }
+    if (!allowedTypes.includes(contentType)) {
+      fail(new UploadError(`"${name}" is a ${contentType} file; allowed types are ${allowedTypes.join(', ')}`, 415));
+      file.resume();
+      return;
+    }
+
+    file.on('limit', () => fail(new UploadError(`"${name}" is larger than ${formatSize(maxBytes)}`, 413)));
+
+    const sniffer = createSniffer();
+    file.pipe(sniffer);
+
+    pending.push(storage.save(sniffer, { filename: name, contentType })
+      .then(({ key, size }) => {
+        stored.push({ filename: name, contentType, size, key });
+        if (!file.truncated && !sniffer.matches(contentType)) {
+          fail(new UploadError(`"${name}" doesn't look like a ${contentType} file`, 415));
+        }
+      })
+      .catch((error) => {
+        // Keep reading the request so the parser can finish
+        file.resume();
+        fail(error);
+      }));
+  });
+
+  parser.on('filesLimit', () => fail(new UploadError(`Upload at most ${maxFiles} file${maxFiles !== 1 ? 's' : ''} at a time`, 413)));
+
+  parser.on('error', (error) => {
+    fail(new UploadError(`Upload could not be read: ${error.message}`));
+    finish();
+  });
+
+  parser.on('close', () => finish());
+
+  req.pipe(parser);
+});
+
+module.exports = {
+  UploadError,
+  getMaxBytes,
+  getAllowedTypes,
+  receiveFiles
+};
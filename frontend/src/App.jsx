@@ -5,13 +5,30 @@ import AuthWrapper from "./components/AuthWrapper";
 import Navigation from "./components/Navigation";
 import TaskForm from "./components/TaskForm";
 import TaskList from "./components/TaskList";
+import ListSidebar from "./components/ListSidebar";
+import TrashView from "./components/TrashView";
+import ConflictDialog from "./components/ConflictDialog";
+import FocusMode from "./components/FocusMode";
+import SearchBar from "./components/SearchBar";
 import PerformanceMonitor from "./components/PerformanceMonitor";
 import DevTools from "./components/DevTools";
+import { getBrowserTimeZone } from "./utils/dueDates";
+import { isFilterQuery } from "./utils/filterSyntax";
+import { remainingMs } from "./utils/focus";
+import { clearInviteToken, getInviteToken } from "./utils/invitations";
 import "./index.css";
 
 const API_URL = import.meta.env.VITE_API_URL || "http://localhost:5000";
 const IS_PRODUCTION = import.meta.env.PROD;
 
+// The active workspace's id, sent with every request; none means personal
+const WORKSPACE_KEY = 'workspace';
+
+// Cached responses are kept per workspace, so switching never shows another
+// workspace's data. Keys still start with the URL (see clearTaskCache).
+const cacheKeyFor = (config) =>
+  `${config.url}_${JSON.stringify(config.params)}_${localStorage.getItem(WORKSPACE_KEY) || 'personal'}`;
+
 // Create axios instance with default config
 const api = axios.create({
   baseURL: `${API_URL}/api`,
@@ -27,7 +44,7 @@ api.interceptors.response.use(
   (response) => {
     // Cache successful responses for 5 minutes
     if (response.config.method === 'get') {
-      const cacheKey = `${response.config.url}_${JSON.stringify(response.config.params)}`;
+      const cacheKey = cacheKeyFor(response.config);
       const cacheData = {
         data: response.data,
         timestamp: Date.now(),
@@ -41,6 +58,10 @@ api.interceptors.response.use(
     if (import.meta.env.DEV) {
       console.error('API Error:', error);
     }
+    // Left or removed from the active workspace: callers switch back to personal
+    if (error.response?.data?.code === 'WORKSPACE_NOT_FOUND') {
+      throw error;
+    }
     if (error.code === 'ECONNABORTED') {
       throw new Error('⏱️ Request timeout. Server may be starting up, please wait...');
     }
@@ -54,12 +75,17 @@ api.interceptors.response.use(
   }
 );
 
-// Add request interceptor for cache checking
+// Add request interceptor for the active workspace and cache checking
 api.interceptors.request.use(
   (config) => {
-    // Check cache for GET requests
-    if (config.method === 'get') {
-      const cacheKey = `${config.url}_${JSON.stringify(config.params)}`;
+    const workspace = localStorage.getItem(WORKSPACE_KEY);
+    if (workspace) {
+      config.headers['X-Workspace'] = workspace;
+    }
+
+    // Check cache for GET requests (pass { cache: false } to always hit the server)
+    if (config.method === 'get' && config.cache !== false) {
+      const cacheKey = cacheKeyFor(config);
       const cached = sessionStorage.getItem(cacheKey);
       
       if (cached) {
@@ -80,19 +106,78 @@ api.interceptors.request.use(
   }
 );
 
+// Drop cached task listings so the next fetch reflects a change
+const clearTaskCache = () => {
+  Object.keys(sessionStorage)
+    .filter((key) => key.startsWith('/tasks_'))
+    .forEach((key) => sessionStorage.removeItem(key));
+};
+
+// Tasks show the title and state of the tasks blocking them; refresh those
+// copies after `changed` tasks were saved and `removedIds` went to the trash
+const withBlockerChanges = (tasks, changed, removedIds = []) => {
+  const latest = new Map(changed.map((task) => [task._id, task]));
+  return tasks.map((task) => {
+    if (!task.blockedBy?.some((blocker) => latest.has(blocker._id) || removedIds.includes(blocker._id))) {
+      return task;
+    }
+    const blockedBy = task.blockedBy
+      .filter((blocker) => !removedIds.includes(blocker._id))
+      .map((blocker) => {
+        const update = latest.get(blocker._id);
+        return update ? { ...blocker, title: update.title, completed: update.completed } : blocker;
+      });
+    return { ...task, blockedBy, blocked: blockedBy.some((blocker) => !blocker.completed) };
+  });
+};
+
 // Main Todo Component (authenticated users only)
 function TodoApp() {
   const [tasks, setTasks] = useState([]);
   const [filter, setFilter] = useState("all");
+  const [dueFilter, setDueFilter] = useState("");
+  // Remembered so a manual order is still what you see after a reload
+  const [sortOrder, setSortOrder] = useState(() => localStorage.getItem('taskSort') || "-createdAt");
+  const [tags, setTags] = useState([]);
+  const [selectedTags, setSelectedTags] = useState([]);
+  const [tagMode, setTagMode] = useState("any");
+  const [lists, setLists] = useState([]);
+  const [activeList, setActiveList] = useState(null);
+  // "Assigned to me": the user's assigned tasks across every list
+  const [assignedToMe, setAssignedToMe] = useState(false);
+  const [workspaces, setWorkspaces] = useState([]);
+  const [activeWorkspace, setActiveWorkspace] = useState(() => localStorage.getItem(WORKSPACE_KEY));
+  const [showTrash, setShowTrash] = useState(false);
+  const [trash, setTrash] = useState({ tasks: [], retentionDays: null });
+  const [trashLoading, setTrashLoading] = useState(false);
+  // What's typed in the search box, and the debounced query actually sent
+  const [searchInput, setSearchInput] = useState("");
+  const [searchQuery, setSearchQuery] = useState("");
+  const [searchPagination, setSearchPagination] = useState(null);
+  // Where the server couldn't parse a filter typed in the search box
+  const [filterError, setFilterError] = useState(null);
+  // The listing is fetched a page at a time; this is what the next page needs
+  const [taskPage, setTaskPage] = useState({ params: null, nextCursor: null });
+  const [loadingMore, setLoadingMore] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  // Set while a save waits for the user to settle an edit conflict
+  const [conflict, setConflict] = useState(null);
+  // The running time entry, if any (one per user)
+  const [timer, setTimer] = useState(null);
+  // The live focus session as the server last reported it. `offset` is how
+  // far the server's clock is ahead of ours; `task` is the task last focused on.
+  const [focus, setFocus] = useState({ session: null, settings: null, offset: 0, task: null });
+  const [focusOpen, setFocusOpen] = useState(false);
   const { user, token, getAuthHeader } = useAuth();
 
   // Fetch tasks with error handling and cache support
   const fetchTasks = useCallback(async () => {
+    let params = null;
     try {
       setLoading(true);
       setError(null);
+      setFilterError(null);
       
       // Check if user is authenticated first
       if (!user || !token) {
@@ -100,26 +185,64 @@ function TodoApp() {
         return;
       }
       
+      // A search replaces the listing with relevance-ranked matches
+      if (searchQuery && !isFilterQuery(searchQuery)) {
+        const response = await api.get('/tasks/search', {
+          params: {
+            q: searchQuery,
+            ...(activeList ? { list: activeList } : {}),
+            ...(assignedToMe ? { assignee: 'me' } : {})
+          },
+          headers: getAuthHeader(),
+          cache: false
+        });
+        setTasks(response.data.tasks || []);
+        setSearchPagination(response.data.pagination);
+        return;
+      }
+
+      params = { tz: getBrowserTimeZone(), sort: sortOrder };
+      if (dueFilter) params.due = dueFilter;
+      if (activeList) params.list = activeList;
+      if (assignedToMe) params.assignee = 'me';
+      if (selectedTags.length > 0) {
+        params.tags = selectedTags.join(',');
+        params.tagMode = tagMode;
+      }
+      // A filter narrows the listing instead, keeping its order and paging
+      if (searchQuery) params.filter = searchQuery;
+
       const response = await api.get('/tasks', {
+        params,
         headers: getAuthHeader()
       });
       // Handle the new API response format
       const tasksData = response.data.tasks || response.data;
       setTasks(Array.isArray(tasksData) ? tasksData : []);
+      setTaskPage({ params, nextCursor: response.data.pagination?.nextCursor || null });
     } catch (err) {
       // Handle cached responses
       if (err.isCache) {
         const tasksData = err.data.tasks || err.data;
         setTasks(Array.isArray(tasksData) ? tasksData : []);
+        setTaskPage({ params, nextCursor: err.data.pagination?.nextCursor || null });
         if (import.meta.env.DEV) {
           console.log('📦 Using cached tasks data');
         }
         return;
       }
       
-      // If auth error, don't show error - let auth system handle it
-      if (err.response?.status === 401) {
+      // If auth error, don't show error - let auth system handle it (and
+      // fetchLists moves out of a workspace that's gone)
+      if (err.response?.status === 401 || err.response?.data?.code === 'WORKSPACE_NOT_FOUND') {
+        setTasks([]);
+        return;
+      }
+      // A filter the server couldn't parse is shown under the search box
+      if (typeof err.response?.data?.position === 'number') {
         setTasks([]);
+        setTaskPage({ params: null, nextCursor: null });
+        setFilterError({ ...err.response.data, query: searchQuery });
         return;
       }
       setError(err.message || 'Failed to load tasks');
@@ -129,20 +252,508 @@ function TodoApp() {
     } finally {
       setLoading(false);
     }
-  }, [getAuthHeader, user, token]);
+  }, [getAuthHeader, user, token, dueFilter, sortOrder, selectedTags, tagMode, activeList, assignedToMe, searchQuery]);
 
   useEffect(() => {
     fetchTasks();
-  }, [fetchTasks]);
+  }, [fetchTasks, activeWorkspace]);
+
+  // Plain words are a full-text search; field:value terms make it a filter
+  const textSearch = isFilterQuery(searchQuery) ? "" : searchQuery;
+
+  // Wait for a pause in typing before searching
+  useEffect(() => {
+    const timer = setTimeout(() => setSearchQuery(searchInput.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  // Next page of the listing, continuing from the last cursor. Called by
+  // TaskList's infinite scroll, so it ignores calls while a page is loading.
+  const loadMoreTasks = async () => {
+    if (loadingMore || !taskPage.nextCursor) return;
+    try {
+      setLoadingMore(true);
+      const response = await api.get('/tasks', {
+        params: { ...taskPage.params, cursor: taskPage.nextCursor },
+        headers: getAuthHeader(),
+        cache: false
+      });
+      const loaded = response.data.tasks || [];
+      // Skip anything already shown (e.g. added locally since the first page)
+      setTasks(prevTasks => [
+        ...prevTasks,
+        ...loaded.filter((task) => !prevTasks.some((existing) => existing._id === task._id))
+      ]);
+      setTaskPage(prev => ({ ...prev, nextCursor: response.data.pagination?.nextCursor || null }));
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load more tasks');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
 
-  const addTask = async (title) => {
+  const loadMoreResults = async () => {
+    if (!textSearch || !searchPagination || loadingMore) return;
     try {
-      const response = await api.post('/tasks', { title }, {
+      setLoadingMore(true);
+      const params = { q: textSearch, page: searchPagination.page + 1 };
+      if (activeList) params.list = activeList;
+      if (assignedToMe) params.assignee = 'me';
+      const response = await api.get('/tasks/search', {
+        params,
+        headers: getAuthHeader(),
+        cache: false
+      });
+      setTasks(prevTasks => [...prevTasks, ...(response.data.tasks || [])]);
+      setSearchPagination(response.data.pagination);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load more results');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  useEffect(() => {
+    localStorage.setItem('taskSort', sortOrder);
+  }, [sortOrder]);
+
+  // Tags change whenever tasks gain new names, so skip the GET cache
+  const fetchTags = useCallback(async () => {
+    if (!user || !token) return;
+    try {
+      const response = await api.get('/tags', {
+        headers: getAuthHeader(),
+        cache: false
+      });
+      setTags(response.data.tags || []);
+    } catch (err) {
+      if (import.meta.env.DEV) {
+        console.error('Error fetching tags:', err);
+      }
+    }
+  }, [getAuthHeader, user, token]);
+
+  useEffect(() => {
+    fetchTags();
+  }, [fetchTags]);
+
+  // Everything below the switcher is scoped to the active workspace (null
+  // for personal), which is also sent with each request
+  const switchWorkspace = useCallback((id) => {
+    if (id) {
+      localStorage.setItem(WORKSPACE_KEY, id);
+    } else {
+      localStorage.removeItem(WORKSPACE_KEY);
+    }
+    clearTaskCache();
+    setShowTrash(false);
+    setAssignedToMe(false);
+    setActiveList(null);
+    setActiveWorkspace(id || null);
+  }, []);
+
+  // Workspaces come with their members, for the switcher and for assignees
+  const fetchWorkspaces = useCallback(async () => {
+    if (!user || !token) return;
+    try {
+      const response = await api.get('/workspaces', {
+        headers: getAuthHeader(),
+        cache: false
+      });
+      const fetched = response.data.workspaces || [];
+      setWorkspaces(fetched);
+      const current = localStorage.getItem(WORKSPACE_KEY);
+      if (current && !fetched.some(workspace => workspace._id === current)) {
+        switchWorkspace(null);
+      }
+    } catch (err) {
+      if (import.meta.env.DEV) {
+        console.error('Error fetching workspaces:', err);
+      }
+    }
+  }, [getAuthHeader, user, token, switchWorkspace]);
+
+  useEffect(() => {
+    fetchWorkspaces();
+  }, [fetchWorkspaces]);
+
+  // Lists carry per-list counts, so they are refreshed after task changes
+  const fetchLists = useCallback(async () => {
+    if (!user || !token) return;
+    try {
+      const response = await api.get('/lists', {
+        headers: getAuthHeader(),
+        cache: false
+      });
+      setLists(response.data.lists || []);
+    } catch (err) {
+      // Removed from the workspace elsewhere
+      if (err.response?.data?.code === 'WORKSPACE_NOT_FOUND') {
+        switchWorkspace(null);
+        fetchWorkspaces();
+        return;
+      }
+      if (import.meta.env.DEV) {
+        console.error('Error fetching lists:', err);
+      }
+    }
+  }, [getAuthHeader, user, token, switchWorkspace, fetchWorkspaces]);
+
+  useEffect(() => {
+    fetchLists();
+  }, [fetchLists, activeWorkspace]);
+
+  // Opened from an invitation link while signed in (or having signed in
+  // from it): offer to join, then go to what was joined
+  useEffect(() => {
+    const inviteToken = getInviteToken();
+    if (!user || !token || !inviteToken) return;
+    clearInviteToken();
+
+    const acceptInvite = async () => {
+      try {
+        const preview = await api.get(`/invitations/${encodeURIComponent(inviteToken)}`, { cache: false });
+        const { name, invitedBy } = preview.data.invitation;
+        if (!window.confirm(`${invitedBy || 'Someone'} invited you to join ${name}. Join now?`)) return;
+
+        const response = await api.post(`/invitations/${encodeURIComponent(inviteToken)}/accept`, {}, {
+          headers: getAuthHeader()
+        });
+        await fetchWorkspaces();
+        switchWorkspace(response.data.workspace || null);
+        if (response.data.list) {
+          // Already in the personal view, the new list isn't fetched otherwise
+          await fetchLists();
+          setActiveList(response.data.list);
+        }
+      } catch (err) {
+        setError(err.response?.data?.message || err.message || 'Failed to accept the invitation');
+      }
+    };
+    acceptInvite();
+  }, [user, token, getAuthHeader, fetchWorkspaces, switchWorkspace, fetchLists]);
+
+  // A timer started in another tab or device shows up here too
+  const fetchTimer = useCallback(async () => {
+    if (!user || !token) return;
+    try {
+      const response = await api.get('/time/running', {
+        headers: getAuthHeader(),
+        cache: false
+      });
+      setTimer(response.data.entry || null);
+    } catch (err) {
+      if (import.meta.env.DEV) {
+        console.error('Error fetching timer:', err);
+      }
+    }
+  }, [getAuthHeader, user, token]);
+
+  useEffect(() => {
+    fetchTimer();
+  }, [fetchTimer]);
+
+  const receiveFocus = useCallback((data) => {
+    setFocus(prev => ({
+      session: data.session,
+      settings: data.settings || prev.settings,
+      offset: new Date(data.serverTime).getTime() - Date.now(),
+      task: data.session?.task || prev.task
+    }));
+  }, []);
+
+  // Focus sessions live on the server, so a reload picks up where it left off
+  const fetchFocus = useCallback(async () => {
+    if (!user || !token) return;
+    try {
+      const response = await api.get('/focus', {
+        headers: getAuthHeader(),
+        cache: false
+      });
+      receiveFocus(response.data);
+    } catch (err) {
+      if (import.meta.env.DEV) {
+        console.error('Error fetching focus session:', err);
+      }
+    }
+  }, [getAuthHeader, user, token, receiveFocus]);
+
+  useEffect(() => {
+    fetchFocus();
+  }, [fetchFocus]);
+
+  // Phases end by the clock. When one does, let the server move the session
+  // on, and pick up the task's new session count if a work phase finished.
+  useEffect(() => {
+    const session = focus.session;
+    if (!session || session.pausedAt) return;
+
+    const timeout = setTimeout(async () => {
+      await fetchFocus();
+      if (session.phase !== 'work') return;
+      try {
+        const response = await api.get(`/tasks/${session.task._id}`, {
+          headers: getAuthHeader(),
+          cache: false
+        });
+        const { _id, focusSessions } = response.data.task;
+        setTasks(prevTasks => prevTasks.map((task) => (task._id === _id ? { ...task, focusSessions } : task)));
+      } catch (err) {
+        if (import.meta.env.DEV) {
+          console.error('Error refreshing focus count:', err);
+        }
+      }
+    }, remainingMs(session, focus.offset) + 500);
+
+    return () => clearTimeout(timeout);
+  }, [focus.session, focus.offset, fetchFocus, getAuthHeader]);
+
+  const createList = async (listData) => {
+    try {
+      const response = await api.post('/lists', listData, {
+        headers: getAuthHeader()
+      });
+      await fetchLists();
+      return response.data.list;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || err.message || 'Failed to create list';
+      setError(errorMessage);
+      throw new Error(errorMessage);
+    }
+  };
+
+  const deleteList = async (id, mode) => {
+    try {
+      await api.delete(`/lists/${id}`, {
+        params: { mode },
+        headers: getAuthHeader()
+      });
+      if (activeList === id) setActiveList(null);
+      await fetchLists();
+      clearTaskCache();
+      fetchTasks();
+      if (mode === 'cascade') {
+        fetchTimer();
+        fetchFocus();
+      }
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || err.message || 'Failed to delete list';
+      setError(errorMessage);
+      throw new Error(errorMessage);
+    }
+  };
+
+  // Sharing changes who can see the list's tasks, so lists are refetched after each change
+  const shareList = async (listId, email, role) => {
+    try {
+      const response = await api.post(`/lists/${listId}/members`, { email, role }, {
+        headers: getAuthHeader()
+      });
+      await fetchLists();
+      return response.data;
+    } catch (err) {
+      throw new Error(err.response?.data?.message || err.message || 'Failed to share list');
+    }
+  };
+
+  const updateMemberRole = async (listId, userId, role) => {
+    try {
+      const response = await api.put(`/lists/${listId}/members/${userId}`, { role }, {
+        headers: getAuthHeader()
+      });
+      await fetchLists();
+      return response.data;
+    } catch (err) {
+      throw new Error(err.response?.data?.message || err.message || 'Failed to change role');
+    }
+  };
+
+  // Revoking someone else's access, or leaving a list shared with us
+  const removeMember = async (listId, userId) => {
+    try {
+      const response = await api.delete(`/lists/${listId}/members/${userId}`, {
+        headers: getAuthHeader()
+      });
+      if (userId === user.id) {
+        if (activeList === listId) setActiveList(null);
+        clearTaskCache();
+        fetchTasks();
+        fetchTimer();
+        fetchFocus();
+      }
+      await fetchLists();
+      return response.data;
+    } catch (err) {
+      throw new Error(err.response?.data?.message || err.message || 'Failed to remove member');
+    }
+  };
+
+  // Pending invitation links to a list ('list') or workspace ('workspace')
+  const fetchInvitations = useCallback(async (type, id) => {
+    try {
+      const response = await api.get('/invitations', {
+        params: { [type]: id },
+        headers: getAuthHeader(),
+        cache: false
+      });
+      return response.data.invitations || [];
+    } catch (err) {
+      throw new Error(err.response?.data?.message || err.message || 'Failed to load invitations');
+    }
+  }, [getAuthHeader]);
+
+  const createInvitation = async (data) => {
+    try {
+      const response = await api.post('/invitations', data, {
+        headers: getAuthHeader()
+      });
+      return response.data;
+    } catch (err) {
+      throw new Error(err.response?.data?.message || err.message || 'Failed to create invitation');
+    }
+  };
+
+  const revokeInvitation = async (id) => {
+    try {
+      const response = await api.delete(`/invitations/${id}`, {
+        headers: getAuthHeader()
+      });
+      return response.data.invitation;
+    } catch (err) {
+      throw new Error(err.response?.data?.message || err.message || 'Failed to revoke invitation');
+    }
+  };
+
+  // Moving a list takes it (and its tasks) out of the current view
+  const moveListToWorkspace = async (listId, workspaceId) => {
+    try {
+      const response = await api.put(`/lists/${listId}`, { workspace: workspaceId || null }, {
+        headers: getAuthHeader()
+      });
+      if (activeList === listId) setActiveList(null);
+      await fetchLists();
+      clearTaskCache();
+      fetchTasks();
+      return response.data.list;
+    } catch (err) {
+      throw new Error(err.response?.data?.message || err.message || 'Failed to move list');
+    }
+  };
+
+  const createWorkspace = async (name) => {
+    try {
+      const response = await api.post('/workspaces', { name }, {
+        headers: getAuthHeader()
+      });
+      await fetchWorkspaces();
+      switchWorkspace(response.data.workspace._id);
+      return response.data.workspace;
+    } catch (err) {
+      throw new Error(err.response?.data?.message || err.message || 'Failed to create workspace');
+    }
+  };
+
+  // Settings and roles decide what the user can do with the workspace's
+  // lists, so those are refetched when the change is to the active one
+  const updateWorkspace = async (id, data) => {
+    try {
+      const response = await api.put(`/workspaces/${id}`, data, {
+        headers: getAuthHeader()
+      });
+      await fetchWorkspaces();
+      if (id === activeWorkspace) fetchLists();
+      return response.data.workspace;
+    } catch (err) {
+      throw new Error(err.response?.data?.message || err.message || 'Failed to update workspace');
+    }
+  };
+
+  const deleteWorkspace = async (id) => {
+    try {
+      await api.delete(`/workspaces/${id}`, {
+        headers: getAuthHeader()
+      });
+      if (id === activeWorkspace) switchWorkspace(null);
+      await fetchWorkspaces();
+    } catch (err) {
+      throw new Error(err.response?.data?.message || err.message || 'Failed to delete workspace');
+    }
+  };
+
+  const addWorkspaceMember = async (id, email, role) => {
+    try {
+      const response = await api.post(`/workspaces/${id}/members`, { email, role }, {
+        headers: getAuthHeader()
+      });
+      await fetchWorkspaces();
+      return response.data;
+    } catch (err) {
+      throw new Error(err.response?.data?.message || err.message || 'Failed to add member');
+    }
+  };
+
+  const updateWorkspaceMemberRole = async (id, userId, role) => {
+    try {
+      const response = await api.put(`/workspaces/${id}/members/${userId}`, { role }, {
+        headers: getAuthHeader()
+      });
+      await fetchWorkspaces();
+      if (id === activeWorkspace) fetchLists();
+      return response.data;
+    } catch (err) {
+      throw new Error(err.response?.data?.message || err.message || 'Failed to change role');
+    }
+  };
+
+  // Removing someone else, or leaving the workspace ourselves
+  const removeWorkspaceMember = async (id, userId) => {
+    try {
+      const response = await api.delete(`/workspaces/${id}/members/${userId}`, {
+        headers: getAuthHeader()
+      });
+      if (userId === user.id) {
+        if (id === activeWorkspace) switchWorkspace(null);
+        fetchTimer();
+        fetchFocus();
+      } else if (id === activeWorkspace) {
+        clearTaskCache();
+        fetchTasks();
+      }
+      await fetchWorkspaces();
+      return response.data;
+    } catch (err) {
+      throw new Error(err.response?.data?.message || err.message || 'Failed to remove member');
+    }
+  };
+
+  const toggleTagFilter = (tagId) => {
+    setSelectedTags(prev =>
+      prev.includes(tagId) ? prev.filter(id => id !== tagId) : [...prev, tagId]
+    );
+  };
+
+  // Whether a task still belongs in the current view after a change
+  const isInView = (task) => (!activeList || task.list === activeList)
+    && (!assignedToMe || task.assignee?._id === user.id);
+
+  // With { parse: true } the server reads dates, #tags and so on out of the title
+  const addTask = async (taskData, { parse = false } = {}) => {
+    try {
+      // New tasks land in the list being viewed, and in "Assigned to me" go to the user
+      const payload = {
+        ...(activeList ? { list: activeList } : {}),
+        ...(assignedToMe ? { assignee: user.id } : {}),
+        ...taskData
+      };
+      const response = await api.post('/tasks', payload, {
+        params: parse ? { parse: true } : undefined,
         headers: getAuthHeader()
       });
       // Handle the new API response format
       const newTask = response.data.task || response.data;
       setTasks(prevTasks => [...prevTasks, newTask]);
+      if (newTask.tags?.length) fetchTags();
+      fetchLists();
       return newTask;
     } catch (err) {
       const errorMessage = err.message || 'Failed to add task';
@@ -151,37 +762,632 @@ function TodoApp() {
     }
   };
 
-  const updateTask = async (id, updatedData) => {
+  // Writes to a loaded task send its version as If-Match, so the server
+  // rejects them (412) if the task was changed elsewhere in the meantime
+  const versionHeaders = (id, version = tasks.find((task) => task._id === id)?.version) => (
+    version === undefined ? getAuthHeader() : { ...getAuthHeader(), 'If-Match': `"${version}"` }
+  );
+
+  // Resolves to true to keep the user's changes, false to take the saved copy
+  const askToResolveConflict = (changes, serverTask) => new Promise((resolve) => {
+    setConflict({ changes, serverTask, resolve });
+  });
+
+  const settleConflict = (keepMine) => {
+    conflict.resolve(keepMine);
+    setConflict(null);
+  };
+
+  // Completing a task that still waits on others needs a second yes: asked
+  // when the server refused with 409 and its blockers
+  const confirmCompletingBlocked = (err) => {
+    const waitingOn = err.response.data.blockers.map((blocker) => `• ${blocker.title}`).join('\n');
+    return window.confirm(`This task is still blocked by:\n${waitingOn}\n\nComplete it anyway?`);
+  };
+
+  // With { force: true } a task is completed even while its blockers are open
+  const updateTask = async (id, updatedData, version, { force = false } = {}) => {
     try {
       const response = await api.put(`/tasks/${id}`, updatedData, {
-        headers: getAuthHeader()
+        params: force ? { force: true } : undefined,
+        headers: versionHeaders(id, version)
       });
       // Handle the new API response format
       const updatedTask = response.data.task || response.data;
       setTasks(prevTasks => 
-        prevTasks.map((task) => (task._id === id ? updatedTask : task))
+        withBlockerChanges(prevTasks, [updatedTask])
+          .map((task) => (task._id === id ? updatedTask : task))
+          // A task moved out of the list (or assigned away) leaves the view
+          .filter(isInView)
       );
+      applySeriesChange(response.data);
+      clearTaskCache();
+      if (updatedData.tags) fetchTags();
+      if (updatedData.list !== undefined || updatedData.completed !== undefined) fetchLists();
       return updatedTask;
     } catch (err) {
+      // Someone else saved first: let the user choose rather than overwrite
+      if (err.response?.status === 412) {
+        const serverTask = err.response.data.task;
+        if (await askToResolveConflict(updatedData, serverTask)) {
+          return updateTask(id, updatedData, serverTask.version);
+        }
+        replaceTask(serverTask);
+        clearTaskCache();
+        return serverTask;
+      }
+      if (err.response?.status === 409 && err.response.data.blockers) {
+        return confirmCompletingBlocked(err)
+          ? updateTask(id, updatedData, version, { force: true })
+          : undefined;
+      }
       const errorMessage = err.message || 'Failed to update task';
       setError(errorMessage);
       throw new Error(errorMessage);
     }
   };
 
-  const deleteTask = async (id) => {
+  // Completing a repeating task creates its next occurrence; un-completing removes it
+  const applySeriesChange = ({ nextTask, removedTaskId }) => {
+    if (!nextTask && !removedTaskId) return;
+    setTasks(prevTasks => [
+      ...prevTasks.filter((task) => task._id !== removedTaskId && task._id !== nextTask?._id),
+      ...(nextTask ? [nextTask] : [])
+    ]);
+  };
+
+  // Subtask endpoints respond with the whole parent task
+  const replaceTask = (updatedTask) => {
+    setTasks(prevTasks =>
+      prevTasks.map((task) => (task._id === updatedTask._id ? updatedTask : task))
+    );
+  };
+
+  const addSubtask = async (taskId, title) => {
     try {
-      await api.delete(`/tasks/${id}`, {
+      const response = await api.post(`/tasks/${taskId}/subtasks`, { title }, {
         headers: getAuthHeader()
       });
-      setTasks(prevTasks => prevTasks.filter((task) => task._id !== id));
+      replaceTask(response.data.task);
+      applySeriesChange(response.data);
+      return response.data.subtask;
     } catch (err) {
+      const errorMessage = err.message || 'Failed to add subtask';
+      setError(errorMessage);
+      throw new Error(errorMessage);
+    }
+  };
+
+  // Checking off the last item completes the task, so blockers apply here too
+  const updateSubtask = async (taskId, subtaskId, updatedData, { force = false } = {}) => {
+    try {
+      const response = await api.put(`/tasks/${taskId}/subtasks/${subtaskId}`, updatedData, {
+        params: force ? { force: true } : undefined,
+        headers: getAuthHeader()
+      });
+      replaceTask(response.data.task);
+      applySeriesChange(response.data);
+      return response.data.subtask;
+    } catch (err) {
+      if (err.response?.status === 409 && err.response.data.blockers) {
+        return confirmCompletingBlocked(err)
+          ? updateSubtask(taskId, subtaskId, updatedData, { force: true })
+          : undefined;
+      }
+      const errorMessage = err.message || 'Failed to update subtask';
+      setError(errorMessage);
+      throw new Error(errorMessage);
+    }
+  };
+
+  const deleteSubtask = async (taskId, subtaskId, { force = false } = {}) => {
+    try {
+      const response = await api.delete(`/tasks/${taskId}/subtasks/${subtaskId}`, {
+        params: force ? { force: true } : undefined,
+        headers: getAuthHeader()
+      });
+      replaceTask(response.data.task);
+      applySeriesChange(response.data);
+    } catch (err) {
+      if (err.response?.status === 409 && err.response.data.blockers) {
+        if (confirmCompletingBlocked(err)) await deleteSubtask(taskId, subtaskId, { force: true });
+        return;
+      }
+      const errorMessage = err.message || 'Failed to delete subtask';
+      setError(errorMessage);
+      throw new Error(errorMessage);
+    }
+  };
+
+  const skipOccurrence = async (id) => {
+    try {
+      const response = await api.post(`/tasks/${id}/recurrence/skip`, {}, {
+        headers: getAuthHeader()
+      });
+      replaceTask(response.data.task);
+      return response.data.task;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || err.message || 'Failed to skip occurrence';
+      setError(errorMessage);
+      throw new Error(errorMessage);
+    }
+  };
+
+  const stopRecurrence = async (id) => {
+    try {
+      const response = await api.post(`/tasks/${id}/recurrence/stop`, {}, {
+        headers: getAuthHeader()
+      });
+      replaceTask(response.data.task);
+      return response.data.task;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || err.message || 'Failed to stop repeating';
+      setError(errorMessage);
+      throw new Error(errorMessage);
+    }
+  };
+
+  const fetchHistory = useCallback(async (taskId) => {
+    const response = await api.get(`/tasks/${taskId}/history`, {
+      headers: getAuthHeader(),
+      cache: false
+    });
+    return response.data.history || [];
+  }, [getAuthHeader]);
+
+  const fetchDependencies = useCallback(async (taskId) => {
+    const response = await api.get(`/tasks/${taskId}/dependencies`, {
+      headers: getAuthHeader(),
+      cache: false
+    });
+    return response.data;
+  }, [getAuthHeader]);
+
+  // Errors (such as a dependency that would form a cycle) are shown by the caller
+  const addDependency = async (taskId, blockerId) => {
+    try {
+      const response = await api.post(`/tasks/${taskId}/dependencies`, { blockedBy: blockerId }, {
+        headers: getAuthHeader()
+      });
+      replaceTask(response.data.task);
+      clearTaskCache();
+      return response.data.task;
+    } catch (err) {
+      throw new Error(err.response?.data?.message || err.message || 'Failed to add dependency');
+    }
+  };
+
+  const removeDependency = async (taskId, blockerId) => {
+    try {
+      const response = await api.delete(`/tasks/${taskId}/dependencies/${blockerId}`, {
+        headers: getAuthHeader()
+      });
+      replaceTask(response.data.task);
+      clearTaskCache();
+      return response.data.task;
+    } catch (err) {
+      throw new Error(err.response?.data?.message || err.message || 'Failed to remove dependency');
+    }
+  };
+
+  // Starting a timer stops whichever one was running
+  const startTimer = async (taskId) => {
+    try {
+      const response = await api.post(`/tasks/${taskId}/time/start`, {}, {
+        headers: getAuthHeader()
+      });
+      setTimer(response.data.entry);
+      return response.data.entry;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || err.message || 'Failed to start timer';
+      setError(errorMessage);
+      throw new Error(errorMessage);
+    }
+  };
+
+  const stopTimer = async () => {
+    try {
+      const response = await api.post('/time/stop', {}, {
+        headers: getAuthHeader()
+      });
+      setTimer(null);
+      return response.data.entry;
+    } catch (err) {
+      // It may have been stopped elsewhere; show whatever is running now
+      fetchTimer();
+      const errorMessage = err.response?.data?.message || err.message || 'Failed to stop timer';
+      setError(errorMessage);
+      throw new Error(errorMessage);
+    }
+  };
+
+  const fetchTimeEntries = useCallback(async (taskId) => {
+    const response = await api.get(`/tasks/${taskId}/time`, {
+      headers: getAuthHeader(),
+      cache: false
+    });
+    return response.data;
+  }, [getAuthHeader]);
+
+  // Manual time entries; errors are shown by the caller
+  const addTimeEntry = async (taskId, entryData) => {
+    try {
+      const response = await api.post(`/tasks/${taskId}/time`, entryData, {
+        headers: getAuthHeader()
+      });
+      return response.data.entry;
+    } catch (err) {
+      throw new Error(err.response?.data?.message || err.message || 'Failed to add time');
+    }
+  };
+
+  const updateTimeEntry = async (taskId, entryId, entryData) => {
+    try {
+      const response = await api.put(`/tasks/${taskId}/time/${entryId}`, entryData, {
+        headers: getAuthHeader()
+      });
+      if (timer?._id === entryId) fetchTimer();
+      return response.data.entry;
+    } catch (err) {
+      throw new Error(err.response?.data?.message || err.message || 'Failed to update time entry');
+    }
+  };
+
+  const deleteTimeEntry = async (taskId, entryId) => {
+    try {
+      await api.delete(`/tasks/${taskId}/time/${entryId}`, {
+        headers: getAuthHeader()
+      });
+      if (timer?._id === entryId) setTimer(null);
+    } catch (err) {
+      throw new Error(err.response?.data?.message || err.message || 'Failed to delete time entry');
+    }
+  };
+
+  // Keep the 📎 and 💬 counts in the task list in step with the drawer
+  const adjustTaskCount = (taskId, field, delta) => {
+    clearTaskCache();
+    setTasks(prevTasks => prevTasks.map((task) => (task._id === taskId
+      ? { ...task, [field]: Math.max(0, (task[field] || 0) + delta) }
+      : task)));
+  };
+
+  const fetchAttachments = useCallback(async (taskId) => {
+    const response = await api.get(`/tasks/${taskId}/attachments`, {
+      headers: getAuthHeader(),
+      cache: false
+    });
+    return response.data.attachments || [];
+  }, [getAuthHeader]);
+
+  // File uploads; errors are shown by the caller
+  const uploadAttachments = async (taskId, files) => {
+    const formData = new FormData();
+    files.forEach((file) => formData.append('files', file));
+    try {
+      const response = await api.post(`/tasks/${taskId}/attachments`, formData, {
+        headers: { ...getAuthHeader(), 'Content-Type': 'multipart/form-data' },
+        timeout: 120000 // large files take a while on slow connections
+      });
+      adjustTaskCount(taskId, 'attachmentCount', response.data.attachments.length);
+      return response.data.attachments;
+    } catch (err) {
+      throw new Error(err.response?.data?.message || err.message || 'Failed to upload files');
+    }
+  };
+
+  const deleteAttachment = async (taskId, attachmentId) => {
+    try {
+      await api.delete(`/tasks/${taskId}/attachments/${attachmentId}`, {
+        headers: getAuthHeader()
+      });
+      adjustTaskCount(taskId, 'attachmentCount', -1);
+    } catch (err) {
+      throw new Error(err.response?.data?.message || err.message || 'Failed to delete attachment');
+    }
+  };
+
+  const fetchComments = useCallback(async (taskId) => {
+    const response = await api.get(`/tasks/${taskId}/comments`, {
+      headers: getAuthHeader(),
+      cache: false
+    });
+    return response.data;
+  }, [getAuthHeader]);
+
+  // Comments; errors are shown by the caller
+  const addComment = async (taskId, body) => {
+    try {
+      const response = await api.post(`/tasks/${taskId}/comments`, { body }, {
+        headers: getAuthHeader()
+      });
+      adjustTaskCount(taskId, 'commentCount', 1);
+      return response.data.comment;
+    } catch (err) {
+      throw new Error(err.response?.data?.message || err.message || 'Failed to add comment');
+    }
+  };
+
+  const updateComment = async (taskId, commentId, body) => {
+    try {
+      const response = await api.put(`/tasks/${taskId}/comments/${commentId}`, { body }, {
+        headers: getAuthHeader()
+      });
+      return response.data.comment;
+    } catch (err) {
+      throw new Error(err.response?.data?.message || err.message || 'Failed to update comment');
+    }
+  };
+
+  const deleteComment = async (taskId, commentId) => {
+    try {
+      await api.delete(`/tasks/${taskId}/comments/${commentId}`, {
+        headers: getAuthHeader()
+      });
+      adjustTaskCount(taskId, 'commentCount', -1);
+    } catch (err) {
+      throw new Error(err.response?.data?.message || err.message || 'Failed to delete comment');
+    }
+  };
+
+  // Downloads need the auth header, so files come back as blobs rather than
+  // through a plain link
+  const fetchAttachmentFile = useCallback(async (taskId, attachmentId) => {
+    const response = await api.get(`/tasks/${taskId}/attachments/${attachmentId}/download`, {
+      headers: getAuthHeader(),
+      responseType: 'blob',
+      cache: false,
+      timeout: 120000
+    });
+    return response.data;
+  }, [getAuthHeader]);
+
+  // Full screen is best effort: browsers only allow it straight from a click
+  const openFocus = () => {
+    setFocusOpen(true);
+    document.documentElement.requestFullscreen?.().catch(() => {});
+  };
+
+  const closeFocus = useCallback(() => {
+    setFocusOpen(false);
+    if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+  }, []);
+
+  const runFocusAction = async (request, fallbackMessage) => {
+    try {
+      const response = await request();
+      receiveFocus(response.data);
+      return response.data.session;
+    } catch (err) {
+      // Out of step with the server (another tab, a phase that just ended)
+      fetchFocus();
+      const errorMessage = err.response?.data?.message || err.message || fallbackMessage;
+      setError(errorMessage);
+      throw new Error(errorMessage);
+    }
+  };
+
+  const startFocus = (taskId) => {
+    const task = tasks.find((item) => item._id === taskId);
+    if (task) setFocus(prev => ({ ...prev, task: { _id: task._id, title: task.title } }));
+    openFocus();
+    return runFocusAction(
+      () => api.post('/focus/start', { task: taskId }, { headers: getAuthHeader() }),
+      'Failed to start focus session'
+    );
+  };
+
+  const pauseFocus = () => runFocusAction(
+    () => api.post('/focus/pause', {}, { headers: getAuthHeader() }),
+    'Failed to pause focus session'
+  );
+
+  const resumeFocus = () => runFocusAction(
+    () => api.post('/focus/resume', {}, { headers: getAuthHeader() }),
+    'Failed to resume focus session'
+  );
+
+  const stopFocus = () => runFocusAction(
+    () => api.post('/focus/stop', {}, { headers: getAuthHeader() }),
+    'Failed to stop focus session'
+  );
+
+  // Errors are shown in the settings form
+  const updateFocusSettings = async (settings) => {
+    try {
+      const response = await api.put('/focus/settings', settings, {
+        headers: getAuthHeader()
+      });
+      setFocus(prev => ({ ...prev, settings: response.data.settings }));
+      return response.data.settings;
+    } catch (err) {
+      throw new Error(err.response?.data?.message || err.message || 'Failed to save focus settings');
+    }
+  };
+
+  const revertTask = async (taskId, entryId, { force = false } = {}) => {
+    try {
+      const response = await api.post(`/tasks/${taskId}/history/${entryId}/revert`, {}, {
+        params: force ? { force: true } : undefined,
+        headers: getAuthHeader()
+      });
+      replaceTask(response.data.task);
+      applySeriesChange(response.data);
+      clearTaskCache();
+      return response.data.task;
+    } catch (err) {
+      if (err.response?.status === 409 && err.response.data.blockers) {
+        return confirmCompletingBlocked(err)
+          ? revertTask(taskId, entryId, { force: true })
+          : undefined;
+      }
+      const errorMessage = err.response?.data?.message || err.message || 'Failed to revert task';
+      setError(errorMessage);
+      throw new Error(errorMessage);
+    }
+  };
+
+  // Move a task next to a neighbour in the manual order. The list is
+  // reordered straight away and resynced from the server if the move fails.
+  const reorderTask = async (id, { after, before }) => {
+    setTasks(prevTasks => {
+      const moving = prevTasks.find((task) => task._id === id);
+      const rest = prevTasks.filter((task) => task._id !== id);
+      const anchorIndex = rest.findIndex((task) => task._id === (after || before));
+      if (!moving || anchorIndex === -1) return prevTasks;
+      rest.splice(after ? anchorIndex + 1 : anchorIndex, 0, moving);
+      return rest;
+    });
+
+    try {
+      const response = await api.post(`/tasks/${id}/reorder`, after ? { after } : { before }, {
+        headers: getAuthHeader()
+      });
+      replaceTask(response.data.task);
+      clearTaskCache();
+      return response.data.task;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || err.message || 'Failed to move task';
+      setError(errorMessage);
+      clearTaskCache();
+      fetchTasks();
+      throw new Error(errorMessage);
+    }
+  };
+
+  const deleteTask = async (id, version) => {
+    try {
+      await api.delete(`/tasks/${id}`, {
+        headers: versionHeaders(id, version)
+      });
+      setTasks(prevTasks => withBlockerChanges(prevTasks, [], [id]).filter((task) => task._id !== id));
+      // The server stops a timer or focus session running on a trashed task
+      setTimer(prevTimer => (prevTimer?.task?._id === id ? null : prevTimer));
+      if (focus.session?.task?._id === id) fetchFocus();
+      fetchLists();
+    } catch (err) {
+      if (err.response?.status === 412) {
+        const serverTask = err.response.data.task;
+        if (window.confirm(`"${serverTask.title}" was changed elsewhere since you loaded it. Move it to the trash anyway?`)) {
+          return deleteTask(id, serverTask.version);
+        }
+        replaceTask(serverTask);
+        return;
+      }
       const errorMessage = err.message || 'Failed to delete task';
       setError(errorMessage);
       throw new Error(errorMessage);
     }
   };
 
+  // Apply several create/update/delete/move operations in one request.
+  // The server applies all of them or none, so on failure nothing changes here.
+  const batchTasks = async (operations) => {
+    try {
+      const response = await api.post('/tasks/batch', { operations }, {
+        headers: getAuthHeader()
+      });
+
+      const results = response.data.results || [];
+      const updated = new Map(results.filter((result) => result.task).map((result) => [result.task._id, result.task]));
+      const removed = new Set(results.flatMap((result) => [result.taskId, result.removedTaskId]).filter(Boolean));
+      const added = results.map((result) => result.nextTask).filter(Boolean);
+
+      setTasks(prevTasks => [
+        ...withBlockerChanges(prevTasks, [...updated.values()], [...removed])
+          .filter((task) => !removed.has(task._id))
+          .map((task) => updated.get(task._id) || task)
+          // A task moved out of the list (or assigned away) leaves the view
+          .filter(isInView),
+        ...added
+      ]);
+      clearTaskCache();
+      if (operations.some((operation) => operation.data?.tags)) fetchTags();
+      if (timer && removed.has(timer.task?._id)) setTimer(null);
+      if (focus.session && removed.has(focus.session.task?._id)) fetchFocus();
+      fetchLists();
+      return results;
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || err.message || 'Failed to update tasks';
+      setError(errorMessage);
+      throw new Error(errorMessage);
+    }
+  };
+
+  const fetchTrash = useCallback(async () => {
+    if (!user || !token) return;
+    try {
+      setTrashLoading(true);
+      const response = await api.get('/trash', {
+        headers: getAuthHeader(),
+        cache: false
+      });
+      setTrash({ tasks: response.data.tasks || [], retentionDays: response.data.retentionDays });
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load trash');
+    } finally {
+      setTrashLoading(false);
+    }
+  }, [getAuthHeader, user, token]);
+
+  useEffect(() => {
+    if (showTrash) fetchTrash();
+  }, [showTrash, fetchTrash, activeWorkspace]);
+
+  const selectList = (listId) => {
+    setShowTrash(false);
+    setAssignedToMe(false);
+    setActiveList(listId);
+  };
+
+  const selectAssigned = () => {
+    setShowTrash(false);
+    setActiveList(null);
+    setAssignedToMe(true);
+  };
+
+  const restoreTask = async (id) => {
+    try {
+      await api.post(`/trash/${id}/restore`, {}, {
+        headers: getAuthHeader()
+      });
+      setTrash(prev => ({ ...prev, tasks: prev.tasks.filter((task) => task._id !== id) }));
+      clearTaskCache();
+      fetchTasks();
+      fetchLists();
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || err.message || 'Failed to restore task';
+      setError(errorMessage);
+      throw new Error(errorMessage);
+    }
+  };
+
+  const purgeTask = async (id) => {
+    try {
+      await api.delete(`/trash/${id}`, {
+        headers: getAuthHeader()
+      });
+      setTrash(prev => ({ ...prev, tasks: prev.tasks.filter((task) => task._id !== id) }));
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || err.message || 'Failed to delete task';
+      setError(errorMessage);
+      throw new Error(errorMessage);
+    }
+  };
+
+  const emptyTrash = async () => {
+    try {
+      await api.delete('/trash', {
+        headers: getAuthHeader()
+      });
+      setTrash(prev => ({ ...prev, tasks: [] }));
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || err.message || 'Failed to empty trash';
+      setError(errorMessage);
+      throw new Error(errorMessage);
+    }
+  };
+
   const filteredTasks = tasks.filter((task) => {
     if (filter === "completed") return task.completed;
     if (filter === "pending") return !task.completed;
@@ -195,17 +1401,61 @@ function TodoApp() {
 
   const clearError = () => setError(null);
 
+  // Each list has its own manual order, so tasks are dragged within one list
+  const canReorder = sortOrder === "manual" && Boolean(activeList) && !assignedToMe && !searchQuery;
+  const workspace = workspaces.find(item => item._id === activeWorkspace) || null;
+
   return (
     <>
       <PerformanceMonitor show={import.meta.env.DEV} />
-      <Navigation />
+      <Navigation
+        timer={timer}
+        onStopTimer={stopTimer}
+        focusSession={focus.session}
+        focusOffset={focus.offset}
+        onOpenFocus={openFocus}
+        workspaces={workspaces}
+        activeWorkspace={activeWorkspace}
+        onSwitchWorkspace={switchWorkspace}
+        createWorkspace={createWorkspace}
+        updateWorkspace={updateWorkspace}
+        deleteWorkspace={deleteWorkspace}
+        addWorkspaceMember={addWorkspaceMember}
+        updateWorkspaceMemberRole={updateWorkspaceMemberRole}
+        removeWorkspaceMember={removeWorkspaceMember}
+        fetchInvitations={fetchInvitations}
+        createInvitation={createInvitation}
+        revokeInvitation={revokeInvitation}
+      />
       <div className="app">
-        <div className="app-container">
+        <div className="app-container with-sidebar">
           <header className="app-header">
             <h1 className="app-title">Welcome back, {user?.name}!</h1>
-            <p className="app-subtitle">Your personal task manager</p>
+            <p className="app-subtitle">{workspace ? `Working in ${workspace.name}` : 'Your personal task manager'}</p>
           </header>
 
+        <div className="app-body">
+        <ListSidebar
+          lists={lists}
+          activeList={activeList}
+          onSelectList={selectList}
+          assignedToMe={assignedToMe}
+          onSelectAssigned={selectAssigned}
+          showTrash={showTrash}
+          onSelectTrash={() => setShowTrash(true)}
+          createList={createList}
+          deleteList={deleteList}
+          shareList={shareList}
+          updateMemberRole={updateMemberRole}
+          removeMember={removeMember}
+          workspace={workspace}
+          workspaces={workspaces}
+          moveList={moveListToWorkspace}
+          fetchInvitations={fetchInvitations}
+          createInvitation={createInvitation}
+          revokeInvitation={revokeInvitation}
+        />
+
         <main className="app-content">
           {error && (
             <div className="error-banner" style={{
@@ -234,71 +1484,203 @@ function TodoApp() {
             </div>
           )}
 
-          <TaskForm addTask={addTask} loading={loading} />
+          {showTrash ? (
+            <TrashView
+              trash={trash}
+              loading={trashLoading}
+              restoreTask={restoreTask}
+              purgeTask={purgeTask}
+              emptyTrash={emptyTrash}
+            />
+          ) : (
+            <>
+              <TaskForm addTask={addTask} loading={loading} />
 
-          {totalTasks > 0 && (
-            <div className="stats">
-              <div className="stat-item">
-                <span>Total:</span>
-                <span className="stat-number">{totalTasks}</span>
-              </div>
-              <div className="stat-item">
-                <span>Pending:</span>
-                <span className="stat-number">{pendingTasks}</span>
+              <div className="filter-container">
+                <button 
+                  className={`filter-button ${filter === "all" ? "active" : ""}`}
+                  onClick={() => setFilter("all")}
+                >
+                  All ({totalTasks})
+                </button>
+                <button 
+                  className={`filter-button ${filter === "pending" ? "active" : ""}`}
+                  onClick={() => setFilter("pending")}
+                >
+                  Pending ({pendingTasks})
+                </button>
+                <button 
+                  className={`filter-button ${filter === "completed" ? "active" : ""}`}
+                  onClick={() => setFilter("completed")}
+                >
+                  Completed ({completedTasks})
+                </button>
               </div>
-              <div className="stat-item">
-                <span>Completed:</span>
-                <span className="stat-number">{completedTasks}</span>
+
+              {tags.length > 0 && (
+                <div className="tag-filter">
+                  {tags.map((tag) => (
+                    <button
+                      key={tag._id}
+                      className={`tag-chip ${selectedTags.includes(tag._id) ? 'active' : ''}`}
+                      style={{ '--tag-color': tag.color }}
+                      onClick={() => toggleTagFilter(tag._id)}
+                      aria-pressed={selectedTags.includes(tag._id)}
+                    >
+                      #{tag.name}
+                      <span className="tag-count">{tag.taskCount}</span>
+                    </button>
+                  ))}
+                  {selectedTags.length > 1 && (
+                    <button
+                      className="tag-mode"
+                      onClick={() => setTagMode(tagMode === "any" ? "all" : "any")}
+                      title="Match tasks with any or all of the selected tags"
+                    >
+                      Match {tagMode}
+                    </button>
+                  )}
+                  {selectedTags.length > 0 && (
+                    <button className="tag-mode" onClick={() => setSelectedTags([])}>
+                      Clear
+                    </button>
+                  )}
+                </div>
+              )}
+
+              <div className="list-options">
+                <label htmlFor="due-filter">Due:</label>
+                <select
+                  id="due-filter"
+                  value={dueFilter}
+                  onChange={(e) => setDueFilter(e.target.value)}
+                >
+                  <option value="">Any time</option>
+                  <option value="overdue">Overdue</option>
+                  <option value="today">Today</option>
+                  <option value="week">This week</option>
+                  <option value="none">No due date</option>
+                </select>
+
+                <label htmlFor="sort-order">Sort:</label>
+                <select
+                  id="sort-order"
+                  value={sortOrder}
+                  onChange={(e) => setSortOrder(e.target.value)}
+                >
+                  <option value="-createdAt">Newest first</option>
+                  <option value="smart">Priority first</option>
+                  <option value="dueAt">Due date</option>
+                  <option value="manual">Manual (drag to reorder)</option>
+                </select>
               </div>
-            </div>
-          )}
 
-          <div className="filter-container">
-            <button 
-              className={`filter-button ${filter === "all" ? "active" : ""}`}
-              onClick={() => setFilter("all")}
-            >
-              All ({totalTasks})
-            </button>
-            <button 
-              className={`filter-button ${filter === "pending" ? "active" : ""}`}
-              onClick={() => setFilter("pending")}
-            >
-              Pending ({pendingTasks})
-            </button>
-            <button 
-              className={`filter-button ${filter === "completed" ? "active" : ""}`}
-              onClick={() => setFilter("completed")}
-            >
-              Completed ({completedTasks})
-            </button>
-          </div>
+              <SearchBar
+                value={searchInput}
+                onChange={setSearchInput}
+                tags={tags}
+                lists={lists}
+                error={filterError}
+              />
+              {textSearch && searchPagination && !loading && (
+                <p className="search-summary">
+                  {searchPagination.total} result{searchPagination.total !== 1 ? 's' : ''} for “{textSearch}”
+                  {activeList ? ' in this list' : ''}{assignedToMe ? ' assigned to you' : ''}, best matches first
+                </p>
+              )}
 
-          <TaskList
-            tasks={filteredTasks}
-            updateTask={updateTask}
-            deleteTask={deleteTask}
-            loading={loading}
-          />
-
-          {!loading && totalTasks > 0 && (
-            <div style={{
-              textAlign: 'center',
-              marginTop: '2rem',
-              padding: '1rem',
-              fontSize: '0.875rem',
-              color: '#6b7280'
-            }}>
-              {completedTasks === totalTasks ? (
-                <span>🎉 All tasks completed! Great job!</span>
-              ) : (
-                <span>Keep going! {pendingTasks} task{pendingTasks !== 1 ? 's' : ''} remaining.</span>
+              <TaskList
+                tasks={filteredTasks}
+                updateTask={updateTask}
+                deleteTask={deleteTask}
+                lists={lists}
+                workspace={workspace}
+                tags={tags}
+                addSubtask={addSubtask}
+                updateSubtask={updateSubtask}
+                deleteSubtask={deleteSubtask}
+                skipOccurrence={skipOccurrence}
+                stopRecurrence={stopRecurrence}
+                fetchHistory={fetchHistory}
+                revertTask={revertTask}
+                fetchDependencies={fetchDependencies}
+                addDependency={addDependency}
+                removeDependency={removeDependency}
+                timer={timer}
+                startTimer={startTimer}
+                stopTimer={stopTimer}
+                fetchTimeEntries={fetchTimeEntries}
+                addTimeEntry={addTimeEntry}
+                updateTimeEntry={updateTimeEntry}
+                deleteTimeEntry={deleteTimeEntry}
+                fetchAttachments={fetchAttachments}
+                uploadAttachments={uploadAttachments}
+                deleteAttachment={deleteAttachment}
+                fetchAttachmentFile={fetchAttachmentFile}
+                fetchComments={fetchComments}
+                addComment={addComment}
+                updateComment={updateComment}
+                deleteComment={deleteComment}
+                focusSession={focus.session}
+                startFocus={startFocus}
+                onOpenFocus={openFocus}
+                batchTasks={batchTasks}
+                onReorder={canReorder ? reorderTask : undefined}
+                searchQuery={searchQuery}
+                loading={loading}
+                hasMore={textSearch
+                  ? Boolean(searchPagination && searchPagination.page < searchPagination.pages)
+                  : Boolean(taskPage.nextCursor)}
+                onLoadMore={textSearch ? loadMoreResults : loadMoreTasks}
+                loadingMore={loadingMore}
+              />
+
+              {!loading && totalTasks > 0 && (
+                <div style={{
+                  textAlign: 'center',
+                  marginTop: '2rem',
+                  padding: '1rem',
+                  fontSize: '0.875rem',
+                  color: '#6b7280'
+                }}>
+                  {completedTasks === totalTasks ? (
+                    <span>🎉 All tasks completed! Great job!</span>
+                  ) : (
+                    <span>Keep going! {pendingTasks} task{pendingTasks !== 1 ? 's' : ''} remaining.</span>
+                  )}
+                </div>
               )}
-            </div>
+            </>
           )}
         </main>
+        </div>
       </div>
     </div>
+    {conflict && (
+      <ConflictDialog
+        changes={conflict.changes}
+        serverTask={conflict.serverTask}
+        lists={lists}
+        workspace={workspace}
+        tags={tags}
+        onKeepMine={() => settleConflict(true)}
+        onUseSaved={() => settleConflict(false)}
+      />
+    )}
+    {focusOpen && (
+      <FocusMode
+        session={focus.session}
+        offset={focus.offset}
+        settings={focus.settings}
+        task={focus.task}
+        onStart={startFocus}
+        onPause={pauseFocus}
+        onResume={resumeFocus}
+        onStop={stopFocus}
+        onSaveSettings={updateFocusSettings}
+        onClose={closeFocus}
+      />
+    )}
     <DevTools />
     </>
   );
@@ -3,9 +3,12 @@ import { useAuth } from '../contexts/AuthContext';
 import Login from './Login';
 import Register from './Register';
 import LoadingSpinner from './LoadingSpinner';
+import { getInviteToken } from '../utils/invitations';
 
 const AuthWrapper = () => {
-  const [isLogin, setIsLogin] = useState(true);
+  // An invitation link opens on sign-up; signing in instead accepts it once in the app
+  const [inviteToken] = useState(getInviteToken);
+  const [isLogin, setIsLogin] = useState(!inviteToken);
   const { loading } = useAuth();
 
   const switchToRegister = () => setIsLogin(false);
@@ -20,7 +23,7 @@ const AuthWrapper = () => {
       {isLogin ? (
         <Login onSwitchToRegister={switchToRegister} />
       ) : (
-        <Register onSwitchToLogin={switchToLogin} />
+        <Register onSwitchToLogin={switchToLogin} inviteToken={inviteToken} />
       )}
     </>
   );
@@ -0,0 +1,77 @@
+import React, { useEffect } from "react";
+import { FIELD_LABELS, formatFieldValue } from "../utils/taskFields";
+import { listAudience } from "../utils/members";
+
+// A task as the server sent it, in the same shape as an update body
+const editableValue = (task, field) => {
+  if (field === 'tags') return (task.tags || []).map(tag => tag._id || tag);
+  if (field === 'recurrence') return task.recurrence?.rule || null;
+  if (field === 'assignee') return task.assignee?._id || null;
+  return task[field];
+};
+
+// Shown when a save is rejected because the task changed elsewhere (412).
+// Lists each field the user edited next to the saved value so they can pick.
+function ConflictDialog({ changes, serverTask, lists = [], workspace = null, tags = [], onKeepMine, onUseSaved }) {
+  const fields = Object.keys(changes).filter(field => FIELD_LABELS[field]);
+  const users = lists.flatMap(list => listAudience(list, workspace));
+
+  useEffect(() => {
+    // Escape keeps what was saved, the choice that loses nothing already stored
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onUseSaved();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onUseSaved]);
+
+  return (
+    <div className="conflict-backdrop">
+      <div
+        className="conflict-dialog"
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby="conflict-title"
+        aria-describedby="conflict-description"
+      >
+        <h2 id="conflict-title">This task was changed elsewhere</h2>
+        <p id="conflict-description" className="conflict-description">
+          “{serverTask.title}” was updated (maybe in another tab) after you opened it.
+          Choose which version to keep.
+        </p>
+
+        {fields.length > 0 && (
+          <table className="conflict-table">
+            <thead>
+              <tr>
+                <th scope="col">Field</th>
+                <th scope="col">Your change</th>
+                <th scope="col">Saved version</th>
+              </tr>
+            </thead>
+            <tbody>
+              {fields.map(field => (
+                <tr key={field}>
+                  <th scope="row">{FIELD_LABELS[field]}</th>
+                  <td>{formatFieldValue(field, changes[field], { lists, tags, users })}</td>
+                  <td>{formatFieldValue(field, editableValue(serverTask, field), { lists, tags, users })}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <div className="conflict-actions">
+          <button className="conflict-saved" onClick={onUseSaved} autoFocus>
+            Use saved version
+          </button>
+          <button className="conflict-mine" onClick={onKeepMine}>
+            Keep my changes
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ConflictDialog;
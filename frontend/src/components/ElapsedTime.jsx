@@ -0,0 +1,20 @@
+import React, { useEffect, useState } from "react";
+import { formatDuration } from "../utils/timeTracking";
+
+// Live "1:04:05" counter for a running timer, ticking once a second
+function ElapsedTime({ since, className = "" }) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  return (
+    <span className={className} role="timer">
+      {formatDuration(now - new Date(since).getTime())}
+    </span>
+  );
+}
+
+export default ElapsedTime;
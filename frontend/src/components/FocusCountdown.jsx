@@ -0,0 +1,23 @@
+import React, { useEffect, useState } from "react";
+import { remainingMs } from "../utils/focus";
+import { formatDuration } from "../utils/timeTracking";
+
+// "24:59" left in a focus session's phase, ticking once a second until paused
+function FocusCountdown({ session, offset = 0, className = "" }) {
+  const [now, setNow] = useState(() => Date.now());
+  const paused = Boolean(session.pausedAt);
+
+  useEffect(() => {
+    if (paused) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [paused]);
+
+  return (
+    <span className={className} role="timer">
+      {formatDuration(remainingMs(session, offset, now))}
+    </span>
+  );
+}
+
+export default FocusCountdown;
@@ -0,0 +1,155 @@
+import React, { useEffect, useState } from "react";
+import FocusCountdown from "./FocusCountdown";
+import { PHASE_LABELS, SETTING_FIELDS } from "../utils/focus";
+
+// Full-screen pomodoro view: only the task being worked on, the countdown
+// and the controls for the session
+function FocusMode({
+  session,
+  offset = 0,
+  settings,
+  task,
+  onStart,
+  onPause,
+  onResume,
+  onStop,
+  onSaveSettings,
+  onClose
+}) {
+  const [busy, setBusy] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [draft, setDraft] = useState(settings || {});
+  const [settingsError, setSettingsError] = useState(null);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const run = async (action) => {
+    if (busy) return;
+    setBusy(true);
+    try {
+      await action();
+    } catch (error) {
+      console.error("Focus session error:", error);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSaveSettings = async (e) => {
+    e.preventDefault();
+    setSettingsError(null);
+    try {
+      await onSaveSettings(draft);
+      setShowSettings(false);
+    } catch (error) {
+      setSettingsError(error.message);
+    }
+  };
+
+  const longBreak = session?.phase === 'break' && settings && session.round === settings.longBreakEvery;
+  const phaseLabel = !session
+    ? 'Ready'
+    : longBreak ? 'Long break' : PHASE_LABELS[session.phase];
+
+  return (
+    <div className={`focus-mode ${session ? `phase-${session.phase}` : 'idle'}`} role="dialog" aria-modal="true" aria-label="Focus mode">
+      <div className="focus-toolbar">
+        <button
+          type="button"
+          className="focus-tool"
+          onClick={() => {
+            setDraft(settings || {});
+            setShowSettings(!showSettings);
+          }}
+          aria-expanded={showSettings}
+        >
+          ⚙️ Settings
+        </button>
+        <button type="button" className="focus-tool" onClick={onClose} aria-label="Leave focus mode">
+          × Exit
+        </button>
+      </div>
+
+      {showSettings && settings && (
+        <form className="focus-settings" onSubmit={handleSaveSettings}>
+          {SETTING_FIELDS.map(field => (
+            <label key={field.name}>
+              {field.label}
+              <input
+                type="number"
+                min={field.min}
+                max={field.max}
+                step="1"
+                value={draft[field.name] ?? ''}
+                onChange={(e) => setDraft({ ...draft, [field.name]: parseInt(e.target.value) || '' })}
+                required
+              />
+            </label>
+          ))}
+          <button type="submit" className="focus-button">Save</button>
+          <p className="focus-settings-hint">Changes apply from the next session.</p>
+          {settingsError && <p className="focus-error" role="alert">{settingsError}</p>}
+        </form>
+      )}
+
+      <div className="focus-main">
+        <p className="focus-phase">
+          {phaseLabel}
+          {session && settings && ` · round ${session.round} of ${settings.longBreakEvery}`}
+          {session?.pausedAt && ' · paused'}
+        </p>
+
+        {session ? (
+          <FocusCountdown session={session} offset={offset} className="focus-countdown" />
+        ) : (
+          <span className="focus-countdown">{settings ? `${settings.workMinutes}:00` : '—'}</span>
+        )}
+
+        <h1 className="focus-task">{task ? task.title : 'Pick a task to focus on'}</h1>
+
+        {session?.interruptions > 0 && (
+          <p className="focus-interruptions">
+            {session.interruptions} interruption{session.interruptions !== 1 ? 's' : ''}
+          </p>
+        )}
+
+        <div className="focus-controls">
+          {session?.phase === 'work' && (
+            session.pausedAt ? (
+              <button type="button" className="focus-button primary" onClick={() => run(onResume)} disabled={busy}>
+                ▶ Resume
+              </button>
+            ) : (
+              <button type="button" className="focus-button primary" onClick={() => run(onPause)} disabled={busy}>
+                ⏸ Pause
+              </button>
+            )
+          )}
+          {session?.phase === 'break' && (
+            <button type="button" className="focus-button primary" onClick={() => run(() => onStart(task._id))} disabled={busy}>
+              ⏭ Skip break
+            </button>
+          )}
+          {!session && task && (
+            <button type="button" className="focus-button primary" onClick={() => run(() => onStart(task._id))} disabled={busy}>
+              ▶ Start focus session
+            </button>
+          )}
+          {session && (
+            <button type="button" className="focus-button" onClick={() => run(onStop)} disabled={busy}>
+              ■ Stop
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default FocusMode;
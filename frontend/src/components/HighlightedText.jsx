@@ -0,0 +1,19 @@
+import React from "react";
+
+// Wraps the [start, end) ranges of `text` returned by the search API in <mark>
+function HighlightedText({ text, ranges }) {
+  if (!ranges || ranges.length === 0) return text;
+
+  const parts = [];
+  let cursor = 0;
+  ranges.forEach(([start, end], index) => {
+    if (start > cursor) parts.push(text.slice(cursor, start));
+    parts.push(<mark key={index} className="search-highlight">{text.slice(start, end)}</mark>);
+    cursor = end;
+  });
+  if (cursor < text.length) parts.push(text.slice(cursor));
+
+  return <>{parts}</>;
+}
+
+export default HighlightedText;
@@ -0,0 +1,169 @@
+import React, { useEffect, useState } from "react";
+import { EXPIRY_OPTIONS, USE_OPTIONS } from "../utils/invitations";
+
+// Invitation links to a list or workspace (`type` and `id`): create one for
+// a role, a number of uses and an expiry (optionally emailed to someone),
+// copy the pending ones and revoke them
+function InvitePanel({ type, id, roles, roleLabels, defaultRole, fetchInvitations, createInvitation, revokeInvitation }) {
+  const [invitations, setInvitations] = useState([]);
+  const [role, setRole] = useState(defaultRole);
+  const [maxUses, setMaxUses] = useState(1);
+  const [expiresInDays, setExpiresInDays] = useState(7);
+  const [email, setEmail] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchInvitations(type, id)
+      .then((fetched) => {
+        if (!cancelled) setInvitations(fetched);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [fetchInvitations, type, id]);
+
+  const copy = async (url) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setNotice('Link copied');
+    } catch {
+      // No clipboard access (e.g. over plain http): show the link to copy by hand
+      window.prompt('Copy the invitation link', url);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (busy) return;
+
+    setBusy(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const data = await createInvitation({
+        [type]: id,
+        role,
+        maxUses,
+        expiresInDays,
+        email: email.trim() || null
+      });
+      setInvitations(prev => [data.invitation, ...prev]);
+      setEmail("");
+      if (data.emailed) {
+        setNotice(data.message);
+      } else {
+        await copy(data.url);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevoke = async (invitation) => {
+    if (!window.confirm("Revoke this invitation? Its link stops working.")) return;
+
+    setBusy(true);
+    setError(null);
+    try {
+      await revokeInvitation(invitation._id);
+      setInvitations(prev => prev.filter(item => item._id !== invitation._id));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <section className="invite-panel">
+      <h3 className="invite-title">Invite by link</h3>
+      <form className="invite-form" onSubmit={handleCreate}>
+        <select
+          className="share-role"
+          value={role}
+          onChange={(e) => setRole(e.target.value)}
+          disabled={busy}
+          aria-label="Role for people who accept"
+        >
+          {roles.map(option => <option key={option} value={option}>{roleLabels[option]}</option>)}
+        </select>
+        <select
+          className="share-role"
+          value={maxUses}
+          onChange={(e) => setMaxUses(Number(e.target.value))}
+          disabled={busy}
+          aria-label="Number of uses"
+        >
+          {USE_OPTIONS.map(option => (
+            <option key={option} value={option}>{option} use{option !== 1 ? 's' : ''}</option>
+          ))}
+        </select>
+        <select
+          className="share-role"
+          value={expiresInDays}
+          onChange={(e) => setExpiresInDays(Number(e.target.value))}
+          disabled={busy}
+          aria-label="Expires after"
+        >
+          {EXPIRY_OPTIONS.map(option => <option key={option.days} value={option.days}>{option.label}</option>)}
+        </select>
+        <input
+          type="email"
+          className="share-email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder="Email it to (optional)"
+          aria-label="Email the invitation to"
+          disabled={busy}
+        />
+        <button type="submit" className="list-save" disabled={busy}>
+          {email.trim() ? 'Send' : 'Create link'}
+        </button>
+      </form>
+
+      {invitations.length > 0 && (
+        <ul className="invite-list">
+          {invitations.map((invitation) => (
+            <li key={invitation._id} className="invite-item">
+              <span className="invite-details">
+                {roleLabels[invitation.role]} · {invitation.uses}/{invitation.maxUses} used
+                {invitation.email && ` · for ${invitation.email}`}
+                <span className="invite-expiry">
+                  expires {new Date(invitation.expiresAt).toLocaleDateString()}
+                </span>
+              </span>
+              {invitation.url && (
+                <button type="button" className="invite-copy" onClick={() => copy(invitation.url)} disabled={busy}>
+                  Copy link
+                </button>
+              )}
+              <button
+                type="button"
+                className="share-remove"
+                onClick={() => handleRevoke(invitation)}
+                disabled={busy}
+                aria-label="Revoke invitation"
+                title="Revoke"
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {notice && <p className="invite-notice" role="status">{notice}</p>}
+      {error && <p className="comment-error" role="alert">{error}</p>}
+    </section>
+  );
+}
+
+export default InvitePanel;
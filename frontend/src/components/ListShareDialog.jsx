@@ -0,0 +1,208 @@
+import React, { useEffect, useState } from "react";
+import { useAuth } from "../contexts/AuthContext";
+import { avatarColor, initials, listPeople, ROLES, ROLE_LABELS } from "../utils/members";
+import InvitePanel from "./InvitePanel";
+
+// Who a list is shared with. Owners add people by email or invitation link,
+// change their role and revoke access, and can move the list into a
+// workspace (or back out); anyone else sees the members and can leave.
+function ListShareDialog({
+  list,
+  shareList,
+  updateMemberRole,
+  removeMember,
+  workspace = null,
+  workspaces = [],
+  moveList,
+  fetchInvitations,
+  createInvitation,
+  revokeInvitation,
+  onClose
+}) {
+  const { user: me } = useAuth();
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("editor");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isOwner = list.role === 'owner';
+  // Only the creator moves a list between workspaces
+  const isCreator = (list.user?._id || list.user) === me?.id;
+  const people = listPeople(list);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (!email.trim() || busy) return;
+    if (await run(() => shareList(list._id, email.trim(), role))) setEmail("");
+  };
+
+  const handleMove = (workspaceId) => {
+    const target = workspaces.find(item => item._id === workspaceId);
+    const question = target
+      ? `Move "${list.name}" to ${target.name}? Everyone there will see its tasks.`
+      : `Move "${list.name}" back to your personal lists? Only the people it is shared with will see it.`;
+    if (!window.confirm(question)) return;
+    run(async () => {
+      await moveList(list._id, workspaceId);
+      onClose();
+    });
+  };
+
+  const handleRemove = (member) => {
+    const leaving = member.user._id === me?.id;
+    const question = leaving
+      ? `Leave "${list.name}"? You won't see its tasks any more.`
+      : `Stop sharing "${list.name}" with ${member.user.name}?`;
+    if (!window.confirm(question)) return;
+    run(async () => {
+      await removeMember(list._id, member.user._id);
+      if (leaving) onClose();
+    });
+  };
+
+  return (
+    <div className="conflict-backdrop" onClick={onClose}>
+      <div
+        className="conflict-dialog share-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="share-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 id="share-title">{list.icon} Share “{list.name}”</h2>
+        <p className="conflict-description">
+          Viewers can see the list's tasks, editors can change them, and owners can also rename,
+          delete and share the list.
+          {workspace && ` Everyone in ${workspace.name} can already reach it; share it here to give someone a stronger role.`}
+        </p>
+
+        <ul className="share-members">
+          {people.map((member) => (
+            <li key={member.user._id} className="share-member">
+              <span className="member-avatar" style={{ background: avatarColor(member.user._id) }}>
+                {initials(member.user.name)}
+              </span>
+              <span className="share-member-name">
+                {member.user.name}{member.user._id === me?.id ? ' (you)' : ''}
+                <span className="share-member-email">{member.user.email}</span>
+              </span>
+              {isOwner && !member.creator ? (
+                <select
+                  className="share-role"
+                  value={member.role}
+                  onChange={(e) => run(() => updateMemberRole(list._id, member.user._id, e.target.value))}
+                  disabled={busy}
+                  aria-label={`Role for ${member.user.name}`}
+                >
+                  {ROLES.map(option => <option key={option} value={option}>{ROLE_LABELS[option]}</option>)}
+                </select>
+              ) : (
+                <span className="share-role-label">{ROLE_LABELS[member.role]}</span>
+              )}
+              {!member.creator && (isOwner || member.user._id === me?.id) && (
+                <button
+                  type="button"
+                  className="share-remove"
+                  onClick={() => handleRemove(member)}
+                  disabled={busy}
+                  aria-label={member.user._id === me?.id ? 'Leave this list' : `Revoke access for ${member.user.name}`}
+                  title={member.user._id === me?.id ? 'Leave' : 'Revoke access'}
+                >
+                  ×
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        {isOwner && (
+          <form className="share-form" onSubmit={handleInvite}>
+            <input
+              type="email"
+              className="share-email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="Email of a registered user"
+              aria-label="Email to share with"
+              disabled={busy}
+              autoFocus
+            />
+            <select
+              className="share-role"
+              value={role}
+              onChange={(e) => setRole(e.target.value)}
+              disabled={busy}
+              aria-label="Role"
+            >
+              {ROLES.map(option => <option key={option} value={option}>{ROLE_LABELS[option]}</option>)}
+            </select>
+            <button type="submit" className="list-save" disabled={busy || !email.trim()}>
+              Share
+            </button>
+          </form>
+        )}
+
+        {/* A workspace's lists are shared by inviting people to the workspace */}
+        {isOwner && !list.workspace && fetchInvitations && (
+          <InvitePanel
+            type="list"
+            id={list._id}
+            roles={ROLES}
+            roleLabels={ROLE_LABELS}
+            defaultRole="editor"
+            fetchInvitations={fetchInvitations}
+            createInvitation={createInvitation}
+            revokeInvitation={revokeInvitation}
+          />
+        )}
+
+        {isCreator && moveList && (workspaces.length > 0 || list.workspace) && (
+          <label className="workspace-setting">
+            Workspace
+            <select
+              className="share-role"
+              value={list.workspace || ''}
+              onChange={(e) => handleMove(e.target.value)}
+              disabled={busy}
+            >
+              <option value="">🏠 Personal</option>
+              {workspaces.map(item => <option key={item._id} value={item._id}>👥 {item.name}</option>)}
+            </select>
+          </label>
+        )}
+
+        {error && <p className="comment-error" role="alert">{error}</p>}
+
+        <div className="conflict-actions">
+          <button type="button" className="conflict-saved" onClick={onClose}>
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ListShareDialog;
@@ -0,0 +1,223 @@
+import React, { useState } from "react";
+import { useAuth } from "../contexts/AuthContext";
+import ListShareDialog from "./ListShareDialog";
+import MemberAvatars from "./MemberAvatars";
+
+const LIST_COLORS = ['#667eea', '#48bb78', '#ed8936', '#f56565', '#38b2ac', '#9f7aea'];
+
+function ListSidebar({
+  lists,
+  activeList,
+  onSelectList,
+  assignedToMe,
+  onSelectAssigned,
+  showTrash,
+  onSelectTrash,
+  createList,
+  deleteList,
+  shareList,
+  updateMemberRole,
+  removeMember,
+  workspace = null,
+  workspaces = [],
+  moveList,
+  fetchInvitations,
+  createInvitation,
+  revokeInvitation
+}) {
+  const { user: me } = useAuth();
+  const [isCreating, setIsCreating] = useState(false);
+  const [sharing, setSharing] = useState(null);
+  const [name, setName] = useState("");
+  const [icon, setIcon] = useState("📋");
+  const [color, setColor] = useState(LIST_COLORS[0]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const allCounts = lists.reduce(
+    (sum, list) => ({
+      total: sum.total + list.counts.total,
+      pending: sum.pending + list.counts.pending
+    }),
+    { total: 0, pending: 0 }
+  );
+
+  // Looked up by id so the dialog follows the list as it's refetched
+  const sharedList = lists.find(list => list._id === sharing);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!name.trim() || isSaving) return;
+
+    setIsSaving(true);
+    try {
+      const list = await createList({ name: name.trim(), icon, color });
+      setName("");
+      setIsCreating(false);
+      onSelectList(list._id);
+    } catch (error) {
+      console.error("Error creating list:", error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (list) => {
+    // A workspace has no Inbox; its tasks go to the first other list there.
+    // Otherwise they go back to the Inbox of whoever created the list.
+    const creator = list.user;
+    const destination = workspace
+      ? `the first other list in ${workspace.name}`
+      : (creator?._id || creator) === me?.id ? 'your Inbox' : `${creator?.name || 'its creator'}'s Inbox`;
+    if (list.counts.total > 0) {
+      const keepTasks = window.confirm(
+        `Delete "${list.name}"?\n\nOK moves its ${list.counts.total} task(s) to ${destination}. Cancel lets you choose to trash them instead.`
+      );
+      if (!keepTasks) {
+        if (!window.confirm(`Delete "${list.name}" and move all ${list.counts.total} of its tasks to the trash?`)) return;
+        await deleteList(list._id, "cascade").catch(error => console.error("Error deleting list:", error));
+        return;
+      }
+    } else if (!window.confirm(`Delete "${list.name}"?`)) {
+      return;
+    }
+    await deleteList(list._id, "reassign").catch(error => console.error("Error deleting list:", error));
+  };
+
+  return (
+    <aside className="list-sidebar">
+      <h2 className="list-sidebar-title">Lists</h2>
+      <ul className="list-nav">
+        <li>
+          <button
+            className={`list-nav-item ${activeList === null && !assignedToMe && !showTrash ? 'active' : ''}`}
+            onClick={() => onSelectList(null)}
+          >
+            <span className="list-icon">🗂️</span>
+            <span className="list-name">All tasks</span>
+            <span className="list-count" title={`${allCounts.total} total`}>{allCounts.pending}</span>
+          </button>
+        </li>
+        <li>
+          <button
+            className={`list-nav-item ${assignedToMe && !showTrash ? 'active' : ''}`}
+            onClick={onSelectAssigned}
+          >
+            <span className="list-icon">👤</span>
+            <span className="list-name">Assigned to me</span>
+          </button>
+        </li>
+        {lists.map((list) => (
+          <li key={list._id} className="list-nav-row">
+            <button
+              className={`list-nav-item ${activeList === list._id && !showTrash ? 'active' : ''}`}
+              style={{ '--list-color': list.color }}
+              onClick={() => onSelectList(list._id)}
+            >
+              <span className="list-icon">{list.icon}</span>
+              <span className="list-name">{list.name}</span>
+              {list.members?.length > 0 && <MemberAvatars list={list} />}
+              <span
+                className="list-count"
+                title={`${list.counts.pending} pending, ${list.counts.completed} completed`}
+              >
+                {list.counts.pending}
+              </span>
+            </button>
+            {!list.isDefault && (
+              <button
+                className="list-share"
+                onClick={() => setSharing(list._id)}
+                aria-label={`Share list ${list.name}`}
+                title={list.role === 'owner' ? 'Share' : 'Members'}
+              >
+                👥
+              </button>
+            )}
+            {!list.isDefault && list.role === 'owner' && (
+              <button
+                className="list-delete"
+                onClick={() => handleDelete(list)}
+                aria-label={`Delete list ${list.name}`}
+              >
+                ×
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {isCreating ? (
+        <form className="list-form" onSubmit={handleCreate}>
+          <div className="list-form-row">
+            <input
+              className="list-icon-input"
+              value={icon}
+              onChange={(e) => setIcon(e.target.value)}
+              maxLength={8}
+              aria-label="List icon"
+            />
+            <input
+              className="list-name-input"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="List name"
+              maxLength={50}
+              autoFocus
+              disabled={isSaving}
+            />
+          </div>
+          <div className="list-colors">
+            {LIST_COLORS.map((option) => (
+              <button
+                key={option}
+                type="button"
+                className={`list-color ${color === option ? 'active' : ''}`}
+                style={{ background: option }}
+                onClick={() => setColor(option)}
+                aria-label={`Colour ${option}`}
+              />
+            ))}
+          </div>
+          <div className="list-form-row">
+            <button type="submit" className="list-save" disabled={!name.trim() || isSaving}>
+              {isSaving ? 'Saving...' : 'Add list'}
+            </button>
+            <button type="button" className="list-cancel" onClick={() => setIsCreating(false)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button className="list-new" onClick={() => setIsCreating(true)}>
+          ➕ New list
+        </button>
+      )}
+
+      <button
+        className={`list-nav-item list-trash ${showTrash ? 'active' : ''}`}
+        onClick={onSelectTrash}
+      >
+        <span className="list-icon">🗑️</span>
+        <span className="list-name">Trash</span>
+      </button>
+
+      {sharedList && (
+        <ListShareDialog
+          list={sharedList}
+          shareList={shareList}
+          updateMemberRole={updateMemberRole}
+          removeMember={removeMember}
+          workspace={workspace}
+          workspaces={workspaces}
+          moveList={moveList}
+          fetchInvitations={fetchInvitations}
+          createInvitation={createInvitation}
+          revokeInvitation={revokeInvitation}
+          onClose={() => setSharing(null)}
+        />
+      )}
+    </aside>
+  );
+}
+
+export default ListSidebar;
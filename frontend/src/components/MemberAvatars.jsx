@@ -0,0 +1,27 @@
+import React from "react";
+import { avatarColor, initials, listPeople, ROLE_LABELS } from "../utils/members";
+
+// A row of initials for everyone a shared list belongs to
+function MemberAvatars({ list, max = 3 }) {
+  const people = listPeople(list);
+  const shown = people.slice(0, max);
+  const hidden = people.length - shown.length;
+
+  return (
+    <span className="member-avatars" aria-label={`Shared with ${people.length} people`}>
+      {shown.map(({ user, role }) => (
+        <span
+          key={user._id}
+          className="member-avatar"
+          style={{ background: avatarColor(user._id) }}
+          title={`${user.name} (${ROLE_LABELS[role]})`}
+        >
+          {initials(user.name)}
+        </span>
+      ))}
+      {hidden > 0 && <span className="member-avatar more" title={`${hidden} more`}>+{hidden}</span>}
+    </span>
+  );
+}
+
+export default MemberAvatars;
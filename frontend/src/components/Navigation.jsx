@@ -1,9 +1,50 @@
 import React, { useState } from 'react';
 import { useAuth } from '../contexts/AuthContext';
+import ElapsedTime from './ElapsedTime';
+import FocusCountdown from './FocusCountdown';
+import WorkspaceDialog from './WorkspaceDialog';
+import { PHASE_LABELS } from '../utils/focus';
 
-const Navigation = () => {
+const NEW_WORKSPACE = '__new';
+
+// `timer` is the running time entry (with its task's title), if any, and
+// `focusSession` the live focus session. The switcher picks the workspace
+// (or the personal space, when `activeWorkspace` is null) everything else shows.
+const Navigation = ({
+  timer = null,
+  onStopTimer,
+  focusSession = null,
+  focusOffset = 0,
+  onOpenFocus,
+  workspaces = [],
+  activeWorkspace = null,
+  onSwitchWorkspace,
+  createWorkspace,
+  updateWorkspace,
+  deleteWorkspace,
+  addWorkspaceMember,
+  updateWorkspaceMemberRole,
+  removeWorkspaceMember,
+  fetchInvitations,
+  createInvitation,
+  revokeInvitation
+}) => {
   const { user, logout } = useAuth();
   const [isLoggingOut, setIsLoggingOut] = useState(false);
+  const [isStopping, setIsStopping] = useState(false);
+  // 'new' to create one, or the id of the workspace being managed
+  const [managing, setManaging] = useState(null);
+
+  // Looked up by id so the dialog follows the workspace as it's refetched
+  const managedWorkspace = workspaces.find(workspace => workspace._id === managing) || null;
+
+  const handleSwitch = (value) => {
+    if (value === NEW_WORKSPACE) {
+      setManaging('new');
+      return;
+    }
+    onSwitchWorkspace(value || null);
+  };
 
   const handleLogout = async () => {
     if (isLoggingOut) return;
@@ -21,11 +62,78 @@ const Navigation = () => {
     }
   };
 
+  const handleStopTimer = async () => {
+    if (isStopping) return;
+
+    setIsStopping(true);
+    try {
+      await onStopTimer();
+    } catch (error) {
+      console.error('Stop timer error:', error);
+    } finally {
+      setIsStopping(false);
+    }
+  };
+
   return (
     <nav className="nav-header">
       <div className="nav-brand">
         📝 Todo Master
       </div>
+
+      {onSwitchWorkspace && (
+        <div className="nav-workspace">
+          <select
+            className="nav-workspace-select"
+            value={activeWorkspace || ''}
+            onChange={(e) => handleSwitch(e.target.value)}
+            aria-label="Workspace"
+          >
+            <option value="">🏠 Personal</option>
+            {workspaces.map(workspace => (
+              <option key={workspace._id} value={workspace._id}>👥 {workspace.name}</option>
+            ))}
+            <option value={NEW_WORKSPACE}>➕ New workspace…</option>
+          </select>
+          {activeWorkspace && (
+            <button
+              className="nav-workspace-manage"
+              onClick={() => setManaging(activeWorkspace)}
+              aria-label="Manage workspace"
+              title="Members and settings"
+            >
+              ⚙️
+            </button>
+          )}
+        </div>
+      )}
+
+      {focusSession && (
+        <button
+          className={`nav-focus phase-${focusSession.phase}`}
+          onClick={onOpenFocus}
+          title="Open focus mode"
+        >
+          🍅 {PHASE_LABELS[focusSession.phase]}{focusSession.pausedAt ? ' (paused)' : ''}{' '}
+          <FocusCountdown session={focusSession} offset={focusOffset} className="nav-focus-countdown" />
+        </button>
+      )}
+
+      {timer && (
+        <div className="nav-timer" title={`Tracking time on "${timer.task?.title}"`}>
+          <span className="nav-timer-dot" aria-hidden="true"></span>
+          <span className="nav-timer-task">{timer.task?.title || 'Untitled task'}</span>
+          <ElapsedTime since={timer.startedAt} className="nav-timer-elapsed" />
+          <button
+            onClick={handleStopTimer}
+            className="nav-timer-stop"
+            disabled={isStopping}
+            aria-label="Stop timer"
+          >
+            ■
+          </button>
+        </div>
+      )}
       
       <div className="nav-user">
         <div className="user-info">
@@ -50,6 +158,22 @@ const Navigation = () => {
           )}
         </button>
       </div>
+
+      {(managing === 'new' || managedWorkspace) && (
+        <WorkspaceDialog
+          workspace={managedWorkspace}
+          createWorkspace={createWorkspace}
+          updateWorkspace={updateWorkspace}
+          deleteWorkspace={deleteWorkspace}
+          addMember={addWorkspaceMember}
+          updateMemberRole={updateWorkspaceMemberRole}
+          removeMember={removeWorkspaceMember}
+          fetchInvitations={fetchInvitations}
+          createInvitation={createInvitation}
+          revokeInvitation={revokeInvitation}
+          onClose={() => setManaging(null)}
+        />
+      )}
     </nav>
   );
 };
@@ -1,9 +1,12 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import ErrorAlert from './ErrorAlert';
 import SuccessMessage from './SuccessMessage';
+import { ROLE_LABELS, WORKSPACE_ROLE_LABELS } from '../utils/members';
+import { clearInviteToken, previewInvitation } from '../utils/invitations';
 
-const Register = ({ onSwitchToLogin }) => {
+// With an `inviteToken`, signing up also accepts the invitation
+const Register = ({ onSwitchToLogin, inviteToken = null }) => {
   const [formData, setFormData] = useState({
     name: '',
     email: '',
@@ -14,9 +17,31 @@ const Register = ({ onSwitchToLogin }) => {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [invitation, setInvitation] = useState(null);
+  const [inviteError, setInviteError] = useState('');
   
   // Get register function from AuthContext
-  const { register } = useAuth();
+  const { register, acceptInvitation } = useAuth();
+
+  // Show what the invitation is for, and fill in the address it was sent to
+  useEffect(() => {
+    if (!inviteToken) return;
+    let cancelled = false;
+    previewInvitation(inviteToken)
+      .then((preview) => {
+        if (cancelled) return;
+        setInvitation(preview);
+        if (preview.email) {
+          setFormData(prev => ({ ...prev, email: prev.email || preview.email }));
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) setInviteError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [inviteToken]);
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -72,7 +97,13 @@ const Register = ({ onSwitchToLogin }) => {
     if (!validateForm()) return;
     setIsSubmitting(true);
     try {
-      const result = await register(formData);
+      const result = invitation
+        ? await acceptInvitation(inviteToken, formData)
+        : await register(formData);
+
+      if (invitation && result?.success) {
+        clearInviteToken();
+      }
       
       if (import.meta.env.DEV) {
         console.log('🔍 Registration result:', result);
@@ -121,9 +152,24 @@ const Register = ({ onSwitchToLogin }) => {
       <div className="auth-card">
         <div className="auth-header">
           <h2 className="auth-title">Create Account</h2>
-          <p className="auth-subtitle">Join Todo Master today</p>
+          <p className="auth-subtitle">
+            {invitation ? `and join ${invitation.name}` : 'Join Todo Master today'}
+          </p>
         </div>
 
+        {invitation && (
+          <p className="invite-banner">
+            ✉️ {invitation.invitedBy || 'Someone'} invited you to the {invitation.type} <strong>{invitation.name}</strong>{' '}
+            ({(invitation.type === 'list' ? ROLE_LABELS : WORKSPACE_ROLE_LABELS)[invitation.role]}).
+            Create your account to join, or sign in if you already have one.
+          </p>
+        )}
+        {inviteError && (
+          <p className="invite-banner invite-banner-error">
+            ⚠️ {inviteError} You can still create an account.
+          </p>
+        )}
+
         <form onSubmit={handleSubmit} className="auth-form">
           <SuccessMessage 
             message={success} 
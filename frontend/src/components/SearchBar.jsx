@@ -0,0 +1,130 @@
+import React, { useId, useMemo, useRef, useState } from "react";
+import { getSuggestions } from "../utils/filterSyntax";
+
+// Search box that also takes filters (status:open due:<7d ...), suggesting
+// field names and values for the term at the caret.
+// `error` is a filter parse error from the server: { message, position, query }.
+function SearchBar({ value, onChange, tags = [], lists = [], error }) {
+  const inputRef = useRef(null);
+  const listboxId = useId();
+  const [caret, setCaret] = useState(0);
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const suggestions = useMemo(
+    () => (open ? getSuggestions(value, caret, { tags, lists }) : null),
+    [open, value, caret, tags, lists]
+  );
+  const items = suggestions?.items || [];
+  const active = Math.min(activeIndex, Math.max(items.length - 1, 0));
+
+  const trackCaret = (e) => setCaret(e.target.selectionStart ?? e.target.value.length);
+
+  const handleChange = (e) => {
+    onChange(e.target.value);
+    trackCaret(e);
+    setActiveIndex(0);
+    setOpen(true);
+  };
+
+  const accept = (item) => {
+    const next = value.slice(0, suggestions.start) + item.insert + value.slice(suggestions.end);
+    const position = suggestions.start + item.insert.length;
+    onChange(next);
+    setCaret(position);
+    setActiveIndex(0);
+    // Put the caret after the completion once React has rendered the new value
+    requestAnimationFrame(() => {
+      inputRef.current?.focus();
+      inputRef.current?.setSelectionRange(position, position);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (items.length === 0) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex((active + step + items.length) % items.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      accept(items[active]);
+    } else if (e.key === 'Escape') {
+      // Close the suggestions first; the browser clears the field on a second Escape
+      e.preventDefault();
+      setOpen(false);
+    }
+  };
+
+  const hasError = error && typeof error.position === 'number';
+
+  return (
+    <div className="search-bar">
+      <div className="search-box">
+        <span className="search-icon" aria-hidden="true">🔍</span>
+        <input
+          ref={inputRef}
+          type="search"
+          className="search-input"
+          value={value}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onKeyUp={trackCaret}
+          onClick={trackCaret}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setOpen(false)}
+          placeholder="Search, or filter: status:open due:<7d tag:work"
+          maxLength={200}
+          aria-label="Search or filter tasks"
+          role="combobox"
+          aria-autocomplete="list"
+          aria-expanded={items.length > 0}
+          aria-controls={listboxId}
+          aria-activedescendant={items.length > 0 ? `${listboxId}-${active}` : undefined}
+          aria-invalid={hasError || undefined}
+        />
+        {value && (
+          <button className="search-clear" onClick={() => onChange("")} aria-label="Clear search">
+            ×
+          </button>
+        )}
+      </div>
+
+      {/* Options act on mousedown, so the input doesn't blur (and close the list) first */}
+      {items.length > 0 && (
+        <ul className="search-suggestions" id={listboxId} role="listbox">
+          {items.map((item, index) => (
+            <li
+              key={item.label}
+              id={`${listboxId}-${index}`}
+              role="option"
+              aria-selected={index === active}
+              className={index === active ? 'active' : ''}
+              onMouseDown={(e) => {
+                e.preventDefault();
+                accept(item);
+              }}
+            >
+              <span className="suggestion-label">{item.label}</span>
+              <span className="suggestion-hint">{item.hint}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {hasError && (
+        <p className="search-error" role="alert">
+          <code className="search-error-query">
+            {error.query.slice(0, error.position)}
+            <mark>{error.query.slice(error.position, error.position + 1) || ' '}</mark>
+            {error.query.slice(error.position + 1)}
+          </code>
+          {error.message}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default SearchBar;
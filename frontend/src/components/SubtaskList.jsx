@@ -0,0 +1,125 @@
+import React, { useState } from "react";
+
+function SubtaskList({ task, addSubtask, updateSubtask, deleteSubtask, updateTask }) {
+  const [newTitle, setNewTitle] = useState("");
+  const [isAdding, setIsAdding] = useState(false);
+  const [busyItems, setBusyItems] = useState(new Set());
+
+  const subtasks = [...(task.subtasks || [])].sort((a, b) => a.position - b.position);
+
+  // Run a subtask request while marking that item busy
+  const withBusyItem = async (subtaskId, action) => {
+    if (busyItems.has(subtaskId)) return;
+
+    setBusyItems(prev => new Set(prev).add(subtaskId));
+    try {
+      await action();
+    } catch (error) {
+      console.error("Error updating subtask:", error);
+    } finally {
+      setBusyItems(prev => {
+        const newSet = new Set(prev);
+        newSet.delete(subtaskId);
+        return newSet;
+      });
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newTitle.trim() || isAdding) return;
+
+    setIsAdding(true);
+    try {
+      await addSubtask(task._id, newTitle.trim());
+      setNewTitle("");
+    } catch (error) {
+      console.error("Error adding subtask:", error);
+    } finally {
+      setIsAdding(false);
+    }
+  };
+
+  return (
+    <div className="subtask-panel">
+      {subtasks.length > 0 && (
+        <ul className="subtask-list">
+          {subtasks.map((subtask, index) => (
+            <li key={subtask._id} className={`subtask-item ${subtask.completed ? 'completed' : ''}`}>
+              <input
+                type="checkbox"
+                checked={subtask.completed}
+                onChange={() => withBusyItem(subtask._id, () =>
+                  updateSubtask(task._id, subtask._id, { completed: !subtask.completed })
+                )}
+                disabled={busyItems.has(subtask._id)}
+                aria-label={`Mark "${subtask.title}" ${subtask.completed ? 'not done' : 'done'}`}
+              />
+              <span className="subtask-title">{subtask.title}</span>
+              <div className="subtask-actions">
+                <button
+                  type="button"
+                  onClick={() => withBusyItem(subtask._id, () =>
+                    updateSubtask(task._id, subtask._id, { position: index - 1 })
+                  )}
+                  disabled={index === 0 || busyItems.has(subtask._id)}
+                  aria-label="Move up"
+                >
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  onClick={() => withBusyItem(subtask._id, () =>
+                    updateSubtask(task._id, subtask._id, { position: index + 1 })
+                  )}
+                  disabled={index === subtasks.length - 1 || busyItems.has(subtask._id)}
+                  aria-label="Move down"
+                >
+                  ↓
+                </button>
+                <button
+                  type="button"
+                  onClick={() => withBusyItem(subtask._id, () =>
+                    deleteSubtask(task._id, subtask._id)
+                  )}
+                  disabled={busyItems.has(subtask._id)}
+                  aria-label="Delete subtask"
+                >
+                  ×
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form className="subtask-form" onSubmit={handleAdd}>
+        <input
+          className="subtask-input"
+          value={newTitle}
+          onChange={(e) => setNewTitle(e.target.value)}
+          placeholder="Add a checklist item"
+          maxLength={200}
+          disabled={isAdding}
+        />
+        <button type="submit" disabled={!newTitle.trim() || isAdding}>
+          {isAdding ? 'Adding...' : 'Add'}
+        </button>
+      </form>
+
+      <label className="subtask-autocomplete">
+        <input
+          type="checkbox"
+          checked={Boolean(task.completeWithSubtasks)}
+          onChange={() =>
+            updateTask(task._id, { completeWithSubtasks: !task.completeWithSubtasks })
+              .catch(error => console.error("Error updating task:", error))
+          }
+        />
+        Complete this task when every item is done
+      </label>
+    </div>
+  );
+}
+
+export default SubtaskList;
@@ -0,0 +1,170 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { formatFileSize } from "../utils/attachments";
+
+// Thumbnail of an image attachment. Files need the auth header, so the image
+// is fetched as a blob and shown through an object URL.
+function AttachmentThumbnail({ task, attachment, fetchAttachmentFile }) {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+
+    fetchAttachmentFile(task._id, attachment._id)
+      .then((blob) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      })
+      .catch((error) => console.error("Error loading thumbnail:", error));
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [fetchAttachmentFile, task._id, attachment._id]);
+
+  return url
+    ? <img className="attachment-thumbnail" src={url} alt={attachment.filename} loading="lazy" />
+    : <span className="attachment-thumbnail placeholder" aria-hidden="true">🖼️</span>;
+}
+
+// Files attached to a task, in the task drawer: image thumbnails, downloads and uploads
+function TaskAttachments({ task, fetchAttachments, uploadAttachments, deleteAttachment, fetchAttachmentFile }) {
+  const [attachments, setAttachments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const fileInput = useRef(null);
+
+  const load = useCallback(async () => {
+    try {
+      setAttachments(await fetchAttachments(task._id));
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load attachments');
+    } finally {
+      setLoading(false);
+    }
+  }, [fetchAttachments, task._id]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      await load();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFiles = (e) => {
+    const files = Array.from(e.target.files || []);
+    // Let the same file be picked again after a failed upload
+    e.target.value = '';
+    if (files.length > 0) run(() => uploadAttachments(task._id, files));
+  };
+
+  const handleDownload = async (attachment) => {
+    setError(null);
+    try {
+      const blob = await fetchAttachmentFile(task._id, attachment._id);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.filename;
+      link.click();
+      // Give the browser a moment to start the download before letting go
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (err) {
+      setError(err.message || 'Failed to download the file');
+    }
+  };
+
+  const handleDelete = (attachment) => {
+    if (!window.confirm(`Delete "${attachment.filename}"?`)) return;
+    run(() => deleteAttachment(task._id, attachment._id));
+  };
+
+  if (loading) {
+    return <p className="attachments-empty">Loading attachments...</p>;
+  }
+
+  return (
+    <div className="task-attachments">
+      {attachments.length === 0 ? (
+        <p className="attachments-empty">No files attached.</p>
+      ) : (
+        <ul className="attachment-list">
+          {attachments.map(attachment => (
+            <li key={attachment._id} className="attachment-item">
+              {attachment.isImage ? (
+                <button
+                  type="button"
+                  className="attachment-preview"
+                  onClick={() => handleDownload(attachment)}
+                  title={`Download ${attachment.filename}`}
+                >
+                  <AttachmentThumbnail
+                    task={task}
+                    attachment={attachment}
+                    fetchAttachmentFile={fetchAttachmentFile}
+                  />
+                </button>
+              ) : (
+                <span className="attachment-thumbnail placeholder" aria-hidden="true">📄</span>
+              )}
+              <span className="attachment-details">
+                <button
+                  type="button"
+                  className="attachment-name"
+                  onClick={() => handleDownload(attachment)}
+                  title="Download"
+                >
+                  {attachment.filename}
+                </button>
+                <span className="attachment-size">{formatFileSize(attachment.size)}</span>
+              </span>
+              <button
+                type="button"
+                className="attachment-delete"
+                onClick={() => handleDelete(attachment)}
+                disabled={busy}
+                aria-label={`Delete ${attachment.filename}`}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <input
+        ref={fileInput}
+        type="file"
+        multiple
+        onChange={handleFiles}
+        className="attachment-input"
+        hidden
+      />
+      <button
+        type="button"
+        className="attachment-upload"
+        onClick={() => fileInput.current?.click()}
+        disabled={busy}
+      >
+        {busy ? 'Uploading...' : '📎 Attach files'}
+      </button>
+
+      {error && <p className="attachment-error" role="alert">{error}</p>}
+    </div>
+  );
+}
+
+export default TaskAttachments;
@@ -0,0 +1,221 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { useAuth } from "../contexts/AuthContext";
+import { renderMarkdown } from "../../../shared/markdown.mjs";
+import { highlightMentions, mentionQuery } from "../../../shared/mentions.mjs";
+
+const COMMENT_MAX_LENGTH = 5000;
+
+const formatTime = (date) => new Date(date).toLocaleString(undefined, {
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+// Comment textarea with @mention suggestions, used for new comments and edits
+function CommentEditor({ initial = "", mentionable, busy, submitLabel, onSubmit, onCancel }) {
+  const [text, setText] = useState(initial);
+  const [query, setQuery] = useState(null);
+  const input = useRef(null);
+
+  const suggestions = query === null
+    ? []
+    : mentionable.filter(user => user.handle.toLowerCase().startsWith(query.toLowerCase())).slice(0, 5);
+
+  const updateQuery = (e) => setQuery(mentionQuery(e.target.value, e.target.selectionStart));
+
+  const insertMention = (user) => {
+    const cursor = input.current.selectionStart;
+    const start = cursor - query.length;
+    const next = `${text.slice(0, start)}${user.handle} ${text.slice(cursor)}`;
+    setText(next);
+    setQuery(null);
+    requestAnimationFrame(() => {
+      input.current.focus();
+      input.current.selectionStart = input.current.selectionEnd = start + user.handle.length + 1;
+    });
+  };
+
+  const submit = async () => {
+    if (!text.trim() || busy) return;
+    if (await onSubmit(text) !== false && !onCancel) setText("");
+  };
+
+  const handleKeyDown = (e) => {
+    // Ctrl/Cmd+Enter posts, like saving notes
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      submit();
+    }
+    if (e.key === 'Escape' && query !== null) {
+      e.stopPropagation();
+      setQuery(null);
+    }
+  };
+
+  return (
+    <form
+      className="comment-editor"
+      onSubmit={(e) => {
+        e.preventDefault();
+        submit();
+      }}
+    >
+      <textarea
+        ref={input}
+        className="comment-input"
+        value={text}
+        onChange={(e) => {
+          setText(e.target.value);
+          updateQuery(e);
+        }}
+        onKeyDown={handleKeyDown}
+        onClick={updateQuery}
+        placeholder="Write a comment. Markdown and @mentions are supported."
+        maxLength={COMMENT_MAX_LENGTH}
+        disabled={busy}
+        autoFocus={Boolean(onCancel)}
+      />
+      {suggestions.length > 0 && (
+        <ul className="mention-suggestions" role="listbox">
+          {suggestions.map(user => (
+            <li key={user._id}>
+              <button type="button" className="mention-suggestion" onClick={() => insertMention(user)}>
+                @{user.handle} <span className="mention-suggestion-name">{user.name}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="notes-footer">
+        {onCancel && (
+          <button type="button" className="notes-cancel" onClick={onCancel} disabled={busy}>
+            Cancel
+          </button>
+        )}
+        <button type="submit" className="notes-save" disabled={busy || !text.trim()}>
+          {busy ? 'Saving...' : submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// A task's discussion thread in the task drawer. Authors can edit and delete their own comments.
+function TaskComments({ task, fetchComments, addComment, updateComment, deleteComment }) {
+  const { user } = useAuth();
+  const [comments, setComments] = useState([]);
+  const [mentionable, setMentionable] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [editing, setEditing] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const data = await fetchComments(task._id);
+      setComments(data.comments || []);
+      setMentionable(data.mentionable || []);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load comments');
+    } finally {
+      setLoading(false);
+    }
+  }, [fetchComments, task._id]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // Resolves to false when the action failed, so the editor keeps its text
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      setEditing(null);
+      await load();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = (comment) => {
+    if (!window.confirm("Delete this comment?")) return;
+    run(() => deleteComment(task._id, comment._id));
+  };
+
+  if (loading) {
+    return <p className="comments-empty">Loading comments...</p>;
+  }
+
+  return (
+    <div className="task-comments">
+      {comments.length === 0 ? (
+        <p className="comments-empty">No comments yet.</p>
+      ) : (
+        <ol className="comment-list">
+          {comments.map(comment => {
+            const isAuthor = user && comment.author?._id === user.id;
+            return (
+              <li key={comment._id} className="comment">
+                <div className="comment-header">
+                  <span className="comment-author">{comment.author?.name || 'Deleted user'}</span>
+                  <time className="comment-time" dateTime={comment.createdAt} title={new Date(comment.createdAt).toLocaleString()}>
+                    {formatTime(comment.createdAt)}
+                  </time>
+                  {comment.editedAt && (
+                    <span className="comment-edited" title={`Edited ${new Date(comment.editedAt).toLocaleString()}`}>
+                      (edited)
+                    </span>
+                  )}
+                  {isAuthor && editing !== comment._id && (
+                    <span className="comment-actions">
+                      <button type="button" className="comment-action" onClick={() => setEditing(comment._id)} disabled={busy}>
+                        Edit
+                      </button>
+                      <button type="button" className="comment-action danger" onClick={() => handleDelete(comment)} disabled={busy}>
+                        Delete
+                      </button>
+                    </span>
+                  )}
+                </div>
+                {editing === comment._id ? (
+                  <CommentEditor
+                    initial={comment.body}
+                    mentionable={mentionable}
+                    busy={busy}
+                    submitLabel="Save"
+                    onSubmit={(body) => run(() => updateComment(task._id, comment._id, body))}
+                    onCancel={() => setEditing(null)}
+                  />
+                ) : (
+                  // renderMarkdown escapes all user text, so this HTML is safe to inject
+                  <div
+                    className="markdown-body comment-body"
+                    dangerouslySetInnerHTML={{ __html: highlightMentions(renderMarkdown(comment.body), comment.mentions) }}
+                  />
+                )}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
+      <CommentEditor
+        mentionable={mentionable}
+        busy={busy}
+        submitLabel="Comment"
+        onSubmit={(body) => run(() => addComment(task._id, body))}
+      />
+
+      {error && <p className="comment-error" role="alert">{error}</p>}
+    </div>
+  );
+}
+
+export default TaskComments;
@@ -0,0 +1,115 @@
+import React, { useEffect, useState } from "react";
+
+// What a task is blocked by (editable) and what it blocks, in the task drawer
+function TaskDependencies({ task, tasks = [], fetchDependencies, addDependency, removeDependency, onOpenTask }) {
+  const [blocks, setBlocks] = useState([]);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const blockedBy = task.blockedBy || [];
+  // Anything else on screen can become a blocker; the server refuses cycles
+  const candidates = tasks.filter(item =>
+    item._id !== task._id && !blockedBy.some(blocker => blocker._id === item._id)
+  );
+
+  // The reverse direction isn't stored on the task, so ask the server
+  useEffect(() => {
+    let cancelled = false;
+    fetchDependencies(task._id)
+      .then((data) => {
+        if (!cancelled) setBlocks(data.blocks || []);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.response?.data?.message || err.message || 'Failed to load dependencies');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [fetchDependencies, task._id, task.updatedAt]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const renderTask = (item) => {
+    const shown = tasks.some(other => other._id === item._id);
+    return (
+      <button
+        type="button"
+        className={`dependency-link ${item.completed ? 'completed' : ''}`}
+        onClick={() => onOpenTask(item._id)}
+        disabled={!shown}
+        title={shown ? 'Open details' : 'Not shown in this view'}
+      >
+        {item.completed ? '✅' : '⏳'} {item.title}
+      </button>
+    );
+  };
+
+  return (
+    <div className="task-dependencies">
+      <h4 className="dependency-heading">Blocked by</h4>
+      {blockedBy.length === 0 ? (
+        <p className="dependency-empty">Nothing; this task can start any time.</p>
+      ) : (
+        <ul className="dependency-list">
+          {blockedBy.map(blocker => (
+            <li key={blocker._id}>
+              {renderTask(blocker)}
+              <button
+                type="button"
+                className="dependency-remove"
+                onClick={() => run(() => removeDependency(task._id, blocker._id))}
+                disabled={busy}
+                aria-label={`Stop waiting for "${blocker.title}"`}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {candidates.length > 0 && (
+        <select
+          className="dependency-add"
+          value=""
+          onChange={(e) => {
+            const blockerId = e.target.value;
+            run(() => addDependency(task._id, blockerId));
+          }}
+          disabled={busy}
+          aria-label="Add a task this one is blocked by"
+        >
+          <option value="" disabled>➕ Blocked by…</option>
+          {candidates.map(item => (
+            <option key={item._id} value={item._id}>{item.title}</option>
+          ))}
+        </select>
+      )}
+
+      {error && <p className="dependency-error" role="alert">{error}</p>}
+
+      {blocks.length > 0 && (
+        <>
+          <h4 className="dependency-heading">Blocks</h4>
+          <ul className="dependency-list">
+            {blocks.map(item => (
+              <li key={item._id}>{renderTask(item)}</li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default TaskDependencies;
@@ -0,0 +1,315 @@
+import React, { useEffect, useState } from "react";
+import { formatDue } from "../utils/dueDates";
+import { PRIORITY_LABELS } from "../utils/priorities";
+import { renderMarkdown, NOTES_MAX_LENGTH } from "../../../shared/markdown.mjs";
+import { canEditList, listAudience } from "../utils/members";
+import TaskHistory from "./TaskHistory";
+import TaskDependencies from "./TaskDependencies";
+import TaskTime from "./TaskTime";
+import TaskAttachments from "./TaskAttachments";
+import TaskComments from "./TaskComments";
+
+// Side panel with a task's details, its Markdown notes, attachments, dependencies, tracked time, comments and change history
+function TaskDrawer({
+  task,
+  lists = [],
+  workspace = null,
+  tags = [],
+  updateTask,
+  fetchHistory,
+  revertTask,
+  tasks = [],
+  fetchDependencies,
+  addDependency,
+  removeDependency,
+  timer,
+  fetchTimeEntries,
+  addTimeEntry,
+  updateTimeEntry,
+  deleteTimeEntry,
+  fetchAttachments,
+  uploadAttachments,
+  deleteAttachment,
+  fetchAttachmentFile,
+  fetchComments,
+  addComment,
+  updateComment,
+  deleteComment,
+  onOpenTask,
+  onClose
+}) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [showPreview, setShowPreview] = useState(false);
+  const [draft, setDraft] = useState(task.notes || "");
+  const [isSaving, setIsSaving] = useState(false);
+  const [isAssigning, setIsAssigning] = useState(false);
+
+  const list = lists.find(item => item._id === task.list);
+  const readOnly = !canEditList(list);
+  // Anyone who can see the list can be assigned
+  const assignable = list ? listAudience(list, workspace) : [];
+  const isDirty = draft !== (task.notes || "");
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const startEditing = () => {
+    setDraft(task.notes || "");
+    setShowPreview(false);
+    setIsEditing(true);
+  };
+
+  const cancelEditing = () => {
+    if (isDirty && !window.confirm("Discard your changes to the notes?")) return;
+    setIsEditing(false);
+  };
+
+  const handleSave = async () => {
+    if (isSaving) return;
+
+    setIsSaving(true);
+    try {
+      await updateTask(task._id, { notes: draft });
+      setIsEditing(false);
+    } catch (error) {
+      console.error("Error saving notes:", error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleAssign = async (assignee) => {
+    setIsAssigning(true);
+    try {
+      await updateTask(task._id, { assignee: assignee || null });
+    } catch (error) {
+      console.error("Error assigning task:", error);
+    } finally {
+      setIsAssigning(false);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    // Ctrl/Cmd+Enter saves, matching the quick-save habit from other editors
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      handleSave();
+    }
+  };
+
+  return (
+    <div className="drawer-backdrop" onClick={onClose}>
+      <aside
+        className="task-drawer"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="task-drawer-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <header className="drawer-header">
+          <h2 id="task-drawer-title" className={`drawer-title ${task.completed ? 'completed' : ''}`}>
+            {task.title}
+          </h2>
+          <button className="drawer-close" onClick={onClose} aria-label="Close details">
+            ×
+          </button>
+        </header>
+
+        <dl className="drawer-meta">
+          <dt>Status</dt>
+          <dd>{task.completed ? '✅ Completed' : '⏳ Pending'}</dd>
+          {task.dueAt && (
+            <>
+              <dt>Due</dt>
+              <dd>{formatDue(task)}</dd>
+            </>
+          )}
+          <dt>Priority</dt>
+          <dd>{PRIORITY_LABELS[task.priority || 'none']}</dd>
+          {list && (
+            <>
+              <dt>List</dt>
+              <dd>
+                {list.icon} {list.name}
+                {readOnly && <span className="drawer-readonly" title="This list is shared with you as a viewer">view only</span>}
+              </dd>
+            </>
+          )}
+          <dt>Assignee</dt>
+          <dd>
+            {readOnly || assignable.length === 0 ? (
+              task.assignee?.name || 'Nobody'
+            ) : (
+              <select
+                className="drawer-assignee"
+                value={task.assignee?._id || ''}
+                onChange={(e) => handleAssign(e.target.value)}
+                disabled={isAssigning}
+                aria-label="Assignee"
+              >
+                <option value="">Nobody</option>
+                {assignable.map(person => (
+                  <option key={person._id} value={person._id}>{person.name}</option>
+                ))}
+              </select>
+            )}
+          </dd>
+        </dl>
+
+        <section className="drawer-section">
+          <div className="drawer-section-header">
+            <h3>Notes</h3>
+            {isEditing ? (
+              <div className="notes-tabs" role="tablist">
+                <button
+                  role="tab"
+                  aria-selected={!showPreview}
+                  className={`notes-tab ${!showPreview ? 'active' : ''}`}
+                  onClick={() => setShowPreview(false)}
+                >
+                  Edit
+                </button>
+                <button
+                  role="tab"
+                  aria-selected={showPreview}
+                  className={`notes-tab ${showPreview ? 'active' : ''}`}
+                  onClick={() => setShowPreview(true)}
+                >
+                  Preview
+                </button>
+              </div>
+            ) : !readOnly && (
+              <button className="notes-edit" onClick={startEditing}>
+                ✏️ {task.notes ? 'Edit' : 'Add notes'}
+              </button>
+            )}
+          </div>
+
+          {isEditing ? (
+            <>
+              {showPreview ? (
+                <div
+                  className="markdown-body notes-preview"
+                  dangerouslySetInnerHTML={{ __html: renderMarkdown(draft) || '<p class="notes-empty">Nothing to preview</p>' }}
+                />
+              ) : (
+                <textarea
+                  className="notes-input"
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                  onKeyDown={handleKeyDown}
+                  placeholder="Add context, links or a checklist. Markdown is supported."
+                  maxLength={NOTES_MAX_LENGTH}
+                  disabled={isSaving}
+                  autoFocus
+                />
+              )}
+              <div className="notes-footer">
+                <span className="notes-count">{draft.length} / {NOTES_MAX_LENGTH}</span>
+                <button className="notes-cancel" onClick={cancelEditing} disabled={isSaving}>
+                  Cancel
+                </button>
+                <button className="notes-save" onClick={handleSave} disabled={!isDirty || isSaving}>
+                  {isSaving ? 'Saving...' : 'Save'}
+                </button>
+              </div>
+            </>
+          ) : task.notes ? (
+            // renderMarkdown escapes all user text, so this HTML is safe to inject
+            <div
+              className="markdown-body"
+              dangerouslySetInnerHTML={{ __html: renderMarkdown(task.notes) }}
+            />
+          ) : (
+            <p className="notes-empty">No notes yet.</p>
+          )}
+        </section>
+
+        {fetchAttachments && (
+          <section className="drawer-section">
+            <div className="drawer-section-header">
+              <h3>Attachments</h3>
+            </div>
+            <TaskAttachments
+              task={task}
+              fetchAttachments={fetchAttachments}
+              uploadAttachments={uploadAttachments}
+              deleteAttachment={deleteAttachment}
+              fetchAttachmentFile={fetchAttachmentFile}
+            />
+          </section>
+        )}
+
+        {fetchDependencies && (
+          <section className="drawer-section">
+            <div className="drawer-section-header">
+              <h3>Dependencies</h3>
+            </div>
+            <TaskDependencies
+              task={task}
+              tasks={tasks}
+              fetchDependencies={fetchDependencies}
+              addDependency={addDependency}
+              removeDependency={removeDependency}
+              onOpenTask={onOpenTask}
+            />
+          </section>
+        )}
+
+        {fetchTimeEntries && (
+          <section className="drawer-section">
+            <div className="drawer-section-header">
+              <h3>Time</h3>
+            </div>
+            <TaskTime
+              task={task}
+              timer={timer}
+              fetchTimeEntries={fetchTimeEntries}
+              addTimeEntry={addTimeEntry}
+              updateTimeEntry={updateTimeEntry}
+              deleteTimeEntry={deleteTimeEntry}
+            />
+          </section>
+        )}
+
+        {fetchComments && (
+          <section className="drawer-section">
+            <div className="drawer-section-header">
+              <h3>Comments</h3>
+            </div>
+            <TaskComments
+              task={task}
+              fetchComments={fetchComments}
+              addComment={addComment}
+              updateComment={updateComment}
+              deleteComment={deleteComment}
+            />
+          </section>
+        )}
+
+        {fetchHistory && (
+          <section className="drawer-section">
+            <div className="drawer-section-header">
+              <h3>History</h3>
+            </div>
+            <TaskHistory
+              task={task}
+              lists={lists}
+              workspace={workspace}
+              tags={tags}
+              fetchHistory={fetchHistory}
+              revertTask={revertTask}
+            />
+          </section>
+        )}
+      </aside>
+    </div>
+  );
+}
+
+export default TaskDrawer;
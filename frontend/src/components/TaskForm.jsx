@@ -1,17 +1,84 @@
-import React, { useState } from "react";
+import React, { useMemo, useState } from "react";
+import { parseQuickAdd } from "../../../shared/quickAdd.mjs";
+import { formatDue, getBrowserTimeZone } from "../utils/dueDates";
+import { PRIORITY_LEVELS, PRIORITY_LABELS } from "../utils/priorities";
+import { getRecurrencePresets, describeRule } from "../utils/recurrence";
+
+const TOKEN_ICONS = { date: '📅', time: '⏰', tag: '🏷️', priority: '🚩', recurrence: '🔁' };
+
+// What a recognised quick-add token will set, e.g. "Tomorrow" or "Monthly"
+const describeToken = ({ type, value }) => {
+  switch (type) {
+    case 'date':
+      return formatDue({ dueAt: `${value}T00:00:00`, allDay: true, timezone: getBrowserTimeZone() });
+    case 'time':
+      return new Date(`2000-01-01T${value}`).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+    case 'tag':
+      return `#${value}`;
+    case 'priority':
+      return PRIORITY_LABELS[value];
+    default:
+      return describeRule(value);
+  }
+};
 
 function TaskForm({ addTask, loading }) {
   const [title, setTitle] = useState("");
+  const [dueDate, setDueDate] = useState("");
+  const [dueTime, setDueTime] = useState("");
+  const [priority, setPriority] = useState("none");
+  const [tagText, setTagText] = useState("");
+  const [repeat, setRepeat] = useState("");
+  const [customRule, setCustomRule] = useState("");
+  // Recognised tokens the user undid, kept as title text ({ start, end })
+  const [ignored, setIgnored] = useState([]);
+
+  // The same parser the server runs for ?parse=true, for the live preview
+  const quickAdd = useMemo(
+    () => parseQuickAdd(title, { ignore: ignored.map(span => span.start) }),
+    [title, ignored]
+  );
+
+  const recurrencePresets = getRecurrencePresets(dueDate);
+  // The picker stores a preset key so presets follow the chosen due date
+  const recurrenceRule = repeat === "custom"
+    ? customRule.trim()
+    : recurrencePresets.find(preset => preset.key === repeat)?.rule || "";
   const [isSubmitting, setIsSubmitting] = useState(false);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    if (!title.trim() || isSubmitting) return;
+    if (!quickAdd.title || isSubmitting) return;
     
     setIsSubmitting(true);
     try {
-      await addTask(title.trim());
+      // The server parses the raw line; the pickers below override what it finds
+      const taskData = {
+        title,
+        timezone: getBrowserTimeZone(),
+        ignore: ignored.map(span => span.start)
+      };
+      if (priority !== "none") taskData.priority = priority;
+      // "#work, home" -> ["work", "home"]
+      const tags = tagText.split(/[\s,]+/).map(tag => tag.replace(/^#/, '')).filter(Boolean);
+      if (tags.length > 0) taskData.tags = tags;
+      if (recurrenceRule) {
+        // Without a due date the server starts the series on the first matching day
+        taskData.recurrence = recurrenceRule;
+      }
+      if (dueDate) {
+        // Date only means all-day; the server reads both in the given timezone
+        taskData.dueAt = dueTime ? `${dueDate}T${dueTime}` : dueDate;
+      }
+      await addTask(taskData, { parse: true });
       setTitle("");
+      setIgnored([]);
+      setDueDate("");
+      setDueTime("");
+      setPriority("none");
+      setTagText("");
+      setRepeat("");
+      setCustomRule("");
     } catch (error) {
       console.error("Error adding task:", error);
     } finally {
@@ -19,6 +86,13 @@ function TaskForm({ addTask, loading }) {
     }
   };
 
+  // Undone tokens stay undone while the text up to them is unchanged
+  const handleTitleChange = (e) => {
+    const next = e.target.value;
+    setTitle(next);
+    setIgnored(prev => prev.filter(span => next.startsWith(title.slice(0, span.end))));
+  };
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -33,18 +107,114 @@ function TaskForm({ addTask, loading }) {
           <input
             className="task-input"
             value={title}
-            onChange={(e) => setTitle(e.target.value)}
+            onChange={handleTitleChange}
             onKeyPress={handleKeyPress}
-            placeholder="What needs to be done?"
+            placeholder="What needs to be done? e.g. Pay rent tomorrow 9am #home !high"
             disabled={isSubmitting || loading}
             maxLength={200}
             autoFocus
+            aria-describedby="quick-add-preview"
+          />
+          {quickAdd.tokens.length > 0 && (
+            <div id="quick-add-preview" className="quick-add-preview" aria-live="polite">
+              <span className="quick-add-title">{quickAdd.title || 'Untitled'}</span>
+              {quickAdd.tokens.map(token => (
+                <span key={token.start} className={`quick-add-chip chip-${token.type}`} title={`From “${token.text}”`}>
+                  <span aria-hidden="true">{TOKEN_ICONS[token.type]}</span> {describeToken(token)}
+                  <button
+                    type="button"
+                    className="quick-add-undo"
+                    onClick={() => setIgnored(prev => [...prev, { start: token.start, end: token.end }])}
+                    aria-label={`Keep “${token.text}” as part of the title`}
+                  >
+                    ×
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+        <div className="form-group due-picker">
+          <label className="due-label" htmlFor="task-due-date">📅 Due</label>
+          <input
+            id="task-due-date"
+            type="date"
+            className="due-input"
+            value={dueDate}
+            onChange={(e) => setDueDate(e.target.value)}
+            disabled={isSubmitting || loading}
+          />
+          <input
+            type="time"
+            className="due-input"
+            value={dueTime}
+            onChange={(e) => setDueTime(e.target.value)}
+            disabled={!dueDate || isSubmitting || loading}
+            aria-label="Due time (optional)"
+          />
+          {dueDate && (
+            <button
+              type="button"
+              className="due-clear"
+              onClick={() => { setDueDate(""); setDueTime(""); }}
+              aria-label="Clear due date"
+            >
+              ×
+            </button>
+          )}
+          <select
+            className={`priority-select priority-${priority}`}
+            value={priority}
+            onChange={(e) => setPriority(e.target.value)}
+            disabled={isSubmitting || loading}
+            aria-label="Priority"
+          >
+            {PRIORITY_LEVELS.map((level) => (
+              <option key={level} value={level}>{PRIORITY_LABELS[level]}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group repeat-picker">
+          <label className="due-label" htmlFor="task-repeat">🔁 Repeat</label>
+          <select
+            id="task-repeat"
+            className="due-input"
+            value={repeat}
+            onChange={(e) => setRepeat(e.target.value)}
+            disabled={isSubmitting || loading}
+          >
+            <option value="">Doesn't repeat</option>
+            {recurrencePresets.map((preset) => (
+              <option key={preset.key} value={preset.key}>{preset.label}</option>
+            ))}
+            <option value="custom">Custom rule…</option>
+          </select>
+          {repeat === "custom" && (
+            <input
+              className="due-input repeat-custom"
+              value={customRule}
+              onChange={(e) => setCustomRule(e.target.value)}
+              placeholder="FREQ=MONTHLY;BYDAY=1MO"
+              disabled={isSubmitting || loading}
+              aria-label="Custom RRULE"
+              title={customRule ? describeRule(customRule) : "iCalendar RRULE, e.g. FREQ=WEEKLY;INTERVAL=2;BYDAY=TU"}
+            />
+          )}
+        </div>
+        <div className="form-group">
+          <input
+            className="tag-input"
+            value={tagText}
+            onChange={(e) => setTagText(e.target.value)}
+            placeholder="Tags, e.g. #work #home"
+            disabled={isSubmitting || loading}
+            aria-label="Tags"
           />
         </div>
         <button 
           type="submit" 
           className="add-button"
-          disabled={!title.trim() || isSubmitting || loading}
+          disabled={!quickAdd.title || isSubmitting || loading}
         >
           {isSubmitting ? (
             <>
@@ -0,0 +1,128 @@
+import React, { useEffect, useState } from "react";
+import { FIELD_LABELS, formatFieldValue } from "../utils/taskFields";
+import { listAudience } from "../utils/members";
+
+const ACTION_LABELS = {
+  created: 'created the task',
+  updated: 'edited',
+  completed: 'completed the task',
+  reopened: 'reopened the task',
+  reordered: 'moved the task',
+  assigned: 'assigned the task',
+  unassigned: 'unassigned the task',
+  deleted: 'moved the task to trash',
+  restored: 'restored the task',
+  reverted: 'reverted to an earlier version'
+};
+
+const timeAgo = (value) => {
+  const seconds = Math.round((Date.now() - new Date(value)) / 1000);
+  if (seconds < 60) return 'just now';
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  const days = Math.round(hours / 24);
+  if (days < 7) return `${days}d ago`;
+  return new Date(value).toLocaleDateString();
+};
+
+// Timeline of a task's changes, newest first, with revert buttons
+function TaskHistory({ task, lists = [], workspace = null, tags = [], fetchHistory, revertTask }) {
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [revertingId, setRevertingId] = useState(null);
+  // Assignees are named from the people who can see the lists
+  const users = lists.flatMap(list => listAudience(list, workspace));
+
+  // Reload whenever the task changes, including changes made from this drawer
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    fetchHistory(task._id)
+      .then((entries) => {
+        if (!cancelled) {
+          setHistory(entries);
+          setError(null);
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.response?.data?.message || err.message || 'Failed to load history');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [fetchHistory, task._id, task.updatedAt]);
+
+  const handleRevert = async (entry) => {
+    if (!window.confirm("Revert this task to how it was after this change?")) return;
+
+    setRevertingId(entry._id);
+    try {
+      await revertTask(task._id, entry._id);
+    } catch (err) {
+      console.error("Error reverting task:", err);
+    } finally {
+      setRevertingId(null);
+    }
+  };
+
+  if (loading && history.length === 0) {
+    return <p className="history-empty">Loading history...</p>;
+  }
+
+  if (error) {
+    return <p className="history-empty">{error}</p>;
+  }
+
+  if (history.length === 0) {
+    return <p className="history-empty">No changes recorded yet.</p>;
+  }
+
+  return (
+    <ol className="history-timeline">
+      {history.map((entry, index) => {
+        const changes = entry.changes.filter(change => FIELD_LABELS[change.field]);
+        return (
+          <li key={entry._id} className={`history-entry history-${entry.action}`}>
+            <div className="history-summary">
+              <strong>{entry.user?.name || 'Someone'}</strong> {ACTION_LABELS[entry.action] || entry.action}
+              <time dateTime={entry.createdAt} title={new Date(entry.createdAt).toLocaleString()}>
+                {timeAgo(entry.createdAt)}
+              </time>
+            </div>
+
+            {entry.action !== 'created' && changes.length > 0 && (
+              <ul className="history-changes">
+                {changes.map(change => (
+                  <li key={change.field}>
+                    <span className="history-field">{FIELD_LABELS[change.field]}:</span>{' '}
+                    <del>{formatFieldValue(change.field, change.from, { lists, tags, users })}</del>
+                    {' → '}
+                    <ins>{formatFieldValue(change.field, change.to, { lists, tags, users })}</ins>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {index > 0 && revertTask && (
+              <button
+                className="history-revert"
+                onClick={() => handleRevert(entry)}
+                disabled={revertingId !== null}
+              >
+                {revertingId === entry._id ? 'Reverting...' : '↩️ Revert to this version'}
+              </button>
+            )}
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
+
+export default TaskHistory;
@@ -1,8 +1,98 @@
-import React, { useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
+import { formatDue, isTaskOverdue } from "../utils/dueDates";
+import { PRIORITY_LEVELS, PRIORITY_LABELS } from "../utils/priorities";
+import { describeRule } from "../utils/recurrence";
+import { avatarColor, canEditList, initials } from "../utils/members";
+import SubtaskList from "./SubtaskList";
+import TaskDrawer from "./TaskDrawer";
+import HighlightedText from "./HighlightedText";
+import ElapsedTime from "./ElapsedTime";
 
-function TaskList({ tasks, updateTask, deleteTask, loading }) {
+function TaskList({
+  tasks,
+  updateTask,
+  deleteTask,
+  lists = [],
+  workspace = null,
+  tags = [],
+  addSubtask,
+  updateSubtask,
+  deleteSubtask,
+  skipOccurrence,
+  stopRecurrence,
+  fetchHistory,
+  revertTask,
+  fetchDependencies,
+  addDependency,
+  removeDependency,
+  timer = null,
+  startTimer,
+  stopTimer,
+  fetchTimeEntries,
+  addTimeEntry,
+  updateTimeEntry,
+  deleteTimeEntry,
+  fetchAttachments,
+  uploadAttachments,
+  deleteAttachment,
+  fetchAttachmentFile,
+  fetchComments,
+  addComment,
+  updateComment,
+  deleteComment,
+  focusSession = null,
+  startFocus,
+  onOpenFocus,
+  batchTasks,
+  onReorder,
+  searchQuery,
+  loading,
+  hasMore = false,
+  onLoadMore,
+  loadingMore = false
+}) {
   const [updatingTasks, setUpdatingTasks] = useState(new Set());
   const [deletingTasks, setDeletingTasks] = useState(new Set());
+  const [expandedTasks, setExpandedTasks] = useState(new Set());
+  const [openTaskId, setOpenTaskId] = useState(null);
+  const [draggingId, setDraggingId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const [bulkBusy, setBulkBusy] = useState(false);
+  const [timerBusy, setTimerBusy] = useState(false);
+  const handleRefs = useRef(new Map());
+  const lastSelectedId = useRef(null);
+  const loadMoreRef = useRef(null);
+  const openTask = tasks.find(task => task._id === openTaskId);
+  // Only what's still on screen counts as selected
+  const selectedTasks = tasks.filter(task => selectedIds.has(task._id));
+  // Tasks can only be moved into lists the user may edit
+  const movableLists = lists.filter(canEditList);
+
+  // Infinite scroll: load the next page once the end of the list comes near.
+  // The button doubles as a manual fallback.
+  useEffect(() => {
+    const node = loadMoreRef.current;
+    if (!node || !hasMore || !onLoadMore || typeof IntersectionObserver === 'undefined') return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) onLoadMore();
+    }, { rootMargin: '300px' });
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [hasMore, onLoadMore, tasks.length]);
+
+  const toggleExpanded = (taskId) => {
+    setExpandedTasks(prev => {
+      const newSet = new Set(prev);
+      if (newSet.has(taskId)) {
+        newSet.delete(taskId);
+      } else {
+        newSet.add(taskId);
+      }
+      return newSet;
+    });
+  };
 
   const handleToggleComplete = async (taskId, completed) => {
     if (updatingTasks.has(taskId)) return;
@@ -21,10 +111,222 @@ function TaskList({ tasks, updateTask, deleteTask, loading }) {
     }
   };
 
+  const handlePriorityChange = async (taskId, priority) => {
+    if (updatingTasks.has(taskId)) return;
+
+    setUpdatingTasks(prev => new Set(prev).add(taskId));
+    try {
+      await updateTask(taskId, { priority });
+    } catch (error) {
+      console.error("Error updating priority:", error);
+    } finally {
+      setUpdatingTasks(prev => {
+        const newSet = new Set(prev);
+        newSet.delete(taskId);
+        return newSet;
+      });
+    }
+  };
+
+  const handleMove = async (taskId, listId) => {
+    if (updatingTasks.has(taskId)) return;
+
+    setUpdatingTasks(prev => new Set(prev).add(taskId));
+    try {
+      await updateTask(taskId, { list: listId });
+    } catch (error) {
+      console.error("Error moving task:", error);
+    } finally {
+      setUpdatingTasks(prev => {
+        const newSet = new Set(prev);
+        newSet.delete(taskId);
+        return newSet;
+      });
+    }
+  };
+
+  const handleRecurrence = async (taskId, action) => {
+    if (updatingTasks.has(taskId)) return;
+
+    if (action === stopRecurrence && !window.confirm("Stop repeating? This task stays, but no new ones will be created.")) return;
+
+    setUpdatingTasks(prev => new Set(prev).add(taskId));
+    try {
+      await action(taskId);
+    } catch (error) {
+      console.error("Error updating recurrence:", error);
+    } finally {
+      setUpdatingTasks(prev => {
+        const newSet = new Set(prev);
+        newSet.delete(taskId);
+        return newSet;
+      });
+    }
+  };
+
+  // Focus mode opens straight away and shows the session once it has started
+  const handleFocus = async (taskId) => {
+    try {
+      await startFocus(taskId);
+    } catch (error) {
+      console.error("Error starting focus session:", error);
+    }
+  };
+
+  // Play starts a timer on the task (stopping any other); stop ends it
+  const handleTimer = async (taskId) => {
+    if (timerBusy) return;
+
+    setTimerBusy(true);
+    try {
+      if (timer?.task?._id === taskId) {
+        await stopTimer();
+      } else {
+        await startTimer(taskId);
+      }
+    } catch (error) {
+      console.error("Error updating timer:", error);
+    } finally {
+      setTimerBusy(false);
+    }
+  };
+
+  // Drag and drop: drop on the top half of a row to go before it, bottom half after
+  const handleDragOver = (e, taskId) => {
+    if (!draggingId || taskId === draggingId) return;
+    e.preventDefault();
+    const rect = e.currentTarget.getBoundingClientRect();
+    const side = e.clientY < rect.top + rect.height / 2 ? 'before' : 'after';
+    if (dropTarget?.id !== taskId || dropTarget?.side !== side) {
+      setDropTarget({ id: taskId, side });
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    if (draggingId && dropTarget) {
+      onReorder(draggingId, { [dropTarget.side]: dropTarget.id })
+        .catch(error => console.error("Error moving task:", error));
+    }
+    setDraggingId(null);
+    setDropTarget(null);
+  };
+
+  const handleDragEnd = () => {
+    setDraggingId(null);
+    setDropTarget(null);
+  };
+
+  // Keyboard alternative: arrow keys on the drag handle move one row at a time
+  const handleHandleKeyDown = async (e, index) => {
+    const taskId = tasks[index]._id;
+    let placement = null;
+    if (e.key === 'ArrowUp' && index > 0) placement = { before: tasks[index - 1]._id };
+    if (e.key === 'ArrowDown' && index < tasks.length - 1) placement = { after: tasks[index + 1]._id };
+    if (!placement) return;
+
+    e.preventDefault();
+    try {
+      await onReorder(taskId, placement);
+    } catch (error) {
+      console.error("Error moving task:", error);
+    } finally {
+      // The row is re-rendered in its new place; keep focus on its handle
+      handleRefs.current.get(taskId)?.focus();
+    }
+  };
+
+  // Checkbox selection; shift-click applies the same choice to every row
+  // between the previous click and this one. React fires checkbox changes
+  // from the click event, so the change handler can read shiftKey.
+  const handleSelect = (index, shiftKey) => {
+    const taskId = tasks[index]._id;
+    const anchorIndex = tasks.findIndex(task => task._id === lastSelectedId.current);
+    const select = !selectedIds.has(taskId);
+    const [from, to] = shiftKey && anchorIndex !== -1
+      ? [Math.min(anchorIndex, index), Math.max(anchorIndex, index)]
+      : [index, index];
+
+    setSelectedIds(prev => {
+      const newSet = new Set(prev);
+      for (const task of tasks.slice(from, to + 1)) {
+        if (select) newSet.add(task._id);
+        else newSet.delete(task._id);
+      }
+      return newSet;
+    });
+    lastSelectedId.current = taskId;
+  };
+
+  const clearSelection = () => {
+    setSelectedIds(new Set());
+    lastSelectedId.current = null;
+  };
+
+  // Bulk actions go through one batch request, so they apply all-or-nothing
+  const runBulk = async (operations) => {
+    if (bulkBusy || operations.length === 0) return;
+
+    setBulkBusy(true);
+    try {
+      await batchTasks(operations);
+      clearSelection();
+    } catch (error) {
+      console.error("Error updating tasks:", error);
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
+  // The server refuses to complete blocked tasks unless forced, so ask once for all of them
+  const handleBulkComplete = () => {
+    const pending = selectedTasks.filter(task => !task.completed);
+    const blocked = pending.filter(task => task.blocked);
+    if (blocked.length > 0 && !window.confirm(
+      `${blocked.length} of these ${blocked.length === 1 ? 'task is' : 'tasks are'} still blocked by unfinished tasks. Complete anyway?`
+    )) return;
+
+    runBulk(pending.map(task => ({
+      op: 'update',
+      id: task._id,
+      version: task.version,
+      data: { completed: true },
+      ...(task.blocked && { force: true })
+    })));
+  };
+
+  const handleBulkMove = (listId) => runBulk(
+    selectedTasks
+      .filter(task => task.list !== listId)
+      .map(task => ({ op: 'move', id: task._id, version: task.version, list: listId }))
+  );
+
+  // "add:<tagId>" or "remove:<tagId>", from the bulk tag menu
+  const handleBulkRetag = (value) => {
+    const [action, tagId] = value.split(':');
+    runBulk(selectedTasks
+      .map(task => {
+        const current = (task.tags || []).map(tag => tag._id);
+        const next = action === 'add'
+          ? [...new Set([...current, tagId])]
+          : current.filter(id => id !== tagId);
+        return next.length === current.length
+          ? null
+          : { op: 'update', id: task._id, version: task.version, data: { tags: next } };
+      })
+      .filter(Boolean));
+  };
+
+  const handleBulkDelete = () => {
+    const count = selectedTasks.length;
+    if (!window.confirm(`Move ${count} ${count === 1 ? 'task' : 'tasks'} to the trash? You can restore them from Trash.`)) return;
+    runBulk(selectedTasks.map(task => ({ op: 'delete', id: task._id, version: task.version })));
+  };
+
   const handleDelete = async (taskId) => {
     if (deletingTasks.has(taskId)) return;
     
-    if (!window.confirm("Are you sure you want to delete this task?")) return;
+    if (!window.confirm("Move this task to the trash? You can restore it from Trash.")) return;
     
     setDeletingTasks(prev => new Set(prev).add(taskId));
     try {
@@ -49,6 +351,18 @@ function TaskList({ tasks, updateTask, deleteTask, loading }) {
     );
   }
 
+  if (tasks.length === 0 && searchQuery) {
+    return (
+      <div className="empty-state">
+        <div className="empty-icon">🔍</div>
+        <h3 className="empty-title">No matches</h3>
+        <p className="empty-description">
+          Nothing matches “{searchQuery}”. Try fewer or different words.
+        </p>
+      </div>
+    );
+  }
+
   if (tasks.length === 0) {
     return (
       <div className="empty-state">
@@ -62,53 +376,412 @@ function TaskList({ tasks, updateTask, deleteTask, loading }) {
   }
 
   return (
-    <ul className="task-list">
-      {tasks.map((task) => (
-        <li 
-          key={task._id} 
-          className={`task-item ${task.completed ? 'completed' : ''}`}
-        >
-          <div 
-            className={`task-checkbox ${task.completed ? 'completed' : ''}`}
-            onClick={() => handleToggleComplete(task._id, task.completed)}
-          >
-            {task.completed && '✓'}
-          </div>
-          
-          <div className={`task-content ${task.completed ? 'completed' : ''}`}>
-            {task.title}
-          </div>
-          
-          <div className="task-actions">
+    <>
+      {batchTasks && selectedTasks.length > 0 && (
+        <div className="bulk-bar" role="toolbar" aria-label="Bulk actions">
+          <span className="bulk-count">{selectedTasks.length} selected</span>
+          {selectedTasks.length < tasks.length && (
             <button
-              className={`action-button ${task.completed ? 'undo-button' : 'complete-button'}`}
+              type="button"
+              className="bulk-link"
+              onClick={() => setSelectedIds(new Set(tasks.map(task => task._id)))}
+            >
+              Select all
+            </button>
+          )}
+          <button type="button" className="bulk-link" onClick={clearSelection}>
+            Clear
+          </button>
+          <span className="bulk-actions">
+            <button type="button" className="bulk-action" onClick={handleBulkComplete} disabled={bulkBusy}>
+              ✅ Complete
+            </button>
+            {movableLists.length > 1 && (
+              <select
+                className="bulk-select"
+                value=""
+                onChange={(e) => handleBulkMove(e.target.value)}
+                disabled={bulkBusy}
+                aria-label="Move selected tasks to list"
+              >
+                <option value="" disabled>📂 Move to…</option>
+                {movableLists.map((list) => (
+                  <option key={list._id} value={list._id}>{list.icon} {list.name}</option>
+                ))}
+              </select>
+            )}
+            {tags.length > 0 && (
+              <select
+                className="bulk-select"
+                value=""
+                onChange={(e) => handleBulkRetag(e.target.value)}
+                disabled={bulkBusy}
+                aria-label="Add or remove a tag on selected tasks"
+              >
+                <option value="" disabled>🏷️ Tags…</option>
+                <optgroup label="Add tag">
+                  {tags.map((tag) => (
+                    <option key={tag._id} value={`add:${tag._id}`}>#{tag.name}</option>
+                  ))}
+                </optgroup>
+                <optgroup label="Remove tag">
+                  {tags.map((tag) => (
+                    <option key={tag._id} value={`remove:${tag._id}`}>#{tag.name}</option>
+                  ))}
+                </optgroup>
+              </select>
+            )}
+            <button type="button" className="bulk-action danger" onClick={handleBulkDelete} disabled={bulkBusy}>
+              🗑️ Delete
+            </button>
+          </span>
+        </div>
+      )}
+
+      <ul className="task-list">
+        {tasks.map((task, index) => {
+          const overdue = isTaskOverdue(task);
+          const expanded = expandedTasks.has(task._id);
+          const subtaskTotal = task.subtasks?.length || 0;
+          const subtaskDone = task.subtasks?.filter(subtask => subtask.completed).length || 0;
+          const timing = timer?.task?._id === task._id;
+          const focusing = focusSession?.task?._id === task._id;
+          return (
+          <li 
+            key={task._id} 
+            className={[
+              'task-item',
+              task.completed ? 'completed' : '',
+              overdue ? 'overdue' : '',
+              task.blocked && !task.completed ? 'blocked' : '',
+              selectedIds.has(task._id) ? 'selected' : '',
+              draggingId === task._id ? 'dragging' : '',
+              dropTarget?.id === task._id ? `drop-${dropTarget.side}` : ''
+            ].filter(Boolean).join(' ')}
+            draggable={Boolean(onReorder)}
+            onDragStart={onReorder ? (e) => {
+              e.dataTransfer.effectAllowed = 'move';
+              e.dataTransfer.setData('text/plain', task._id);
+              setDraggingId(task._id);
+            } : undefined}
+            onDragOver={onReorder ? (e) => handleDragOver(e, task._id) : undefined}
+            onDrop={onReorder ? handleDrop : undefined}
+            onDragEnd={onReorder ? handleDragEnd : undefined}
+          >
+            {batchTasks && (
+              <input
+                type="checkbox"
+                className="task-select"
+                checked={selectedIds.has(task._id)}
+                onChange={(e) => handleSelect(index, e.nativeEvent.shiftKey)}
+                aria-label={`Select "${task.title}"`}
+                title="Select (shift-click to select a range)"
+              />
+            )}
+            {onReorder && (
+              <button
+                type="button"
+                className="drag-handle"
+                ref={(node) => {
+                  if (node) handleRefs.current.set(task._id, node);
+                  else handleRefs.current.delete(task._id);
+                }}
+                onKeyDown={(e) => handleHandleKeyDown(e, index)}
+                aria-label={`Reorder "${task.title}". Use the up and down arrow keys to move it.`}
+                title="Drag, or focus and use ↑/↓, to reorder"
+              >
+                ⠿
+              </button>
+            )}
+            <div 
+              className={`task-checkbox ${task.completed ? 'completed' : ''}`}
               onClick={() => handleToggleComplete(task._id, task.completed)}
-              disabled={updatingTasks.has(task._id)}
             >
-              {updatingTasks.has(task._id) ? (
-                <div className="spinner" style={{ width: '12px', height: '12px' }}></div>
-              ) : task.completed ? (
-                <>↶ Undo</>
-              ) : (
-                <>✓ Complete</>
+              {task.completed && '✓'}
+            </div>
+            
+            <div className={`task-content ${task.completed ? 'completed' : ''}`}>
+              <button
+                type="button"
+                className="task-title"
+                onClick={() => setOpenTaskId(task._id)}
+                title="Open details"
+              >
+                {task.title}
+                {task.notes && <span className="task-notes-indicator" aria-label="Has notes"> 📝</span>}
+              </button>
+              {task.dueAt && (
+                <span
+                  className={`task-due ${overdue ? 'overdue' : ''}`}
+                  title={new Date(task.dueAt).toLocaleString()}
+                >
+                  {overdue ? '⏰ Overdue · ' : '📅 '}{formatDue(task)}
+                </span>
               )}
-            </button>
+              {task.highlights?.notesSnippet && (
+                <span className="task-snippet">
+                  <HighlightedText
+                    text={task.highlights.notesSnippet.text}
+                    ranges={task.highlights.notesSnippet.ranges}
+                  />
+                </span>
+              )}
+              {task.recurrence?.rule && (
+                <span className="task-recurrence" title={task.recurrence.rule}>
+                  🔁 {describeRule(task.recurrence.rule)}
+                  {!task.completed && (
+                    <>
+                      <button
+                        type="button"
+                        className="recurrence-action"
+                        onClick={() => handleRecurrence(task._id, skipOccurrence)}
+                        disabled={updatingTasks.has(task._id)}
+                        title="Skip to the next date"
+                      >
+                        Skip
+                      </button>
+                      <button
+                        type="button"
+                        className="recurrence-action"
+                        onClick={() => handleRecurrence(task._id, stopRecurrence)}
+                        disabled={updatingTasks.has(task._id)}
+                      >
+                        Stop repeating
+                      </button>
+                    </>
+                  )}
+                </span>
+              )}
+              {task.assignee && (
+                <span
+                  className="member-avatar task-assignee"
+                  style={{ background: avatarColor(task.assignee._id) }}
+                  title={`Assigned to ${task.assignee.name}`}
+                  aria-label={`Assigned to ${task.assignee.name}`}
+                >
+                  {initials(task.assignee.name)}
+                </span>
+              )}
+              {task.focusSessions > 0 && (
+                <span className="task-focus-count" title="Completed focus sessions">
+                  🍅 {task.focusSessions}
+                </span>
+              )}
+              {task.attachmentCount > 0 && (
+                <span className="task-attachment-count" title="Attachments">
+                  📎 {task.attachmentCount}
+                </span>
+              )}
+              {task.commentCount > 0 && (
+                <button
+                  type="button"
+                  className="task-comment-count"
+                  onClick={() => setOpenTaskId(task._id)}
+                  title="Comments"
+                >
+                  💬 {task.commentCount}
+                </button>
+              )}
+              {task.tags?.length > 0 && (
+                <span className="task-tags">
+                  {task.tags.map((tag) => (
+                    <span key={tag._id} className="tag-chip small" style={{ '--tag-color': tag.color }}>
+                      #{tag.name}
+                    </span>
+                  ))}
+                </span>
+              )}
+              {task.blocked && !task.completed && (
+                <span className="task-blockers">
+                  ⛔ Blocked by{' '}
+                  {task.blockedBy.filter(blocker => !blocker.completed).map((blocker, i) => {
+                    const shown = tasks.some(item => item._id === blocker._id);
+                    return (
+                      <React.Fragment key={blocker._id}>
+                        {i > 0 && ', '}
+                        <button
+                          type="button"
+                          className="blocker-link"
+                          onClick={() => setOpenTaskId(blocker._id)}
+                          disabled={!shown}
+                          title={shown ? 'Open details' : 'Not shown in this view'}
+                        >
+                          {blocker.title}
+                        </button>
+                      </React.Fragment>
+                    );
+                  })}
+                </span>
+              )}
+              <button
+                type="button"
+                className={`subtask-toggle ${subtaskTotal > 0 && subtaskDone === subtaskTotal ? 'done' : ''}`}
+                onClick={() => toggleExpanded(task._id)}
+                aria-expanded={expanded}
+              >
+                {expanded ? '▾' : '▸'}{' '}
+                {subtaskTotal > 0 ? (
+                  <>
+                    {subtaskDone} of {subtaskTotal} done
+                    <span className="subtask-progress">
+                      <span style={{ width: `${(subtaskDone / subtaskTotal) * 100}%` }}></span>
+                    </span>
+                  </>
+                ) : (
+                  'Checklist'
+                )}
+              </button>
+            </div>
             
-            <button
-              className="action-button delete-button"
-              onClick={() => handleDelete(task._id)}
-              disabled={deletingTasks.has(task._id)}
-            >
-              {deletingTasks.has(task._id) ? (
-                <div className="spinner" style={{ width: '12px', height: '12px' }}></div>
-              ) : (
-                <>🗑️ Delete</>
+            <div className="task-actions">
+              <select
+                className={`priority-badge priority-${task.priority || 'none'}`}
+                value={task.priority || 'none'}
+                onChange={(e) => handlePriorityChange(task._id, e.target.value)}
+                disabled={updatingTasks.has(task._id)}
+                aria-label="Priority"
+                title="Change priority"
+              >
+                {PRIORITY_LEVELS.map((level) => (
+                  <option key={level} value={level}>{PRIORITY_LABELS[level]}</option>
+                ))}
+              </select>
+
+              {movableLists.length > 1 && movableLists.some(list => list._id === task.list) && (
+                <select
+                  className="move-select"
+                  value={task.list || ''}
+                  onChange={(e) => handleMove(task._id, e.target.value)}
+                  disabled={updatingTasks.has(task._id)}
+                  aria-label="Move to list"
+                  title="Move to list"
+                >
+                  {movableLists.map((list) => (
+                    <option key={list._id} value={list._id}>{list.icon} {list.name}</option>
+                  ))}
+                </select>
               )}
-            </button>
-          </div>
-        </li>
-      ))}
-    </ul>
+
+              {startFocus && (
+                <button
+                  className={`action-button focus-button-row ${focusing ? 'active' : ''}`}
+                  onClick={() => (focusing ? onOpenFocus() : handleFocus(task._id))}
+                  aria-label={focusing ? 'Open focus mode' : `Start a focus session on "${task.title}"`}
+                  title={focusing ? 'Open focus mode' : 'Focus on this task (pomodoro)'}
+                >
+                  🍅
+                </button>
+              )}
+
+              {startTimer && (
+                timing ? (
+                  <button
+                    className="action-button timer-button running"
+                    onClick={() => handleTimer(task._id)}
+                    disabled={timerBusy}
+                    aria-label={`Stop timer on "${task.title}"`}
+                    title="Stop timer"
+                  >
+                    ■ <ElapsedTime since={timer.startedAt} />
+                  </button>
+                ) : (
+                  <button
+                    className="action-button timer-button"
+                    onClick={() => handleTimer(task._id)}
+                    disabled={timerBusy}
+                    aria-label={`Start timer on "${task.title}"`}
+                    title={timer ? 'Start timer (stops the one running now)' : 'Start timer'}
+                  >
+                    ▶
+                  </button>
+                )
+              )}
+
+              <button
+                className={`action-button ${task.completed ? 'undo-button' : 'complete-button'}`}
+                onClick={() => handleToggleComplete(task._id, task.completed)}
+                disabled={updatingTasks.has(task._id)}
+              >
+                {updatingTasks.has(task._id) ? (
+                  <div className="spinner" style={{ width: '12px', height: '12px' }}></div>
+                ) : task.completed ? (
+                  <>↶ Undo</>
+                ) : (
+                  <>✓ Complete</>
+                )}
+              </button>
+              
+              <button
+                className="action-button delete-button"
+                onClick={() => handleDelete(task._id)}
+                disabled={deletingTasks.has(task._id)}
+              >
+                {deletingTasks.has(task._id) ? (
+                  <div className="spinner" style={{ width: '12px', height: '12px' }}></div>
+                ) : (
+                  <>🗑️ Delete</>
+                )}
+              </button>
+            </div>
+
+            {expanded && (
+              <SubtaskList
+                task={task}
+                addSubtask={addSubtask}
+                updateSubtask={updateSubtask}
+                deleteSubtask={deleteSubtask}
+                updateTask={updateTask}
+              />
+            )}
+          </li>
+          );
+        })}
+      </ul>
+
+      {hasMore && onLoadMore && (
+        <button
+          ref={loadMoreRef}
+          type="button"
+          className="load-more"
+          onClick={onLoadMore}
+          disabled={loadingMore}
+        >
+          {loadingMore ? 'Loading more...' : 'Load more'}
+        </button>
+      )}
+
+      {openTask && (
+        <TaskDrawer
+          key={openTask._id}
+          task={openTask}
+          lists={lists}
+          workspace={workspace}
+          tags={tags}
+          updateTask={updateTask}
+          fetchHistory={fetchHistory}
+          revertTask={revertTask}
+          tasks={tasks}
+          fetchDependencies={fetchDependencies}
+          addDependency={addDependency}
+          removeDependency={removeDependency}
+          timer={timer}
+          fetchTimeEntries={fetchTimeEntries}
+          addTimeEntry={addTimeEntry}
+          updateTimeEntry={updateTimeEntry}
+          deleteTimeEntry={deleteTimeEntry}
+          fetchAttachments={fetchAttachments}
+          uploadAttachments={uploadAttachments}
+          deleteAttachment={deleteAttachment}
+          fetchAttachmentFile={fetchAttachmentFile}
+          fetchComments={fetchComments}
+          addComment={addComment}
+          updateComment={updateComment}
+          deleteComment={deleteComment}
+          onOpenTask={setOpenTaskId}
+          onClose={() => setOpenTaskId(null)}
+        />
+      )}
+    </>
   );
 }
 
@@ -0,0 +1,212 @@
+import React, { useCallback, useEffect, useState } from "react";
+import ElapsedTime from "./ElapsedTime";
+import { formatDuration, formatHours, toDateTimeInput, fromDateTimeInput } from "../utils/timeTracking";
+
+const formatRange = (entry) => {
+  const start = new Date(entry.startedAt);
+  const day = start.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+  const time = (date) => date.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+  return entry.endedAt ? `${day}, ${time(start)} – ${time(new Date(entry.endedAt))}` : `${day}, ${time(start)} – now`;
+};
+
+// Start/end/note fields shared by "Log time" and editing an entry
+function TimeEntryForm({ initial, running = false, busy, onSave, onCancel }) {
+  const [startedAt, setStartedAt] = useState(toDateTimeInput(initial.startedAt));
+  const [endedAt, setEndedAt] = useState(initial.endedAt ? toDateTimeInput(initial.endedAt) : "");
+  const [note, setNote] = useState(initial.note || "");
+  const [error, setError] = useState(null);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const start = fromDateTimeInput(startedAt);
+    const end = fromDateTimeInput(endedAt);
+
+    if (!start || (!end && !running)) {
+      setError('Enter a start and an end time');
+      return;
+    }
+    if (end && new Date(end) < new Date(start)) {
+      setError('The end time is before the start time');
+      return;
+    }
+
+    setError(null);
+    onSave({ startedAt: start, ...(end ? { endedAt: end } : {}), note: note.trim() });
+  };
+
+  return (
+    <form className="time-entry-form" onSubmit={handleSubmit}>
+      <label>
+        Start
+        <input
+          type="datetime-local"
+          value={startedAt}
+          onChange={(e) => setStartedAt(e.target.value)}
+          disabled={busy}
+          required
+        />
+      </label>
+      <label>
+        End
+        <input
+          type="datetime-local"
+          value={endedAt}
+          onChange={(e) => setEndedAt(e.target.value)}
+          disabled={busy}
+          required={!running}
+          title={running ? 'Leave empty to keep the timer running' : undefined}
+        />
+      </label>
+      <input
+        type="text"
+        className="time-entry-note"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        placeholder="What did you work on? (optional)"
+        maxLength={200}
+        disabled={busy}
+      />
+      {error && <p className="time-error" role="alert">{error}</p>}
+      <div className="time-entry-form-actions">
+        <button type="button" className="notes-cancel" onClick={onCancel} disabled={busy}>
+          Cancel
+        </button>
+        <button type="submit" className="notes-save" disabled={busy}>
+          {busy ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// Time tracked on a task, in the task drawer: the entries, their total and manual corrections
+function TaskTime({ task, timer, fetchTimeEntries, addTimeEntry, updateTimeEntry, deleteTimeEntry }) {
+  const [entries, setEntries] = useState([]);
+  const [totalMs, setTotalMs] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  // null, 'new' or the id of the entry being edited
+  const [editing, setEditing] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const data = await fetchTimeEntries(task._id);
+      setEntries(data.entries || []);
+      setTotalMs(data.totalMs || 0);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to load time entries');
+    } finally {
+      setLoading(false);
+    }
+  }, [fetchTimeEntries, task._id]);
+
+  // Reload when a timer starts or stops, wherever that happened
+  const timerId = timer?._id;
+  useEffect(() => {
+    load();
+  }, [load, timerId]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      setEditing(null);
+      await load();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = (entry) => {
+    if (!window.confirm(`Delete ${formatDuration(new Date(entry.endedAt || Date.now()) - new Date(entry.startedAt))} of tracked time?`)) return;
+    run(() => deleteTimeEntry(task._id, entry._id));
+  };
+
+  const running = entries.find(entry => !entry.endedAt);
+  // The running entry keeps counting after the list was loaded
+  const settledMs = totalMs - (running ? running.duration : 0);
+
+  if (loading) {
+    return <p className="time-empty">Loading time entries...</p>;
+  }
+
+  return (
+    <div className="task-time">
+      <p className="time-total">
+        Total: <strong>{formatHours(settledMs)}</strong>
+        {running && (
+          <> + <ElapsedTime since={running.startedAt} className="time-running" /> running</>
+        )}
+      </p>
+
+      {entries.length === 0 && editing !== 'new' && (
+        <p className="time-empty">No time tracked yet.</p>
+      )}
+
+      {entries.length > 0 && (
+        <ul className="time-entries">
+          {entries.map(entry => (
+            <li key={entry._id} className={`time-entry ${entry.endedAt ? '' : 'running'}`}>
+              {editing === entry._id ? (
+                <TimeEntryForm
+                  initial={entry}
+                  running={!entry.endedAt}
+                  busy={busy}
+                  onSave={(data) => run(() => updateTimeEntry(task._id, entry._id, data))}
+                  onCancel={() => setEditing(null)}
+                />
+              ) : (
+                <>
+                  <span className="time-entry-range">{formatRange(entry)}</span>
+                  <span className="time-entry-duration">
+                    {entry.endedAt ? formatDuration(entry.duration) : <ElapsedTime since={entry.startedAt} />}
+                  </span>
+                  {entry.note && <span className="time-entry-note-text">{entry.note}</span>}
+                  <span className="time-entry-actions">
+                    <button
+                      type="button"
+                      className="time-entry-action"
+                      onClick={() => setEditing(entry._id)}
+                      disabled={busy}
+                    >
+                      Edit
+                    </button>
+                    <button
+                      type="button"
+                      className="time-entry-action danger"
+                      onClick={() => handleDelete(entry)}
+                      disabled={busy}
+                    >
+                      Delete
+                    </button>
+                  </span>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {editing === 'new' ? (
+        <TimeEntryForm
+          initial={{ startedAt: Date.now() - 60 * 60 * 1000, endedAt: Date.now() }}
+          busy={busy}
+          onSave={(data) => run(() => addTimeEntry(task._id, data))}
+          onCancel={() => setEditing(null)}
+        />
+      ) : (
+        <button type="button" className="time-log" onClick={() => setEditing('new')} disabled={busy}>
+          ➕ Log time
+        </button>
+      )}
+
+      {error && <p className="time-error" role="alert">{error}</p>}
+    </div>
+  );
+}
+
+export default TaskTime;
@@ -0,0 +1,120 @@
+import React, { useState } from "react";
+
+const formatDate = (value) => new Date(value).toLocaleDateString(undefined, {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric'
+});
+
+// Trashed tasks with restore, delete forever and empty trash
+function TrashView({ trash, loading, restoreTask, purgeTask, emptyTrash }) {
+  const [busyTasks, setBusyTasks] = useState(new Set());
+  const [isEmptying, setIsEmptying] = useState(false);
+  const { tasks, retentionDays } = trash;
+
+  const runForTask = async (taskId, action) => {
+    if (busyTasks.has(taskId)) return;
+
+    setBusyTasks(prev => new Set(prev).add(taskId));
+    try {
+      await action(taskId);
+    } catch (error) {
+      console.error("Error updating trash:", error);
+    } finally {
+      setBusyTasks(prev => {
+        const newSet = new Set(prev);
+        newSet.delete(taskId);
+        return newSet;
+      });
+    }
+  };
+
+  const handlePurge = (task) => {
+    if (!window.confirm(`Permanently delete "${task.title}"? This cannot be undone.`)) return;
+    runForTask(task._id, purgeTask);
+  };
+
+  const handleEmpty = async () => {
+    if (!window.confirm(`Permanently delete all ${tasks.length} task(s) in the trash? This cannot be undone.`)) return;
+
+    setIsEmptying(true);
+    try {
+      await emptyTrash();
+    } catch (error) {
+      console.error("Error emptying trash:", error);
+    } finally {
+      setIsEmptying(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        Loading trash...
+      </div>
+    );
+  }
+
+  return (
+    <section className="trash-view">
+      <div className="trash-header">
+        <div>
+          <h2 className="trash-title">🗑️ Trash</h2>
+          <p className="trash-subtitle">
+            {retentionDays
+              ? `Tasks are deleted forever ${retentionDays} day${retentionDays !== 1 ? 's' : ''} after they are trashed.`
+              : 'Tasks stay here until you delete them.'}
+          </p>
+        </div>
+        {tasks.length > 0 && (
+          <button className="action-button delete-button" onClick={handleEmpty} disabled={isEmptying}>
+            {isEmptying ? 'Emptying...' : 'Empty trash'}
+          </button>
+        )}
+      </div>
+
+      {tasks.length === 0 ? (
+        <div className="empty-state">
+          <div className="empty-icon">🗑️</div>
+          <h3 className="empty-title">Trash is empty</h3>
+          <p className="empty-description">
+            Deleted tasks appear here and can be restored.
+          </p>
+        </div>
+      ) : (
+        <ul className="task-list">
+          {tasks.map((task) => (
+            <li key={task._id} className={`task-item trashed ${task.completed ? 'completed' : ''}`}>
+              <div className={`task-content ${task.completed ? 'completed' : ''}`}>
+                {task.title}
+                <span className="trash-meta">
+                  Deleted {formatDate(task.deletedAt)}
+                  {task.purgeAt && ` · gone for good ${formatDate(task.purgeAt)}`}
+                </span>
+              </div>
+              <div className="task-actions">
+                <button
+                  className="action-button complete-button"
+                  onClick={() => runForTask(task._id, restoreTask)}
+                  disabled={busyTasks.has(task._id)}
+                >
+                  ↶ Restore
+                </button>
+                <button
+                  className="action-button delete-button"
+                  onClick={() => handlePurge(task)}
+                  disabled={busyTasks.has(task._id)}
+                >
+                  Delete forever
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+export default TrashView;
@@ -0,0 +1,277 @@
+import React, { useEffect, useState } from "react";
+import { useAuth } from "../contexts/AuthContext";
+import { avatarColor, initials, WORKSPACE_ROLES, WORKSPACE_ROLE_LABELS } from "../utils/members";
+import InvitePanel from "./InvitePanel";
+
+// Creates a workspace (when `workspace` is null) or manages one: admins and
+// owners rename it, change what members can do with its lists, add people
+// (by email or invitation link) and remove them; owners can also make owners
+// and delete it. Anyone can leave.
+function WorkspaceDialog({
+  workspace,
+  createWorkspace,
+  updateWorkspace,
+  deleteWorkspace,
+  addMember,
+  updateMemberRole,
+  removeMember,
+  fetchInvitations,
+  createInvitation,
+  revokeInvitation,
+  onClose
+}) {
+  const { user: me } = useAuth();
+  const [name, setName] = useState(workspace?.name || "");
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("member");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isAdmin = workspace && ['admin', 'owner'].includes(workspace.role);
+  const isOwner = workspace?.role === 'owner';
+  // Only owners make (or unmake) owners
+  const grantable = isOwner ? WORKSPACE_ROLES : WORKSPACE_ROLES.filter(option => option !== 'owner');
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!name.trim() || busy) return;
+    if (await run(() => createWorkspace(name.trim()))) onClose();
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    if (!name.trim() || name.trim() === workspace.name || busy) return;
+    run(() => updateWorkspace(workspace._id, { name: name.trim() }));
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!email.trim() || busy) return;
+    if (await run(() => addMember(workspace._id, email.trim(), role))) setEmail("");
+  };
+
+  const handleRemove = (member) => {
+    const leaving = member.user._id === me?.id;
+    const question = leaving
+      ? `Leave "${workspace.name}"? You won't see its lists any more.`
+      : `Remove ${member.user.name} from "${workspace.name}"? They lose access to all of its lists.`;
+    if (!window.confirm(question)) return;
+    run(async () => {
+      await removeMember(workspace._id, member.user._id);
+      if (leaving) onClose();
+    });
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete the workspace "${workspace.name}"?`)) return;
+    run(async () => {
+      await deleteWorkspace(workspace._id);
+      onClose();
+    });
+  };
+
+  if (!workspace) {
+    return (
+      <div className="conflict-backdrop" onClick={onClose}>
+        <form
+          className="conflict-dialog share-dialog"
+          role="dialog"
+          aria-modal="true"
+          aria-labelledby="workspace-title"
+          onClick={(e) => e.stopPropagation()}
+          onSubmit={handleCreate}
+        >
+          <h2 id="workspace-title">New workspace</h2>
+          <p className="conflict-description">
+            A workspace holds lists for a team. Everyone you add sees all of its lists; your
+            personal lists stay private unless you move them in.
+          </p>
+          <input
+            className="share-email"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Workspace name"
+            aria-label="Workspace name"
+            maxLength={50}
+            disabled={busy}
+            autoFocus
+          />
+
+          {error && <p className="comment-error" role="alert">{error}</p>}
+
+          <div className="conflict-actions">
+            <button type="button" className="conflict-saved" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="list-save" disabled={busy || !name.trim()}>
+              Create
+            </button>
+          </div>
+        </form>
+      </div>
+    );
+  }
+
+  return (
+    <div className="conflict-backdrop" onClick={onClose}>
+      <div
+        className="conflict-dialog share-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="workspace-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 id="workspace-title">👥 {workspace.name}</h2>
+        <p className="conflict-description">
+          Members work in every list here, admins also manage members and settings, and owners
+          can also make owners and delete the workspace.
+        </p>
+
+        {isAdmin && (
+          <>
+            <form className="share-form" onSubmit={handleRename}>
+              <input
+                className="share-email"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                aria-label="Workspace name"
+                maxLength={50}
+                disabled={busy}
+              />
+              <button type="submit" className="list-save" disabled={busy || !name.trim() || name.trim() === workspace.name}>
+                Rename
+              </button>
+            </form>
+            <label className="workspace-setting">
+              Members can
+              <select
+                className="share-role"
+                value={workspace.settings?.memberListRole || 'editor'}
+                onChange={(e) => run(() => updateWorkspace(workspace._id, { settings: { memberListRole: e.target.value } }))}
+                disabled={busy}
+              >
+                <option value="editor">edit every list</option>
+                <option value="viewer">only view lists</option>
+              </select>
+            </label>
+          </>
+        )}
+
+        <ul className="share-members">
+          {workspace.members.filter(member => member.user).map((member) => (
+            <li key={member.user._id} className="share-member">
+              <span className="member-avatar" style={{ background: avatarColor(member.user._id) }}>
+                {initials(member.user.name)}
+              </span>
+              <span className="share-member-name">
+                {member.user.name}{member.user._id === me?.id ? ' (you)' : ''}
+                <span className="share-member-email">{member.user.email}</span>
+              </span>
+              {isAdmin && (isOwner || member.role !== 'owner') ? (
+                <select
+                  className="share-role"
+                  value={member.role}
+                  onChange={(e) => run(() => updateMemberRole(workspace._id, member.user._id, e.target.value))}
+                  disabled={busy}
+                  aria-label={`Role for ${member.user.name}`}
+                >
+                  {grantable.map(option => <option key={option} value={option}>{WORKSPACE_ROLE_LABELS[option]}</option>)}
+                </select>
+              ) : (
+                <span className="share-role-label">{WORKSPACE_ROLE_LABELS[member.role]}</span>
+              )}
+              {(member.user._id === me?.id || (isAdmin && (isOwner || member.role !== 'owner'))) && (
+                <button
+                  type="button"
+                  className="share-remove"
+                  onClick={() => handleRemove(member)}
+                  disabled={busy}
+                  aria-label={member.user._id === me?.id ? 'Leave this workspace' : `Remove ${member.user.name}`}
+                  title={member.user._id === me?.id ? 'Leave' : 'Remove'}
+                >
+                  ×
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        {isAdmin && (
+          <form className="share-form" onSubmit={handleAdd}>
+            <input
+              type="email"
+              className="share-email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="Email of a registered user"
+              aria-label="Email to add"
+              disabled={busy}
+            />
+            <select
+              className="share-role"
+              value={role}
+              onChange={(e) => setRole(e.target.value)}
+              disabled={busy}
+              aria-label="Role"
+            >
+              {grantable.map(option => <option key={option} value={option}>{WORKSPACE_ROLE_LABELS[option]}</option>)}
+            </select>
+            <button type="submit" className="list-save" disabled={busy || !email.trim()}>
+              Add
+            </button>
+          </form>
+        )}
+
+        {isAdmin && fetchInvitations && (
+          <InvitePanel
+            type="workspace"
+            id={workspace._id}
+            roles={grantable}
+            roleLabels={WORKSPACE_ROLE_LABELS}
+            defaultRole="member"
+            fetchInvitations={fetchInvitations}
+            createInvitation={createInvitation}
+            revokeInvitation={revokeInvitation}
+          />
+        )}
+
+        {error && <p className="comment-error" role="alert">{error}</p>}
+
+        <div className="conflict-actions">
+          {isOwner && (
+            <button type="button" className="workspace-delete" onClick={handleDelete} disabled={busy}>
+              Delete workspace
+            </button>
+          )}
+          <button type="button" className="conflict-saved" onClick={onClose}>
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default WorkspaceDialog;
@@ -52,6 +52,12 @@ export const AuthProvider = ({ children }) => {
     }
   );
 
+  // Invitation links work before signing in, so they get their own client
+  const invitationAPI = axios.create({
+    baseURL: `${API_URL}/api/invitations`,
+    timeout: IS_PRODUCTION ? 30000 : 8000,
+  });
+
   // Add token to requests if available
   useEffect(() => {
     if (token) {
@@ -267,6 +273,45 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Create an account and accept an invitation in one step. Signs the new
+  // user in like register does, starting them in a workspace they joined.
+  const acceptInvitation = async (inviteToken, userData) => {
+    try {
+      setLoading(true);
+      const response = await invitationAPI.post(`/${encodeURIComponent(inviteToken)}/accept`, userData);
+      const { token: newToken, user: newUser, workspace } = response.data;
+
+      if (workspace) {
+        localStorage.setItem('workspace', workspace);
+      }
+      localStorage.setItem('token', newToken);
+      setToken(newToken);
+      setUser(newUser);
+
+      return {
+        success: true,
+        message: response.data.message,
+        data: response.data
+      };
+    } catch (error) {
+      if (import.meta.env.DEV) {
+        console.error('❌ Accepting invitation failed:', {
+          status: error.response?.status,
+          message: error.response?.data?.message,
+          code: error.response?.data?.code
+        });
+      }
+
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Could not accept the invitation. Please try again.',
+        code: error.response?.data?.code || null
+      };
+    } finally {
+      setLoading(false);
+    }
+  };
+
   // Logout function
   const logout = async () => {
     try {
@@ -277,8 +322,9 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
-      // Clear local storage and state
+      // Clear local storage and state (the next user starts in their personal space)
       localStorage.removeItem('token');
+      localStorage.removeItem('workspace');
       setToken(null);
       setUser(null);
       
@@ -320,6 +366,7 @@ export const AuthProvider = ({ children }) => {
     token,
     loading,
     register,
+    acceptInvitation,
     login,
     logout,
     updateUser,
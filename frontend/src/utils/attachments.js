@@ -0,0 +1,8 @@
+// Helpers for task attachments
+
+// "2.4 MB", "512 KB", "87 B"
+export const formatFileSize = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${Math.round(bytes / (1024 * 1024) * 10) / 10} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+};
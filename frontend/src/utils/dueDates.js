@@ -0,0 +1,60 @@
+// Helpers for displaying task due dates in the user's browser
+
+export const getBrowserTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch {
+    return 'UTC';
+  }
+};
+
+// YYYY-MM-DD for an instant as seen in a timezone (en-CA formats dates that way)
+const toDateKey = (date, timeZone) =>
+  new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+
+// Whole calendar days between today and the due day (negative when in the past)
+const daysFromToday = (date, timeZone) => {
+  const today = new Date(toDateKey(new Date(), timeZone));
+  const due = new Date(toDateKey(date, timeZone));
+  return Math.round((due - today) / (24 * 60 * 60 * 1000));
+};
+
+export const isTaskOverdue = (task) => {
+  if (!task.dueAt || task.completed) return false;
+  const dueAt = new Date(task.dueAt);
+  if (task.allDay) {
+    return daysFromToday(dueAt, task.timezone || getBrowserTimeZone()) < 0;
+  }
+  return dueAt.getTime() <= Date.now();
+};
+
+// Short label such as "Today", "Tomorrow, 9:00 AM" or "Mon, Oct 20"
+export const formatDue = (task) => {
+  if (!task.dueAt) return '';
+  const dueAt = new Date(task.dueAt);
+  // All-day dates belong to the task's timezone; timed ones are shown in local time
+  const timeZone = task.allDay ? (task.timezone || getBrowserTimeZone()) : getBrowserTimeZone();
+  const days = daysFromToday(dueAt, timeZone);
+
+  let dayLabel;
+  if (days === 0) dayLabel = 'Today';
+  else if (days === 1) dayLabel = 'Tomorrow';
+  else if (days === -1) dayLabel = 'Yesterday';
+  else {
+    dayLabel = dueAt.toLocaleDateString(undefined, {
+      timeZone,
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      year: Math.abs(days) > 180 ? 'numeric' : undefined
+    });
+  }
+
+  if (task.allDay) return dayLabel;
+  return `${dayLabel}, ${dueAt.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' })}`;
+};
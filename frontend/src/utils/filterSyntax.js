@@ -0,0 +1,83 @@
+// The search bar's filter syntax (parsed on the server by utils/filterQuery),
+// e.g. status:open priority:>=high tag:work due:<7d "invoice"
+import { PRIORITY_LEVELS } from "./priorities";
+
+export const FILTER_FIELDS = {
+  status: { hint: 'open, done or all', values: ['open', 'done', 'all'] },
+  priority: { hint: 'level, or >=high', values: PRIORITY_LEVELS },
+  tag: { hint: 'tag name' },
+  list: { hint: 'list name' },
+  due: {
+    hint: 'today, overdue, <7d, 2026-01-31...',
+    values: ['today', 'tomorrow', 'yesterday', 'overdue', 'none', '7d', '2w']
+  },
+  has: { hint: 'notes, subtasks, due, tags or repeat', values: ['notes', 'subtasks', 'due', 'tags', 'repeat'] }
+};
+
+const FIELD_PATTERN = new RegExp(`(^|\\s)-?(${Object.keys(FILTER_FIELDS).join('|')})[:<>=]`, 'i');
+
+// Anything using a field switches the search bar from full-text search to filtering
+export const isFilterQuery = (text) => FIELD_PATTERN.test(text);
+
+// Values with spaces need quotes to stay one term
+const quoteValue = (value) => (/\s/.test(value) ? `"${value}"` : value);
+
+// The term the caret is in: from the last space before it (or the opening
+// quote's term, when inside a "quoted value") up to the caret
+const termAt = (text, caret) => {
+  const before = text.slice(0, caret);
+  const quotes = (before.match(/"/g) || []).length;
+  let start = quotes % 2 === 1
+    ? before.lastIndexOf('"')
+    : Math.max(before.lastIndexOf(' '), before.lastIndexOf('\t')) + 1;
+  // For a quoted value, start at the field it belongs to
+  while (start > 0 && !/\s/.test(text[start - 1])) start--;
+  return { start, term: text.slice(start, caret) };
+};
+
+const matching = (options, partial) => {
+  const lower = partial.toLowerCase();
+  return options.filter(option => option.toLowerCase().startsWith(lower) && option.toLowerCase() !== lower);
+};
+
+// Completions for the term at the caret: field names while typing one, then
+// values for that field. Returns { start, end, items } where accepting an
+// item replaces text[start, end) with item.insert.
+export const getSuggestions = (text, caret, { tags = [], lists = [] } = {}) => {
+  const { start, term } = termAt(text, caret);
+  const negated = term.startsWith('-');
+  const body = negated ? term.slice(1) : term;
+  const offset = start + (negated ? 1 : 0);
+
+  const field = body.match(/^([a-zA-Z]+)(:?(?:>=|<=|>|<|=)?)/);
+  if (!field || !field[2]) {
+    if (!body || body.startsWith('"')) return null;
+    const items = matching(Object.keys(FILTER_FIELDS), body).map(name => ({
+      label: `${name}:`,
+      hint: FILTER_FIELDS[name].hint,
+      insert: `${name}:`
+    }));
+    return items.length ? { start: offset, end: caret, items } : null;
+  }
+
+  const name = field[1].toLowerCase();
+  const spec = FILTER_FIELDS[name];
+  if (!spec) return null;
+
+  const valueStart = offset + field[0].length;
+  const partial = text.slice(valueStart, caret).replace(/^"/, '');
+  let values = spec.values || [];
+  if (name === 'tag') values = tags.map(tag => tag.name);
+  if (name === 'list') values = lists.map(list => list.name);
+  // overdue and none can't be compared
+  if (name === 'due' && /[<>]/.test(field[2])) {
+    values = values.filter(value => !['overdue', 'none'].includes(value));
+  }
+
+  const items = matching(values, partial).slice(0, 8).map(value => ({
+    label: value,
+    hint: `${name}${field[2]}`,
+    insert: `${quoteValue(value)} `
+  }));
+  return items.length ? { start: valueStart, end: caret, items } : null;
+};
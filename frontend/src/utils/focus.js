@@ -0,0 +1,21 @@
+// Helpers for pomodoro focus sessions
+
+export const PHASE_LABELS = {
+  work: 'Focus',
+  break: 'Break'
+};
+
+export const SETTING_FIELDS = [
+  { name: 'workMinutes', label: 'Focus (min)', min: 1, max: 120 },
+  { name: 'breakMinutes', label: 'Break (min)', min: 1, max: 60 },
+  { name: 'longBreakMinutes', label: 'Long break (min)', min: 1, max: 60 },
+  { name: 'longBreakEvery', label: 'Long break every', min: 1, max: 12 }
+];
+
+// Milliseconds left in the session's current phase. `offset` is how far the
+// server's clock is ahead of ours; a paused session stands still.
+export const remainingMs = (session, offset = 0, now = Date.now()) => {
+  const end = new Date(session.phaseEndsAt).getTime();
+  const at = session.pausedAt ? new Date(session.pausedAt).getTime() : now + offset;
+  return Math.max(0, end - at);
+};
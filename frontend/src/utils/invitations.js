@@ -0,0 +1,35 @@
+// Helpers for invitation links (opened as /?invite=<token>)
+
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || "http://localhost:5000";
+
+export const USE_OPTIONS = [1, 5, 25, 100];
+
+export const EXPIRY_OPTIONS = [
+  { days: 1, label: '1 day' },
+  { days: 7, label: '1 week' },
+  { days: 30, label: '30 days' }
+];
+
+// The token of the invitation link the app was opened with, if any
+export const getInviteToken = () => new URLSearchParams(window.location.search).get('invite');
+
+// Take the token out of the address bar once it has been dealt with, so a
+// reload doesn't offer it again
+export const clearInviteToken = () => {
+  const url = new URL(window.location.href);
+  url.searchParams.delete('invite');
+  window.history.replaceState(null, '', url);
+};
+
+// What an invitation link is for, to show before signing up with it. Works
+// signed out, so it doesn't go through the app's authenticated client.
+export const previewInvitation = async (token) => {
+  try {
+    const response = await axios.get(`${API_URL}/api/invitations/${encodeURIComponent(token)}`);
+    return response.data.invitation;
+  } catch (error) {
+    throw new Error(error.response?.data?.message || 'This invitation link is not valid.');
+  }
+};
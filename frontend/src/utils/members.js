@@ -0,0 +1,54 @@
+// Helpers for the people a list is shared with, and a workspace's members
+
+export const ROLES = ['viewer', 'editor', 'owner'];
+
+export const ROLE_LABELS = {
+  viewer: 'Can view',
+  editor: 'Can edit',
+  owner: 'Owner'
+};
+
+// Roles in a workspace, weakest first
+export const WORKSPACE_ROLES = ['member', 'admin', 'owner'];
+
+export const WORKSPACE_ROLE_LABELS = {
+  member: 'Member',
+  admin: 'Admin',
+  owner: 'Owner'
+};
+
+const AVATAR_COLORS = ['#667eea', '#48bb78', '#ed8936', '#f56565', '#38b2ac', '#9f7aea', '#d53f8c', '#3182ce'];
+
+// "Ada Lovelace" -> "AL", "ada" -> "A"
+export const initials = (name = '') => name
+  .trim()
+  .split(/\s+/)
+  .filter(Boolean)
+  .slice(0, 2)
+  .map(part => part[0].toUpperCase())
+  .join('') || '?';
+
+// The same user always gets the same colour
+export const avatarColor = (id = '') => {
+  let hash = 0;
+  for (const char of String(id)) hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  return AVATAR_COLORS[Math.abs(hash) % AVATAR_COLORS.length];
+};
+
+// Owner first, then members in the order they were added: [{ user, role }]
+export const listPeople = (list) => [
+  ...(list.user && typeof list.user === 'object' ? [{ user: list.user, role: 'owner', creator: true }] : []),
+  ...(list.members || []).filter(member => member.user)
+];
+
+// Can the user change tasks in this list? Viewers can only look.
+export const canEditList = (list) => list?.role !== 'viewer';
+
+// Everyone who can see a list's tasks (and so be assigned them): the people
+// it is shared with or, for a list in `workspace`, the workspace's members
+export const listAudience = (list, workspace = null) => {
+  if (workspace && list.workspace === workspace._id) {
+    return workspace.members.map(member => member.user).filter(Boolean);
+  }
+  return listPeople(list).map(member => member.user);
+};
@@ -0,0 +1,10 @@
+// Priority levels, lowest to highest (mirrors Task.PRIORITY_LEVELS on the server)
+export const PRIORITY_LEVELS = ['none', 'low', 'medium', 'high', 'urgent'];
+
+export const PRIORITY_LABELS = {
+  none: 'No priority',
+  low: 'Low',
+  medium: 'Medium',
+  high: 'High',
+  urgent: 'Urgent'
+};
@@ -0,0 +1,84 @@
+// Building and describing RRULE strings (the server does the actual scheduling)
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const ORDINALS = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth', '-1': 'last' };
+const UNITS = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+
+// Preset rules relative to a date ("YYYY-MM-DD"), shown in the recurrence picker
+export const getRecurrencePresets = (dateString) => {
+  const date = dateString ? new Date(`${dateString}T00:00:00`) : new Date();
+  const weekday = date.getDay();
+  const dayOfMonth = date.getDate();
+  const nth = Math.ceil(dayOfMonth / 7);
+  const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+  const isLastWeek = dayOfMonth + 7 > daysInMonth;
+  const ordinal = isLastWeek ? -1 : nth;
+
+  return [
+    { key: 'daily', label: 'Daily', rule: 'FREQ=DAILY' },
+    { key: 'weekdays', label: 'Every weekday (Mon–Fri)', rule: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR' },
+    { key: 'weekly', label: `Weekly on ${WEEKDAY_NAMES[weekday]}`, rule: `FREQ=WEEKLY;BYDAY=${WEEKDAY_CODES[weekday]}` },
+    { key: 'monthlyDay', label: `Monthly on day ${dayOfMonth}`, rule: `FREQ=MONTHLY;BYMONTHDAY=${dayOfMonth}` },
+    {
+      key: 'monthlyWeekday',
+      label: `Monthly on the ${ORDINALS[ordinal]} ${WEEKDAY_NAMES[weekday]}`,
+      rule: `FREQ=MONTHLY;BYDAY=${ordinal}${WEEKDAY_CODES[weekday]}`
+    },
+    { key: 'yearly', label: 'Yearly', rule: 'FREQ=YEARLY' }
+  ];
+};
+
+const parseParts = (rule) => {
+  const parts = {};
+  for (const part of rule.replace(/^RRULE:/i, '').split(';')) {
+    const [key, value] = part.split('=');
+    if (key && value) parts[key.toUpperCase()] = value.toUpperCase();
+  }
+  return parts;
+};
+
+const describeDay = (code) => {
+  const match = code.match(/^([+-]?\d+)?([A-Z]{2})$/);
+  if (!match) return code;
+  const name = WEEKDAY_NAMES[WEEKDAY_CODES.indexOf(match[2])] || match[2];
+  return match[1] ? `${ORDINALS[Number(match[1])] || `#${match[1]}`} ${name}` : name;
+};
+
+// Human-readable summary such as "Every weekday" or "Monthly on the first Monday"
+export const describeRule = (rule) => {
+  if (!rule) return '';
+  const parts = parseParts(rule);
+  const interval = Number(parts.INTERVAL || 1);
+  const unit = UNITS[parts.FREQ];
+  if (!unit) return rule;
+
+  let text = interval > 1 ? `Every ${interval} ${unit}s` : {
+    DAILY: 'Daily',
+    WEEKLY: 'Weekly',
+    MONTHLY: 'Monthly',
+    YEARLY: 'Yearly'
+  }[parts.FREQ];
+
+  if (parts.BYDAY === 'MO,TU,WE,TH,FR' && parts.FREQ === 'WEEKLY' && interval === 1 && !parts.BYSETPOS) {
+    text = 'Every weekday';
+  } else if (parts.BYDAY) {
+    const days = parts.BYDAY.split(',').map(describeDay).join(', ');
+    if (parts.BYSETPOS) {
+      const positions = parts.BYSETPOS.split(',').map(pos => ORDINALS[pos] || `#${pos}`).join(', ');
+      text += ` on the ${positions} of ${days}`;
+    } else {
+      text += parts.FREQ === 'WEEKLY' ? ` on ${days}` : ` on the ${days}`;
+    }
+  } else if (parts.BYMONTHDAY) {
+    text += ` on day ${parts.BYMONTHDAY.replace('-1', 'last')}`;
+  }
+
+  if (parts.COUNT) text += `, ${parts.COUNT} times`;
+  if (parts.UNTIL) {
+    const until = parts.UNTIL.match(/^(\d{4})(\d{2})(\d{2})/);
+    if (until) text += `, until ${new Date(`${until[1]}-${until[2]}-${until[3]}T00:00:00`).toLocaleDateString()}`;
+  }
+
+  return text;
+};
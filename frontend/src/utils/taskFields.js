@@ -0,0 +1,64 @@
+// Labels and display formatting for task fields, shared by the history
+// timeline and the edit conflict prompt
+import { PRIORITY_LABELS } from "./priorities";
+import { describeRule } from "./recurrence";
+
+export const FIELD_LABELS = {
+  title: 'Title',
+  notes: 'Notes',
+  completed: 'Status',
+  dueAt: 'Due',
+  allDay: 'All day',
+  timezone: 'Time zone',
+  priority: 'Priority',
+  completeWithSubtasks: 'Auto-complete',
+  tags: 'Tags',
+  list: 'List',
+  assignee: 'Assignee',
+  subtasks: 'Checklist',
+  recurrence: 'Repeat',
+  blockedBy: 'Blocked by'
+};
+
+const truncate = (text, length = 60) => (text.length > length ? `${text.slice(0, length)}…` : text);
+
+const OBJECT_ID = /^[0-9a-f]{24}$/;
+
+// Readable form of one field value (ids are looked up in the user's lists,
+// tags and the people those lists are shared with)
+export const formatFieldValue = (field, value, { lists, tags, users = [] }) => {
+  if (value === null || value === undefined || value === '') return '—';
+
+  switch (field) {
+    case 'completed':
+      return value ? 'Completed' : 'Pending';
+    case 'allDay':
+    case 'completeWithSubtasks':
+      return value ? 'On' : 'Off';
+    case 'dueAt':
+      return new Date(value).toLocaleString();
+    case 'priority':
+      return PRIORITY_LABELS[value] || value;
+    case 'recurrence':
+      return describeRule(value);
+    case 'list': {
+      const list = lists.find(item => item._id === value);
+      return list ? `${list.icon} ${list.name}` : 'Deleted list';
+    }
+    case 'assignee':
+      return users.find(person => person._id === value)?.name || 'Former member';
+    case 'tags':
+      return value.length === 0 ? '—' : value
+        .map(id => tags.find(tag => tag._id === id || tag.name === id)?.name || (OBJECT_ID.test(id) ? 'deleted tag' : id))
+        .map(name => `#${name}`)
+        .join(' ');
+    case 'subtasks': {
+      const done = value.filter(subtask => subtask.completed).length;
+      return `${done}/${value.length} done`;
+    }
+    case 'blockedBy':
+      return value.length === 0 ? '—' : `${value.length} task${value.length === 1 ? '' : 's'}`;
+    default:
+      return truncate(String(value));
+  }
+};
@@ -0,0 +1,34 @@
+// Helpers for showing and editing tracked time
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Timer-style duration: "4:05" under an hour, "1:04:05" beyond
+export const formatDuration = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${minutes}:${pad(seconds)}`;
+};
+
+// Report-style duration: "2h 15m", "45m" or "0m"
+export const formatHours = (ms) => {
+  const totalMinutes = Math.round(Math.max(0, ms) / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  if (hours === 0) return `${minutes}m`;
+  return minutes === 0 ? `${hours}h` : `${hours}h ${minutes}m`;
+};
+
+// Value for a datetime-local input, in the browser's time zone
+export const toDateTimeInput = (value) => {
+  const date = new Date(value);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// A datetime-local value back to an ISO instant (null if empty or invalid)
+export const fromDateTimeInput = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
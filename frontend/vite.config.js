@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // Code shared with the backend (quick add, Markdown, @mentions) lives in ../shared
+  server: {
+    fs: {
+      allow: ['..'],
+    },
+  },
 })
@@ -0,0 +1,176 @@
+// Markdown for task notes and comments, shared by the server and the app so
+// both agree on what is safe. The server stores text cleaned with
+// sanitizeMarkdown, free of script blocks and script links, so other
+// consumers (exports, emails) can trust it too; the app renders it with
+// renderMarkdown, which HTML-escapes every piece of user text before adding
+// any markup. Anything else that looks like a tag ("List<String>", "a<b")
+// is ordinary text and is kept.
+// No dependencies.
+
+export const NOTES_MAX_LENGTH = 10000;
+
+// Fenced code blocks and inline code spans are kept verbatim
+const CODE_PATTERN = /(```[\s\S]*?(?:```|$)|`[^`\n]*`)/g;
+const DANGEROUS_BLOCK = /<(script|style|iframe|object|embed|template)\b[\s\S]*?(?:<\/\1\s*>|$)/gi;
+// Link destinations in [text](url) and reference definitions "[id]: url"
+const LINK_DESTINATION = /(\]\(\s*|^\s*\[[^\]]+\]:\s*)(<?)([^()\s>]*(?:\([^()\s]*\))?[^()\s>]*)/gm;
+const CONTROL_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g;
+
+// Only web and mail links (and relative ones on this site) are safe;
+// anything with another scheme, or pointing at another host without one, is not
+export const isSafeUrl = (url) => {
+  const compact = url.replace(/[\s\u0000-\u001F]/g, '').toLowerCase();
+  const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/);
+  return scheme ? ['http', 'https', 'mailto'].includes(scheme[1]) : !compact.startsWith('//');
+};
+
+const sanitizeProse = (text) => text
+  .replace(DANGEROUS_BLOCK, '')
+  .replace(LINK_DESTINATION, (match, prefix, bracket, url) => (
+    isSafeUrl(url) ? match : `${prefix}${bracket}#`
+  ));
+
+// Normalise line endings, drop control characters, and outside code remove
+// script blocks and neutralise unsafe link destinations
+export const sanitizeMarkdown = (value) => {
+  if (value === null || value === undefined) return '';
+
+  const text = String(value)
+    .replace(/\r\n?/g, '\n')
+    .replace(CONTROL_CHARS, '');
+
+  return text
+    .split(CODE_PATTERN)
+    .map((segment, index) => (index % 2 === 1 ? segment : sanitizeProse(segment)))
+    .join('')
+    .replace(/[ \t]+$/gm, '')
+    .replace(/^\n+|\s+$/g, '');
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const renderLink = (label, url) => (isSafeUrl(url)
+  ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${label}</a>`
+  : label);
+
+// Inline markup: code spans and links are set aside (behind private-use
+// placeholders) first so their contents aren't touched by the emphasis rules.
+// A link label is rendered with the same `stash`, since it can hold code
+// spans already set aside.
+const renderInline = (text, stash = []) => {
+  const keep = (html) => `\uE000${stash.push(html) - 1}\uE000`;
+
+  let html = text
+    .replace(/`([^`]+)`/g, (match, code) => keep(`<code>${escapeHtml(code)}</code>`))
+    .replace(/\[([^\]]+)\]\(\s*<?([^()\s>]*(?:\([^()\s]*\))?[^()\s>]*)>?\s*\)/g, (match, label, url) => (
+      keep(renderLink(renderInline(label, stash), url))
+    ))
+    .replace(/\bhttps?:\/\/[^\s<]+[^\s<.,:;"')\]]/g, (url) => keep(renderLink(escapeHtml(url), url)));
+
+  html = escapeHtml(html)
+    .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (match, a, b) => `<strong>${a || b}</strong>`)
+    .replace(/\*(?!\s)(.+?)\*|\b_(?!\s)(.+?)_\b/g, (match, a, b) => `<em>${a || b}</em>`)
+    .replace(/~~(.+?)~~/g, '<del>$1</del>');
+
+  return html.replace(/\uE000(\d+)\uE000/g, (match, index) => stash[Number(index)]);
+};
+
+const LIST_ITEM = /^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/;
+const TASK_ITEM = /^\[([ xX])\]\s+(.*)$/;
+
+const renderListItem = (content) => {
+  const task = content.match(TASK_ITEM);
+  if (!task) return `<li>${renderInline(content)}</li>`;
+  const done = task[1] !== ' ';
+  return `<li class="md-task">${done ? '☑' : '☐'} ${renderInline(task[2])}</li>`;
+};
+
+// Render Markdown source to an HTML string
+export const renderMarkdown = (source = '') => {
+  const lines = source.replace(/\r\n?/g, '\n').replace(/\uE000/g, '').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    // Fenced code block
+    const fence = line.match(/^\s*(```|~~~)/);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*$/);
+    if (heading) {
+      const level = heading[1].length;
+      blocks.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      blocks.push('<hr>');
+      i++;
+      continue;
+    }
+
+    if (/^\s*>/.test(line)) {
+      const quoted = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) {
+        quoted.push(lines[i].replace(/^\s*>\s?/, ''));
+        i++;
+      }
+      blocks.push(`<blockquote>${renderMarkdown(quoted.join('\n'))}</blockquote>`);
+      continue;
+    }
+
+    const listItem = line.match(LIST_ITEM);
+    if (listItem) {
+      const ordered = Boolean(listItem[2]);
+      const items = [];
+      let match;
+      while (i < lines.length && (match = lines[i].match(LIST_ITEM)) && Boolean(match[2]) === ordered) {
+        items.push(renderListItem(match[3]));
+        i++;
+      }
+      const tag = ordered ? 'ol' : 'ul';
+      const start = ordered && listItem[2] !== '1' ? ` start="${Number(listItem[2])}"` : '';
+      blocks.push(`<${tag}${start}>${items.join('')}</${tag}>`);
+      continue;
+    }
+
+    // Paragraph: consecutive plain lines, keeping single line breaks
+    const paragraph = [renderInline(line.trim())];
+    i++;
+    while (
+      i < lines.length &&
+      lines[i].trim() &&
+      !/^\s*(```|~~~|#{1,6}\s|>)/.test(lines[i]) &&
+      !LIST_ITEM.test(lines[i])
+    ) {
+      paragraph.push(renderInline(lines[i].trim()));
+      i++;
+    }
+    blocks.push(`<p>${paragraph.join('<br>')}</p>`);
+  }
+
+  return blocks.join('\n');
+};
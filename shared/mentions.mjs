@@ -0,0 +1,75 @@
+// @mentions in comments, shared by the server (who was mentioned) and the
+// app (highlighting and suggestions). A user can be mentioned by their handle
+// (their name without spaces, e.g. @AdaLovelace), by the part of their email
+// before the @ (@ada) or by their full email (@ada@example.com), in any case.
+
+// Code is written literally, so mentions inside it don't count
+const CODE_PATTERN = /```[\s\S]*?(?:```|$)|`[^`\n]*`/g;
+// An @ at the start or after whitespace/punctuation (not inside an email)
+const MENTION_PATTERN = /(^|[^\w@.])@([\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g;
+
+export const mentionHandle = (user) => String(user.name || '').replace(/\s+/g, '');
+
+// The ways `user` can be mentioned, lowercased
+const mentionKeys = (user) => {
+  const email = String(user.email || '').toLowerCase();
+  return [mentionHandle(user).toLowerCase(), email, email.split('@')[0]].filter(Boolean);
+};
+
+// Who each key means; the first of `users` to claim a key keeps it
+const indexByKey = (users) => {
+  const byKey = new Map();
+  users.forEach((user) => {
+    mentionKeys(user).forEach((key) => {
+      if (!byKey.has(key)) byKey.set(key, user);
+    });
+  });
+  return byKey;
+};
+
+// Trailing dots are sentence punctuation, not part of the name
+const trimMention = (raw) => raw.replace(/\.+$/, '');
+
+// The users out of `candidates` mentioned in `text`, each once, in the order
+// first mentioned
+export const findMentions = (text, candidates) => {
+  const byKey = indexByKey(candidates);
+
+  const found = new Map();
+  const prose = String(text || '').replace(CODE_PATTERN, ' ');
+  for (const [, , raw] of prose.matchAll(MENTION_PATTERN)) {
+    const user = byKey.get(trimMention(raw).toLowerCase());
+    if (user && !found.has(String(user._id))) found.set(String(user._id), user);
+  }
+  return [...found.values()];
+};
+
+// Wrap mentions of `users` in rendered comment HTML, leaving tags and code alone
+export const highlightMentions = (html, users = []) => {
+  const byKey = indexByKey(users);
+  if (byKey.size === 0) return html;
+
+  let inCode = false;
+  return html.split(/(<[^>]+>)/).map((part) => {
+    if (part.startsWith('<')) {
+      if (/^<code\b/.test(part)) inCode = true;
+      if (part === '</code>') inCode = false;
+      return part;
+    }
+    if (inCode) return part;
+    return part.replace(MENTION_PATTERN, (match, before, raw) => {
+      const name = trimMention(raw);
+      const user = byKey.get(name.toLowerCase());
+      return user
+        ? `${before}<span class="mention">@${name}</span>${raw.slice(name.length)}`
+        : match;
+    });
+  }).join('');
+};
+
+// The partly typed mention just before the cursor ("ad" in "thanks @ad|"),
+// or null when the cursor isn't in one
+export const mentionQuery = (text, cursor) => {
+  const match = text.slice(0, cursor).match(/(?:^|[^\w@.])@([\w.+-]*)$/);
+  return match ? match[1] : null;
+};
@@ -0,0 +1,314 @@
+// Quick add: pulls a due date, time, #tags, !priority and repeat rule out of
+// a line like "Pay rent tomorrow 9am #home !high every month".
+// Shared by the server (POST /api/tasks?parse=true) and the app's live
+// preview, so both read a line the same way. No dependencies, no clock of
+// its own: callers pass today's date in the user's timezone.
+
+const PRIORITY_LEVELS = ['none', 'low', 'medium', 'high', 'urgent'];
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAYS = {
+  sun: 0, sunday: 0,
+  mon: 1, monday: 1,
+  tue: 2, tues: 2, tuesday: 2,
+  wed: 3, wednesday: 3,
+  thu: 4, thur: 4, thurs: 4, thursday: 4,
+  fri: 5, friday: 5,
+  sat: 6, saturday: 6
+};
+// Abbreviations are ordinary words too ("Buy sun cream", "wed photos"), so on
+// their own only the full names count as dates
+const FULL_WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = {
+  jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3, apr: 4, april: 4,
+  may: 5, jun: 6, june: 6, jul: 7, july: 7, aug: 8, august: 8,
+  sep: 9, sept: 9, september: 9, oct: 10, october: 10, nov: 11, november: 11,
+  dec: 12, december: 12
+};
+const FREQUENCIES = { day: 'DAILY', week: 'WEEKLY', month: 'MONTHLY', year: 'YEARLY' };
+const ADVERBS = { daily: 'DAILY', weekly: 'WEEKLY', monthly: 'MONTHLY', yearly: 'YEARLY', annually: 'YEARLY' };
+
+// Dates are plain { year, month, day } so no timezone gets involved
+const fromUTC = (date) => ({ year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() });
+const shiftDays = ({ year, month, day }, days) => fromUTC(new Date(Date.UTC(year, month - 1, day + days)));
+const weekdayOf = ({ year, month, day }) => new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+const isRealDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+const compareDates = (a, b) => (a.year - b.year) || (a.month - b.month) || (a.day - b.day);
+
+const pad = (n) => String(n).padStart(2, '0');
+const formatDate = ({ year, month, day }) => `${year}-${pad(month)}-${pad(day)}`;
+
+const parseDateKey = (key) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(key || '');
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  return isRealDate(year, month, day) ? { year, month, day } : null;
+};
+
+// The next `weekday` on or after `from`
+const upcomingWeekday = (from, weekday) => shiftDays(from, (weekday - weekdayOf(from) + 7) % 7);
+
+// A day of a month, this year unless that has already passed
+const nextMonthDay = (today, month, day, year) => {
+  if (year !== undefined) return isRealDate(year, month, day) ? { year, month, day } : null;
+  for (const candidate of [today.year, today.year + 1]) {
+    if (isRealDate(candidate, month, day) && compareDates({ year: candidate, month, day }, today) >= 0) {
+      return { year: candidate, month, day };
+    }
+  }
+  return null;
+};
+
+const ordinalDay = (word) => {
+  const match = /^(\d{1,2})(st|nd|rd|th)?$/.exec(word || '');
+  return match ? Number(match[1]) : null;
+};
+
+const countWord = (word) => (word === 'a' || word === 'an' ? 1 : /^\d{1,3}$/.test(word || '') ? Number(word) : null);
+
+// Each matcher looks at the words from position i and returns
+// { length, value } for what it recognised there, or null.
+
+const matchTag = (words, i) => {
+  const match = /^#([\p{L}\p{N}_-]+)$/u.exec(words[i]);
+  return match ? { length: 1, value: match[1].toLowerCase() } : null;
+};
+
+const matchPriority = (words, i) => {
+  const match = /^!([a-z]+)$/.exec(words[i]);
+  return match && PRIORITY_LEVELS.includes(match[1]) ? { length: 1, value: match[1] } : null;
+};
+
+const matchRecurrence = (words, i) => {
+  if (ADVERBS[words[i]]) return { length: 1, value: `FREQ=${ADVERBS[words[i]]}` };
+  if (words[i] !== 'every') return null;
+
+  const next = words[i + 1];
+  if (next === 'weekday' || next === 'weekdays') {
+    return { length: 2, value: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR' };
+  }
+  if (FREQUENCIES[next]) return { length: 2, value: `FREQ=${FREQUENCIES[next]}` };
+
+  // "every 2 weeks"
+  const interval = countWord(next);
+  const unit = (words[i + 2] || '').replace(/s$/, '');
+  if (interval && FREQUENCIES[unit]) {
+    const rule = `FREQ=${FREQUENCIES[unit]}`;
+    return { length: 3, value: interval > 1 ? `${rule};INTERVAL=${interval}` : rule };
+  }
+
+  // "every monday", "every tue and thu", "every mon, wed, fri"
+  const days = [];
+  let j = i + 1;
+  while (WEEKDAYS[words[j]] !== undefined) {
+    days.push(WEEKDAYS[words[j]]);
+    j++;
+    if (words[j] === 'and' && WEEKDAYS[words[j + 1]] !== undefined) j++;
+  }
+  if (days.length === 0) return null;
+  const codes = [...new Set(days)].sort().map(day => WEEKDAY_CODES[day]);
+  return { length: j - i, value: `FREQ=WEEKLY;BYDAY=${codes.join(',')}` };
+};
+
+// `introduced` when a preposition ("on", "due", "by") comes first, which
+// lets a weekday abbreviation stand alone
+const matchDateWords = (words, i, today, introduced = false) => {
+  const word = words[i];
+  if (word === 'today') return { length: 1, value: today };
+  if (['tomorrow', 'tmrw', 'tmr'].includes(word)) return { length: 1, value: shiftDays(today, 1) };
+  if (WEEKDAYS[word] !== undefined && (introduced || FULL_WEEKDAYS.includes(word))) {
+    return { length: 1, value: upcomingWeekday(today, WEEKDAYS[word]) };
+  }
+
+  const iso = parseDateKey(word);
+  if (iso) return { length: 1, value: iso };
+
+  if (word === 'next') {
+    const next = words[i + 1];
+    if (next === 'week') return { length: 2, value: upcomingWeekday(shiftDays(today, 1), 1) };
+    if (WEEKDAYS[next] !== undefined) {
+      return { length: 2, value: upcomingWeekday(shiftDays(today, 1), WEEKDAYS[next]) };
+    }
+  }
+
+  // "in 3 days", "in a week", "in 2 months"
+  if (word === 'in') {
+    const count = countWord(words[i + 1]);
+    const unit = (words[i + 2] || '').replace(/s$/, '');
+    if (count && unit === 'day') return { length: 3, value: shiftDays(today, count) };
+    if (count && unit === 'week') return { length: 3, value: shiftDays(today, count * 7) };
+    if (count && unit === 'month') {
+      const total = today.month - 1 + count;
+      const year = today.year + Math.floor(total / 12);
+      const month = (total % 12) + 1;
+      // Clamp the 31st to the end of shorter months
+      let day = today.day;
+      while (!isRealDate(year, month, day)) day--;
+      return { length: 3, value: { year, month, day } };
+    }
+  }
+
+  // "jan 5", "january 5th 2027", "5 jan", "5th of january"
+  const month = MONTHS[word];
+  if (month && ordinalDay(words[i + 1])) {
+    const year = /^\d{4}$/.test(words[i + 2] || '') ? Number(words[i + 2]) : undefined;
+    const value = nextMonthDay(today, month, ordinalDay(words[i + 1]), year);
+    return value ? { length: year ? 3 : 2, value } : null;
+  }
+  const day = ordinalDay(word);
+  if (day) {
+    const skip = words[i + 1] === 'of' ? 1 : 0;
+    const dayMonth = MONTHS[words[i + 1 + skip]];
+    if (dayMonth) {
+      const yearWord = words[i + 2 + skip];
+      const year = /^\d{4}$/.test(yearWord || '') ? Number(yearWord) : undefined;
+      const value = nextMonthDay(today, dayMonth, day, year);
+      return value ? { length: 2 + skip + (year ? 1 : 0), value } : null;
+    }
+  }
+
+  return null;
+};
+
+// "on friday", "due tomorrow", "by jan 5" take the leading word with them
+const matchDate = (words, i, today) => {
+  if (['on', 'due', 'by'].includes(words[i])) {
+    const date = matchDateWords(words, i + 1, today, true);
+    return date ? { length: date.length + 1, value: date.value } : null;
+  }
+  return matchDateWords(words, i, today);
+};
+
+const toTime = (hour, minute, meridiem) => {
+  if (minute > 59) return null;
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (meridiem === 'pm' ? 12 : 0);
+  } else if (hour > 23) {
+    return null;
+  }
+  return `${pad(hour)}:${pad(minute)}`;
+};
+
+// "9am", "9:30 pm", "14:30", "at 9", "noon"
+const matchTimeWords = (words, i, { bareHour }) => {
+  const word = words[i];
+  if (word === 'noon') return { length: 1, value: '12:00' };
+  if (word === 'midnight') return { length: 1, value: '00:00' };
+
+  const match = /^(\d{1,2})(?::(\d{2}))?(am|pm)?$/.exec(word || '');
+  if (!match) return null;
+  const [, hour, minute = '0', suffix] = match;
+  const meridiem = suffix || (['am', 'pm'].includes(words[i + 1]) ? words[i + 1] : null);
+  // A lone number is only a time after "at" ("at 9"); otherwise it's part of the title
+  if (!meridiem && !match[2] && !bareHour) return null;
+
+  const value = toTime(Number(hour), Number(minute), meridiem);
+  if (!value) return null;
+  return { length: !suffix && meridiem ? 2 : 1, value };
+};
+
+const matchTime = (words, i) => {
+  if (words[i] === 'at') {
+    const time = matchTimeWords(words, i + 1, { bareHour: true });
+    return time ? { length: time.length + 1, value: time.value } : null;
+  }
+  return matchTimeWords(words, i, { bareHour: false });
+};
+
+const todayKey = () => {
+  const now = new Date();
+  return formatDate({ year: now.getFullYear(), month: now.getMonth() + 1, day: now.getDate() });
+};
+
+/**
+ * Parse a quick-add line.
+ *
+ * Options:
+ * - today: "YYYY-MM-DD" in the user's timezone (defaults to the local date)
+ * - ignore: start offsets of tokens to keep as plain title text (undone in the preview)
+ *
+ * Returns { title, fields, tokens }. `fields` holds what a task create
+ * request takes: dueAt ("YYYY-MM-DD" or "YYYY-MM-DDTHH:mm", a wall-clock
+ * time to be read in the task's timezone), priority, tags and recurrence.
+ * `tokens` lists each recognised piece as { type, text, start, end, value }
+ * with type one of date, time, tag, priority or recurrence.
+ */
+export const parseQuickAdd = (text, { today = todayKey(), ignore = [] } = {}) => {
+  const input = String(text || '');
+  const base = parseDateKey(today);
+  if (!base) throw new Error('today must be a YYYY-MM-DD date');
+
+  // Words with their offsets; trailing punctuation doesn't stop a match
+  const spans = [];
+  for (const match of input.matchAll(/\S+/g)) {
+    const raw = match[0].replace(/[,.;]+$/, '') || match[0];
+    spans.push({ start: match.index, end: match.index + raw.length });
+  }
+  const words = spans.map(span => input.slice(span.start, span.end).toLowerCase());
+
+  const matchers = [
+    ['tag', matchTag],
+    ['priority', matchPriority],
+    ['recurrence', matchRecurrence],
+    ['date', matchDate],
+    ['time', matchTime]
+  ];
+
+  const tokens = [];
+  const found = new Set();
+  let i = 0;
+  while (i < words.length) {
+    let token = null;
+    let length = 1;
+    for (const [type, matcher] of matchers) {
+      // Only the first date, time, priority and repeat count; later ones stay text
+      if (type !== 'tag' && found.has(type)) continue;
+      const match = matcher(words, i, base);
+      if (match) {
+        const start = spans[i].start;
+        const end = spans[i + match.length - 1].end;
+        // Dates go out as "YYYY-MM-DD", like the rest of the API
+        const value = type === 'date' ? formatDate(match.value) : match.value;
+        token = { type, text: input.slice(start, end), start, end, value };
+        length = match.length;
+        break;
+      }
+    }
+
+    // An undone token keeps all its words as text
+    if (token && !ignore.includes(token.start)) {
+      found.add(token.type);
+      tokens.push(token);
+    }
+    i += length;
+  }
+
+  // The title is what's left once the tokens are cut out
+  let title = '';
+  let cursor = 0;
+  for (const token of tokens) {
+    title += input.slice(cursor, token.start);
+    cursor = token.end;
+  }
+  title = (title + input.slice(cursor)).replace(/\s+/g, ' ').trim();
+
+  const fields = {};
+  const date = tokens.find(token => token.type === 'date');
+  const time = tokens.find(token => token.type === 'time');
+  if (date || time) {
+    const day = date ? date.value : formatDate(base);
+    fields.dueAt = time ? `${day}T${time.value}` : day;
+  }
+  const priority = tokens.find(token => token.type === 'priority');
+  if (priority) fields.priority = priority.value;
+  const tags = [...new Set(tokens.filter(token => token.type === 'tag').map(token => token.value))];
+  if (tags.length > 0) fields.tags = tags;
+  const recurrence = tokens.find(token => token.type === 'recurrence');
+  if (recurrence) fields.recurrence = recurrence.value;
+
+  return { title, fields, tokens };
+};